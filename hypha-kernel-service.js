@@ -604,11 +604,10 @@ async function registerKernelService() {
         }
         
         // Helper to convert async generator to array for RPC
-        async function* executeStreamGenerator(kernelId, code) {
-            const stream = kernelManager.executeStream(kernelId, code);
-            for await (const event of stream) {
-                yield event;
-            }
+        async function* executeStreamGenerator(kernelId, code, options = {}) {
+            const stream = kernelManager.executeStream(kernelId, code, {}, options);
+            // Keep the execution result (status, user_expressions) as the generator's return value
+            return yield* stream;
         }
         
         // Define schemas for all service functions
@@ -773,11 +772,102 @@ async function registerKernelService() {
                         code: {
                             type: "string",
                             description: "Python code to execute"
+                        },
+                        executionId: {
+                            type: "string",
+                            description: "Optional execution ID, usable with cancelExecution while the execution is queued"
+                        },
+                        priority: {
+                            type: "number",
+                            description: "Optional queue priority; higher runs first, equal priorities run in submission order (default 0)"
+                        },
+                        inputTimeout: {
+                            type: "number",
+                            description: "Optional milliseconds to wait for a sendInput reply before input() raises TimeoutError"
+                        },
+                        silent: {
+                            type: "boolean",
+                            description: "Publish no outputs and leave the execution count and history alone (default false)"
+                        },
+                        storeHistory: {
+                            type: "boolean",
+                            description: "Record the code in the kernel history and bump the execution count (default true unless silent)"
+                        },
+                        userExpressions: {
+                            type: "object",
+                            description: "Expressions to evaluate, by name, after the code runs successfully (results are MIME bundles in the execution result)",
+                            additionalProperties: { type: "string" }
+                        },
+                        allowStdin: {
+                            type: "boolean",
+                            description: "When false, input() raises instead of sending an input_request (default true)"
+                        },
+                        userNamespace: {
+                            type: "string",
+                            description: "Name of the user namespace to run the code in, created on first use (default: the kernel's default namespace)"
+                        },
+                        stopOnError: {
+                            type: "boolean",
+                            description: "Cancel the kernel's queued executions if this one fails (default false)"
+                        },
+                        timeout: {
+                            type: "number",
+                            description: "Optional milliseconds before the execution is interrupted as stuck, overriding the kernel's maxExecutionTime"
                         }
                     },
                     required: ["kernelId", "code"]
                 }
             },
+            cancelExecution: {
+                name: "cancelExecution",
+                description: "Cancel an execution that is still waiting in a kernel's execution queue. Running executions must be interrupted instead.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        },
+                        executionId: {
+                            type: "string",
+                            description: "The execution ID passed to executeStream"
+                        }
+                    },
+                    required: ["kernelId", "executionId"]
+                }
+            },
+            getExecutionQueue: {
+                name: "getExecutionQueue",
+                description: "List the running and queued executions of a kernel in the order they will run.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        }
+                    },
+                    required: ["kernelId"]
+                }
+            },
+            sendInput: {
+                name: "sendInput",
+                description: "Answer a pending input() or getpass() prompt. Prompts arrive as input_request events from executeStream.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        },
+                        value: {
+                            type: "string",
+                            description: "The line of input, without a trailing newline"
+                        }
+                    },
+                    required: ["kernelId", "value"]
+                }
+            },
             interruptKernel: {
                 name: "interruptKernel",
                 description: "Interrupt a running execution in a kernel. Useful for stopping long-running or infinite loops.",
@@ -794,7 +884,7 @@ async function registerKernelService() {
             },
             installPackages: {
                 name: "installPackages",
-                description: "Install Python packages in a kernel using micropip. Supports pure Python packages from PyPI.",
+                description: "Install Python packages in a kernel using micropip. Returns the installed distributions (including dependencies), the specs that failed and the specs that were skipped.",
                 parameters: {
                     type: "object",
                     properties: {
@@ -805,12 +895,273 @@ async function registerKernelService() {
                         packages: {
                             type: "array",
                             items: { type: "string" },
-                            description: "List of package names to install (e.g., ['pandas', 'scikit-learn'])"
+                            description: "List of requirement specifiers to install (e.g., ['pandas', 'attrs==23.1.0'])"
+                        },
+                        indexUrls: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Optional package indexes to search instead of PyPI",
+                            nullable: true
+                        },
+                        keepGoing: {
+                            type: "boolean",
+                            description: "Continue with the remaining packages after a failure (default: false)",
+                            nullable: true
+                        },
+                        deps: {
+                            type: "boolean",
+                            description: "Install dependencies (default: true)",
+                            nullable: true
                         }
                     },
                     required: ["kernelId", "packages"]
                 }
             },
+            listPackages: {
+                name: "listPackages",
+                description: "List the packages installed in a kernel with their versions and sources.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        }
+                    },
+                    required: ["kernelId"]
+                }
+            },
+            uninstallPackage: {
+                name: "uninstallPackage",
+                description: "Uninstall a package from a kernel. Its dependencies are left installed.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        },
+                        name: {
+                            type: "string",
+                            description: "Name of the package to uninstall"
+                        }
+                    },
+                    required: ["kernelId", "name"]
+                }
+            },
+            resetNamespace: {
+                name: "resetNamespace",
+                description: "Clear the variables of a kernel namespace, like %reset -f. The execution count is kept.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        },
+                        keepImports: {
+                            type: "boolean",
+                            description: "Keep names bound to imported modules (default false)"
+                        },
+                        userNamespace: {
+                            type: "string",
+                            description: "Name of the user namespace to reset (default: the kernel's default namespace)"
+                        }
+                    },
+                    required: ["kernelId"]
+                }
+            },
+            listUserNamespaces: {
+                name: "listUserNamespaces",
+                description: "List the user namespaces of a kernel.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        }
+                    },
+                    required: ["kernelId"]
+                }
+            },
+            deleteUserNamespace: {
+                name: "deleteUserNamespace",
+                description: "Delete a named user namespace of a kernel and everything defined in it.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        },
+                        name: {
+                            type: "string",
+                            description: "Name of the namespace to delete"
+                        }
+                    },
+                    required: ["kernelId", "name"]
+                }
+            },
+            inspectVariables: {
+                name: "inspectVariables",
+                description: "List the variables of a kernel with their type, size, shape, dtype and a short repr, without running a cell.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        },
+                        filter: {
+                            type: "string",
+                            description: "Optional glob pattern on variable names, e.g. 'df_*'"
+                        },
+                        maxItems: {
+                            type: "number",
+                            description: "Most variables to return (default 100)"
+                        },
+                        userNamespace: {
+                            type: "string",
+                            description: "Name of the user namespace to inspect (default: the kernel's default namespace)"
+                        }
+                    },
+                    required: ["kernelId"]
+                }
+            },
+            getVariableDetail: {
+                name: "getVariableDetail",
+                description: "Drill into a kernel variable: a page of dict entries, sequence items, object attributes or DataFrame rows.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        },
+                        path: {
+                            type: "array",
+                            description: "Variable name followed by the keys of the items to drill into, e.g. ['config', 'layers', 0]",
+                            items: { type: ["string", "number"] }
+                        },
+                        offset: {
+                            type: "number",
+                            description: "First item (or table row) to return (default 0)"
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Most items (or table rows) to return (default 100)"
+                        },
+                        userNamespace: {
+                            type: "string",
+                            description: "Name of the user namespace of the variable (default: the kernel's default namespace)"
+                        }
+                    },
+                    required: ["kernelId", "path"]
+                }
+            },
+            debug: {
+                name: "debug",
+                description: "Send a Debug Adapter Protocol request (attach, dumpCell, setBreakpoints, continue, next, stepIn, stepOut, stackTrace, scopes, variables, evaluate, debugInfo, ...) to a Python kernel's debugger. debugInfo lists the stopped threads while a cell is paused.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        },
+                        command: {
+                            type: "string",
+                            description: "DAP command, e.g. 'setBreakpoints'"
+                        },
+                        arguments: {
+                            type: "object",
+                            description: "Arguments of the DAP command, e.g. { source: { path }, breakpoints: [{ line: 2 }] }"
+                        }
+                    },
+                    required: ["kernelId", "command"]
+                }
+            },
+            profile: {
+                name: "profile",
+                description: "Run Python code under cProfile to find out why it is slow. Returns per-function stats (calls, tottime, cumtime, file, line), a flamegraph-ready call tree and the wall time split into package loading and execution, all in seconds.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        },
+                        code: {
+                            type: "string",
+                            description: "Python code to profile"
+                        },
+                        sortBy: {
+                            type: "string",
+                            enum: ["cumtime", "tottime", "calls", "name"],
+                            description: "Order of the per-function stats (default: cumtime)"
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Most functions to list (default: 30)"
+                        }
+                    },
+                    required: ["kernelId", "code"]
+                }
+            },
+            exposeToKernel: {
+                name: "exposeToKernel",
+                description: "Let Python code in a kernel import a function or object of the caller with `from host import <name>` and await its calls. Functions passed over RPC stay remote functions.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        },
+                        name: {
+                            type: "string",
+                            description: "Python identifier to import the object as"
+                        },
+                        value: {
+                            description: "Function or object (with methods) to expose"
+                        }
+                    },
+                    required: ["kernelId", "name", "value"]
+                }
+            },
+            unexpose: {
+                name: "unexpose",
+                description: "Revoke a kernel's access to an object exposed with exposeToKernel. Returns false if nothing was exposed under the name.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        },
+                        name: {
+                            type: "string",
+                            description: "Name the object was exposed as"
+                        }
+                    },
+                    required: ["kernelId", "name"]
+                }
+            },
+            exportLock: {
+                name: "exportLock",
+                description: "Export a kernel's packages as a pyodide-lock.json file that can be used as lockFileURL to recreate the environment.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        kernelId: {
+                            type: "string",
+                            description: "The unique identifier of the kernel"
+                        }
+                    },
+                    required: ["kernelId"]
+                }
+            },
             listKernels: {
                 name: "listKernels",
                 description: "List all active kernels, optionally filtered by namespace. Useful for managing multiple kernel instances.",
@@ -842,7 +1193,7 @@ async function registerKernelService() {
             },
             getKernelStatus: {
                 name: "getKernelStatus",
-                description: "Get the current status and configuration of a kernel.",
+                description: "Get the current status and configuration of a kernel. Worker kernels are probed with a heartbeat: status is 'unresponsive' when the kernel does not answer ('busy' while a cell runs if its heartbeat skips executions), and latency is the round trip in milliseconds.",
                 parameters: {
                     type: "object",
                     properties: {
@@ -1125,11 +1476,27 @@ async function registerKernelService() {
             
             // Execution methods
             
-            executeStream: Object.assign(async function*({ kernelId, code }, context = null) {
+            executeStream: Object.assign(async function*({ kernelId, code, executionId, priority, inputTimeout, silent, storeHistory, userExpressions, allowStdin, userNamespace, stopOnError, timeout }, context = null) {
                 // This returns an async generator for streaming
-                yield* executeStreamGenerator(kernelId, code);
+                return yield* executeStreamGenerator(kernelId, code, { executionId, priority, inputTimeout, silent, storeHistory, userExpressions, allowStdin, userNamespace, stopOnError, timeout });
             }, { __schema__: schemas.executeStream }),
             
+            cancelExecution: Object.assign(async ({ kernelId, executionId }, context = null) => {
+                addOutput('result', `🌐 Remote call: cancelExecution() - Cancelling ${executionId} on kernel ${kernelId.substring(0, 8)}...`);
+                
+                const cancelled = kernelManager.cancelExecution(kernelId, executionId);
+                return { cancelled };
+            }, { __schema__: schemas.cancelExecution }),
+            
+            getExecutionQueue: Object.assign(async ({ kernelId }, context = null) => {
+                return kernelManager.getExecutionQueue(kernelId);
+            }, { __schema__: schemas.getExecutionQueue }),
+            
+            sendInput: Object.assign(async ({ kernelId, value }, context = null) => {
+                await kernelManager.sendInput(kernelId, value);
+                return { success: true };
+            }, { __schema__: schemas.sendInput }),
+            
             // Kernel control
             interruptKernel: Object.assign(async ({ kernelId }, context = null) => {
                 addOutput('result', `🌐 Remote call: interruptKernel() - Interrupting kernel ${kernelId.substring(0, 8)}...`);
@@ -1176,13 +1543,22 @@ async function registerKernelService() {
                     return { status: 'not_found' };
                 }
                 
-                addOutput('stdout', `Kernel ${kernelId.substring(0, 8)}... status: ready (${kernel.mode} mode)`);
+                // Round-trip a heartbeat so a wedged worker does not look healthy
+                const latency = await kernelManager.probeKernel(kernelId, 2000);
+                const heartbeat = kernelManager.getHeartbeat(kernelId) || null;
+                // Missed beats of a suspended heartbeat don't count, as for KERNEL_UNRESPONSIVE
+                const status = heartbeat && heartbeat.suspended ? 'busy'
+                    : latency === null || (heartbeat && !heartbeat.responsive) ? 'unresponsive' : 'ready';
+                
+                addOutput('stdout', `Kernel ${kernelId.substring(0, 8)}... status: ${status} (${kernel.mode} mode, ${latency === null ? 'no heartbeat answer' : `${latency}ms`})`);
                 
                 return {
                     id: kernelId,
                     mode: kernel.mode,
                     language: kernel.lang,
-                    status: 'ready' // Could be enhanced with actual status
+                    status,
+                    latency,
+                    heartbeat
                 };
             }, { __schema__: schemas.getKernelStatus }),
             
@@ -1197,44 +1573,82 @@ async function registerKernelService() {
             }, { __schema__: schemas.getPoolStats }),
             
             // Package installation
-            installPackages: Object.assign(async ({ kernelId, packages }, context = null) => {
+            installPackages: Object.assign(async ({ kernelId, packages, indexUrls = null, keepGoing = false, deps = true }, context = null) => {
                 addOutput('result', `🌐 Remote call: installPackages() - Installing packages in kernel ${kernelId.substring(0, 8)}...`);
                 addOutput('stdout', `Packages to install: ${packages.join(', ')}`);
                 
-                const kernel = kernelManager.getKernel(kernelId);
-                if (!kernel) {
-                    addOutput('error', `❌ Kernel ${kernelId.substring(0, 8)}... not found`);
-                    throw new Error(`Kernel ${kernelId} not found`);
-                }
-                
-                const code = `
-import micropip
-await micropip.install(${JSON.stringify(packages)})
-print(f"Successfully installed: {', '.join(${JSON.stringify(packages)})}")
-                `;
-                
-                const result = await kernel.kernel.execute(code);
+                const result = await kernelManager.installPackages(kernelId, packages, {
+                    indexUrls: indexUrls || undefined,
+                    keepGoing,
+                    deps
+                });
                 
-                if (result.error) {
-                    addOutput('error', `❌ Package installation failed in kernel ${kernelId.substring(0, 8)}...`);
+                if (result.failed.length > 0) {
+                    addOutput('error', `❌ Failed to install ${result.failed.map(f => f.spec).join(', ')} in kernel ${kernelId.substring(0, 8)}...`);
                 } else {
                     addOutput('result', `✓ Packages installed successfully in kernel ${kernelId.substring(0, 8)}...`);
                 }
                 
-                // Convert Error objects to serializable format for Hypha RPC
-                if (result.error && result.error instanceof Error) {
-                    return {
-                        ...result,
-                        error: {
-                            name: result.error.name,
-                            message: result.error.message,
-                            stack: result.error.stack
-                        }
-                    };
-                }
                 return result;
             }, { __schema__: schemas.installPackages }),
             
+            listPackages: Object.assign(async ({ kernelId }, context = null) => {
+                return kernelManager.listPackages(kernelId);
+            }, { __schema__: schemas.listPackages }),
+            
+            uninstallPackage: Object.assign(async ({ kernelId, name }, context = null) => {
+                addOutput('result', `🌐 Remote call: uninstallPackage() - Uninstalling ${name} from kernel ${kernelId.substring(0, 8)}...`);
+                
+                const removed = await kernelManager.uninstallPackage(kernelId, name);
+                return { removed };
+            }, { __schema__: schemas.uninstallPackage }),
+            
+            resetNamespace: Object.assign(async ({ kernelId, keepImports, userNamespace }, context = null) => {
+                addOutput('result', `🌐 Remote call: resetNamespace() - Resetting namespace of kernel ${kernelId.substring(0, 8)}...`);
+                
+                await kernelManager.resetNamespace(kernelId, { keepImports, userNamespace });
+                return { success: true };
+            }, { __schema__: schemas.resetNamespace }),
+            
+            listUserNamespaces: Object.assign(async ({ kernelId }, context = null) => {
+                return kernelManager.listUserNamespaces(kernelId);
+            }, { __schema__: schemas.listUserNamespaces }),
+            
+            deleteUserNamespace: Object.assign(async ({ kernelId, name }, context = null) => {
+                const deleted = await kernelManager.deleteUserNamespace(kernelId, name);
+                return { deleted };
+            }, { __schema__: schemas.deleteUserNamespace }),
+            
+            inspectVariables: Object.assign(async ({ kernelId, filter, maxItems, userNamespace }, context = null) => {
+                return kernelManager.inspectVariables(kernelId, { filter, maxItems, userNamespace });
+            }, { __schema__: schemas.inspectVariables }),
+            
+            getVariableDetail: Object.assign(async ({ kernelId, path, offset, limit, userNamespace }, context = null) => {
+                return kernelManager.getVariableDetail(kernelId, path, { offset, limit, userNamespace });
+            }, { __schema__: schemas.getVariableDetail }),
+            
+            debug: Object.assign(async ({ kernelId, command, arguments: args }, context = null) => {
+                return kernelManager.debug(kernelId, { command, arguments: args });
+            }, { __schema__: schemas.debug }),
+            
+            profile: Object.assign(async ({ kernelId, code, sortBy, limit }, context = null) => {
+                const { error, ...profile } = await kernelManager.profile(kernelId, code, { sortBy, limit });
+                return { ...profile, error: error ? error.message : undefined };
+            }, { __schema__: schemas.profile }),
+            
+            exposeToKernel: Object.assign(async ({ kernelId, name, value }, context = null) => {
+                await kernelManager.exposeToKernel(kernelId, name, value);
+                return { success: true };
+            }, { __schema__: schemas.exposeToKernel }),
+            
+            unexpose: Object.assign(async ({ kernelId, name }, context = null) => {
+                return kernelManager.unexpose(kernelId, name);
+            }, { __schema__: schemas.unexpose }),
+            
+            exportLock: Object.assign(async ({ kernelId }, context = null) => {
+                return kernelManager.exportLock(kernelId);
+            }, { __schema__: schemas.exportLock }),
+            
             // Startup script support
             runStartupScript: Object.assign(async ({ kernelId, script }, context = null) => {
                 addOutput('result', `🌐 Remote call: runStartupScript() - Running startup script in kernel ${kernelId.substring(0, 8)}...`);
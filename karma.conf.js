@@ -59,6 +59,31 @@ module.exports = function (config) {
             'tests/kernel_worker_test.ts',
             'tests/kernel_pool_test.ts',
             'tests/kernel_interrupt_test.ts',
+            'tests/jupyter_gateway_test.ts',
+            'tests/execution_queue_test.ts',
+            'tests/kernel_snapshot_test.ts',
+            'tests/kernel_filesystem_test.ts',
+            'tests/kernel_files_test.ts',
+            'tests/kernel_packages_test.ts',
+            'tests/kernel_offline_test.ts',
+            'tests/kernel_bootstrap_test.ts',
+            'tests/kernel_input_test.ts',
+            'tests/notebook_runner_test.ts',
+            'tests/javascript_kernel_test.ts',
+            'tests/kernel_recovery_test.ts',
+            'tests/kernel_heartbeat_test.ts',
+            'tests/kernel_memory_test.ts',
+            'tests/kernel_execute_options_test.ts',
+            'tests/kernel_namespace_test.ts',
+            'tests/kernel_variables_test.ts',
+            'tests/kernel_debugger_test.ts',
+            'tests/kernel_profile_test.ts',
+            'tests/kernel_host_test.ts',
+            'tests/kernel_comm_test.ts',
+            'tests/kernel_widgets_test.ts',
+            'tests/kernel_binary_outputs_test.ts',
+            'tests/kernel_stream_completion_test.ts',
+            'tests/kernel_output_policy_test.ts',
             // Static wheel files and schema - served but not included in browser
             { pattern: 'src/pypi/**/*.whl', watched: false, included: false, served: true },
             { pattern: 'src/pypi/**/*.json', watched: false, included: false, served: true },
@@ -81,7 +106,32 @@ module.exports = function (config) {
             'tests/kernel_stream_test.ts': ['webpack', 'sourcemap'],
             'tests/kernel_worker_test.ts': ['webpack', 'sourcemap'],
             'tests/kernel_pool_test.ts': ['webpack', 'sourcemap'],
-            'tests/kernel_interrupt_test.ts': ['webpack', 'sourcemap']
+            'tests/kernel_interrupt_test.ts': ['webpack', 'sourcemap'],
+            'tests/jupyter_gateway_test.ts': ['webpack', 'sourcemap'],
+            'tests/execution_queue_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_snapshot_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_filesystem_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_files_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_packages_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_offline_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_bootstrap_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_input_test.ts': ['webpack', 'sourcemap'],
+            'tests/notebook_runner_test.ts': ['webpack', 'sourcemap'],
+            'tests/javascript_kernel_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_recovery_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_heartbeat_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_memory_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_execute_options_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_namespace_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_variables_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_debugger_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_profile_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_host_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_comm_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_widgets_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_binary_outputs_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_stream_completion_test.ts': ['webpack', 'sourcemap'],
+            'tests/kernel_output_policy_test.ts': ['webpack', 'sourcemap']
         },
 
         webpack: testWebpackConfig,
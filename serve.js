@@ -9,6 +9,8 @@ const PORT = process.env.PORT || 8080;
 // set dist dir
 const ROOT_DIR = __dirname;
 const DIST_DIR = path.join(__dirname, 'dist');
+// Self-hosted Pyodide distribution and wheels (see src/prepare-offline.py)
+const OFFLINE_DIR = process.env.OFFLINE_DIR || path.join(__dirname, 'offline');
 
 const MIME_TYPES = {
   '.html': 'text/html',
@@ -22,7 +24,9 @@ const MIME_TYPES = {
   '.svg': 'image/svg+xml',
   '.ico': 'image/x-icon',
   '.ts': 'text/typescript',
-  '.whl': 'application/octet-stream'
+  '.whl': 'application/octet-stream',
+  '.wasm': 'application/wasm',
+  '.zip': 'application/zip'
 };
 
 // Simple file watching for development
@@ -73,6 +77,9 @@ const server = http.createServer((req, res) => {
   } else if (pathname === '/hypha-kernel-service.js') {
     // Serve hypha-kernel-service.js from root directory
     filepath = path.join(ROOT_DIR, pathname);
+  } else if (pathname.startsWith('/offline/')) {
+    // Serve the offline distribution as-is (it contains .js and .whl files of its own)
+    filepath = path.join(OFFLINE_DIR, pathname.slice('/offline/'.length));
   } else if (pathname.startsWith('/dist/')) {
     // Handle explicit /dist/ paths
     filepath = path.join(ROOT_DIR, pathname);
@@ -175,6 +182,7 @@ server.listen(PORT, () => {
   console.log('📁 File serving:');
   console.log('   - HTML files: served from root directory');
   console.log('   - JS/MJS files: served from dist/ directory');
+  console.log(`   - /offline/: served from ${OFFLINE_DIR}`);
   console.log('');
   console.log('📁 Watching for changes in HTML, JS, CSS files...');
   console.log('Press Ctrl+C to stop the server');
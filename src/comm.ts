@@ -0,0 +1,123 @@
+// Host side of comms
+// When Python opens a comm for a target registered with
+// KernelManager.registerCommTarget, the manager creates a HostComm for it and
+// routes the comm's messages to it, so host code can talk to Python objects
+// (custom widgets, progress reporters, ...) without parsing kernel events.
+
+import type { CommBuffer, ICommMessage, IHostComm } from "./types";
+
+// Sends a comm_msg or comm_close to the kernel
+export type CommSender = (
+  type: "comm_msg" | "comm_close",
+  content: { comm_id: string; data: any },
+  buffers: CommBuffer[],
+  metadata: any
+) => Promise<void>;
+
+type CommCallback = (msg: ICommMessage) => void | Promise<void>;
+
+export class HostComm implements IHostComm {
+  public readonly kernelId: string;
+  public readonly commId: string;
+  public readonly targetName: string;
+
+  private sender: CommSender;
+  private msgCallbacks: CommCallback[] = [];
+  private closeCallbacks: CommCallback[] = [];
+  private closed = false;
+
+  constructor(kernelId: string, commId: string, targetName: string, sender: CommSender) {
+    this.kernelId = kernelId;
+    this.commId = commId;
+    this.targetName = targetName;
+    this.sender = sender;
+  }
+
+  /**
+   * Whether either side closed the comm
+   */
+  public get isClosed(): boolean {
+    return this.closed;
+  }
+
+  /**
+   * Send a message to the Python side of the comm
+   * @param data JSON data
+   * @param metadata JSON metadata
+   * @param buffers Binary buffers, passed to Python as memoryviews
+   */
+  public async send(data: any, metadata: any = {}, buffers: CommBuffer[] = []): Promise<void> {
+    if (this.closed) {
+      throw new Error(`Comm ${this.commId} is closed`);
+    }
+    await this.sender("comm_msg", { comm_id: this.commId, data }, buffers, metadata);
+  }
+
+  /**
+   * Close the comm on both sides
+   * The onClose callbacks run with the message sent to Python.
+   * @param data JSON data
+   * @param metadata JSON metadata
+   * @param buffers Binary buffers
+   */
+  public async close(data: any = {}, metadata: any = {}, buffers: CommBuffer[] = []): Promise<void> {
+    if (this.closed) {
+      return;
+    }
+    await this.handleClose({ data, metadata, buffers });
+    await this.sender("comm_close", { comm_id: this.commId, data }, buffers, metadata);
+  }
+
+  /**
+   * Register a callback for the messages Python sends
+   * @param callback Called with each comm_msg
+   */
+  public onMsg(callback: CommCallback): void {
+    this.msgCallbacks.push(callback);
+  }
+
+  /**
+   * Register a callback for the comm closing, from either side
+   * @param callback Called once with the comm_close message
+   */
+  public onClose(callback: CommCallback): void {
+    this.closeCallbacks.push(callback);
+  }
+
+  /**
+   * Deliver a comm_msg from Python to the callbacks
+   * @param msg Message
+   */
+  public async handleMsg(msg: ICommMessage): Promise<void> {
+    await this.run(this.msgCallbacks, msg);
+  }
+
+  /**
+   * Mark the comm closed and run the close callbacks
+   * @param msg The comm_close message
+   */
+  public async handleClose(msg: ICommMessage): Promise<void> {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    const callbacks = this.closeCallbacks;
+    this.msgCallbacks = [];
+    this.closeCallbacks = [];
+    await this.run(callbacks, msg);
+  }
+
+  /**
+   * Run callbacks one after another, logging the ones that fail
+   * @private
+   */
+  private async run(callbacks: CommCallback[], msg: ICommMessage): Promise<void> {
+    for (const callback of callbacks) {
+      try {
+        await callback(msg);
+      } catch (error) {
+        console.error(`Error in a callback of comm ${this.commId} (${this.targetName}):`, error);
+      }
+    }
+  }
+}
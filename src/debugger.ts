@@ -0,0 +1,388 @@
+// Python side of the debugger
+// Implements the subset of the Debug Adapter Protocol that Jupyter front-ends
+// use (breakpoints, stepping, stack frames, variables and evaluate) on top of
+// sys.settrace. Like ipykernel, cells are dumped to files named after the
+// murmur2 hash of their code, so front-ends can set breakpoints on a cell
+// before it runs. A paused cell waits for requests inside its trace function:
+// worker kernels block on a shared buffer, main thread kernels need JSPI.
+
+// Name of the module the source is installed as
+export const DEBUGGER_MODULE = "kernel_debugger";
+
+export const DEBUGGER_SOURCE = String.raw`
+import contextlib
+import io
+import json
+import os
+import sys
+import tempfile
+
+from pyodide.ffi import can_run_sync, run_sync
+
+from kernel_variables import items, summarize
+
+HASH_SEED = 0xC70F6907
+TMP_PREFIX = f"{tempfile.gettempdir()}/ipykernel_{os.getpid()}/"
+TMP_SUFFIX = ".py"
+THREAD_ID = 1
+
+CAPABILITIES = {
+    "supportsConfigurationDoneRequest": True,
+    "supportsConditionalBreakpoints": True,
+    "supportsEvaluateForHovers": True,
+    "supportsSetVariable": False,
+    "supportsStepBack": False,
+    "exceptionBreakpointFilters": [],
+}
+
+
+class DebuggerError(Exception):
+    pass
+
+
+def murmur2_x86(data, seed):
+    """Murmur2 hash of a cell's code, as ipykernel computes it to name dumped cells"""
+    m = 0x5BD1E995
+    data = data.encode("utf8")
+    length = len(data)
+    h = seed ^ length
+    rounded_end = length & 0xFFFFFFFC
+    for i in range(0, rounded_end, 4):
+        k = data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) | (data[i + 3] << 24)
+        k = (k * m) & 0xFFFFFFFF
+        k ^= k >> 24
+        k = (k * m) & 0xFFFFFFFF
+        h = (h * m) & 0xFFFFFFFF
+        h ^= k
+    tail = length & 3
+    k = 0
+    if tail == 3:
+        k = data[rounded_end + 2] << 16
+    if tail >= 2:
+        k |= data[rounded_end + 1] << 8
+    if tail >= 1:
+        k |= data[rounded_end]
+        h ^= k
+        h = (h * m) & 0xFFFFFFFF
+    h ^= h >> 13
+    h = (h * m) & 0xFFFFFFFF
+    h ^= h >> 15
+    return h
+
+
+def activate(shell, debugger=None):
+    """Hand the interpreter's tracing to a kernel's debugger, or take it from whichever has it"""
+    if debugger is not None and debugger.started:
+        debugger.step = None
+        sys.settrace(debugger.trace)
+        code_name = debugger.dump_cell
+    else:
+        # Leave trace functions that are not ours alone
+        if isinstance(getattr(sys.gettrace(), "__self__", None), Debugger):
+            sys.settrace(None)
+        code_name = None
+    if hasattr(shell, "compile"):
+        if code_name:
+            shell.compile.get_code_name = lambda raw_code, transformed_code, number: code_name(raw_code)
+        else:
+            shell.compile.__dict__.pop("get_code_name", None)
+    else:
+        shell.code_name = code_name
+
+
+class Debugger:
+    """Debug adapter of one kernel
+
+    send_event and send_reply take DAP messages as JSON text. While paused,
+    wait_for_request returns the next request as JSON text, or an awaitable of
+    it; can_block tells whether it blocks (otherwise pausing needs run_sync).
+    """
+
+    def __init__(self, shell, send_event, send_reply, wait_for_request, can_block):
+        self.shell = shell
+        self.send_event = send_event
+        self.send_reply = send_reply
+        self.wait_for_request = wait_for_request
+        self.can_block = can_block
+        self.started = False
+        self.paused = False
+        self.breakpoints = {}  # Source path -> [{"line", "condition"}]
+        self.step = None  # (kind, depth of the paused frame) while stepping
+        self._seq = 0
+        self._frames = []  # User frames of the paused cell, innermost first
+        self._references = {}  # variablesReference -> ("scope" | "value", value)
+        self._handlers = {
+            "initialize": self._initialize,
+            "attach": self._attach,
+            "launch": self._attach,
+            "disconnect": self._disconnect,
+            "dumpCell": self._dump_cell,
+            "debugInfo": self._debug_info,
+            "setBreakpoints": self._set_breakpoints,
+            "configurationDone": lambda arguments: None,
+            "threads": self._threads,
+            "continue": lambda arguments: self._resume(None),
+            "next": lambda arguments: self._resume("over"),
+            "stepIn": lambda arguments: self._resume("in"),
+            "stepOut": lambda arguments: self._resume("out"),
+            "stackTrace": self._stack_trace,
+            "scopes": self._scopes,
+            "variables": self._variables,
+            "evaluate": self._evaluate,
+            "source": self._source,
+        }
+
+    def _next_seq(self):
+        self._seq += 1
+        return self._seq
+
+    def _event(self, event, body):
+        self.send_event(json.dumps({"type": "event", "seq": self._next_seq(), "event": event, "body": body}))
+
+    def handle_json(self, text):
+        """Answer a DAP request given as JSON text, with the response as JSON text"""
+        request = json.loads(text)
+        command = request.get("command")
+        response = {
+            "type": "response",
+            "seq": self._next_seq(),
+            "request_seq": request.get("seq", 0),
+            "command": command,
+            "success": True,
+        }
+        try:
+            handler = self._handlers.get(command)
+            if handler is None:
+                raise DebuggerError(f"Unsupported command: {command}")
+            body = handler(request.get("arguments") or {})
+            if body is not None:
+                response["body"] = body
+        except Exception as e:
+            response["success"] = False
+            response["message"] = str(e) if isinstance(e, DebuggerError) else f"{type(e).__name__}: {e}"
+        return json.dumps(response)
+
+    # Cells
+
+    def cell_path(self, code):
+        return f"{TMP_PREFIX}{murmur2_x86(code, HASH_SEED)}{TMP_SUFFIX}"
+
+    def dump_cell(self, code):
+        """Write a cell to the file its code runs as, and return the path"""
+        path = self.cell_path(code)
+        os.makedirs(TMP_PREFIX, exist_ok=True)
+        with open(path, "w", encoding="utf-8") as f:
+            f.write(code)
+        return path
+
+    # Tracing
+
+    def _traced(self, filename):
+        return filename.startswith(TMP_PREFIX) or filename in self.breakpoints
+
+    def trace(self, frame, event, arg):
+        if not self.started:
+            return None
+        if event == "call":
+            return self.trace if self._traced(frame.f_code.co_filename) else None
+        if event == "line":
+            self._line(frame)
+        return self.trace
+
+    def _user_frames(self, frame):
+        frames = []
+        while frame is not None:
+            if self._traced(frame.f_code.co_filename):
+                frames.append(frame)
+            frame = frame.f_back
+        return frames
+
+    def _line(self, frame):
+        if self.step is not None:
+            kind, depth = self.step
+            current = len(self._user_frames(frame))
+            if kind == "in" or (kind == "over" and current <= depth) or (kind == "out" and current < depth):
+                self._pause(frame, "step")
+                return
+        for breakpoint in self.breakpoints.get(frame.f_code.co_filename, ()):
+            if breakpoint["line"] == frame.f_lineno and self._condition_met(frame, breakpoint["condition"]):
+                self._pause(frame, "breakpoint")
+                return
+
+    def _condition_met(self, frame, condition):
+        if not condition:
+            return True
+        try:
+            return bool(eval(condition, frame.f_globals, frame.f_locals))
+        except Exception:
+            # A broken condition stops, so that it gets noticed
+            return True
+
+    def _pause(self, frame, reason):
+        self.step = None
+        if not (self.can_block() or can_run_sync()):
+            self._event("output", {
+                "category": "console",
+                "output": "Not pausing: this kernel cannot block (use a worker kernel or a browser with JSPI)\n",
+            })
+            return
+        self._frames = self._user_frames(frame)
+        self._references = {}
+        self.paused = True
+        self._event("stopped", {"reason": reason, "threadId": THREAD_ID, "allThreadsStopped": True})
+        try:
+            while self.paused:
+                request = self.wait_for_request()
+                if not isinstance(request, str):
+                    request = run_sync(request)
+                self.send_reply(self.handle_json(request))
+        finally:
+            self.paused = False
+            self._frames = []
+            self._references = {}
+            self._event("continued", {"threadId": THREAD_ID, "allThreadsContinued": True})
+
+    def _resume(self, kind):
+        if not self.paused:
+            raise DebuggerError("The debugger is not paused")
+        self.step = (kind, len(self._frames)) if kind else None
+        self.paused = False
+        return {"allThreadsContinued": True}
+
+    def _frame(self, frame_id):
+        if not self.paused or not 0 <= frame_id < len(self._frames):
+            raise DebuggerError(f"Unknown frameId: {frame_id}")
+        return self._frames[frame_id]
+
+    def _reference(self, kind, value):
+        reference = len(self._references) + 1
+        self._references[reference] = (kind, value)
+        return reference
+
+    # Requests
+
+    def _initialize(self, arguments):
+        return CAPABILITIES
+
+    def _attach(self, arguments):
+        self.started = True
+        activate(self.shell, self)
+        self._event("initialized", {})
+
+    def _disconnect(self, arguments):
+        self.started = False
+        self.breakpoints = {}
+        self.paused = False
+        activate(self.shell, None)
+
+    def _dump_cell(self, arguments):
+        return {"sourcePath": self.dump_cell(arguments["code"])}
+
+    def _debug_info(self, arguments):
+        return {
+            "isStarted": self.started,
+            "hashMethod": "Murmur2",
+            "hashSeed": HASH_SEED,
+            "tmpFilePrefix": TMP_PREFIX,
+            "tmpFileSuffix": TMP_SUFFIX,
+            "breakpoints": [
+                {"source": path, "breakpoints": [{"line": b["line"], "condition": b["condition"]} for b in lines]}
+                for path, lines in self.breakpoints.items()
+            ],
+            "stoppedThreads": [THREAD_ID] if self.paused else [],
+            "richRendering": False,
+            "exceptionPaths": [],
+        }
+
+    def _set_breakpoints(self, arguments):
+        path = arguments["source"]["path"]
+        lines = [
+            {"line": int(b["line"]), "condition": b.get("condition") or None}
+            for b in arguments.get("breakpoints", [])
+        ]
+        if lines:
+            self.breakpoints[path] = lines
+        else:
+            self.breakpoints.pop(path, None)
+        return {"breakpoints": [{"verified": True, "line": b["line"], "source": {"path": path}} for b in lines]}
+
+    def _threads(self, arguments):
+        return {"threads": [{"id": THREAD_ID, "name": "MainThread"}]}
+
+    def _stack_trace(self, arguments):
+        if not self.paused:
+            raise DebuggerError("The debugger is not paused")
+        start = arguments.get("startFrame", 0)
+        levels = arguments.get("levels") or len(self._frames)
+        frames = [
+            {
+                "id": frame_id,
+                "name": frame.f_code.co_name,
+                "line": frame.f_lineno,
+                "column": 1,
+                "source": {"path": frame.f_code.co_filename},
+            }
+            for frame_id, frame in enumerate(self._frames)
+        ]
+        return {"stackFrames": frames[start:start + levels], "totalFrames": len(frames)}
+
+    def _scopes(self, arguments):
+        frame = self._frame(arguments["frameId"])
+        scopes = [{"name": "Locals", "variablesReference": self._reference("scope", frame.f_locals), "expensive": False}]
+        if frame.f_locals is not frame.f_globals:
+            scopes.append({"name": "Globals", "variablesReference": self._reference("scope", frame.f_globals), "expensive": False})
+        return {"scopes": scopes}
+
+    def _variables(self, arguments):
+        reference = arguments["variablesReference"]
+        if reference not in self._references:
+            raise DebuggerError(f"Unknown variablesReference: {reference}")
+        kind, value = self._references[reference]
+        if kind == "scope":
+            hidden = getattr(self.shell, "user_ns_hidden", {})
+            pairs = [(name, item) for name, item in list(value.items()) if not name.startswith("__") and name not in hidden]
+        else:
+            pairs = list(items(value)[0])
+        start = arguments.get("start", 0)
+        count = arguments.get("count") or len(pairs)
+        variables = []
+        with contextlib.redirect_stdout(io.StringIO()), contextlib.redirect_stderr(io.StringIO()):
+            for key, item in pairs[start:start + count]:
+                summary = summarize(key, item)
+                variables.append({
+                    "name": summary["name"],
+                    "value": summary["repr"],
+                    "type": summary["type"],
+                    "variablesReference": self._reference("value", item) if summary["expandable"] else 0,
+                })
+        return {"variables": variables}
+
+    def _evaluate(self, arguments):
+        expression = arguments["expression"]
+        if arguments.get("frameId") is not None and self.paused:
+            frame = self._frame(arguments["frameId"])
+            global_ns, local_ns = frame.f_globals, frame.f_locals
+        else:
+            global_ns = local_ns = self.shell.user_ns
+        try:
+            value = eval(expression, global_ns, local_ns)
+        except SyntaxError:
+            # Statements can be run from the debug console
+            if arguments.get("context") != "repl":
+                raise
+            exec(expression, global_ns, local_ns)
+            return {"result": "", "variablesReference": 0}
+        summary = summarize("", value)
+        return {
+            "result": repr(value),
+            "type": summary["type"],
+            "variablesReference": self._reference("value", value) if self.paused and summary["expandable"] else 0,
+        }
+
+    def _source(self, arguments):
+        path = arguments["source"]["path"]
+        if not os.path.isfile(path):
+            raise DebuggerError(f"No source for {path}")
+        with open(path, encoding="utf-8") as f:
+            return {"content": f.read()}
+`;
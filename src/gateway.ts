@@ -0,0 +1,760 @@
+// Jupyter wire-protocol gateway for KernelManager kernels
+// Speaks the JSON-over-WebSocket message format used by the Jupyter kernel gateway
+// (shell/iopub/stdin/control channels multiplexed on one socket) and maps requests
+// onto the IKernel methods of a kernel managed by KernelManager.
+// Messages with binary buffers travel as binary frames: a big-endian uint32
+// count of parts, one uint32 offset per part, then the JSON message and the buffers.
+
+import { KernelEvents, KernelLanguage, CommBuffer, IEventData, IKernelStatusEvent } from "./types";
+import type { KernelManager } from "./manager";
+import { toJSONMimeBundle } from "./outputs";
+import packageInfo from "../package.json";
+
+// Jupyter messaging protocol version implemented by the gateway
+export const JUPYTER_PROTOCOL_VERSION = "5.3";
+
+// Channels multiplexed over a single gateway socket
+export type JupyterChannel = "shell" | "iopub" | "stdin" | "control";
+
+// Jupyter message header
+export interface IJupyterHeader {
+  msg_id: string;
+  msg_type: string;
+  session: string;
+  username: string;
+  date: string;
+  version: string;
+}
+
+// A Jupyter message as serialized on the gateway socket
+export interface IJupyterMessage {
+  channel: JupyterChannel;
+  header: IJupyterHeader;
+  parent_header: Partial<IJupyterHeader>;
+  metadata: Record<string, any>;
+  content: any;
+  buffers?: CommBuffer[];
+}
+
+// Minimal WebSocket surface used by the gateway.
+// Browser WebSocket and the `ws` package both satisfy this interface.
+export interface IGatewaySocket {
+  send(data: string | ArrayBuffer): void;
+  close?(): void;
+  binaryType?: string; // Set to "arraybuffer" when attached
+  addEventListener(type: "message" | "close", listener: (event: any) => void): void;
+  removeEventListener(type: "message" | "close", listener: (event: any) => void): void;
+}
+
+// Options for creating a gateway
+export interface IJupyterGatewayOptions {
+  session?: string; // Session id used in headers of kernel-originated messages
+  username?: string; // Username used in headers of kernel-originated messages
+  kernelInfo?: Record<string, any>; // Overrides merged into kernel_info_reply content
+}
+
+/**
+ * Serialize a message for the socket
+ * @param msg Jupyter message
+ * @returns JSON text, or a binary frame if the message has buffers
+ */
+function serializeMessage(msg: IJupyterMessage): string | ArrayBuffer {
+  const { buffers = [], ...rest } = msg;
+  if (buffers.length === 0) {
+    return JSON.stringify(msg);
+  }
+
+  const parts = [new TextEncoder().encode(JSON.stringify(rest)), ...buffers.map(buffer => ArrayBuffer.isView(buffer)
+    ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    : new Uint8Array(buffer))];
+  let offset = 4 * (parts.length + 1);
+  const frame = new Uint8Array(offset + parts.reduce((size, part) => size + part.byteLength, 0));
+  const view = new DataView(frame.buffer);
+  view.setUint32(0, parts.length);
+  parts.forEach((part, i) => {
+    view.setUint32(4 * (i + 1), offset);
+    frame.set(part, offset);
+    offset += part.byteLength;
+  });
+  return frame.buffer;
+}
+
+/**
+ * Parse a message received on the socket
+ * @param data JSON text or binary frame
+ * @returns Jupyter message, with its buffers as Uint8Arrays
+ */
+function deserializeMessage(data: string | ArrayBuffer | ArrayBufferView): IJupyterMessage {
+  if (typeof data === "string") {
+    return JSON.parse(data);
+  }
+
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const count = view.getUint32(0);
+  if (count < 1) {
+    throw new Error("Binary message without a JSON part");
+  }
+  const offsets: number[] = [];
+  for (let i = 1; i <= count; i++) {
+    offsets.push(view.getUint32(4 * i));
+  }
+  offsets.push(bytes.byteLength);
+
+  const msg = JSON.parse(new TextDecoder().decode(bytes.subarray(offsets[0], offsets[1])));
+  msg.buffers = [];
+  for (let i = 1; i < count; i++) {
+    msg.buffers.push(bytes.slice(offsets[i], offsets[i + 1]));
+  }
+  return msg;
+}
+
+/**
+ * JupyterGateway exposes a single KernelManager kernel through the Jupyter
+ * messaging protocol so that JupyterLab, VS Code or nbclient can drive it.
+ *
+ * Shell and control requests are processed one at a time in arrival order,
+ * replies go back to the socket that sent the request and IOPub messages are
+ * broadcast to every attached socket.
+ */
+export class JupyterGateway {
+  private manager: KernelManager;
+  private kernelId: string;
+  private session: string;
+  private username: string;
+  private kernelInfoOverrides: Record<string, any>;
+
+  // Attached sockets and their listeners
+  private sockets: Map<IGatewaySocket, { onMessage: (event: any) => void; onClose: () => void }> = new Map();
+
+  // Serializes shell request handling (control requests have their own queue)
+  private requestChain: Promise<void> = Promise.resolve();
+  private controlChain: Promise<void> = Promise.resolve();
+
+  // Request currently being handled (used as parent for kernel-originated messages)
+  private currentParent: IJupyterMessage | null = null;
+  private currentSocket: IGatewaySocket | null = null;
+
+  // Last execution count the kernel reported, for kernels that do not
+  // announce the count of an execution when it starts
+  private executionCount = 0;
+
+  // Kernel event listeners for messages that are not tied to executeStream
+  private kernelListeners: Array<{ eventType: KernelEvents; listener: (data: any) => void }> = [];
+
+  private closed = false;
+  private closeAfterRequest = false;
+
+  constructor(manager: KernelManager, kernelId: string, options: IJupyterGatewayOptions = {}) {
+    if (!manager.getKernel(kernelId)) {
+      throw new Error(`Kernel with ID ${kernelId} not found`);
+    }
+
+    this.manager = manager;
+    this.kernelId = kernelId;
+    this.session = options.session || crypto.randomUUID();
+    this.username = options.username || "kernel";
+    this.kernelInfoOverrides = options.kernelInfo || {};
+
+    this.setupKernelListeners();
+  }
+
+  /**
+   * Get the ID of the kernel served by this gateway
+   */
+  public getKernelId(): string {
+    return this.kernelId;
+  }
+
+  /**
+   * Attach a socket to the gateway
+   * @param socket WebSocket-like object carrying JSON messages
+   * @returns Function that detaches the socket again
+   */
+  public attach(socket: IGatewaySocket): () => void {
+    if (this.closed) {
+      throw new Error("Gateway is closed");
+    }
+
+    const onMessage = async (event: any) => {
+      const raw = event && event.data !== undefined ? event.data : event;
+      let msg: IJupyterMessage;
+      try {
+        msg = deserializeMessage(typeof Blob !== "undefined" && raw instanceof Blob ? await raw.arrayBuffer() : raw);
+      } catch (error) {
+        console.warn("[GATEWAY] Ignoring malformed message:", error);
+        return;
+      }
+      this.handleMessage(msg, socket).catch(error => {
+        console.error("[GATEWAY] Error handling message:", error);
+      });
+    };
+    const onClose = () => this.detach(socket);
+
+    if ("binaryType" in socket) {
+      socket.binaryType = "arraybuffer";
+    }
+    socket.addEventListener("message", onMessage);
+    socket.addEventListener("close", onClose);
+    this.sockets.set(socket, { onMessage, onClose });
+
+    return () => this.detach(socket);
+  }
+
+  /**
+   * Detach a socket from the gateway
+   * @param socket Previously attached socket
+   */
+  public detach(socket: IGatewaySocket): void {
+    const handlers = this.sockets.get(socket);
+    if (!handlers) return;
+
+    socket.removeEventListener("message", handlers.onMessage);
+    socket.removeEventListener("close", handlers.onClose);
+    this.sockets.delete(socket);
+
+    if (this.currentSocket === socket) {
+      this.currentSocket = null;
+    }
+  }
+
+  /**
+   * Detach all sockets and stop listening to kernel events
+   */
+  public close(): void {
+    if (this.closed) return;
+    this.closed = true;
+
+    for (const socket of Array.from(this.sockets.keys())) {
+      this.detach(socket);
+    }
+
+    if (this.manager.getKernel(this.kernelId)) {
+      for (const { eventType, listener } of this.kernelListeners) {
+        this.manager.offKernelEvent(this.kernelId, eventType, listener);
+      }
+    }
+    this.kernelListeners = [];
+  }
+
+  /**
+   * Handle a single incoming Jupyter message
+   * Shell requests are queued so that replies keep the order of their requests;
+   * control requests are queued separately so they can interrupt a running cell.
+   * @param msg Parsed Jupyter message
+   * @param socket Socket the message arrived on (receives the reply)
+   */
+  public handleMessage(msg: IJupyterMessage, socket?: IGatewaySocket): Promise<void> {
+    if (!msg || !msg.header || !msg.header.msg_type) {
+      console.warn("[GATEWAY] Ignoring message without header");
+      return Promise.resolve();
+    }
+
+    // input_reply must bypass the queue: the request waiting for it holds the queue
+    if (msg.header.msg_type === "input_reply") {
+      return this.handleInputReply(msg);
+    }
+
+    const run = () => this.dispatch(msg, socket || null);
+
+    // Control requests must not wait behind a running execute_request
+    if (msg.channel === "control") {
+      const result = this.controlChain.then(run, run);
+      this.controlChain = result.catch(() => undefined);
+      return result;
+    }
+
+    const result = this.requestChain.then(run, run);
+    this.requestChain = result.catch(() => undefined);
+    return result;
+  }
+
+  /**
+   * Create a new message
+   * @private
+   */
+  private createMessage(
+    channel: JupyterChannel,
+    msgType: string,
+    content: any,
+    parent: IJupyterMessage | null,
+    metadata: Record<string, any> = {},
+    buffers: CommBuffer[] = []
+  ): IJupyterMessage {
+    return {
+      channel,
+      header: {
+        msg_id: crypto.randomUUID(),
+        msg_type: msgType,
+        session: this.session,
+        username: this.username,
+        date: new Date().toISOString(),
+        version: JUPYTER_PROTOCOL_VERSION
+      },
+      parent_header: parent ? parent.header : {},
+      metadata,
+      content,
+      buffers
+    };
+  }
+
+  /**
+   * Send a message to one socket
+   * @private
+   */
+  private sendTo(socket: IGatewaySocket | null, msg: IJupyterMessage): void {
+    if (!socket || !this.sockets.has(socket)) return;
+    try {
+      socket.send(serializeMessage(msg));
+    } catch (error) {
+      console.warn("[GATEWAY] Failed to send message:", error);
+    }
+  }
+
+  /**
+   * Broadcast an IOPub message to all attached sockets
+   * @private
+   */
+  private publish(
+    msgType: string,
+    content: any,
+    parent: IJupyterMessage | null,
+    metadata: Record<string, any> = {},
+    buffers: CommBuffer[] = []
+  ): void {
+    const msg = this.createMessage("iopub", msgType, content, parent, metadata, buffers);
+    for (const socket of this.sockets.keys()) {
+      this.sendTo(socket, msg);
+    }
+  }
+
+  /**
+   * Reply to a request on the channel it arrived on
+   * @private
+   */
+  private reply(request: IJupyterMessage, socket: IGatewaySocket | null, msgType: string, content: any): void {
+    const channel = request.channel === "control" ? "control" : "shell";
+    this.sendTo(socket, this.createMessage(channel, msgType, content, request));
+  }
+
+  /**
+   * Listen for kernel events that are not part of the executeStream output
+   * (comms opened by Python and stdin prompts)
+   * @private
+   */
+  private setupKernelListeners(): void {
+    const add = (eventType: KernelEvents, listener: (data: any) => void) => {
+      this.manager.onKernelEvent(this.kernelId, eventType, listener);
+      this.kernelListeners.push({ eventType, listener });
+    };
+
+    // The catchall event carries the metadata and buffers of comm messages
+    const commEvents: string[] = [KernelEvents.COMM_OPEN, KernelEvents.COMM_MSG, KernelEvents.COMM_CLOSE];
+    add(KernelEvents.ALL, (event: IEventData) => {
+      if (commEvents.includes(event?.type)) {
+        const message = event.data || {};
+        this.publish(event.type, message.content || {}, this.currentParent, message.metadata || {}, message.buffers || []);
+      }
+    });
+
+    // Debugger events are not tied to a request
+    add(KernelEvents.DEBUG_EVENT, (data: any) => {
+      this.publish("debug_event", data || {}, null);
+    });
+
+    add(KernelEvents.INPUT_REQUEST, (data: any) => {
+      const parent = this.currentParent;
+      if (!parent || parent.content?.allow_stdin === false) {
+        // Nobody can answer: unblock the kernel with an empty reply
+        this.getKernel()?.inputReply({ value: "" });
+        return;
+      }
+      this.sendTo(
+        this.currentSocket,
+        this.createMessage("stdin", "input_request", {
+          prompt: data?.prompt ?? "",
+          password: !!data?.password
+        }, parent)
+      );
+    });
+  }
+
+  /**
+   * Build the parent argument passed to IKernel methods
+   * @private
+   */
+  private parentOf(msg: IJupyterMessage): any {
+    return { header: msg.header };
+  }
+
+  /**
+   * Get the IKernel behind the gateway
+   * @private
+   */
+  private getKernel() {
+    return this.manager.getKernel(this.kernelId)?.kernel;
+  }
+
+  /**
+   * Forward an input_reply to the kernel
+   * @private
+   */
+  private async handleInputReply(msg: IJupyterMessage): Promise<void> {
+    if (!this.getKernel()) return;
+    // Through the manager, so a pending input timeout is cancelled
+    await this.manager.sendInput(this.kernelId, msg.content?.value ?? "");
+  }
+
+  /**
+   * Dispatch a request to its handler, wrapped in busy/idle status messages
+   * @private
+   */
+  private async dispatch(msg: IJupyterMessage, socket: IGatewaySocket | null): Promise<void> {
+    const msgType = msg.header.msg_type;
+    const isShell = msg.channel !== "control";
+
+    if (isShell) {
+      this.currentParent = msg;
+      this.currentSocket = socket;
+    }
+    this.publish("status", { execution_state: "busy" }, msg);
+
+    try {
+      switch (msgType) {
+        case "kernel_info_request":
+          this.reply(msg, socket, "kernel_info_reply", await this.kernelInfo());
+          break;
+        case "execute_request":
+          await this.handleExecute(msg, socket);
+          break;
+        case "complete_request":
+          await this.handleComplete(msg, socket);
+          break;
+        case "inspect_request":
+          await this.handleInspect(msg, socket);
+          break;
+        case "is_complete_request":
+          await this.handleIsComplete(msg, socket);
+          break;
+        case "comm_info_request":
+          await this.handleCommInfo(msg, socket);
+          break;
+        case "comm_open":
+        case "comm_msg":
+        case "comm_close":
+          await this.handleComm(msg);
+          break;
+        case "interrupt_request":
+          await this.handleInterrupt(msg, socket);
+          break;
+        case "debug_request":
+          await this.handleDebug(msg, socket);
+          break;
+        case "shutdown_request":
+          await this.handleShutdown(msg, socket);
+          break;
+        default:
+          console.warn(`[GATEWAY] Unsupported message type: ${msgType}`);
+      }
+    } catch (error) {
+      console.error(`[GATEWAY] Error handling ${msgType}:`, error);
+      if (msgType.endsWith("_request")) {
+        this.reply(msg, socket, msgType.replace(/_request$/, "_reply"), {
+          status: "error",
+          ename: error instanceof Error ? error.name : "Error",
+          evalue: error instanceof Error ? error.message : String(error),
+          traceback: []
+        });
+      }
+    } finally {
+      this.publish("status", { execution_state: "idle" }, msg);
+      if (isShell) {
+        this.currentParent = null;
+        this.currentSocket = null;
+      }
+      if (this.closeAfterRequest) {
+        this.close();
+      }
+    }
+  }
+
+  /**
+   * Build the kernel_info_reply content
+   * @private
+   */
+  private async kernelInfo(): Promise<Record<string, any>> {
+    const instance = this.manager.getKernel(this.kernelId);
+    const kernel = instance?.kernel;
+    const info = kernel?.getKernelInfo ? await kernel.getKernelInfo() : null;
+    // Only Python kernels of the standard and full profiles run cells the debugger can trace
+    const canDebug = instance?.language === KernelLanguage.PYTHON && instance.options.bootstrap?.profile !== "minimal";
+    return {
+      status: "ok",
+      protocol_version: JUPYTER_PROTOCOL_VERSION,
+      implementation: "web-python-kernel",
+      implementation_version: packageInfo.version,
+      language_info: info?.language_info ?? { name: "", version: "", mimetype: "text/plain", file_extension: "" },
+      banner: info?.banner ?? "",
+      help_links: [],
+      debugger: canDebug,
+      ...this.kernelInfoOverrides
+    };
+  }
+
+  /**
+   * Handle execute_request by streaming kernel outputs to IOPub
+   * @private
+   */
+  private async handleExecute(msg: IJupyterMessage, socket: IGatewaySocket | null): Promise<void> {
+    const code: string = msg.content?.code ?? "";
+    const silent = !!msg.content?.silent;
+    const storeHistory = !silent && (msg.content?.store_history ?? true);
+
+    // execute_input carries the count the kernel announces in the busy event
+    // of the execution, which comes before any of its outputs
+    let announced = silent;
+    const announce = (executionCount: number) => {
+      if (!announced) {
+        announced = true;
+        this.publish("execute_input", { code, execution_count: executionCount }, msg);
+      }
+    };
+    const onBusy = (data: IKernelStatusEvent) => {
+      if (data?.parent_msg_id === msg.header.msg_id && typeof data.execution_count === "number") {
+        announce(data.execution_count);
+      }
+    };
+    this.manager.onKernelEvent(this.kernelId, KernelEvents.KERNEL_BUSY, onBusy);
+
+    let error: { ename: string; evalue: string; traceback: string[] } | null = null;
+    let result: any;
+    try {
+      const stream = this.manager.executeStream(this.kernelId, code, this.parentOf(msg), {
+        silent,
+        storeHistory,
+        userExpressions: msg.content?.user_expressions ?? {},
+        allowStdin: msg.content?.allow_stdin ?? true,
+        stopOnError: msg.content?.stop_on_error ?? false
+      });
+      let next = await stream.next();
+      while (!next.done) {
+        const event = next.value;
+        announce(storeHistory ? this.executionCount + 1 : this.executionCount);
+        switch (event?.type) {
+          case "stream":
+            if (!silent) {
+              this.publish("stream", { name: event.data.name, text: event.data.text }, msg);
+            }
+            break;
+          case "display_data":
+          case "update_display_data":
+            if (!silent) {
+              this.publish(event.type, {
+                data: toJSONMimeBundle(event.data.data || {}),
+                metadata: event.data.metadata || {},
+                transient: event.data.transient || {}
+              }, msg);
+            }
+            break;
+          case "execute_result":
+            if (typeof event.data.execution_count === "number") {
+              this.executionCount = event.data.execution_count;
+            }
+            if (!silent) {
+              this.publish("execute_result", {
+                execution_count: this.executionCount,
+                data: toJSONMimeBundle(event.data.data || {}),
+                metadata: event.data.metadata || {}
+              }, msg);
+            }
+            break;
+          case "clear_output":
+            if (!silent) {
+              this.publish("clear_output", { wait: !!event.data.wait }, msg);
+            }
+            break;
+          case "execute_error":
+          case "error":
+            // The worker path reports the same error twice (event + result); publish once
+            if (!error) {
+              error = {
+                ename: event.data.ename || "Error",
+                evalue: event.data.evalue || "",
+                traceback: event.data.traceback || []
+              };
+              this.publish("error", error, msg);
+            }
+            break;
+          // comm_* and input_request are forwarded by the kernel event listeners
+        }
+        next = await stream.next();
+      }
+      result = next.value;
+    } finally {
+      if (this.manager.getKernel(this.kernelId)) {
+        this.manager.offKernelEvent(this.kernelId, KernelEvents.KERNEL_BUSY, onBusy);
+      }
+    }
+
+    if (typeof result?.result?.execution_count === "number") {
+      this.executionCount = result.result.execution_count;
+    }
+    announce(this.executionCount);
+
+    if (!error && result && result.success === false) {
+      error = {
+        ename: result.result?.ename || "Error",
+        evalue: result.result?.evalue || result.error?.message || "",
+        traceback: result.result?.traceback || []
+      };
+      this.publish("error", error, msg);
+    }
+
+    if (error) {
+      this.reply(msg, socket, "execute_reply", {
+        status: "error",
+        execution_count: this.executionCount,
+        ...error
+      });
+    } else {
+      this.reply(msg, socket, "execute_reply", {
+        status: "ok",
+        execution_count: this.executionCount,
+        payload: result?.result?.payload || [],
+        user_expressions: result?.result?.user_expressions || {}
+      });
+    }
+  }
+
+  /**
+   * Handle complete_request
+   * @private
+   */
+  private async handleComplete(msg: IJupyterMessage, socket: IGatewaySocket | null): Promise<void> {
+    const kernel = this.getKernel();
+    const code: string = msg.content?.code ?? "";
+    const cursorPos: number = msg.content?.cursor_pos ?? code.length;
+    const res = kernel?.complete ? await kernel.complete(code, cursorPos, this.parentOf(msg)) : null;
+    this.reply(msg, socket, "complete_reply", {
+      matches: res?.matches || [],
+      cursor_start: res?.cursor_start ?? cursorPos,
+      cursor_end: res?.cursor_end ?? cursorPos,
+      metadata: res?.metadata || {},
+      status: res?.status || "ok"
+    });
+  }
+
+  /**
+   * Handle inspect_request
+   * @private
+   */
+  private async handleInspect(msg: IJupyterMessage, socket: IGatewaySocket | null): Promise<void> {
+    const kernel = this.getKernel();
+    const code: string = msg.content?.code ?? "";
+    const cursorPos: number = msg.content?.cursor_pos ?? code.length;
+    const detailLevel: 0 | 1 = msg.content?.detail_level === 1 ? 1 : 0;
+    const res = kernel?.inspect ? await kernel.inspect(code, cursorPos, detailLevel, this.parentOf(msg)) : null;
+    this.reply(msg, socket, "inspect_reply", {
+      status: res?.status || "ok",
+      found: !!res?.found,
+      data: res?.data || {},
+      metadata: res?.metadata || {}
+    });
+  }
+
+  /**
+   * Handle is_complete_request
+   * @private
+   */
+  private async handleIsComplete(msg: IJupyterMessage, socket: IGatewaySocket | null): Promise<void> {
+    const kernel = this.getKernel();
+    const res = kernel?.isComplete ? await kernel.isComplete(msg.content?.code ?? "", this.parentOf(msg)) : null;
+    const content: Record<string, any> = { status: res?.status || "unknown" };
+    if (res?.indent !== undefined) {
+      content.indent = res.indent;
+    }
+    this.reply(msg, socket, "is_complete_reply", content);
+  }
+
+  /**
+   * Handle comm_info_request
+   * @private
+   */
+  private async handleCommInfo(msg: IJupyterMessage, socket: IGatewaySocket | null): Promise<void> {
+    const kernel = this.getKernel();
+    const targetName = msg.content?.target_name ?? "";
+    const res = kernel?.commInfo ? await kernel.commInfo(targetName, this.parentOf(msg)) : null;
+    this.reply(msg, socket, "comm_info_reply", {
+      status: "ok",
+      comms: res?.comms || {}
+    });
+  }
+
+  /**
+   * Forward comm_open/comm_msg/comm_close from the front-end to the kernel
+   * @private
+   */
+  private async handleComm(msg: IJupyterMessage): Promise<void> {
+    const kernel = this.getKernel();
+    if (!kernel) return;
+
+    switch (msg.header.msg_type) {
+      case "comm_open":
+        await kernel.commOpen?.(msg.content, this.parentOf(msg), msg.buffers, msg.metadata);
+        break;
+      case "comm_msg":
+        await kernel.commMsg?.(msg.content, this.parentOf(msg), msg.buffers, msg.metadata);
+        break;
+      case "comm_close":
+        await kernel.commClose?.(msg.content, this.parentOf(msg), msg.buffers, msg.metadata);
+        break;
+    }
+  }
+
+  /**
+   * Handle interrupt_request
+   * @private
+   */
+  private async handleInterrupt(msg: IJupyterMessage, socket: IGatewaySocket | null): Promise<void> {
+    const success = await this.manager.interruptKernel(this.kernelId);
+    this.reply(msg, socket, "interrupt_reply", success
+      ? { status: "ok" }
+      : { status: "error", ename: "InterruptError", evalue: "Kernel could not be interrupted", traceback: [] });
+  }
+
+  /**
+   * Handle debug_request by passing its DAP request to the kernel's debugger
+   * @private
+   */
+  private async handleDebug(msg: IJupyterMessage, socket: IGatewaySocket | null): Promise<void> {
+    const response = await this.manager.debug(this.kernelId, msg.content || {});
+    this.reply(msg, socket, "debug_reply", response);
+  }
+
+  /**
+   * Handle shutdown_request (optionally restarting the kernel)
+   * @private
+   */
+  private async handleShutdown(msg: IJupyterMessage, socket: IGatewaySocket | null): Promise<void> {
+    const restart = !!msg.content?.restart;
+
+    if (restart) {
+      const success = await this.manager.restartKernel(this.kernelId);
+      this.executionCount = 0;
+      // Restarting destroys the kernel together with its listeners
+      if (success) {
+        this.kernelListeners = [];
+        this.setupKernelListeners();
+      }
+      this.reply(msg, socket, "shutdown_reply", { status: success ? "ok" : "error", restart });
+      return;
+    }
+
+    await this.manager.destroyKernel(this.kernelId);
+    this.kernelListeners = [];
+    this.closeAfterRequest = true;
+    this.reply(msg, socket, "shutdown_reply", { status: "ok", restart });
+  }
+}
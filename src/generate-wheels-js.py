@@ -5,6 +5,7 @@ Generate _pypi.ts file and wheel files for the Deno App Engine.
 
 import os
 import json
+import hashlib
 import shutil
 import subprocess
 import sys
@@ -118,20 +119,29 @@ def copy_wheel(wheel_path):
     shutil.copy(wheel_path, dest)
 
 def create_all_json():
-    """Create the all.json index file"""
+    """Create the all.json index file (the Warehouse-like format piplite reads)"""
     print("Creating all.json index file...")
     KERNEL_PYPI_DIR.mkdir(exist_ok=True)
     
     all_json = {}
-    for wheel in KERNEL_PYPI_DIR.glob(f"*{NOARCH_WHL}"):
-        pkg_name = wheel.name.split("-")[0].replace("_", "-")
+    for wheel in sorted(KERNEL_PYPI_DIR.glob(f"*{NOARCH_WHL}")):
+        pkg_name = wheel.name.split("-")[0].replace("_", "-").lower()
         version = wheel.name.split("-")[1]
-        all_json[pkg_name] = {
-            "latest": {
-                "filename": wheel.name,
-                "url": f"./{wheel.name}"
-            }
-        }
+        data = wheel.read_bytes()
+        releases = all_json.setdefault(pkg_name, {"name": pkg_name, "releases": {}})["releases"]
+        releases[version] = [{
+            "filename": wheel.name,
+            "url": f"./{wheel.name}",
+            "digests": {
+                "md5": hashlib.md5(data).hexdigest(),
+                "sha256": hashlib.sha256(data).hexdigest()
+            },
+            "size": len(data),
+            "packagetype": "bdist_wheel",
+            "python_version": "py3",
+            "requires_python": None,
+            "yanked": False
+        }]
     
     all_json_path = KERNEL_PYPI_DIR / "all.json"
     all_json_path.write_text(json.dumps(all_json, indent=2))
@@ -0,0 +1,199 @@
+// Python side of host objects
+// The "host" module gives kernels the functions and objects the page exposed
+// with KernelManager.exposeToKernel. Host functions are called through a bridge
+// function of the kernel (a Comlink proxy in workers) and return awaitables.
+// Values cross as plain data: None, numbers, strings, lists and dicts, with
+// buffers (bytes, numpy arrays) as typed arrays. Python functions can be passed
+// as arguments and stay callable by the host until the call returns.
+
+// Name of the module the source is installed as
+export const HOST_MODULE = "kernel_host";
+
+export const HOST_SOURCE = String.raw`
+import asyncio
+import inspect
+import sys
+import types
+
+import js
+from pyodide.ffi import JsArray, JsBuffer, JsMap, JsProxy, create_proxy, to_js
+
+try:
+    from pyodide.ffi import jsnull
+except ImportError:
+    jsnull = None
+
+HOST_FUNCTION_KEY = "__host_function__"
+TYPED_ARRAYS = {
+    "?": "Uint8Array",
+    "b": "Int8Array",
+    "B": "Uint8Array",
+    "h": "Int16Array",
+    "H": "Uint16Array",
+    "i": "Int32Array",
+    "I": "Uint32Array",
+    "l": "Int32Array",
+    "L": "Uint32Array",
+    "q": "BigInt64Array",
+    "Q": "BigUint64Array",
+    "f": "Float32Array",
+    "d": "Float64Array",
+}
+
+
+def _typed_array(view):
+    name = TYPED_ARRAYS.get(view.format.lstrip("@=<"))
+    if name is None:
+        raise TypeError(f"Cannot send buffers of format {view.format!r} to the host")
+    if not view.c_contiguous:
+        view = memoryview(view.tobytes())
+    array = getattr(js, name).new(view.nbytes // view.itemsize)
+    array.assign(view.cast("B"))
+    return array
+
+
+def to_host(value):
+    """Convert a Python value to the JavaScript value the host receives"""
+    if value is None:
+        return jsnull
+    if isinstance(value, (bool, int, float, str, JsProxy)):
+        return value
+    if isinstance(value, dict):
+        return js.Object.fromEntries(to_js([[str(key), to_host(item)] for key, item in value.items()]))
+    if isinstance(value, (list, tuple)):
+        return to_js([to_host(item) for item in value])
+    if callable(value):
+        raise TypeError("Functions can only be passed to the host as arguments of a call")
+    try:
+        view = memoryview(value)
+    except TypeError:
+        raise TypeError(f"Cannot send {type(value).__name__} objects to the host") from None
+    return _typed_array(view)
+
+
+class HostObject(dict):
+    """Object exposed by the host: a dict whose items are also attributes"""
+
+    def __getattr__(self, name):
+        try:
+            return self[name]
+        except KeyError:
+            raise AttributeError(name) from None
+
+
+def from_host(value, function=None):
+    """Convert a JavaScript value from the host to Python
+
+    Plain objects become dicts, arrays lists and typed arrays memoryviews;
+    other objects stay JsProxy objects. With function, the markers of host
+    functions in exposed values are replaced by function(path) and objects
+    become HostObjects.
+    """
+    if not isinstance(value, JsProxy) or value is jsnull:
+        return None if value is jsnull else value
+    if isinstance(value, JsBuffer):
+        return value.to_memoryview()
+    if isinstance(value, JsArray):
+        return [from_host(item, function) for item in value]
+    if isinstance(value, JsMap):
+        return {from_host(key): from_host(value.get(key), function) for key in value.keys()}
+    if value.typeof != "object":
+        return value
+    prototype = js.Object.getPrototypeOf(value)
+    if prototype is not jsnull and prototype is not None and prototype != js.Object.prototype:
+        return value
+    keys = list(js.Object.keys(value))
+    if function is not None and HOST_FUNCTION_KEY in keys:
+        return function([str(key) for key in js.Reflect.get(value, HOST_FUNCTION_KEY)])
+    items = {key: from_host(js.Reflect.get(value, key), function) for key in keys}
+    return items if function is None else HostObject(items)
+
+
+def _callback(function):
+    # Host calls of Python functions get and return converted values
+    def call(*args):
+        result = function(*(from_host(arg) for arg in args))
+        if inspect.isawaitable(result):
+            async def finish():
+                return to_host(await result)
+            return asyncio.ensure_future(finish())
+        return to_host(result)
+    return call
+
+
+class HostFunction:
+    """Function of the host page; calling it returns an awaitable"""
+
+    def __init__(self, exports, name, exposure_id, path):
+        self._exports = exports
+        self._exposure_id = exposure_id
+        self._path = path
+        self.__name__ = path[-1] if path else name
+        self.__qualname__ = ".".join([name, *path])
+
+    def __repr__(self):
+        return f"<host function {self.__qualname__}>"
+
+    def __call__(self, *args, **kwargs):
+        return self._call(args, kwargs)
+
+    async def _call(self, args, kwargs):
+        proxies = []
+        host_args = []
+        for arg in args:
+            if callable(arg) and not isinstance(arg, JsProxy):
+                proxies.append(create_proxy(_callback(arg)))
+                host_args.append(proxies[-1])
+            else:
+                host_args.append(to_host(arg))
+        # Keyword arguments arrive as a trailing object, as for JsProxy calls
+        if kwargs:
+            host_args.append(to_host(kwargs))
+        try:
+            result = await self._exports.bridge(self._exposure_id, to_js(self._path), to_js(host_args))
+            return from_host(result)
+        finally:
+            for proxy in proxies:
+                proxy.destroy()
+
+
+class HostExports:
+    """Objects a kernel's page exposed, and the bridge that calls host functions"""
+
+    def __init__(self):
+        self.bridge = None
+        self.objects = {}
+
+    def expose(self, name, exposure_id, value):
+        self.objects[name] = from_host(value, lambda path: HostFunction(self, name, exposure_id, path))
+
+    def unexpose(self, name):
+        return self.objects.pop(name, None) is not None
+
+
+class HostModule(types.ModuleType):
+    """The host module, listing the objects of the kernel holding the interpreter"""
+
+    def __getattr__(self, name):
+        if name.startswith("__"):
+            raise AttributeError(name)
+        objects = _active.objects if _active is not None else {}
+        if name not in objects:
+            raise AttributeError(f"The host did not expose {name!r} to this kernel")
+        return objects[name]
+
+    def __dir__(self):
+        return sorted(_active.objects) if _active is not None else []
+
+
+_active = None
+
+
+def activate(exports):
+    """Make the host module list a kernel's objects"""
+    global _active
+    _active = exports
+
+
+sys.modules["host"] = HostModule("host", "Functions and objects exposed by the host page")
+`;
@@ -32,10 +32,19 @@ class EventEmitter {
 }
 
 // @ts-ignore Importing from npm
-import { loadPyodide } from "./pyodide-loader";
+import { loadPyodide, resolvePyodideUrls } from "./pyodide-loader";
 
 // Import types and enums
-import { KernelEvents, IEventData, IMessage, IKernel, IKernelOptions, IFilesystemMountOptions, IKernelExecuteOptions, IEventEmitter } from "./types";
+import { KernelEvents, IEventData, IMessage, IKernel, IKernelOptions, IFilesystemMountOptions, IKernelExecuteOptions, IEventEmitter, IKernelSnapshot, IKernelSnapshotOptions, IKernelRestoreReport, FilesystemBackend, IFileInfo, KernelFilesystemError, IPackageInfo, IPackageInstallOptions, IPackageInstallResult, IPackageProgress, IPyodideOptions, IBootstrapOptions, BootstrapProfile, IInputReply, StdinState, STDIN_HEADER_BYTES, getKernelDeathCause, IResourceUsageOptions, IKernelResourceUsage, IResetNamespaceOptions, DEFAULT_USER_NAMESPACE, IVariableInspectOptions, IVariableSummary, IVariableDetailOptions, IVariableDetail, VariablePath, IDebugRequest, IDebugResponse, IDebugEvent, DebugChannelState, DEBUG_HEADER_BYTES, WASM_PAGE_BYTES, IProfileOptions, IProfileReport, HostBridge, CommBuffer, IKernelStatusEvent, IKernelInfo, IOutputPolicy, IOutputStats } from "./types";
+import { MINIMAL_KERNEL_MODULE, MINIMAL_KERNEL_SOURCE } from "./minimal-kernel";
+import { NAMESPACES_MODULE, NAMESPACES_SOURCE } from "./namespaces";
+import { AsyncQueue } from "./queue";
+import { OutputThrottle } from "./throttle";
+import { VARIABLES_MODULE, VARIABLES_SOURCE } from "./variables";
+import { DEBUGGER_MODULE, DEBUGGER_SOURCE } from "./debugger";
+import { PROFILER_MODULE, PROFILER_SOURCE } from "./profiler";
+import { HOST_MODULE, HOST_SOURCE } from "./host";
+import { OUTPUTS_MODULE, OUTPUTS_SOURCE } from "./outputs";
 
 // Import PyPI URLs
 import {
@@ -49,7 +58,7 @@ import {
 
 // Event types from JupyterLab
 // Re-export types to maintain backward compatibility
-export { KernelEvents } from "./types";
+export { KernelEvents, KernelFilesystemError, KernelDiedError, getKernelDeathCause, DEFAULT_USER_NAMESPACE } from "./types";
 export type { 
   IKernel, 
   IKernelOptions, 
@@ -57,11 +66,109 @@ export type {
   IKernelExecuteOptions, 
   IMessage, 
   IEventData,
-  IEventEmitter
+  IKernelStatusEvent,
+  IKernelInfo,
+  IOutputPolicy,
+  IOutputStats,
+  IEventEmitter,
+  IKernelSnapshot,
+  IKernelSnapshotOptions,
+  IKernelRestoreReport,
+  FilesystemBackend,
+  IFileInfo,
+  IPackageInfo,
+  IPackageInstallOptions,
+  IPackageInstallResult,
+  IPackageProgress,
+  PackageInstallStage,
+  IPyodideOptions,
+  IBootstrapOptions,
+  BootstrapProfile,
+  IInputRequest,
+  IInputReply,
+  IJavaScriptKernelOptions,
+  IKernelDeathInfo,
+  KernelDeathCause,
+  IResourceUsageOptions,
+  IKernelResourceUsage,
+  IPythonMemoryUsage,
+  IResetNamespaceOptions,
+  IVariableInspectOptions,
+  IVariableSummary,
+  IVariableDetailOptions,
+  IVariableDetail,
+  VariablePath,
+  IDebugRequest,
+  IDebugResponse,
+  IDebugEvent,
+  ProfileSortKey,
+  IProfileOptions,
+  IProfileFunction,
+  IProfileFunctionStats,
+  IProfileCallNode,
+  IProfileReport,
+  CommBuffer,
+  ICommMessage,
+  IHostComm,
+  CommTargetHandler
 } from "./types";
 
 export { KernelMode, KernelLanguage } from "./manager";
 
+// Format version of kernel state snapshots
+const KERNEL_SNAPSHOT_VERSION = 1;
+
+// Wheels shipped with the kernel, relative to the page (see _pypi.ts)
+const KERNEL_WHEELS = [
+  pipliteWheelUrl,
+  pyodide_kernelWheelUrl,
+  ipykernelWheelUrl,
+  widgetsnbextensionWheelUrl,
+  widgetsnbextensionWheelUrl1
+];
+
+// Packages installed by the standard bootstrap profile
+const STANDARD_PACKAGES = [
+  // High priority: CDN packages (fastest)
+  { name: 'pure-eval', priority: 1, source: 'pyodide' },
+  { name: 'stack-data', priority: 1, source: 'pyodide' },
+  { name: 'pygments', priority: 1, source: 'pyodide' },
+  { name: 'ssl', priority: 1, source: 'pyodide' },
+  { name: 'sqlite3', priority: 1, source: 'pyodide' },
+  { name: 'prompt_toolkit', priority: 1, source: 'pyodide' },
+  { name: 'jedi', priority: 1, source: 'pyodide' },
+  { name: 'ipython', priority: 1, source: 'pyodide' },
+  
+  // Medium priority: pip packages
+  { name: 'comm', priority: 2, source: 'pip' },
+  { name: 'hypha-rpc', priority: 2, source: 'pip' },
+  { name: 'nbformat', priority: 2, source: 'pip' },
+  
+  // Lower priority: complex packages
+  { name: 'ipykernel', priority: 3, source: 'pip' },
+  { name: 'pyodide_kernel', priority: 3, source: 'pip' }
+];
+
+// Pyodide packages each bootstrap profile loads on top of its kernel packages
+const PROFILE_PRELOADS: Record<BootstrapProfile, string[]> = {
+  minimal: [],
+  standard: [],
+  full: ['numpy', 'pandas', 'matplotlib']
+};
+
+// Main-thread kernels of one Pyodide instance take turns with its interpreter (see acquireInterpreter)
+const interpreterLocks = new WeakMap<object, Promise<void>>();
+const interpreterOwners = new WeakMap<object, Kernel>();
+
+// Kernels that mounted a filesystem, by Pyodide instance and mount point (main-thread kernels share one FS)
+const mountOwners = new WeakMap<object, Map<string, Kernel>>();
+
+// Messages dropped while a silent execution runs (input requests and comms still go through)
+const SILENCED_MESSAGES = ['stream', 'display_data', 'update_display_data', 'clear_output', 'execute_result', 'execute_error'];
+
+// Profiles kept for takeProfile before the oldest ones are dropped
+const MAX_PENDING_PROFILES = 8;
+
 
 
 
@@ -80,27 +187,88 @@ export class Kernel extends EventEmitter implements IKernel {
   // Kernel options
   private lockFileURL?: string;
   
+  // Pyodide distribution (self-hosted/offline)
+  private pyodideOptions: IPyodideOptions = {};
+  
+  // Packages installed at startup
+  private bootstrapOptions: IBootstrapOptions = {};
+  
   // Kernel components
   private _kernel: any;
   private _interpreter: any;
   private _stdout_stream: any;
   private _stderr_stream: any;
+  private _runCell: any; // run(code, silent, store_history, user_expressions)
+  private _callbacks: Record<string, any> = {}; // Bound to the shared interpreter by bindCallbacks
+  
+  // User namespaces, swapped into the interpreter while this kernel runs code
+  private _namespaces: any;
+  private _userNamespaces: Map<string, any> = new Map();
   
   // Input handling
   private _resolveInputReply: ((value: any) => void) | null = null;
+  private _stdinBuffer: SharedArrayBuffer | null = null;
+  
+  // Heap size published for the manager's memory limit (worker kernels)
+  private _heapSizeGauge: Int32Array | null = null;
+  
+  // Debugger (created by the first debug request)
+  private _debuggerModule: any;
+  private _debugger: any = null;
+  private _debugBuffer: SharedArrayBuffer | null = null;
+  private _debugReplyHandler: ((reply: IDebugResponse) => void) | null = null;
+  private _debugPaused = false;
+  private _debugRequests: string[] = []; // Requests for the paused debugger, without a debug buffer
+  private _debugRequestWaiter: ((request: string) => void) | null = null;
+  private _debugReplies: Map<number, (reply: IDebugResponse) => void> = new Map();
+  
+  // Profiles of executions run with the profile option, by parent msg_id, until taken
+  private _profilerModule: any;
+  private _profiles: Map<string, Promise<any>> = new Map();
+  
+  // Objects the page exposed to this kernel (see the host module)
+  private _hostModule: any;
+  private _hostExports: any;
+  
+  // Publish binary MIME payloads as Uint8Arrays instead of base64 text (see setBinaryOutputs)
+  private _outputsModule: any;
+  private _binaryOutputs = false;
+  
+  // Limits on the stream output of executions (see setOutputPolicy)
+  private _outputPolicy: IOutputPolicy = {};
+  private _outputThrottle = new OutputThrottle(
+    (name, text) => this.publishStream(name, text),
+    () => {
+      // Raises KeyboardInterrupt in the cell whose write is waiting
+      if (this._interruptBuffer && this._interruptBuffer[0] === 2) {
+        this.pyodide.checkInterrupt();
+      }
+    }
+  );
   
   // Execution state
   private _parent_header: any = {};
+  private _parent: any = {};
   private executionCount = 0;
   private _status: "active" | "busy" | "unknown" = "unknown";
   
+  // Execute options of the running cell
+  private _silent = false;
+  private _allowStdin = true;
+  
   // Interrupt handling
   private _interruptBuffer: Uint8Array | null = null;
   private _interruptSupported = false;
   
+  // Set once the Pyodide runtime has failed fatally (KERNEL_DIED was emitted)
+  private _dead = false;
+  
   // Environment variables
   private environmentVariables: Record<string, string> = {};
   
+  // Pending filesystem sync (idbfs backend)
+  private _syncChain: Promise<void> = Promise.resolve();
+  
   // Unique identifier for this kernel instance
   private readonly kernelId: string;
   
@@ -147,6 +315,19 @@ export class Kernel extends EventEmitter implements IKernel {
       this.lockFileURL = options.lockFileURL;
     }
 
+    // Set the Pyodide distribution if provided
+    if (options?.pyodide) {
+      this.pyodideOptions = { ...options.pyodide };
+    }
+
+    // Set the bootstrap profile and extra packages if provided
+    if (options?.bootstrap) {
+      if (options.bootstrap.profile && !Object.keys(PROFILE_PRELOADS).includes(options.bootstrap.profile)) {
+        throw new Error(`Unknown bootstrap profile: ${options.bootstrap.profile}`);
+      }
+      this.bootstrapOptions = { ...options.bootstrap };
+    }
+
     this.initPromise = this._initializeInternal();
     return this.initPromise;
   }
@@ -163,8 +344,17 @@ export class Kernel extends EventEmitter implements IKernel {
       // Load Pyodide from CDN
       const pyodideStartTime = Date.now();
       
+      // Offline startup must not discover a missing file halfway through
+      if (this.pyodideOptions.offline) {
+        await this.verifyOfflineDistribution();
+      }
+      
       // Configure pyodide options
-      const pyodideConfig: any = {};
+      const pyodideConfig: any = {
+        indexURL: this.pyodideOptions.indexURL,
+        scriptURL: this.pyodideOptions.scriptURL,
+        packageBaseUrl: this.pyodideOptions.packageBaseUrl
+      };
       if (this.lockFileURL) {
         pyodideConfig.lockFileURL = this.lockFileURL;
         console.log(`🔒 Using lockFileURL: ${this.lockFileURL}`);
@@ -172,6 +362,8 @@ export class Kernel extends EventEmitter implements IKernel {
       
       // Use our CDN loader - it will automatically handle main thread vs worker
       this.pyodide = await loadPyodide(pyodideConfig);
+      this.watchFatalErrors();
+      this.publishHeapSize();
       const pyodideTime = Date.now() - pyodideStartTime;
       console.log(`✅ Pyodide loaded in ${pyodideTime}ms`);
       
@@ -180,21 +372,28 @@ export class Kernel extends EventEmitter implements IKernel {
         // When using lockFileURL, packages are pre-installed, skip package installation
         console.log("🚀 Using lock file - skipping package installation");
         const [,] = await Promise.all([
-          // 1. Filesystem mounting (if enabled)
-          this.filesystemOptions.enabled ? this.mountFilesystem() : Promise.resolve(),
+          // 1. Filesystem backend setup
+          this.mountFilesystem(),
           // 2. Environment variables setup
           this.setEnvironmentVariables()
         ]);
         
+        // Load the kernel's own packages as pinned by the lock (see exportLock)
+        await this.pyodide.loadPackage(this.getBootstrapProfile() === "minimal" ? ['micropip'] : ['micropip', 'pyodide-kernel']);
+        await this.installLockedBootstrapExtras();
+        await this.importKernelModule();
+        
         // Initialize globals directly (packages are already available)
         await this.initGlobals();
       } else {
         // Standard initialization with package installation
+        // A minimal kernel only needs the package manager for extra pip packages
+        const needsPackageManager = this.getBootstrapProfile() !== "minimal" || (this.bootstrapOptions.packages?.length ?? 0) > 0;
         const [, ,] = await Promise.all([
-          // 1. Filesystem mounting (if enabled)
-          this.filesystemOptions.enabled ? this.mountFilesystem() : Promise.resolve(),
+          // 1. Filesystem backend setup
+          this.mountFilesystem(),
           // 2. Package manager initialization
-          this.initPackageManager(),
+          needsPackageManager ? this.initPackageManager() : Promise.resolve(),
           // 3. Environment variables setup
           this.setEnvironmentVariables()
         ]);
@@ -221,28 +420,68 @@ export class Kernel extends EventEmitter implements IKernel {
   }
   
   /**
-   * Mount the local filesystem to the Pyodide environment
+   * Resolve which filesystem backend this kernel uses
+   * An explicit `backend` wins; otherwise the legacy `enabled` flag selects NODEFS.
+   */
+  private getFilesystemBackend(): FilesystemBackend {
+    if (this.filesystemOptions.backend) {
+      return this.filesystemOptions.backend;
+    }
+    return this.filesystemOptions.enabled ? "nodefs" : "memfs";
+  }
+
+  /**
+   * Set up the kernel's working directory with the configured filesystem backend
    */
   private async mountFilesystem(): Promise<void> {
+    const backend = this.getFilesystemBackend();
+    const mountPoint = this.filesystemOptions.mountPoint || "/home/pyodide";
+    
     try {
-      console.log(`Mounting filesystem from ${this.filesystemOptions.root} to ${this.filesystemOptions.mountPoint}`);
-      
-      // Use the same approach as in deno-demo-fs-asgi.js for maximum compatibility
-      // Simple and direct mounting of the filesystem
-      await this.pyodide.FS.mount(
-        this.pyodide.FS.filesystems.NODEFS,
-        { root: this.filesystemOptions.root || "." },
-        this.filesystemOptions.mountPoint || "/home/pyodide"
-      );
-      
-      console.log("Filesystem mounted successfully");
-      
-      // Verify the mount by listing the directory
-      try {
-        const mountedFiles = this.pyodide.FS.readdir(this.filesystemOptions.mountPoint || "/home/pyodide");
-        console.log(`Files in ${this.filesystemOptions.mountPoint} directory: ${mountedFiles.join(", ")}`);
-      } catch (error) {
-        console.error(`Error listing mounted directory: ${error}`);
+      switch (backend) {
+        case "memfs":
+          // Emscripten's default filesystem is already in memory
+          this.pyodide.FS.mkdirTree(mountPoint);
+          return;
+        
+        case "idbfs":
+          console.log(`Mounting IndexedDB-backed filesystem at ${mountPoint}`);
+          this.claimMountPoint(mountPoint);
+          this.pyodide.FS.mkdirTree(mountPoint);
+          this.pyodide.FS.mount(this.pyodide.FS.filesystems.IDBFS, {}, mountPoint);
+          this.mountOwnersOfPyodide().set(mountPoint, this);
+          
+          // Load previously persisted files into memory
+          await this.syncfs(true);
+          console.log("IndexedDB filesystem mounted and populated");
+          return;
+        
+        case "nodefs":
+          console.log(`Mounting filesystem from ${this.filesystemOptions.root} to ${mountPoint}`);
+          
+          this.claimMountPoint(mountPoint);
+          // Use the same approach as in deno-demo-fs-asgi.js for maximum compatibility
+          // Simple and direct mounting of the filesystem
+          await this.pyodide.FS.mount(
+            this.pyodide.FS.filesystems.NODEFS,
+            { root: this.filesystemOptions.root || "." },
+            mountPoint
+          );
+          this.mountOwnersOfPyodide().set(mountPoint, this);
+          
+          console.log("Filesystem mounted successfully");
+          
+          // Verify the mount by listing the directory
+          try {
+            const mountedFiles = this.pyodide.FS.readdir(mountPoint);
+            console.log(`Files in ${mountPoint} directory: ${mountedFiles.join(", ")}`);
+          } catch (error) {
+            console.error(`Error listing mounted directory: ${error}`);
+          }
+          return;
+        
+        default:
+          throw new Error(`Unknown filesystem backend: ${backend}`);
       }
     } catch (error) {
       console.error("Error mounting filesystem:", error);
@@ -250,6 +489,381 @@ export class Kernel extends EventEmitter implements IKernel {
     }
   }
 
+  /**
+   * Promise wrapper around Emscripten's FS.syncfs
+   * @param populate True to load from the backing store, false to persist to it
+   */
+  private syncfs(populate: boolean): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this.pyodide.FS.syncfs(populate, (error: any) => {
+        if (error) {
+          reject(error instanceof Error ? error : new Error(String(error)));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Persist the kernel's filesystem to its backing store
+   * Only the idbfs backend has anything to persist; other backends resolve immediately.
+   * Emits FILESYSTEM_SYNCED or FILESYSTEM_SYNC_FAILED and rethrows failures.
+   */
+  public async syncFilesystem(): Promise<void> {
+    await this.initialize();
+    
+    const backend = this.getFilesystemBackend();
+    if (backend !== "idbfs") {
+      return;
+    }
+    
+    // Serialize syncs so overlapping requests don't interleave
+    const run = async () => {
+      const startTime = Date.now();
+      const mountPoint = this.filesystemOptions.mountPoint || "/home/pyodide";
+      try {
+        await this.syncfs(false);
+        super.emit(KernelEvents.FILESYSTEM_SYNCED, {
+          backend,
+          mountPoint,
+          duration: Date.now() - startTime
+        });
+      } catch (error) {
+        console.error("[KERNEL] Filesystem sync failed:", error);
+        super.emit(KernelEvents.FILESYSTEM_SYNC_FAILED, {
+          backend,
+          mountPoint,
+          error: error instanceof Error ? error.message : String(error)
+        });
+        throw error;
+      }
+    };
+    
+    const sync = this._syncChain.then(run, run);
+    this._syncChain = sync.catch(() => undefined);
+    return sync;
+  }
+
+  /**
+   * Unmount the kernel's filesystem once pending syncs are done
+   * Main thread kernels share one Pyodide, so a mount left behind would keep the
+   * files in memory and make the next kernel at the same mount point fail with EBUSY.
+   * A kernel only unmounts what it mounted itself.
+   */
+  public async unmountFilesystem(): Promise<void> {
+    if (!this.initialized || this.getFilesystemBackend() === "memfs") {
+      return;
+    }
+    
+    const mountPoint = this.filesystemOptions.mountPoint || "/home/pyodide";
+    const owners = this.mountOwnersOfPyodide();
+    if (owners.get(mountPoint) !== this) {
+      throw new KernelFilesystemError("EPERM", "unmount", mountPoint, `EPERM: mounted by another kernel, unmount '${mountPoint}'`);
+    }
+    
+    await this._syncChain;
+    this.pyodide.FS.unmount(mountPoint);
+    owners.delete(mountPoint);
+  }
+
+  /**
+   * Mount points of this kernel's Pyodide instance, with the kernel that mounted each
+   * @private
+   */
+  private mountOwnersOfPyodide(): Map<string, Kernel> {
+    let owners = mountOwners.get(this.pyodide);
+    if (!owners) {
+      owners = new Map();
+      mountOwners.set(this.pyodide, owners);
+    }
+    return owners;
+  }
+
+  /**
+   * Refuse to mount over a mount point another kernel of the same Pyodide uses
+   * @param mountPoint Mount point
+   * @private
+   */
+  private claimMountPoint(mountPoint: string): void {
+    const owner = this.mountOwnersOfPyodide().get(mountPoint);
+    if (owner && owner !== this) {
+      throw new KernelFilesystemError("EBUSY", "mount", mountPoint, `EBUSY: mounted by another kernel, mount '${mountPoint}'`);
+    }
+  }
+
+  /**
+   * Persist the filesystem after an execution if the backend syncs automatically
+   */
+  private autoSyncFilesystem(): void {
+    if (this.getFilesystemBackend() === "idbfs" && this.filesystemOptions.autoSync !== false) {
+      this.syncFilesystem().catch(() => {
+        // Failure is already reported through FILESYSTEM_SYNC_FAILED
+      });
+    }
+  }
+
+  /**
+   * Resolve a path against the filesystem's working directory and normalize it
+   */
+  private resolvePath(path: string): string {
+    const absolute = path.startsWith("/") ? path : `${this.pyodide.FS.cwd()}/${path}`;
+    const parts: string[] = [];
+    for (const part of absolute.split("/")) {
+      if (part === "" || part === ".") {
+        continue;
+      }
+      if (part === "..") {
+        parts.pop();
+      } else {
+        parts.push(part);
+      }
+    }
+    return `/${parts.join("/")}`;
+  }
+
+  /**
+   * Convert an Emscripten FS error into a KernelFilesystemError with an errno code
+   */
+  private toFilesystemError(error: any, operation: string, path: string): KernelFilesystemError {
+    if (error instanceof KernelFilesystemError) {
+      return error;
+    }
+
+    let code = "EIO";
+    const errnoCodes: Record<string, number> | undefined = this.pyodide?.ERRNO_CODES;
+    if (error && typeof error.errno === "number" && errnoCodes) {
+      code = Object.keys(errnoCodes).find(name => errnoCodes[name] === error.errno) || code;
+    }
+
+    const descriptions: Record<string, string> = {
+      ENOENT: "no such file or directory",
+      EEXIST: "file already exists",
+      ENOTDIR: "not a directory",
+      EISDIR: "illegal operation on a directory",
+      ENOTEMPTY: "directory not empty",
+      EACCES: "permission denied",
+      EPERM: "operation not permitted"
+    };
+    const description = descriptions[code] || (error instanceof Error ? error.message : String(error));
+    return new KernelFilesystemError(code, operation, path, `${code}: ${description}, ${operation} '${path}'`);
+  }
+
+  /**
+   * Build an IFileInfo from an Emscripten stat result
+   */
+  private toFileInfo(path: string, stat: any): IFileInfo {
+    const FS = this.pyodide.FS;
+    let type: IFileInfo["type"] = "other";
+    if (FS.isLink(stat.mode)) {
+      type = "symlink";
+    } else if (FS.isDir(stat.mode)) {
+      type = "directory";
+    } else if (FS.isFile(stat.mode)) {
+      type = "file";
+    }
+
+    return {
+      name: path === "/" ? "/" : path.substring(path.lastIndexOf("/") + 1),
+      path,
+      type,
+      size: type === "directory" ? 0 : stat.size,
+      mtime: typeof stat.mtime === "number" ? stat.mtime : new Date(stat.mtime).getTime()
+    };
+  }
+
+  /**
+   * Write a file into the kernel's filesystem (strings are written as UTF-8)
+   * The parent directory must exist.
+   * @param path File path
+   * @param data File contents
+   */
+  public async writeFile(path: string, data: Uint8Array | string): Promise<void> {
+    await this.initialize();
+    const resolved = this.resolvePath(path);
+    try {
+      this.pyodide.FS.writeFile(resolved, data);
+    } catch (error) {
+      throw this.toFilesystemError(error, "open", resolved);
+    }
+    this.autoSyncFilesystem();
+  }
+
+  /**
+   * Read a file from the kernel's filesystem
+   * @param path File path
+   * @returns File contents
+   */
+  public async readFile(path: string): Promise<Uint8Array> {
+    await this.initialize();
+    const resolved = this.resolvePath(path);
+    try {
+      return this.pyodide.FS.readFile(resolved);
+    } catch (error) {
+      throw this.toFilesystemError(error, "open", resolved);
+    }
+  }
+
+  /**
+   * List the entries of a directory
+   * @param path Directory path
+   * @returns Entries (excluding `.` and `..`) sorted by name
+   */
+  public async listDir(path: string): Promise<IFileInfo[]> {
+    await this.initialize();
+    const FS = this.pyodide.FS;
+    const resolved = this.resolvePath(path);
+    try {
+      const names: string[] = FS.readdir(resolved);
+      return names
+        .filter(name => name !== "." && name !== "..")
+        .sort()
+        .map(name => {
+          const entryPath = resolved === "/" ? `/${name}` : `${resolved}/${name}`;
+          return this.toFileInfo(entryPath, FS.lstat(entryPath));
+        });
+    } catch (error) {
+      throw this.toFilesystemError(error, "scandir", resolved);
+    }
+  }
+
+  /**
+   * Get information about a file or directory
+   * @param path Path to inspect
+   */
+  public async stat(path: string): Promise<IFileInfo> {
+    await this.initialize();
+    const resolved = this.resolvePath(path);
+    try {
+      return this.toFileInfo(resolved, this.pyodide.FS.stat(resolved));
+    } catch (error) {
+      throw this.toFilesystemError(error, "stat", resolved);
+    }
+  }
+
+  /**
+   * Remove a file or directory
+   * @param path Path to remove
+   * @param options `recursive` removes non-empty directories with their contents
+   */
+  public async remove(path: string, options: { recursive?: boolean } = {}): Promise<void> {
+    await this.initialize();
+    const FS = this.pyodide.FS;
+    const resolved = this.resolvePath(path);
+
+    const removeEntry = (entryPath: string) => {
+      const stat = FS.lstat(entryPath);
+      if (!FS.isDir(stat.mode)) {
+        FS.unlink(entryPath);
+        return;
+      }
+      if (options.recursive) {
+        for (const name of FS.readdir(entryPath)) {
+          if (name !== "." && name !== "..") {
+            removeEntry(`${entryPath}/${name}`);
+          }
+        }
+      }
+      FS.rmdir(entryPath);
+    };
+
+    try {
+      removeEntry(resolved);
+    } catch (error) {
+      throw this.toFilesystemError(error, "remove", resolved);
+    }
+    this.autoSyncFilesystem();
+  }
+
+  /**
+   * Create a directory
+   * @param path Directory path
+   * @param options `recursive` creates missing parents and tolerates an existing directory
+   */
+  public async mkdir(path: string, options: { recursive?: boolean } = {}): Promise<void> {
+    await this.initialize();
+    const FS = this.pyodide.FS;
+    const resolved = this.resolvePath(path);
+    try {
+      if (options.recursive) {
+        FS.mkdirTree(resolved);
+        // mkdirTree ignores failures, so verify the result
+        if (!FS.isDir(FS.stat(resolved).mode)) {
+          throw new KernelFilesystemError("ENOTDIR", "mkdir", resolved, `ENOTDIR: not a directory, mkdir '${resolved}'`);
+        }
+      } else {
+        FS.mkdir(resolved);
+      }
+    } catch (error) {
+      throw this.toFilesystemError(error, "mkdir", resolved);
+    }
+    this.autoSyncFilesystem();
+  }
+
+  /**
+   * Resolve a kernel wheel (or all.json) path from _pypi.ts to an absolute URL
+   * Paths are relative to the page unless a wheels directory was configured.
+   */
+  private resolveWheelUrl(path: string): string {
+    if (this.pyodideOptions.wheelsURL) {
+      const wheelsUrl = this.pyodideOptions.wheelsURL.endsWith("/") ? this.pyodideOptions.wheelsURL : `${this.pyodideOptions.wheelsURL}/`;
+      return new URL(path.replace(/^pypi\//, ""), wheelsUrl).href;
+    }
+    
+    // Get the base URL - use window.location for browser or fallback for worker
+    let baseUrl: string;
+    if (typeof window !== 'undefined' && window.location) {
+      // In main thread - use window.location
+      baseUrl = new URL(".", window.location.href).href;
+    } else if (typeof self !== 'undefined' && self.location) {
+      // In web worker - use self.location
+      baseUrl = new URL(".", self.location.href).href;
+    } else {
+      // Fallback - assume current origin
+      baseUrl = "/";
+    }
+    return new URL(path, baseUrl).href;
+  }
+
+  /**
+   * Check that every artifact an offline startup needs is reachable
+   * Reports all missing files at once, naming each one and where it was expected.
+   */
+  private async verifyOfflineDistribution(): Promise<void> {
+    if (!this.pyodideOptions.indexURL) {
+      throw new Error("Offline mode requires pyodide.indexURL to point at a self-hosted Pyodide distribution");
+    }
+    
+    const { indexURL, scriptURL } = resolvePyodideUrls(this.pyodideOptions);
+    const artifacts: Array<[string, string]> = [
+      ["pyodide.js", scriptURL],
+      ["pyodide.asm.js", `${indexURL}pyodide.asm.js`],
+      ["pyodide.asm.wasm", `${indexURL}pyodide.asm.wasm`],
+      ["python_stdlib.zip", `${indexURL}python_stdlib.zip`],
+      ["pyodide-lock.json", this.lockFileURL || `${indexURL}pyodide-lock.json`],
+      ["all.json", this.resolveWheelUrl(allJSONUrl)],
+      ...KERNEL_WHEELS.map((wheel): [string, string] => [wheel.replace(/^pypi\//, ""), this.resolveWheelUrl(wheel)])
+    ];
+    
+    const missing = (await Promise.all(artifacts.map(async ([name, url]) => {
+      // Only HTTP(S) locations can be probed; file: and similar URLs are left to the loader
+      if (/^[a-z][a-z0-9+.-]*:/i.test(url) && !/^https?:/i.test(url)) {
+        return null;
+      }
+      try {
+        const response = await fetch(url, { method: "HEAD" });
+        // Some servers refuse HEAD; that still proves the server is there
+        return response.ok || response.status === 405 ? null : `${name} (${url}: HTTP ${response.status})`;
+      } catch (error) {
+        return `${name} (${url}: ${error instanceof Error ? error.message : String(error)})`;
+      }
+    }))).filter((entry): entry is string => entry !== null);
+    
+    if (missing.length > 0) {
+      throw new Error(`Offline Pyodide distribution is incomplete, missing: ${missing.join(", ")}`);
+    }
+  }
+
   /**
    * Initialize the Pyodide package manager with optimized wheel loading
    * OPTIMIZED: Smart caching and parallel wheel installation
@@ -264,29 +878,11 @@ export class Kernel extends EventEmitter implements IKernel {
       await this.pyodide.loadPackage(['micropip', 'packaging']);
       console.log("✅ Loaded micropip, packaging");
       
-      // Get the base URL - use window.location for browser or fallback for worker
-      let baseUrl: string;
-      if (typeof window !== 'undefined' && window.location) {
-        // In main thread - use window.location
-        baseUrl = new URL(".", window.location.href).href;
-      } else if (typeof self !== 'undefined' && self.location) {
-        // In web worker - use self.location
-        baseUrl = new URL(".", self.location.href).href;
-      } else {
-        // Fallback - assume current origin
-        baseUrl = "/";
-      }
-      
-      const allJsonPath = new URL(allJSONUrl, baseUrl).href;
+      const allJsonPath = this.resolveWheelUrl(allJSONUrl);
       
-      // Prepare all wheel URLs for parallel loading
-      const wheelFiles = [
-        new URL(pipliteWheelUrl, baseUrl).href,
-        new URL(pyodide_kernelWheelUrl, baseUrl).href,
-        new URL(ipykernelWheelUrl, baseUrl).href,
-        new URL(widgetsnbextensionWheelUrl, baseUrl).href,
-        new URL(widgetsnbextensionWheelUrl1, baseUrl).href,
-      ];
+      // Prepare all wheel URLs for parallel loading; a minimal kernel only needs piplite
+      const kernelWheels = this.getBootstrapProfile() === "minimal" ? [pipliteWheelUrl] : KERNEL_WHEELS;
+      const wheelFiles = kernelWheels.map(wheel => this.resolveWheelUrl(wheel));
       
       console.log(`🚀 Installing ${wheelFiles.length} wheel packages in parallel...`);
       
@@ -328,7 +924,9 @@ try:
 
     # Load package index for faster lookups
     try:
-        piplite.piplite.PIPLITE_URL = "${allJsonPath}"
+        piplite.piplite._PIPLITE_URLS = ["${allJsonPath}"]
+        # Offline: the local index and the Pyodide distribution are the only sources
+        piplite.piplite._PIPLITE_DISABLE_PYPI = ${this.pyodideOptions.offline ? "True" : "False"}
         # Pre-load package index for faster installation
         print("📋 Package index configured")
     except Exception as e:
@@ -356,47 +954,39 @@ except Exception as e:
   }
 
   /**
-   * Initialize the kernel with required Python packages
+   * Get the bootstrap profile this kernel was configured with
+   */
+  private getBootstrapProfile(): BootstrapProfile {
+    return this.bootstrapOptions.profile || "standard";
+  }
+
+  /**
+   * Initialize the kernel with the packages of its bootstrap profile
    * OPTIMIZED: Maximum parallelization with intelligent dependency resolution
    */
   private async initKernel(): Promise<void> {
     const startTime = Date.now();
-    console.log("🚀 Initializing kernel packages with maximum optimization...");
+    const profile = this.getBootstrapProfile();
+    console.log(`🚀 Initializing kernel packages (${profile} profile) with maximum optimization...`);
     
-    // All packages to install with priority and dependency information
+    // Profile packages first, then the caller's extra Pyodide and pip packages
+    const preload = [...PROFILE_PRELOADS[profile], ...(this.bootstrapOptions.preload || [])];
     const packageConfig = [
-      // High priority: CDN packages (fastest)
-      { name: 'pure-eval', priority: 1, source: 'pyodide' },
-      { name: 'stack-data', priority: 1, source: 'pyodide' },
-      { name: 'pygments', priority: 1, source: 'pyodide' },
-      { name: 'ssl', priority: 1, source: 'pyodide' },
-      { name: 'sqlite3', priority: 1, source: 'pyodide' },
-      { name: 'prompt_toolkit', priority: 1, source: 'pyodide' },
-      { name: 'jedi', priority: 1, source: 'pyodide' },
-      { name: 'ipython', priority: 1, source: 'pyodide' },
-      
-      // Medium priority: pip packages
-      { name: 'comm', priority: 2, source: 'pip' },
-      { name: 'hypha-rpc', priority: 2, source: 'pip' },
-      { name: 'nbformat', priority: 2, source: 'pip' },
-      
-      // Lower priority: complex packages
-      { name: 'ipykernel', priority: 3, source: 'pip' },
-      { name: 'pyodide_kernel', priority: 3, source: 'pip' }
+      ...(profile === "minimal" ? [] : STANDARD_PACKAGES),
+      ...preload.map(name => ({ name, priority: 1, source: 'pyodide' })),
+      ...(this.bootstrapOptions.packages || []).map(name => ({ name, priority: 2, source: 'pip' }))
     ];
 
     try {
-      console.log(`📦 Installing ${packageConfig.length} packages with intelligent optimization...`);
-      
-      // Install ALL packages in parallel with advanced error handling and caching
-      await this.installPackagesWithIntelligentOptimization(packageConfig);
+      if (packageConfig.length > 0) {
+        console.log(`📦 Installing ${packageConfig.length} packages with intelligent optimization...`);
+        
+        // Install ALL packages in parallel with advanced error handling and caching
+        await this.installPackagesWithIntelligentOptimization(packageConfig);
+      }
       
       // Import the kernel (must be done after packages are installed)
-      console.log("📥 Importing pyodide_kernel...");
-      const importStartTime = Date.now();
-      await this.pyodide.runPythonAsync('import pyodide_kernel');
-      const importTime = Date.now() - importStartTime;
-      console.log(`✅ pyodide_kernel imported in ${importTime}ms`);
+      await this.importKernelModule();
       
       const totalTime = Date.now() - startTime;
       console.log(`🎯 Kernel packages initialized in ${totalTime}ms`);
@@ -406,6 +996,73 @@ except Exception as e:
       throw error;
     }
   }
+
+  /**
+   * Load the bootstrap extras when the environment comes from a lock file
+   * Packages pinned by the lock are loaded from it; anything else goes through micropip.
+   */
+  private async installLockedBootstrapExtras(): Promise<void> {
+    const preload = [...PROFILE_PRELOADS[this.getBootstrapProfile()], ...(this.bootstrapOptions.preload || [])];
+    if (preload.length > 0) {
+      await this.pyodide.loadPackage(preload);
+    }
+    
+    const packages = this.bootstrapOptions.packages || [];
+    if (packages.length > 0) {
+      await this.runPythonJSON(`
+import json, micropip
+await micropip.install(json.loads(packages_json), keep_going=True)
+json.dumps(True)
+`, { packages_json: JSON.stringify(packages) });
+    }
+  }
+
+  /**
+   * Import the Python module that provides the kernel objects
+   * The minimal profile installs its stand-in module first (see minimal-kernel.ts).
+   */
+  private async importKernelModule(): Promise<void> {
+    const importStartTime = Date.now();
+    
+    // The cell runners of both profiles time package loading with it
+    await this.installPythonModule(PROFILER_MODULE, PROFILER_SOURCE, { replace: false });
+    
+    if (this.getBootstrapProfile() === "minimal") {
+      console.log(`📥 Importing ${MINIMAL_KERNEL_MODULE}...`);
+      await this.installPythonModule(MINIMAL_KERNEL_MODULE, MINIMAL_KERNEL_SOURCE);
+      await this.pyodide.runPythonAsync(`import ${MINIMAL_KERNEL_MODULE}`);
+    } else {
+      console.log("📥 Importing pyodide_kernel...");
+      await this.pyodide.runPythonAsync('import pyodide_kernel');
+    }
+    
+    // Kernels sharing this Pyodide instance must find the same namespace switcher
+    await this.installPythonModule(NAMESPACES_MODULE, NAMESPACES_SOURCE, { replace: false });
+    await this.installPythonModule(VARIABLES_MODULE, VARIABLES_SOURCE, { replace: false });
+    await this.installPythonModule(DEBUGGER_MODULE, DEBUGGER_SOURCE, { replace: false });
+    await this.installPythonModule(HOST_MODULE, HOST_SOURCE, { replace: false });
+    await this.installPythonModule(OUTPUTS_MODULE, OUTPUTS_SOURCE, { replace: false });
+    
+    const importTime = Date.now() - importStartTime;
+    console.log(`✅ Kernel module imported in ${importTime}ms`);
+  }
+  
+  /**
+   * Install Python source shipped with the kernel as a module
+   * @param moduleName Name to register in sys.modules
+   * @param source Module source
+   * @param options.replace Re-run the source if the module is already installed (default: true)
+   */
+  private async installPythonModule(moduleName: string, source: string, options: { replace?: boolean } = {}): Promise<void> {
+    await this.runPythonJSON(`
+import json, sys, types
+if replace or module_name not in sys.modules:
+    module = types.ModuleType(module_name)
+    exec(source, module.__dict__)
+    sys.modules[module_name] = module
+json.dumps(True)
+`, { module_name: moduleName, source, replace: options.replace ?? true });
+  }
   
   /**
    * Install packages with intelligent optimization and advanced caching
@@ -453,15 +1110,31 @@ except Exception as e:
     
     // Comprehensive performance analysis
     this.analyzeInstallationResults(results);
+    
+    // Offline there is no later chance to fetch what is missing, so fail now
+    const failed = results.filter(r => !r.success);
+    if (this.pyodideOptions.offline && failed.length > 0) {
+      const details = failed.map(f => `${f.package} (${f.error?.message || 'unknown error'})`).join('; ');
+      throw new Error(`Offline startup failed: bootstrap packages not found in ${resolvePyodideUrls(this.pyodideOptions).indexURL} or ${this.resolveWheelUrl(allJSONUrl)}: ${details}`);
+    }
   }
   
   /**
    * Install package via pip with performance optimizations
    */
   private async installViaPipWithOptimizations(packageName: string): Promise<void> {
-    await this.pyodide.runPythonAsync(`
-try:
-    # Import piplite first
+    if (this.pyodideOptions.offline) {
+      // piplite only looks at the local index once PyPI is disabled; micropip would go online
+      await this.pyodide.runPythonAsync(`
+import piplite
+await piplite.install('${packageName}', keep_going=True, deps=True)
+`);
+      return;
+    }
+    
+    await this.pyodide.runPythonAsync(`
+try:
+    # Import piplite first
     import piplite
     # Use optimized pip installation with caching
     await piplite.install('${packageName}', keep_going=True, deps=True)
@@ -518,7 +1191,7 @@ except Exception as e:
   }
   
   /**
-   * Initialize global objects from the pyodide_kernel package
+   * Initialize global objects from the pyodide_kernel package (or the minimal kernel module)
    * Based on the PyodideRemoteKernel implementation
    */
   private async initGlobals(): Promise<void> {
@@ -526,22 +1199,106 @@ except Exception as e:
     
     // Get the globals from the Python environment
     const { globals } = this.pyodide;
+    const kernelModule = globals.get(this.getBootstrapProfile() === "minimal" ? MINIMAL_KERNEL_MODULE : 'pyodide_kernel');
     
     // Get the kernel instance and related objects
-    this._kernel = globals.get('pyodide_kernel').kernel_instance.copy();
-    this._stdout_stream = globals.get('pyodide_kernel').stdout_stream.copy();
-    this._stderr_stream = globals.get('pyodide_kernel').stderr_stream.copy();
+    this._kernel = kernelModule.kernel_instance.copy();
+    this._stdout_stream = kernelModule.stdout_stream.copy();
+    this._stderr_stream = kernelModule.stderr_stream.copy();
     this._interpreter = this._kernel.interpreter.copy();
-    
-    // Set up communication handlers
-    this._interpreter.send_comm = this.sendComm.bind(this);
+    // The minimal kernel's run() takes the execute options itself
+    this._runCell = this.getBootstrapProfile() === "minimal" ? this._kernel.run : this.createCellRunner();
+    this._namespaces = this.pyodide.pyimport(NAMESPACES_MODULE).Namespaces.for_shell(this._interpreter);
+    this._debuggerModule = this.pyodide.pyimport(DEBUGGER_MODULE);
+    this._profilerModule = this.pyodide.pyimport(PROFILER_MODULE);
+    this._hostModule = this.pyodide.pyimport(HOST_MODULE);
+    this._hostExports = this._hostModule.HostExports();
+    this._outputsModule = this.pyodide.pyimport(OUTPUTS_MODULE);
     
     // Set up callbacks
     this.setupCallbacks();
+    
+    // Bind the callbacks and create the default namespace without disturbing a kernel that is running code
+    const release = await this.acquireInterpreter(DEFAULT_USER_NAMESPACE);
+    release();
+  }
+  
+  /**
+   * Wait until the interpreter is free, then bind it to this kernel and one of its namespaces
+   * Main-thread kernels loaded from the same distribution share one Pyodide
+   * instance (and standard kernels one interpreter), so each kernel has it to
+   * itself from here until the returned function is called.
+   * @param userNamespace Namespace to activate; created on first use
+   * @returns Function that releases the interpreter
+   */
+  private async acquireInterpreter(userNamespace: string = DEFAULT_USER_NAMESPACE): Promise<() => void> {
+    const previous = interpreterLocks.get(this.pyodide) ?? Promise.resolve();
+    let release!: () => void;
+    const turn = new Promise<void>(resolve => {
+      release = resolve;
+    });
+    interpreterLocks.set(this.pyodide, previous.then(() => turn));
+    await previous;
+    
+    try {
+      if (interpreterOwners.get(this.pyodide) !== this) {
+        this.bindCallbacks();
+        interpreterOwners.set(this.pyodide, this);
+      }
+      if (!this._userNamespaces.has(userNamespace)) {
+        this._userNamespaces.set(userNamespace, this._namespaces.create());
+      }
+      this._namespaces.activate(this._userNamespaces.get(userNamespace));
+    } catch (error) {
+      release();
+      throw error;
+    }
+    return release;
+  }
+  
+  /**
+   * Run a function while this kernel holds the interpreter (see acquireInterpreter)
+   * @param userNamespace Namespace to activate
+   * @param fn Function to run
+   */
+  private async withInterpreter<T>(userNamespace: string, fn: () => T | Promise<T>): Promise<T> {
+    const release = await this.acquireInterpreter(userNamespace);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+  
+  /**
+   * Point the interpreter's callbacks at this kernel
+   * @private
+   */
+  private bindCallbacks(): void {
+    const callbacks = this._callbacks;
+    this._interpreter.send_comm = callbacks.sendComm;
+    this._stdout_stream.publish_stream_callback = callbacks.publishStream;
+    this._stderr_stream.publish_stream_callback = callbacks.publishStream;
+    this._interpreter.display_pub.clear_output_callback = callbacks.clearOutput;
+    this._interpreter.display_pub.display_data_callback = callbacks.displayData;
+    this._interpreter.display_pub.update_display_data_callback = callbacks.updateDisplayData;
+    this._interpreter.displayhook.publish_execution_result = callbacks.publishExecutionResult;
+    this._interpreter.input = callbacks.inputReader;
+    this._interpreter.getpass = callbacks.getpassReader;
+    
+    // Only the minimal kernel reports errors through a callback
+    if (this.getBootstrapProfile() === "minimal") {
+      this._interpreter.publish_execution_error = callbacks.publishExecutionError;
+    }
+    
+    // So do tracing and the objects listed by the host module
+    this.activateDebugger();
+    this._hostModule.activate(this._hostExports);
   }
   
   /**
    * Setup all necessary callbacks for the Python environment
+   * They are bound to the interpreter by bindCallbacks.
    */
   private setupCallbacks(): void {
     // Execution result callback
@@ -552,7 +1309,7 @@ except Exception as e:
     ): void => {
       const bundle = {
         execution_count: prompt_count,
-        data: this.formatResult(data),
+        data: this.formatOutputData(data),
         metadata: this.formatResult(metadata),
       };
 
@@ -594,7 +1351,7 @@ except Exception as e:
     // Display data callback
     const displayDataCallback = (data: any, metadata: any, transient: any): void => {
       const bundle = {
-        data: this.formatResult(data),
+        data: this.formatOutputData(data),
         metadata: this.formatResult(metadata),
         transient: this.formatResult(transient),
       };
@@ -613,7 +1370,7 @@ except Exception as e:
       transient: any,
     ): void => {
       const bundle = {
-        data: this.formatResult(data),
+        data: this.formatOutputData(data),
         metadata: this.formatResult(metadata),
         transient: this.formatResult(transient),
       };
@@ -625,43 +1382,54 @@ except Exception as e:
       });
     };
 
-    // Stream callback
+    // Stream callback, published through the output policy
     const publishStreamCallback = (name: any, text: any): void => {
-      const bundle = {
-        name: this.formatResult(name),
-        text: this.formatResult(text),
-      };
-
-      this._sendMessage({
-        parentHeader: this.formatResult(this._parent_header)['header'],
-        bundle,
-        type: 'stream',
-      });
+      this.publishHeapSize();
+      this._outputThrottle.write(this.formatResult(name), this.formatResult(text));
     };
 
-    // Assign callbacks to the Python objects
-    this._stdout_stream.publish_stream_callback = publishStreamCallback;
-    this._stderr_stream.publish_stream_callback = publishStreamCallback;
-    this._interpreter.display_pub.clear_output_callback = clearOutputCallback;
-    this._interpreter.display_pub.display_data_callback = displayDataCallback;
-    this._interpreter.display_pub.update_display_data_callback = updateDisplayDataCallback;
-    this._interpreter.displayhook.publish_execution_result = publishExecutionResult;
-    this._interpreter.input = this.input.bind(this);
-    this._interpreter.getpass = this.getpass.bind(this);
+    this._callbacks = {
+      sendComm: this.sendComm.bind(this),
+      publishStream: publishStreamCallback,
+      clearOutput: clearOutputCallback,
+      displayData: displayDataCallback,
+      updateDisplayData: updateDisplayDataCallback,
+      publishExecutionResult,
+      publishExecutionError,
+      inputReader: this.createInputReader(false),
+      getpassReader: this.createInputReader(true)
+    };
   }
   
   /**
    * Process a message from Python environment
    */
   private _sendMessage(msg: IMessage): void {
+    this.publishHeapSize();
+    // Stream text held back by the output policy goes out first, to keep the order
+    if (msg.type !== 'stream') {
+      this._outputThrottle.flush();
+    }
     this._processMessage(msg);
   }
   
+  /**
+   * Publish a stream message
+   * @private
+   */
+  private publishStream(name: string, text: string): void {
+    this._sendMessage({
+      parentHeader: this.formatResult(this._parent_header)['header'],
+      bundle: { name, text },
+      type: 'stream',
+    });
+  }
+  
   /**
    * Process a message by emitting the appropriate event
    */
   private _processMessage(msg: IMessage): void {
-    if (!msg.type) {
+    if (!msg.type || (this._silent && SILENCED_MESSAGES.includes(msg.type))) {
       return;
     }
 
@@ -745,11 +1513,76 @@ except Exception as e:
   }
   
   /**
-   * Makes sure pyodide is ready before continuing, and cache the parent message.
+   * Make a message the parent of the outputs the kernel produces
+   * @private
    */
-  private async setup(parent: any): Promise<void> {
+  private setParent(parent: any): void {
+    this._parent = parent || {};
+    this._parent_header = this.pyodide.toPy(this._parent);
+  }
+
+  /**
+   * Handle a request with its message as the parent, then give the parent back
+   * to the execution the request arrived during, whose later outputs must
+   * still carry the execution's header
+   * @param parent Parent message of the request
+   * @param fn Handles the request
+   * @private
+   */
+  private async withParent<T>(parent: any, fn: () => T | Promise<T>): Promise<T> {
     await this.initialize();
-    this._parent_header = this.pyodide.toPy(parent || {});
+    const previous = this._parent;
+    const previousHeader = this._parent_header;
+    this.setParent(parent);
+    const current = this._parent;
+    try {
+      return await fn();
+    } finally {
+      // Unless another request took over the parent in the meantime
+      if (this._parent === current) {
+        this._parent = previous;
+        this._parent_header = previousHeader;
+      }
+    }
+  }
+
+  /**
+   * Get the header of the parent message currently being handled
+   * Outputs produced by the kernel belong to this message.
+   */
+  public getParentHeader(): any {
+    return this._parent.header;
+  }
+  
+  /**
+   * Have Pyodide report fatal runtime errors (e.g. running out of Wasm memory)
+   * @private
+   */
+  private watchFatalErrors(): void {
+    if (this.pyodide?._api) {
+      this.pyodide._api.on_fatal = (error: any) => this.reportFatalError(error, true);
+    }
+  }
+  
+  /**
+   * Emit KERNEL_DIED if an error left the Pyodide runtime unusable
+   * @param error The error to check
+   * @param fatal Pyodide already declared the error fatal
+   * @private
+   */
+  private reportFatalError(error: any, fatal = false): void {
+    const cause = getKernelDeathCause(error) ?? (fatal ? "fatal_error" : null);
+    if (!cause || this._dead) {
+      return;
+    }
+    
+    this._dead = true;
+    this._status = "unknown";
+    console.error(`💀 Pyodide runtime died (${cause}):`, error);
+    super.emit(KernelEvents.KERNEL_DIED, {
+      cause,
+      message: error instanceof Error ? error.message : String(error)
+    });
   }
   
   /**
@@ -757,24 +1590,31 @@ except Exception as e:
    * 
    * @param code The code to execute
    * @param parent Parent message header
+   * @param options Jupyter execute options (silent, storeHistory, userExpressions, allowStdin)
    * @returns The result of the execution
    */
-  public async execute(code: string, parent: any = {}): Promise<{ success: boolean, outputs?: any, error?: Error, ename?: string, evalue?: string, traceback?: any }> {
+  public async execute(code: string, parent: any = {}, options: IKernelExecuteOptions = {}): Promise<{ success: boolean, outputs?: any, error?: Error, ename?: string, evalue?: string, traceback?: any, droppedBytes?: number }> {
     // Simple implementation that collects all outputs from executeStream
     const outputs: any[] = [];
     
     try {
-      // Use executeStream to get all outputs
-      for await (const output of this.executeStream(code, parent)) {
-        outputs.push(output);
+      // Use executeStream to get all outputs, keeping its final result
+      const stream = this.executeStream(code, parent, options);
+      let next = await stream.next();
+      while (!next.done) {
+        outputs.push(next.value);
+        next = await stream.next();
       }
+      const final = next.value;
       
       // Process collected outputs to create a comprehensive result
       const result: any = {
         outputs: [],
         data: {},
         metadata: {},
-        execution_count: this.executionCount
+        execution_count: final.result?.execution_count ?? this.executionCount,
+        user_expressions: final.result?.user_expressions ?? {},
+        droppedBytes: final.droppedBytes ?? 0
       };
       
       // Collect all output types
@@ -808,13 +1648,29 @@ except Exception as e:
             ename: errorData.ename,
             evalue: errorData.evalue,
             traceback: errorData.traceback,
-            outputs: result.outputs
+            outputs: result.outputs,
+            droppedBytes: result.droppedBytes
           };
         } else {
           // Store any other output type
           result.outputs.push(output);
         }
       }
+      
+      // The standard profile reports errors only in the final result
+      if (!final.success) {
+        const { ename = 'Error', evalue = final.error?.message ?? '', traceback = [] } = final.result ?? {};
+        return {
+          success: false,
+          error: final.error ?? new Error(`${ename}: ${evalue}`),
+          ename,
+          evalue,
+          traceback,
+          outputs: result.outputs,
+          droppedBytes: result.droppedBytes
+        };
+      }
+      
       // Return collected results
       result.success = true;
       return result;
@@ -828,6 +1684,22 @@ except Exception as e:
     }
   }
   
+  /**
+   * Format the MIME bundle of an output, decoding binary payloads if enabled
+   * @private
+   */
+  private formatOutputData(data: any): any {
+    if (!this._binaryOutputs || !(data instanceof this.pyodide.ffi.PyProxy)) {
+      return this.formatResult(data);
+    }
+    const binary = this._outputsModule.to_binary(data);
+    try {
+      return this.formatResult(binary);
+    } finally {
+      binary.destroy();
+    }
+  }
+  
   /**
    * Format the result from the Pyodide evaluation
    * Based on PyodideRemoteKernel implementation
@@ -868,17 +1740,48 @@ except Exception as e:
   /**
    * Handle input reply from user
    */
-  public async inputReply(content: { value: string }): Promise<void> {
+  public async inputReply(content: IInputReply): Promise<void> {
     if (this._resolveInputReply) {
       this._resolveInputReply(content);
       this._resolveInputReply = null;
     }
   }
+
+  /**
+   * Receive input replies through a shared buffer so input() can block
+   * Used by worker kernels; the manager writes each reply into the buffer
+   * (see StdinState for the layout).
+   */
+  public setStdinBuffer(buffer: SharedArrayBuffer): void {
+    this._stdinBuffer = buffer;
+  }
   
+  /**
+   * Publish the WebAssembly heap size through a shared buffer
+   * Used by worker kernels, so that the manager can check the memory limit while
+   * a cell keeps the worker busy (see HEAP_SIZE_BUFFER_BYTES for the layout).
+   */
+  public setHeapSizeBuffer(buffer: SharedArrayBuffer): void {
+    this._heapSizeGauge = new Int32Array(buffer, 0, 1);
+    this.publishHeapSize();
+  }
+
+  /**
+   * Write the current heap size to the gauge
+   * A busy worker only runs JavaScript when the cell calls out of Python, so the
+   * size is sampled on every output and when the cell ends.
+   * @private
+   */
+  private publishHeapSize(): void {
+    if (this._heapSizeGauge && this.pyodide) {
+      Atomics.store(this._heapSizeGauge, 0, Math.ceil(this.pyodide._module.HEAPU8.buffer.byteLength / WASM_PAGE_BYTES));
+    }
+  }
+
   /**
    * Send a input request to the front-end.
    */
-  private async sendInputRequest(prompt: string, password: boolean): Promise<void> {
+  private sendInputRequest(prompt: string, password: boolean): void {
     const content = {
       prompt,
       password,
@@ -892,29 +1795,144 @@ except Exception as e:
   }
 
   /**
-   * Get password input (with hidden input)
+   * Ask the front-end for a line of input
+   * With a stdin buffer the call blocks until the reply arrives; otherwise it
+   * returns a promise for the reply.
+   * @returns The reply, or undefined when the request timed out
    */
-  private async getpass(prompt: string): Promise<string> {
-    prompt = typeof prompt === 'undefined' ? '' : prompt;
-    await this.sendInputRequest(prompt, true);
-    const replyPromise = new Promise<{ value: string }>((resolve) => {
+  private readInput(prompt: string, password: boolean): string | undefined | Promise<string | undefined> {
+    prompt = typeof prompt === 'undefined' ? '' : String(prompt);
+    if (this._stdinBuffer) {
+      return this.readInputBlocking(this._stdinBuffer, prompt, password);
+    }
+    
+    // Listen for the reply before asking, so an immediate answer is not lost
+    const replyPromise = new Promise<IInputReply>((resolve) => {
       this._resolveInputReply = resolve;
     });
-    const result = await replyPromise;
-    return result.value;
+    this.sendInputRequest(prompt, password);
+    return replyPromise.then(reply => reply.timedOut ? undefined : reply.value);
   }
 
   /**
-   * Get text input
+   * Block on the stdin buffer until the manager writes a reply
+   * The wait is sliced so that an interrupt can end it.
    */
-  private async input(prompt: string): Promise<string> {
-    prompt = typeof prompt === 'undefined' ? '' : prompt;
-    await this.sendInputRequest(prompt, false);
-    const replyPromise = new Promise<{ value: string }>((resolve) => {
-      this._resolveInputReply = resolve;
-    });
-    const result = await replyPromise;
-    return result.value;
+  private readInputBlocking(buffer: SharedArrayBuffer, prompt: string, password: boolean): string | undefined {
+    const state = new Int32Array(buffer, 0, 2);
+    Atomics.store(state, 0, StdinState.WAITING);
+    this.sendInputRequest(prompt, password);
+    
+    while (Atomics.load(state, 0) === StdinState.WAITING) {
+      Atomics.wait(state, 0, StdinState.WAITING, 100);
+      if (this._interruptBuffer && this._interruptBuffer[0] === 2) {
+        Atomics.store(state, 0, StdinState.IDLE);
+        // Raises KeyboardInterrupt in the Python code that called input()
+        this.pyodide.checkInterrupt();
+      }
+    }
+    
+    const status = Atomics.load(state, 0);
+    // TextDecoder does not accept views of shared memory, so copy the reply out
+    const reply = new Uint8Array(buffer, STDIN_HEADER_BYTES, Atomics.load(state, 1)).slice();
+    Atomics.store(state, 0, StdinState.IDLE);
+    return status === StdinState.TIMED_OUT ? undefined : new TextDecoder().decode(reply);
+  }
+
+  /**
+   * Build the Python function that replaces input() or getpass.getpass()
+   * Without a stdin buffer, a pending reply is waited for with pyodide.ffi.run_sync,
+   * which needs JSPI; a kernel that can do neither raises a RuntimeError before
+   * asking. A timed-out request raises TimeoutError, and a request from an
+   * execution with allowStdin: false raises StdinNotImplementedError.
+   */
+  private createInputReader(password: boolean): any {
+    const scope = this.pyodide.globals.get("dict")();
+    try {
+      scope.set("read_input", (prompt: string) => this.readInput(prompt, password));
+      scope.set("stdin_allowed", () => this._allowStdin);
+      scope.set("can_block", () => this._stdinBuffer !== null);
+      return this.pyodide.runPython(`
+from pyodide.ffi import can_run_sync, run_sync
+
+try:
+    from IPython.core.error import StdinNotImplementedError
+except ImportError:
+    class StdinNotImplementedError(NotImplementedError):
+        pass
+
+def reader(prompt="", stream=None):
+    if not stdin_allowed():
+        raise StdinNotImplementedError("input was called, but this execution does not allow stdin")
+    if not (can_block() or can_run_sync()):
+        raise RuntimeError(
+            "input() cannot wait for a reply in this kernel: use a worker kernel on a "
+            "cross-origin isolated page, or a browser with JavaScript Promise Integration (JSPI)"
+        )
+    value = read_input(str(prompt))
+    if value is not None and not isinstance(value, str):
+        value = run_sync(value)
+    if value is None:
+        raise TimeoutError("Timed out waiting for input")
+    return value
+
+reader
+`, { globals: scope });
+    } finally {
+      scope.destroy();
+    }
+  }
+  
+  /**
+   * Build the Python function that runs a cell for the standard profile
+   * Follows pyodide_kernel's PyodideKernel.run, which always stores history,
+   * but passes the execute options on to IPython and evaluates the user
+   * expressions of successful cells.
+   */
+  private createCellRunner(): any {
+    const scope = this.pyodide.globals.get("dict")();
+    try {
+      scope.set("kernel", this._kernel);
+      return this.pyodide.runPython(`
+from pyodide_js import loadPackagesFromImports
+from kernel_profiler import package_loading
+
+async def _load_packages_from_imports(code):
+    async with package_loading():
+        await loadPackagesFromImports(code)
+
+async def run(code, silent=False, store_history=True, user_expressions=None):
+    interpreter = kernel.interpreter
+    interpreter._last_traceback = None
+    code = await kernel.lite_transform_manager.transform_cell(code)
+    results = {}
+    try:
+        await _load_packages_from_imports(interpreter.transform_cell(code))
+    except Exception:
+        interpreter.showtraceback()
+    else:
+        if interpreter.should_run_async(code):
+            await interpreter.run_cell_async(code, store_history=store_history, silent=silent)
+        else:
+            interpreter.run_cell(code, store_history=store_history, silent=silent)
+        results["payload"] = interpreter.payload_manager.read_payload()
+        interpreter.payload_manager.clear_payload()
+
+    # IPython counts the cell once it has been stored
+    results["execution_count"] = interpreter.execution_count - 1
+    if interpreter._last_traceback is None:
+        results["status"] = "ok"
+        results["user_expressions"] = interpreter.user_expressions(user_expressions or {})
+    else:
+        results["status"] = "error"
+        results.update(interpreter._last_traceback)
+    return results
+
+run
+`, { globals: scope });
+    } finally {
+      scope.destroy();
+    }
   }
   
   /**
@@ -935,9 +1953,10 @@ except Exception as e:
    * Complete the code submitted by a user.
    */
   public async complete(code: string, cursor_pos: number, parent: any = {}): Promise<any> {
-    await this.setup(parent);
+    await this.initialize();
     
-    const res = this._kernel.complete(code, cursor_pos);
+    const res = await this.withInterpreter(DEFAULT_USER_NAMESPACE,
+      () => this.withParent(parent, () => this._kernel.complete(code, cursor_pos)));
     return this.formatResult(res);
   }
 
@@ -945,9 +1964,10 @@ except Exception as e:
    * Inspect the code submitted by a user.
    */
   public async inspect(code: string, cursor_pos: number, detail_level: 0 | 1, parent: any = {}): Promise<any> {
-    await this.setup(parent);
+    await this.initialize();
     
-    const res = this._kernel.inspect(code, cursor_pos, detail_level);
+    const res = await this.withInterpreter(DEFAULT_USER_NAMESPACE,
+      () => this.withParent(parent, () => this._kernel.inspect(code, cursor_pos, detail_level)));
     return this.formatResult(res);
   }
 
@@ -955,9 +1975,7 @@ except Exception as e:
    * Check code for completeness.
    */
   public async isComplete(code: string, parent: any = {}): Promise<any> {
-    await this.setup(parent);
-    
-    const res = this._kernel.is_complete(code);
+    const res = await this.withParent(parent, () => this._kernel.is_complete(code));
     return this.formatResult(res);
   }
 
@@ -965,141 +1983,193 @@ except Exception as e:
    * Get information about available comms.
    */
   public async commInfo(target_name: string | null, parent: any = {}): Promise<any> {
-    await this.setup(parent);
-    
-    const res = this._kernel.comm_info(target_name);
+    const res = await this.withParent(parent, () => this._kernel.comm_info(target_name));
     return {
       comms: this.formatResult(res),
       status: 'ok',
     };
   }
 
+  /**
+   * Get the language of the kernel for Jupyter kernel_info replies
+   * Versions are those of the running Pyodide and Python.
+   */
+  public async getKernelInfo(): Promise<IKernelInfo> {
+    await this.initialize();
+    const pythonVersion: string = this.pyodide.runPython("import platform; platform.python_version()");
+    return {
+      language_info: {
+        name: "python",
+        version: pythonVersion,
+        mimetype: "text/x-python",
+        file_extension: ".py",
+        pygments_lexer: "ipython3",
+        codemirror_mode: { name: "ipython", version: 3 },
+        nbconvert_exporter: "python"
+      },
+      banner: `Python ${pythonVersion} on Pyodide ${this.pyodide.version}`
+    };
+  }
+
   /**
    * Open a COMM
+   * @param content comm_open content (comm_id, target_name, data)
+   * @param parent Parent message header
+   * @param buffers Binary buffers, passed to Python as memoryviews
+   * @param metadata Message metadata
    */
-  public async commOpen(content: any, parent: any = {}): Promise<void> {
-    await this.setup(parent);
-    
-    const res = this._kernel.comm_manager.comm_open(
-      this.pyodide.toPy(null),
-      this.pyodide.toPy(null),
-      this.pyodide.toPy(content)
-    );
-    
-    return this.formatResult(res);
+  public async commOpen(content: any, parent: any = {}, buffers: CommBuffer[] = [], metadata: any = {}): Promise<void> {
+    return this.deliverComm("comm_open", content, parent, buffers, metadata);
   }
   
   /**
    * Send a message through a COMM
+   * @param content comm_msg content (comm_id, data)
+   * @param parent Parent message header
+   * @param buffers Binary buffers, passed to Python as memoryviews
+   * @param metadata Message metadata
    */
-  public async commMsg(content: any, parent: any = {}): Promise<void> {
-    await this.setup(parent);
-    
-    const res = this._kernel.comm_manager.comm_msg(
-      this.pyodide.toPy(null),
-      this.pyodide.toPy(null),
-      this.pyodide.toPy(content)
-    );
-    
-    return this.formatResult(res);
+  public async commMsg(content: any, parent: any = {}, buffers: CommBuffer[] = [], metadata: any = {}): Promise<void> {
+    return this.deliverComm("comm_msg", content, parent, buffers, metadata);
   }
   
   /**
    * Close a COMM
+   * @param content comm_close content (comm_id, data)
+   * @param parent Parent message header
+   * @param buffers Binary buffers, passed to Python as memoryviews
+   * @param metadata Message metadata
    */
-  public async commClose(content: any, parent: any = {}): Promise<void> {
-    await this.setup(parent);
-    
-    const res = this._kernel.comm_manager.comm_close(
-      this.pyodide.toPy(null),
-      this.pyodide.toPy(null),
-      this.pyodide.toPy(content)
-    );
-    
-    return this.formatResult(res);
+  public async commClose(content: any, parent: any = {}, buffers: CommBuffer[] = [], metadata: any = {}): Promise<void> {
+    return this.deliverComm("comm_close", content, parent, buffers, metadata);
+  }
+  
+  /**
+   * Hand a comm message to the comm manager, which takes whole messages like ipykernel's
+   * @private
+   */
+  private async deliverComm(method: string, content: any, parent: any, buffers: CommBuffer[], metadata: any): Promise<void> {
+    // Outputs of comm handlers belong to the comm message
+    await this.withParent(parent, () => this.runPythonJSON(`
+import json
+msg = {
+    "header": json.loads(header_json),
+    "content": json.loads(content_json),
+    "metadata": json.loads(metadata_json),
+    # Buffers arrive as ArrayBuffers or typed arrays
+    "buffers": [memoryview(buffer.to_bytes()) for buffer in buffers],
+}
+getattr(comm_manager, method)(None, None, msg)
+"null"
+`, {
+      comm_manager: this._kernel.comm_manager,
+      method,
+      header_json: JSON.stringify(parent?.header ?? {}),
+      content_json: JSON.stringify(content ?? {}),
+      metadata_json: JSON.stringify(metadata ?? {}),
+      buffers: buffers.map(buffer => ArrayBuffer.isView(buffer)
+        ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        : new Uint8Array(buffer))
+    }));
   }
 
   /**
    * Execute Python code with streaming output
    * @param code The Python code to execute
    * @param parent Parent message header
+   * @param options Jupyter execute options (silent, storeHistory, userExpressions, allowStdin)
    * @returns AsyncGenerator yielding intermediate outputs and finally the execution result
    */
-  public async* executeStream(code: string, parent: any = {}): AsyncGenerator<any, { success: boolean, result?: any, error?: Error }, void> {
-    if (!this.initialized) {
-      await this.initialize();
-    }
+  public async* executeStream(code: string, parent: any = {}, options: IKernelExecuteOptions = {}): AsyncGenerator<any, { success: boolean, result?: any, error?: Error, droppedBytes?: number }, void> {
+    // The idle event names the execution it ends, so listeners on the other
+    // side of a worker know when all of its outputs have arrived
+    const status = (execution_state: "busy" | "idle"): IKernelStatusEvent => ({
+      execution_state,
+      parent_msg_id: parent?.header?.msg_id ?? ""
+    });
 
     try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      const silent = options.silent ?? false;
+      const storeHistory = !silent && (options.storeHistory ?? true);
       this._status = "busy";
-      super.emit(KernelEvents.KERNEL_BUSY, {});
-      await this.setup(parent);
+      // Stored executions get the next count
+      super.emit(KernelEvents.KERNEL_BUSY, {
+        ...status("busy"),
+        execution_count: storeHistory ? this.executionCount + 1 : this.executionCount
+      });
       
-      // Reset namespace for this kernel to ensure isolation between kernels
-      const namespaceReset = `
-# Kernel isolation - reset commonly conflicting variables to prevent cross-kernel state sharing
-for _var in ['x', 'value', 'result', 'a', 'b', 'c', 'data', 'temp']:
-    if _var in globals():
-        del globals()[_var]
-del _var
-`;
-      this.pyodide.runPython(namespaceReset);
+      // Run in this kernel's namespace, once no other kernel is using the interpreter
+      const releaseInterpreter = await this.acquireInterpreter(options.userNamespace);
+      this.setParent(parent);
       
-      // Create event listeners for streaming
-      const eventQueue: IEventData[] = [];
-      let executionComplete = false;
+      // Python publishes outputs synchronously, so the cell's events are all
+      // queued by the time it settles and the queue can close right then
+      const events = new AsyncQueue<IEventData>();
       let executionResult: any = null;
       let executionError: Error | null = null;
+      let outputStats: IOutputStats = { droppedBytes: 0, truncated: false };
       
       const handleAllEvents = (eventData: IEventData) => {
-        eventQueue.push(eventData);
+        events.push(eventData);
       };
       
       // Listen for all events BEFORE executing code
       super.on(KernelEvents.ALL, handleAllEvents);
       
+      this._silent = silent;
+      this._allowStdin = options.allowStdin ?? true;
+      
       try {
+        const userExpressions = this.pyodide.toPy(options.userExpressions ?? {});
+        
+        // Tracing stops after an error in the trace function (e.g. an interrupt while paused)
+        if (this._debugger) {
+          this.activateDebugger();
+        }
+        
+        const profiled = options.profile ? this.startProfile(parent) : null;
+        this._outputThrottle.begin({ ...this._outputPolicy, ...options.outputPolicy });
+        
         // Execute the code directly
-        this._kernel.run(code).then((result: any) => {
-          console.log("[KERNEL] Python execution finished");
+        this._runCell(code, silent, storeHistory, userExpressions).then((result: any) => {
           executionResult = this.formatResult(result);
-          
-          // Wait a small amount of time for any remaining messages to be processed
-          setTimeout(() => {
-            executionComplete = true;
-          }, 100); // 100ms should be enough for message processing
-          
+          if (typeof executionResult?.execution_count === 'number') {
+            this.executionCount = executionResult.execution_count;
+          }
         }).catch((error: any) => {
           console.error("[KERNEL] Python execution error:", error);
           executionError = error instanceof Error ? error : new Error(String(error));
-          
-          // Still wait for messages to settle before completing
-          setTimeout(() => {
-            executionComplete = true;
-          }, 100);
+          this.reportFatalError(error);
+        }).finally(() => {
+          // Held back text of silent executions must not outlive the flag
+          outputStats = this._outputThrottle.end();
+          this.publishHeapSize();
+          profiled?.stop();
+          this._silent = false;
+          this._allowStdin = true;
+          userExpressions.destroy();
+          events.close();
         });
         
         // Stream events as they arrive
-        while (!executionComplete || eventQueue.length > 0) {
-          // Yield queued events
-          if (eventQueue.length > 0) {
-            const event = eventQueue.shift()!;
-            yield event;
-          } else if (!executionComplete) {
-            // Wait a bit for more events
-            await new Promise(resolve => setTimeout(resolve, 10));
-          }
+        for await (const event of events) {
+          yield event;
         }
         
         // Process final result
-        this._status = "active";
-        super.emit(KernelEvents.KERNEL_IDLE, {});
+        this._status = this._dead ? "unknown" : "active";
+        super.emit(KernelEvents.KERNEL_IDLE, status("idle"));
+        this.autoSyncFilesystem();
         
         if (executionError) {
           return {
             success: false,
             error: executionError,
-            result: executionResult
+            result: executionResult,
+            droppedBytes: outputStats.droppedBytes
           };
         }
         
@@ -1109,24 +2179,29 @@ del _var
           return {
             success: false,
             error: new Error(errorMsg),
-            result: executionResult
+            result: executionResult,
+            droppedBytes: outputStats.droppedBytes
           };
         }
         
         return {
           success: true,
-          result: executionResult
+          result: executionResult,
+          droppedBytes: outputStats.droppedBytes
         };
         
       } finally {
         // Clean up listener
         super.off(KernelEvents.ALL, handleAllEvents);
+        releaseInterpreter();
       }
       
     } catch (error) {
       console.error("[KERNEL] ExecuteStream error:", error);
-      this._status = "active";
-      super.emit(KernelEvents.KERNEL_IDLE, {});
+      this.reportFatalError(error);
+      this._status = this._dead ? "unknown" : "active";
+      super.emit(KernelEvents.KERNEL_IDLE, status("idle"));
+      this.autoSyncFilesystem();
       
       return {
         success: false,
@@ -1231,6 +2306,771 @@ _thread.interrupt_main()
     }
   }
 
+  /**
+   * Clear a user namespace, like `%reset -f`
+   * Variables, In/Out history and cached results go away; the execution count is kept.
+   * @param options.keepImports Keep names bound to imported modules
+   * @param options.userNamespace Namespace to reset (default: the kernel's default namespace)
+   */
+  public async resetNamespace(options: IResetNamespaceOptions = {}): Promise<void> {
+    await this.initialize();
+    
+    const userNamespace = options.userNamespace ?? DEFAULT_USER_NAMESPACE;
+    await this.withInterpreter(userNamespace, () => {
+      this._namespaces.reset(this._userNamespaces.get(userNamespace), !!options.keepImports);
+    });
+  }
+  
+  /**
+   * List the user namespaces of the kernel, starting with the default one
+   */
+  public async listUserNamespaces(): Promise<string[]> {
+    await this.initialize();
+    return Array.from(this._userNamespaces.keys());
+  }
+  
+  /**
+   * Delete a named user namespace and everything defined in it
+   * The default namespace cannot be deleted; reset it instead.
+   * @param name Namespace name
+   * @returns True if the namespace existed
+   */
+  public async deleteUserNamespace(name: string): Promise<boolean> {
+    await this.initialize();
+    
+    if (name === DEFAULT_USER_NAMESPACE) {
+      throw new Error("The default namespace cannot be deleted; use resetNamespace instead");
+    }
+    const space = this._userNamespaces.get(name);
+    if (!space) {
+      return false;
+    }
+    
+    // Switch away first, so the interpreter does not keep the namespace alive
+    await this.withInterpreter(DEFAULT_USER_NAMESPACE, () => {
+      this._userNamespaces.delete(name);
+      space.destroy();
+    });
+    return true;
+  }
+  
+  /**
+   * Summarize the variables of a user namespace, without publishing any output
+   * @param options Name pattern, most variables to return and namespace
+   * @returns Variable summaries sorted by name
+   */
+  public async inspectVariables(options: IVariableInspectOptions = {}): Promise<IVariableSummary[]> {
+    await this.initialize();
+    
+    return this.withInterpreter(options.userNamespace ?? DEFAULT_USER_NAMESPACE, () => this.runPythonJSON(`
+import json
+from ${VARIABLES_MODULE} import inspect_variables
+json.dumps(inspect_variables(shell.user_ns, shell.user_ns_hidden, pattern, max_items))
+`, { shell: this._interpreter, pattern: options.filter ?? null, max_items: options.maxItems ?? 100 }));
+  }
+  
+  /**
+   * Describe the value at a path in a user namespace, with a page of its items
+   * @param path Variable name, or the name followed by keys, indices or attribute names
+   * @param options Page of items and namespace
+   */
+  public async getVariableDetail(path: VariablePath, options: IVariableDetailOptions = {}): Promise<IVariableDetail> {
+    await this.initialize();
+    
+    const params = {
+      path: typeof path === "string" ? [path] : path,
+      offset: Math.max(0, options.offset ?? 0),
+      limit: Math.max(0, options.limit ?? 100)
+    };
+    return this.withInterpreter(options.userNamespace ?? DEFAULT_USER_NAMESPACE, () => this.runPythonJSON(`
+import json
+from ${VARIABLES_MODULE} import variable_detail
+params = json.loads(params_json)
+json.dumps(variable_detail(shell.user_ns, shell.user_ns_hidden, params["path"], params["offset"], params["limit"]))
+`, { shell: this._interpreter, params_json: JSON.stringify(params) }));
+  }
+  
+  /**
+   * Report the profile of an execution run with the profile option
+   * Waits for the execution to finish if it is still running.
+   * @param parentMsgId msg_id of the execution's parent header
+   * @param options Order and number of the per-function stats
+   * @returns The profile, or null if there is none (or it was already taken)
+   */
+  public async takeProfile(parentMsgId: string, options: IProfileOptions = {}): Promise<IProfileReport | null> {
+    const pending = this._profiles.get(parentMsgId);
+    if (!pending) {
+      return null;
+    }
+    this._profiles.delete(parentMsgId);
+    
+    const profile = await pending;
+    try {
+      return JSON.parse(profile.report_json(options.sortBy ?? "cumtime", Math.max(0, options.limit ?? 30)));
+    } finally {
+      profile.destroy();
+    }
+  }
+  
+  /**
+   * Start profiling the cell of an execution
+   * Profiles nobody takes are dropped once MAX_PENDING_PROFILES newer ones wait.
+   * @param parent Parent message of the execution
+   * @returns Handle that stops the profile when the cell is done, or null if
+   *   profiling could not start (takeProfile then throws the reason)
+   * @private
+   */
+  private startProfile(parent: any): { stop: () => void } | null {
+    const parentMsgId: string = parent?.header?.msg_id ?? "";
+    for (const [msgId, stale] of this._profiles) {
+      if (this._profiles.size < MAX_PENDING_PROFILES) {
+        break;
+      }
+      this._profiles.delete(msgId);
+      stale.then((old: any) => old.destroy(), () => undefined);
+    }
+    
+    const profile = this._profilerModule.Profile();
+    try {
+      // cProfile refuses to start while another profiler is enabled
+      profile.start();
+    } catch (error) {
+      profile.destroy();
+      const failed = Promise.reject(error instanceof Error ? error : new Error(String(error)));
+      failed.catch(() => undefined);
+      this._profiles.set(parentMsgId, failed);
+      return null;
+    }
+    
+    let finish: (profile: any) => void = () => undefined;
+    this._profiles.set(parentMsgId, new Promise(resolve => {
+      finish = resolve;
+    }));
+    return {
+      stop: () => {
+        profile.stop();
+        finish(profile);
+      }
+    };
+  }
+  
+  /**
+   * Publish the binary MIME payloads of outputs (images, Arrow buffers, ...) as
+   * Uint8Arrays instead of base64 text; worker kernels transfer them to the page
+   * @param enabled Whether to publish binary payloads
+   */
+  public setBinaryOutputs(enabled: boolean): void {
+    this._binaryOutputs = enabled;
+  }
+  
+  /**
+   * Set the limits on the stream output of this kernel's executions
+   * The outputPolicy execute option overrides them for one execution.
+   * @param policy Output policy
+   */
+  public setOutputPolicy(policy: IOutputPolicy): void {
+    this._outputPolicy = { ...policy };
+  }
+  
+  /**
+   * Let the manager pause stream output while the consumer of the stream is behind
+   * Used by worker kernels (see OUTPUT_FLOW_BUFFER_BYTES for the layout).
+   */
+  public setOutputFlowBuffer(buffer: SharedArrayBuffer): void {
+    this._outputThrottle.setFlowBuffer(buffer);
+  }
+
+  /**
+   * Set the function that calls host functions for the host module
+   * @param bridge Called with the exposure ID, path and arguments of a host function
+   */
+  public setHostBridge(bridge: HostBridge): void {
+    this._hostExports.bridge = bridge;
+  }
+  
+  /**
+   * Make a host value importable from the host module
+   * @param name Name to import it as
+   * @param exposureId Exposure the bridge gets for calls of its functions
+   * @param value Plain data in which HOST_FUNCTION_KEY markers stand for host functions
+   */
+  public async exposeHost(name: string, exposureId: number, value: unknown): Promise<void> {
+    await this.initialize();
+    this._hostExports.expose(name, exposureId, value);
+  }
+  
+  /**
+   * Remove a host value from the host module
+   * Code that imported it keeps the value; the manager refuses its function calls.
+   * @param name Name it was exposed as
+   * @returns False if nothing was exposed under the name
+   */
+  public async unexposeHost(name: string): Promise<boolean> {
+    await this.initialize();
+    return this._hostExports.unexpose(name);
+  }
+  
+  /**
+   * Handle a Debug Adapter Protocol request (the content of a Jupyter debug_request)
+   * While a cell is paused, the request is answered from inside that cell:
+   * worker kernels read it from their debug buffer (see setDebugBuffer), other
+   * kernels queue it for the cell, which waits for it with JSPI.
+   * @param request DAP request
+   * @returns DAP response; failed requests have success: false and a message
+   */
+  public async debug(request: IDebugRequest): Promise<IDebugResponse> {
+    await this.initialize();
+    
+    const text = JSON.stringify(request);
+    if (this._debugPaused) {
+      return new Promise(resolve => {
+        this._debugReplies.set(request.seq, resolve);
+        this.queueDebugRequest(text);
+      });
+    }
+    
+    const handle = () => JSON.parse(this.getDebugger().handle_json(text)) as IDebugResponse;
+    // Breakpoints can change while one of this kernel's cells runs (it holds the interpreter)
+    if (this._status === "busy" && interpreterOwners.get(this.pyodide) === this) {
+      return handle();
+    }
+    return this.withInterpreter(DEFAULT_USER_NAMESPACE, handle);
+  }
+  
+  /**
+   * Receive debug requests through a shared buffer while a cell is paused
+   * Used by worker kernels, which are blocked while paused; the manager writes
+   * each request into the buffer (see DebugChannelState for the layout).
+   * @param buffer Debug buffer shared with the manager
+   * @param onReply Called with the response to each request read from the buffer
+   */
+  public setDebugBuffer(buffer: SharedArrayBuffer, onReply: (reply: IDebugResponse) => void): void {
+    this._debugBuffer = buffer;
+    this._debugReplyHandler = onReply;
+  }
+  
+  /**
+   * Get the Python debugger of this kernel, creating it on first use
+   * @private
+   */
+  private getDebugger(): any {
+    if (!this._debugger) {
+      this._debugger = this._debuggerModule.Debugger(
+        this._interpreter,
+        (event: string) => this.handleDebugEvent(event),
+        (reply: string) => this.handleDebugReply(reply),
+        () => this._debugBuffer ? this.readDebugRequestBlocking(this._debugBuffer) : this.nextDebugRequest(),
+        () => this._debugBuffer !== null
+      );
+    }
+    return this._debugger;
+  }
+  
+  /**
+   * Give the interpreter's tracing to this kernel's debugger, or take it from another kernel's
+   * @private
+   */
+  private activateDebugger(): void {
+    this._debuggerModule.activate(this._interpreter, this._debugger);
+  }
+  
+  /**
+   * Emit a DAP event of the debugger, keeping track of whether a cell is paused
+   * @private
+   */
+  private handleDebugEvent(text: string): void {
+    const event = JSON.parse(text) as IDebugEvent;
+    if (event.event === "stopped") {
+      this._debugPaused = true;
+    } else if (event.event === "continued") {
+      this._debugPaused = false;
+      // Requests queued behind the one that resumed the cell were never read
+      for (const request of this._debugRequests.splice(0)) {
+        const { seq, command } = JSON.parse(request);
+        this.handleDebugReply(JSON.stringify({
+          type: "response",
+          seq: 0,
+          request_seq: seq,
+          command,
+          success: false,
+          message: "The debugger resumed before handling the request"
+        }));
+      }
+    }
+    super.emit(KernelEvents.DEBUG_EVENT, event);
+  }
+  
+  /**
+   * Deliver the response to a request the paused debugger read
+   * @private
+   */
+  private handleDebugReply(text: string): void {
+    const reply = JSON.parse(text) as IDebugResponse;
+    const resolve = this._debugReplies.get(reply.request_seq);
+    if (resolve) {
+      this._debugReplies.delete(reply.request_seq);
+      resolve(reply);
+    } else if (this._debugReplyHandler) {
+      this._debugReplyHandler(reply);
+    }
+  }
+  
+  /**
+   * Hand a request to the paused debugger, or keep it until the debugger asks
+   * @private
+   */
+  private queueDebugRequest(request: string): void {
+    const waiter = this._debugRequestWaiter;
+    if (waiter) {
+      this._debugRequestWaiter = null;
+      waiter(request);
+    } else {
+      this._debugRequests.push(request);
+    }
+  }
+  
+  /**
+   * Next queued debug request, or a promise for it
+   * @private
+   */
+  private nextDebugRequest(): string | Promise<string> {
+    const request = this._debugRequests.shift();
+    if (request !== undefined) {
+      return request;
+    }
+    return new Promise(resolve => {
+      this._debugRequestWaiter = resolve;
+    });
+  }
+  
+  /**
+   * Block on the debug buffer until the manager writes a request
+   * The wait is sliced so that an interrupt can end it, like readInputBlocking.
+   * @private
+   */
+  private readDebugRequestBlocking(buffer: SharedArrayBuffer): string {
+    const state = new Int32Array(buffer, 0, 2);
+    Atomics.store(state, 0, DebugChannelState.WAITING);
+    
+    while (Atomics.load(state, 0) === DebugChannelState.WAITING) {
+      Atomics.wait(state, 0, DebugChannelState.WAITING, 100);
+      if (this._interruptBuffer && this._interruptBuffer[0] === 2) {
+        Atomics.store(state, 0, DebugChannelState.IDLE);
+        // Raises KeyboardInterrupt in the paused cell
+        this.pyodide.checkInterrupt();
+      }
+    }
+    
+    const request = new Uint8Array(buffer, DEBUG_HEADER_BYTES, Atomics.load(state, 1)).slice();
+    Atomics.store(state, 0, DebugChannelState.IDLE);
+    return new TextDecoder().decode(request);
+  }
+  
+  /**
+   * Run a Python snippet in a private scratch namespace
+   * Values in `inputs` are available as globals; the snippet's last expression
+   * must be a JSON string, which is parsed and returned.
+   */
+  private async runPythonJSON(code: string, inputs: Record<string, unknown> = {}): Promise<any> {
+    const scope = this.pyodide.globals.get("dict")();
+    try {
+      for (const [key, value] of Object.entries(inputs)) {
+        scope.set(key, value);
+      }
+      const result = await this.pyodide.runPythonAsync(code, { globals: scope });
+      return JSON.parse(result);
+    } finally {
+      scope.destroy();
+    }
+  }
+
+  /**
+   * Capture the user-visible state of the kernel as a portable snapshot
+   * Globals are pickled one by one; values that cannot be pickled (or that were
+   * defined interactively and would not unpickle elsewhere) are listed in `skipped`.
+   * @param options Which parts of the virtual filesystem to include
+   */
+  public async snapshot(options: IKernelSnapshotOptions = {}): Promise<IKernelSnapshot> {
+    await this.initialize();
+
+    const root = options.root || "/home/pyodide";
+    // Mounted host directories persist on their own and may be large, so leave them out
+    const exclude = this.getFilesystemBackend() === "nodefs" ? [this.filesystemOptions.mountPoint || "/home/pyodide"] : [];
+    const params = {
+      include_files: options.includeFiles !== false,
+      root,
+      exclude
+    };
+
+    const snapshot = await this.withInterpreter(DEFAULT_USER_NAMESPACE, () => this.runPythonJSON(`
+import base64, json, os, pickle, types
+
+params = json.loads(params_json)
+hidden = getattr(shell, "user_ns_hidden", {})
+
+snapshot_globals, modules, skipped = {}, {}, []
+for name, value in list(shell.user_ns.items()):
+    if name.startswith("_") or name in hidden:
+        continue
+    if isinstance(value, types.ModuleType):
+        modules[name] = value.__name__
+        continue
+    if isinstance(value, (types.FunctionType, type)) and getattr(value, "__module__", None) == "__main__":
+        skipped.append({"name": name, "type": type(value).__name__, "reason": "defined interactively; re-run its definition after restore"})
+        continue
+    try:
+        snapshot_globals[name] = base64.b64encode(pickle.dumps(value)).decode("ascii")
+    except Exception as e:
+        skipped.append({"name": name, "type": type(value).__name__, "reason": f"{type(e).__name__}: {e}"})
+
+files = {}
+if params["include_files"] and os.path.isdir(params["root"]) and params["root"] not in params["exclude"]:
+    for dirpath, dirnames, filenames in os.walk(params["root"]):
+        dirnames[:] = [d for d in dirnames if os.path.join(dirpath, d) not in params["exclude"]]
+        for filename in filenames:
+            path = os.path.join(dirpath, filename)
+            try:
+                with open(path, "rb") as f:
+                    files[path] = base64.b64encode(f.read()).decode("ascii")
+            except Exception as e:
+                skipped.append({"name": path, "type": "file", "reason": f"{type(e).__name__}: {e}"})
+
+packages = []
+try:
+    import micropip
+    for package_name, metadata in micropip.list().items():
+        packages.append({"name": package_name, "version": str(metadata.version)})
+except Exception:
+    pass
+
+json.dumps({
+    "globals": snapshot_globals,
+    "modules": modules,
+    "skipped": skipped,
+    "files": files,
+    "packages": packages,
+    "env": dict(os.environ),
+})
+`, { params_json: JSON.stringify(params), shell: this._interpreter }));
+
+    console.log(`📸 [KERNEL] Snapshot captured: ${Object.keys(snapshot.globals).length} globals, ${Object.keys(snapshot.files).length} files, ${snapshot.skipped.length} skipped`);
+
+    return {
+      version: KERNEL_SNAPSHOT_VERSION,
+      created: new Date().toISOString(),
+      ...snapshot
+    };
+  }
+
+  /**
+   * Restore a snapshot produced by `snapshot()` into this kernel
+   * Packages are installed first so that pickled values can import their modules,
+   * then files, environment variables, modules and globals are restored.
+   * @param snapshot Snapshot to restore
+   * @returns Report of what was restored and what failed
+   */
+  public async restoreSnapshot(snapshot: IKernelSnapshot): Promise<IKernelRestoreReport> {
+    await this.initialize();
+
+    if (!snapshot || snapshot.version !== KERNEL_SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported kernel snapshot version: ${snapshot?.version}`);
+    }
+
+    if (snapshot.packages && snapshot.packages.length > 0) {
+      try {
+        await this.pyodide.loadPackage(['micropip']);
+      } catch (error) {
+        console.warn("⚠️ [KERNEL] micropip unavailable, packages will not be restored:", error);
+      }
+    }
+
+    const report = await this.withInterpreter(DEFAULT_USER_NAMESPACE, () => this.runPythonJSON(`
+import base64, importlib, json, os, pickle
+
+snapshot = json.loads(snapshot_json)
+report = {"globals": [], "failed": [], "files": 0, "packagesInstalled": [], "packagesFailed": []}
+
+try:
+    import micropip
+    installed = micropip.list()
+    for package in snapshot.get("packages", []):
+        if package["name"] in installed:
+            continue
+        try:
+            await micropip.install(f'{package["name"]}=={package["version"]}', keep_going=True)
+            report["packagesInstalled"].append(package["name"])
+        except Exception:
+            report["packagesFailed"].append(package["name"])
+except ImportError:
+    report["packagesFailed"].extend(p["name"] for p in snapshot.get("packages", []))
+
+for path, data in snapshot.get("files", {}).items():
+    os.makedirs(os.path.dirname(path), exist_ok=True)
+    with open(path, "wb") as f:
+        f.write(base64.b64decode(data))
+    report["files"] += 1
+
+os.environ.update(snapshot.get("env", {}))
+
+for name, module_name in snapshot.get("modules", {}).items():
+    try:
+        shell.user_ns[name] = importlib.import_module(module_name)
+        report["globals"].append(name)
+    except Exception as e:
+        report["failed"].append({"name": name, "reason": f"{type(e).__name__}: {e}"})
+
+for name, data in snapshot.get("globals", {}).items():
+    try:
+        shell.user_ns[name] = pickle.loads(base64.b64decode(data))
+        report["globals"].append(name)
+    except Exception as e:
+        report["failed"].append({"name": name, "reason": f"{type(e).__name__}: {e}"})
+
+json.dumps(report)
+`, { snapshot_json: JSON.stringify(snapshot), shell: this._interpreter }));
+
+    console.log(`♻️ [KERNEL] Snapshot restored: ${report.globals.length} globals, ${report.files} files, ${report.failed.length} failed`);
+
+    return report;
+  }
+
+  /**
+   * Install packages with micropip, reporting progress through PACKAGE_PROGRESS events
+   * Specs are installed one at a time so that each gets its own outcome; the
+   * distributions each one brought in are found by comparing the installed
+   * package list before and after.
+   * @param specs Requirement specifiers, e.g. ["numpy", "attrs==23.1.0"]
+   * @param options micropip options
+   * @returns What was installed, what failed and what was not attempted
+   */
+  public async installPackages(specs: string[], options: IPackageInstallOptions = {}): Promise<IPackageInstallResult> {
+    await this.initialize();
+    await this.pyodide.loadPackage(['micropip']);
+
+    const params = {
+      specs,
+      index_urls: options.indexUrls ?? null,
+      keep_going: options.keepGoing === true,
+      deps: options.deps !== false
+    };
+
+    const result = await this.runPythonJSON(`
+import json
+import sys
+from urllib.parse import urlparse
+import micropip
+from packaging.utils import canonicalize_name, parse_wheel_filename
+
+params = json.loads(params_json)
+specs = params["specs"]
+result = {"installed": [], "failed": [], "skipped": []}
+current = {}
+
+def progress(spec, index, stage, **extra):
+    report_progress(json.dumps({"spec": spec, "stage": stage, "index": index, "total": len(specs), **extra}))
+
+def report_fetch(fetch_bytes):
+    async def fetch_and_report(url, *args, **kwargs):
+        extra = {"url": url}
+        try:
+            name, version, _, _ = parse_wheel_filename(urlparse(url).path.rsplit("/", 1)[-1])
+            extra.update(package=str(name), version=str(version))
+        except Exception:
+            pass
+        progress(current["spec"], current["index"], "downloading", **extra)
+        return await fetch_bytes(url, *args, **kwargs)
+    return fetch_and_report
+
+def report_load(load_package):
+    def load_and_report(names, *args, **kwargs):
+        listed = names.to_py() if hasattr(names, "to_py") else [names] if isinstance(names, str) else names
+        for name in listed:
+            progress(current["spec"], current["index"], "downloading", package=canonicalize_name(name))
+        return load_package(names, *args, **kwargs)
+    return load_and_report
+
+# micropip fetches wheels with fetch_bytes and the packages built for Pyodide
+# with loadPackage; wrapping them wherever its modules look them up reports
+# each download
+patched = []
+for module in list(sys.modules.values()):
+    if getattr(module, "__name__", "").split(".")[0] != "micropip":
+        continue
+    for attr, report in (("fetch_bytes", report_fetch), ("loadPackage", report_load)):
+        original = vars(module).get(attr)
+        if callable(original):
+            setattr(module, attr, report(original))
+            patched.append((module, attr, original))
+
+try:
+    for index, spec in enumerate(specs):
+        current.update(spec=spec, index=index)
+        progress(spec, index, "installing")
+        before = {canonicalize_name(name): str(package.version) for name, package in micropip.list().items()}
+        try:
+            await micropip.install(spec, keep_going=params["keep_going"], deps=params["deps"], index_urls=params["index_urls"])
+        except Exception as e:
+            error = f"{type(e).__name__}: {e}"
+            result["failed"].append({"spec": spec, "error": error})
+            progress(spec, index, "failed", error=error)
+            if not params["keep_going"]:
+                result["skipped"] = specs[index + 1:]
+                break
+            continue
+        for name, package in micropip.list().items():
+            name = canonicalize_name(name)
+            if before.get(name) != str(package.version):
+                result["installed"].append({"name": name, "version": str(package.version), "source": package.source})
+                progress(spec, index, "installed", package=name, version=str(package.version))
+        progress(spec, index, "done")
+finally:
+    for module, attr, original in patched:
+        setattr(module, attr, original)
+
+json.dumps(result)
+`, {
+      params_json: JSON.stringify(params),
+      report_progress: (payload: string) => {
+        const event: IPackageProgress = JSON.parse(payload);
+        super.emit(KernelEvents.PACKAGE_PROGRESS, event);
+      }
+    });
+
+    console.log(`📦 [KERNEL] Installed ${result.installed.length} packages, ${result.failed.length} failed`);
+
+    return result;
+  }
+
+  /**
+   * List the packages installed in the kernel
+   * @returns Installed packages sorted by (normalized) name
+   */
+  public async listPackages(): Promise<IPackageInfo[]> {
+    await this.initialize();
+    await this.pyodide.loadPackage(['micropip']);
+
+    return this.runPythonJSON(`
+import json
+import micropip
+from packaging.utils import canonicalize_name
+
+json.dumps(sorted(
+    ({"name": canonicalize_name(name), "version": str(package.version), "source": package.source} for name, package in micropip.list().items()),
+    key=lambda package: package["name"],
+))
+`);
+  }
+
+  /**
+   * Uninstall a package (its dependencies are left in place)
+   * @param name Package name
+   * @returns False if the package was not installed
+   */
+  public async uninstallPackage(name: string): Promise<boolean> {
+    await this.initialize();
+    await this.pyodide.loadPackage(['micropip']);
+
+    return this.runPythonJSON(`
+import json
+import micropip
+from packaging.utils import canonicalize_name
+
+installed = any(canonicalize_name(n) == canonicalize_name(name) for n in micropip.list())
+if installed:
+    micropip.uninstall(name)
+
+json.dumps(installed)
+`, { name });
+  }
+
+  /**
+   * Export the kernel's packages as a pyodide-lock.json file
+   * Relative wheel locations are made absolute against the Pyodide distribution so the
+   * lock can be served from anywhere (including a blob: URL) and passed back as
+   * `lockFileURL`.
+   * @returns Lock file contents (JSON)
+   */
+  public async exportLock(): Promise<string> {
+    await this.initialize();
+    await this.pyodide.loadPackage(['micropip']);
+
+    return this.runPythonJSON(`
+import json
+import micropip
+
+lock = json.loads(micropip.freeze())
+for package in lock["packages"].values():
+    if "://" not in package["file_name"]:
+        package["file_name"] = index_url + package["file_name"]
+
+json.dumps(json.dumps(lock))
+`, { index_url: this.pyodideOptions.packageBaseUrl || resolvePyodideUrls(this.pyodideOptions).indexURL });
+  }
+
+  /**
+   * Validate a notebook against the nbformat schema
+   * @param notebook Notebook JSON
+   * @returns Validation error messages (empty when the notebook is valid)
+   */
+  public async validateNotebook(notebook: string): Promise<string[]> {
+    await this.initialize();
+
+    return this.runPythonJSON(`
+import json
+
+try:
+    import nbformat
+    from nbformat.validator import iter_validate
+except ImportError:
+    raise RuntimeError("Notebook validation needs nbformat, which the minimal bootstrap profile does not install")
+
+nb = nbformat.from_dict(json.loads(notebook))
+json.dumps([error.message for error in iter_validate(nb)])
+`, { notebook });
+  }
+
+  /**
+   * Report the kernel's memory use
+   * The WebAssembly heap size is read directly. Python allocations come from tracemalloc,
+   * which only sees allocations made after it started: the first request for `top`
+   * starts it, and it slows Python down until it is stopped with `stopTracing`.
+   * @param options Python allocation sites to report
+   */
+  public async getResourceUsage(options: IResourceUsageOptions = {}): Promise<IKernelResourceUsage> {
+    await this.initialize();
+
+    const heapSize: number = this.pyodide._module.HEAPU8.buffer.byteLength;
+    const top = Math.max(0, Math.floor(options.top || 0));
+    if (!top && !options.stopTracing) {
+      return { heapSize, python: null };
+    }
+
+    const python = await this.runPythonJSON(`
+import json
+import tracemalloc
+
+if top and not tracemalloc.is_tracing():
+    tracemalloc.start()
+
+usage = {"tracing": tracemalloc.is_tracing(), "current": 0, "peak": 0, "top": []}
+if usage["tracing"]:
+    usage["current"], usage["peak"] = tracemalloc.get_traced_memory()
+    if top:
+        snapshot = tracemalloc.take_snapshot().filter_traces([tracemalloc.Filter(False, tracemalloc.__file__)])
+        usage["top"] = [
+            {"file": stat.traceback[0].filename, "line": stat.traceback[0].lineno, "size": stat.size, "count": stat.count}
+            for stat in snapshot.statistics("lineno")[:top]
+        ]
+    if stop:
+        tracemalloc.stop()
+        usage["tracing"] = False
+
+json.dumps(usage)
+`, { top, stop: !!options.stopTracing });
+
+    return { heapSize, python };
+  }
+
   /**
    * Set environment variables with performance optimization
    * OPTIMIZED: Parallel variable setting and validation with proper escaping and edge case handling
@@ -1271,7 +3111,29 @@ os.environ[${JSON.stringify(key)}] = ${JSON.stringify(processedValue)}
   }
 }
 
-// Only Python kernel is supported
+// Python kernels run on this Kernel class, JavaScript kernels on JavaScriptKernel
 
 // Export the manager for advanced usage
 export { KernelManager } from "./manager";
+export type { ExecutionStatus, IExecutionInfo, IExecutionRequestOptions, IProfileRequestOptions, IProfileResult, IManagerKernelSnapshot, IRestartKernelOptions, IKernelRecoveryPolicy, KernelRecoveryStrategy, IHeartbeatOptions, IKernelHeartbeat, IMemoryLimit } from "./manager";
+
+// Export the Jupyter protocol gateway
+export { JupyterGateway, JUPYTER_PROTOCOL_VERSION } from "./gateway";
+export type { IJupyterMessage, IJupyterHeader, IGatewaySocket, IJupyterGatewayOptions, JupyterChannel } from "./gateway";
+
+// Export the notebook runner
+export { NotebookRunner } from "./notebook";
+export type { INotebookRunnerOptions, INotebookRunResult, INotebookRunSummary, INotebookCellResult, INotebookCellError, NotebookCellStatus } from "./notebook";
+
+// Export the ipywidgets bridge
+export { WidgetBridge, WIDGET_COMM_TARGET, WIDGET_VERSION_COMM_TARGET, WIDGET_VIEW_MIMETYPE, WIDGET_STATE_MIMETYPE } from "./widgets";
+export type { IWidgetBridgeOptions, IWidgetManagerAdapter, IWidgetComm, IWidgetModelState, IWidgetStateDocument, WidgetBufferPath, WidgetChangeCallback } from "./widgets";
+
+// Export the helpers for binary output payloads
+export { BINARY_MIMETYPES, isBinaryMimetype, outputToBase64, outputToBlobUrl, toJSONMimeBundle } from "./outputs";
+
+// Export the async queue that streams use for kernel events
+export { AsyncQueue } from "./queue";
+
+// Export the JavaScript kernel
+export { JavaScriptKernel } from "./javascript-kernel";
@@ -0,0 +1,1115 @@
+// JavaScript kernel
+// Runs notebook cells as JavaScript (or TypeScript) in the thread the kernel lives in,
+// with the display helpers of jupyter.ts. Each cell is parsed with acorn and its
+// top-level declarations become assignments to a per-kernel scope object, so bindings
+// carry across cells; the cell body runs as an async function, so top-level await
+// works. Outputs are reported with the same events as the Python kernel.
+
+import * as acorn from "acorn";
+import { KernelEvents, IEventData, IKernel, IKernelOptions, IKernelExecuteOptions, IKernelStatusEvent, IKernelInfo, IOutputPolicy, IOutputStats, IInputReply, IJavaScriptKernelOptions, IResetNamespaceOptions, DEFAULT_USER_NAMESPACE, IVariableInspectOptions, IVariableSummary, IVariableDetailOptions, IVariableDetail, VariablePath, IKernelResourceUsage, WASM_PAGE_BYTES } from "./types";
+import { JupyterNamespace } from "./jupyter";
+import { AsyncQueue } from "./queue";
+import { OutputThrottle } from "./throttle";
+
+// TypeScript compiler used for kernels that run TypeScript
+const TYPESCRIPT_CDN_URL = "https://cdn.jsdelivr.net/npm/typescript@5.5.3/lib/typescript.js";
+
+// Message types a cell can publish (through console, display() or Jupyter.broadcast)
+const PUBLISHED_TYPES = [
+  KernelEvents.STREAM,
+  KernelEvents.DISPLAY_DATA,
+  KernelEvents.UPDATE_DISPLAY_DATA,
+  KernelEvents.CLEAR_OUTPUT,
+  KernelEvents.EXECUTE_RESULT,
+  KernelEvents.EXECUTE_ERROR,
+  KernelEvents.INPUT_REQUEST
+] as string[];
+
+// Message types a silent execution still publishes
+const SILENT_TYPES = [KernelEvents.INPUT_REQUEST] as string[];
+
+// Keywords offered by code completion
+const JS_KEYWORDS = [
+  "async", "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default",
+  "delete", "do", "else", "export", "extends", "false", "finally", "for", "function", "if", "import",
+  "in", "instanceof", "let", "new", "null", "return", "static", "super", "switch", "this", "throw",
+  "true", "try", "typeof", "undefined", "var", "void", "while", "with", "yield"
+];
+
+// Bindings every scope starts with, left out of the variable inspector
+const SCOPE_BUILTINS = ["Jupyter", "display", "console", "input"];
+
+// Longest repr in variable summaries
+const REPR_LENGTH = 120;
+
+type Listener = (...args: any[]) => void;
+
+// Use a browser-compatible EventEmitter
+class EventEmitter {
+  private events: { [key: string]: Listener[] } = {};
+
+  on(eventName: string, listener: Listener) {
+    if (!this.events[eventName]) {
+      this.events[eventName] = [];
+    }
+    this.events[eventName].push(listener);
+  }
+
+  off(eventName: string, listener: Listener) {
+    if (!this.events[eventName]) return;
+    const index = this.events[eventName].indexOf(listener);
+    if (index > -1) {
+      this.events[eventName].splice(index, 1);
+    }
+  }
+
+  emit(eventName: string, ...args: any[]) {
+    if (!this.events[eventName]) return;
+    this.events[eventName].forEach(listener => listener(...args));
+  }
+
+  setMaxListeners() {
+    // No-op for browser compatibility
+  }
+}
+
+// A cell rewritten to run against the kernel scope
+interface ITransformedCell {
+  body: string; // Body of the async function that runs the cell
+  names: string[]; // Top-level bindings declared by the cell
+}
+
+// Syntax error with the offset it was raised at, like acorn's
+interface IPositionedSyntaxError extends SyntaxError {
+  pos?: number;
+}
+
+// TypeScript compilers by script URL, shared by the kernels of a realm
+const typescriptLoadPromises: Map<string, Promise<any>> = new Map();
+
+/**
+ * Load the TypeScript compiler (the global `ts`) from a script URL
+ */
+function loadTypeScript(url: string): Promise<any> {
+  const existing = typescriptLoadPromises.get(url);
+  if (existing) {
+    return existing;
+  }
+
+  const promise = (async () => {
+    if (typeof (globalThis as any).ts === "undefined") {
+      if (typeof importScripts !== "undefined") {
+        importScripts(url);
+      } else {
+        await new Promise<void>((resolve, reject) => {
+          const script = document.createElement("script");
+          script.src = url;
+          script.onload = () => resolve();
+          script.onerror = () => reject(new Error(`Failed to load the TypeScript compiler from ${url}`));
+          document.head.appendChild(script);
+        });
+      }
+    }
+    return (globalThis as any).ts;
+  })();
+  typescriptLoadPromises.set(url, promise);
+  promise.catch(() => typescriptLoadPromises.delete(url));
+  return promise;
+}
+
+/**
+ * Strip the types from a TypeScript cell
+ * Imports are kept as written (verbatimModuleSyntax), since a binding that is
+ * unused in this cell may be used by a later one.
+ */
+function transpileTypeScript(ts: any, code: string): string {
+  const output = ts.transpileModule(code, {
+    reportDiagnostics: true,
+    compilerOptions: {
+      target: ts.ScriptTarget.ES2022,
+      module: ts.ModuleKind.ESNext,
+      verbatimModuleSyntax: true
+    }
+  });
+  const diagnostic = output.diagnostics?.[0];
+  if (diagnostic) {
+    const error: IPositionedSyntaxError = new SyntaxError(ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"));
+    error.pos = diagnostic.start;
+    throw error;
+  }
+  return output.outputText;
+}
+
+/**
+ * Parse a cell; a cell wrapped in braces is read as an object literal, like in the Node.js REPL
+ */
+function parseCell(code: string): { program: any, code: string } {
+  const options: acorn.Options = {
+    ecmaVersion: "latest",
+    sourceType: "script",
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true
+  };
+  if (/^\s*\{[\s\S]*\}\s*$/.test(code)) {
+    try {
+      const wrapped = `(${code})`;
+      return { program: acorn.parse(wrapped, options), code: wrapped };
+    } catch (error) {
+      // Not an object literal; parse it as a block
+    }
+  }
+  return { program: acorn.parse(code, options), code };
+}
+
+/**
+ * Collect the names bound by a declaration pattern
+ */
+function patternNames(pattern: any, names: string[]): void {
+  switch (pattern.type) {
+    case "Identifier":
+      names.push(pattern.name);
+      break;
+    case "ObjectPattern":
+      for (const property of pattern.properties) {
+        patternNames(property.type === "RestElement" ? property.argument : property.value, names);
+      }
+      break;
+    case "ArrayPattern":
+      for (const element of pattern.elements) {
+        if (element) {
+          patternNames(element, names);
+        }
+      }
+      break;
+    case "RestElement":
+      patternNames(pattern.argument, names);
+      break;
+    case "AssignmentPattern":
+      patternNames(pattern.left, names);
+      break;
+  }
+}
+
+/**
+ * Rewrite a cell so that it runs against the kernel scope
+ * - top-level let/const/var, function and class declarations assign to the scope
+ *   (function declarations are hoisted to the top of the cell)
+ * - static imports become dynamic imports
+ * - a final expression statement is returned as the cell's result
+ */
+function transformCell(source: string): ITransformedCell {
+  const { program, code } = parseCell(source);
+  const text = (node: any) => code.slice(node.start, node.end);
+  const names: string[] = [];
+  const hoisted: string[] = [];
+  const edits: Array<{ start: number, end: number, text: string }> = [];
+
+  program.body.forEach((node: any, index: number) => {
+    const replace = (replacement: string) => edits.push({ start: node.start, end: node.end, text: replacement });
+
+    switch (node.type) {
+      case "VariableDeclaration":
+        replace(node.declarations.map((declarator: any) => {
+          patternNames(declarator.id, names);
+          if (declarator.init) {
+            return `(${text(declarator.id)} = ${text(declarator.init)});`;
+          }
+          // Redeclaring a var keeps its value; let starts out undefined
+          return node.kind === "var" ? "" : `${declarator.id.name} = undefined;`;
+        }).join(" "));
+        break;
+      case "FunctionDeclaration":
+        names.push(node.id.name);
+        hoisted.push(`${node.id.name} = ${text(node)};`);
+        replace("");
+        break;
+      case "ClassDeclaration":
+        names.push(node.id.name);
+        replace(`${node.id.name} = ${text(node)};`);
+        break;
+      case "ImportDeclaration": {
+        const bindings = node.specifiers.map((specifier: any) => {
+          const local = specifier.local.name;
+          names.push(local);
+          if (specifier.type === "ImportDefaultSpecifier") {
+            return `${local} = __module.default;`;
+          }
+          if (specifier.type === "ImportNamespaceSpecifier") {
+            return `${local} = __module;`;
+          }
+          const imported = specifier.imported.type === "Identifier" ? specifier.imported.name : specifier.imported.value;
+          return `${local} = __module[${JSON.stringify(imported)}];`;
+        });
+        replace(`{ const __module = await import(${text(node.source)}); ${bindings.join(" ")} }`);
+        break;
+      }
+      case "ExportNamedDeclaration":
+      case "ExportDefaultDeclaration":
+      case "ExportAllDeclaration":
+        // TypeScript marks modules with an empty `export {}`
+        if (node.type === "ExportNamedDeclaration" && !node.declaration && !node.source && node.specifiers.length === 0) {
+          replace("");
+          break;
+        }
+        throw new SyntaxError("Cells cannot export bindings");
+      case "ExpressionStatement":
+        if (index === program.body.length - 1) {
+          replace(`return (${text(node.expression)});`);
+        }
+        break;
+    }
+  });
+
+  let body = code;
+  for (const edit of edits.reverse()) {
+    body = body.slice(0, edit.start) + edit.text + body.slice(edit.end);
+  }
+  return { body: `${hoisted.join("\n")}\n${body}`, names };
+}
+
+/**
+ * Format a value for console output
+ */
+function formatValue(value: any): string {
+  if (typeof value === "string") {
+    return value;
+  }
+  if (value instanceof Error) {
+    return value.stack || `${value.name}: ${value.message}`;
+  }
+  if (typeof value === "function") {
+    return `[Function: ${value.name || "(anonymous)"}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    try {
+      return JSON.stringify(value, null, 2) ?? String(value);
+    } catch (error) {
+      return String(value);
+    }
+  }
+  return String(value);
+}
+
+/**
+ * Property names of a value, including inherited ones
+ */
+function propertyNames(value: any): string[] {
+  const names: string[] = [];
+  for (let obj = Object(value); obj; obj = Object.getPrototypeOf(obj)) {
+    names.push(...Object.getOwnPropertyNames(obj));
+  }
+  return names;
+}
+
+/**
+ * Single-line repr of a value for the variable inspector
+ */
+function shortRepr(value: any): string {
+  let text: string;
+  try {
+    if (value instanceof Map || value instanceof Set) {
+      text = `${value.constructor.name}(${value.size}) ${JSON.stringify(Array.from(value))}`;
+    } else if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+      const head = Array.prototype.slice.call(value, 0, REPR_LENGTH);
+      text = `${value.constructor.name}(${(value as unknown as ArrayLike<number>).length}) [${head.join(", ")}]`;
+    } else if (typeof value === "string" || (value !== null && typeof value === "object")) {
+      text = JSON.stringify(value) ?? String(value);
+    } else {
+      text = String(value);
+    }
+  } catch (error) {
+    try {
+      text = String(value);
+    } catch (inner) {
+      text = Object.prototype.toString.call(value);
+    }
+  }
+  text = text.replace(/\n/g, " ");
+  return text.length <= REPR_LENGTH ? text : `${text.slice(0, REPR_LENGTH - 3)}...`;
+}
+
+/**
+ * Bytes of JavaScript heap in use, where the browser reports it (Chromium's performance.memory)
+ */
+function jsHeapSize(): number | null {
+  const memory = (globalThis.performance as any)?.memory;
+  return typeof memory?.usedJSHeapSize === "number" ? memory.usedJSHeapSize : null;
+}
+
+/**
+ * Regular expression matching the names a glob pattern (with * and ?) matches
+ */
+function globPattern(glob: string): RegExp {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Key and item pairs of a value, as listed by getVariableDetail
+ */
+function variableItems(value: any): [string | number, any][] {
+  if (value === null || typeof value !== "object") {
+    return [];
+  }
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    return Array.from(value as ArrayLike<any>, (item, index) => [index, item]);
+  }
+  if (value instanceof Map) {
+    return Array.from(value, ([key, item]) => [typeof key === "string" || typeof key === "number" ? key : shortRepr(key), item]);
+  }
+  if (value instanceof Set) {
+    return Array.from(value, (item, index) => [index, item]);
+  }
+  return Object.keys(value).map(key => [key, value[key]]);
+}
+
+/**
+ * Item of a value under a key of a variable path
+ */
+function variableChild(value: any, key: string | number): any {
+  if (value instanceof Map) {
+    if (value.has(key)) {
+      return value.get(key);
+    }
+    const entry = Array.from(value).find(([candidate]) => shortRepr(candidate) === key);
+    if (!entry) {
+      throw new Error(`No item ${JSON.stringify(key)}`);
+    }
+    return entry[1];
+  }
+  if (value instanceof Set) {
+    return Array.from(value)[Number(key)];
+  }
+  if (value === null || value === undefined || !(key in Object(value))) {
+    throw new Error(`No item ${JSON.stringify(key)}`);
+  }
+  return value[key];
+}
+
+/**
+ * Summary of a value for the variable inspector
+ */
+function summarizeVariable(name: string | number, value: any): IVariableSummary {
+  // Typed arrays are the closest thing to numpy arrays
+  const typed: ArrayLike<number> | null = ArrayBuffer.isView(value) && !(value instanceof DataView) ? value as any : null;
+  let size: number | null = null;
+  if (typeof value === "string" || Array.isArray(value)) {
+    size = value.length;
+  } else if (typed) {
+    size = typed.length;
+  } else if (value instanceof Map || value instanceof Set) {
+    size = value.size;
+  }
+  return {
+    name: String(name),
+    type: value !== null && typeof value === "object" ? value.constructor?.name || "Object" : typeof value,
+    size,
+    shape: typed ? [typed.length] : null,
+    dtype: typed ? value.constructor.name.replace(/Array$/, "").toLowerCase() : null,
+    repr: shortRepr(value),
+    expandable: variableItems(value).length > 0
+  };
+}
+
+/**
+ * JavaScriptKernel runs JavaScript and TypeScript cells for KernelLanguage.JAVASCRIPT.
+ *
+ * The last expression of a cell is rendered with JupyterNamespace.formatResult, and
+ * `Jupyter.display()`/`display()` as well as console output stream through the same
+ * events as the Python kernel. Cells also see `input(prompt)`, which resolves to the
+ * reply to an input request.
+ */
+export class JavaScriptKernel extends EventEmitter implements IKernel {
+  private initialized = false;
+  private initPromise: Promise<void> | null = null;
+  private options: IJavaScriptKernelOptions = {};
+  private typescript: any = null;
+
+  // Bindings shared by all cells (globals are reached through it), one scope per user namespace
+  private scope: Record<string, any> = Object.create(null);
+  private userScopes: Map<string, Record<string, any>> = new Map();
+  private jupyter = new JupyterNamespace();
+  private pendingDisplays: Set<Promise<void>> = new Set();
+
+  // Execution state
+  private _parent: any = {};
+  private executionCount = 0;
+  private _status: "active" | "busy" | "unknown" = "unknown";
+  private _silent = false;
+  private _allowStdin = true;
+
+  // Limits on the stream output of executions (see setOutputPolicy)
+  private outputPolicy: IOutputPolicy = {};
+  private outputThrottle = new OutputThrottle(
+    (name, text) => this.emitMessage(KernelEvents.STREAM, { name, text }),
+    () => {
+      // Ends the cell whose console call is waiting
+      if (this._interruptBuffer && this._interruptBuffer[0] === 2) {
+        this._interruptBuffer[0] = 0;
+        throw this.interruptError();
+      }
+    }
+  );
+
+  // Heap size published for the manager's memory limit (worker kernels)
+  private heapSizeGauge: Int32Array | null = null;
+
+  // Input handling
+  private _resolveInputReply: ((reply: IInputReply) => void) | null = null;
+
+  // Interrupt handling: an interrupt stops waiting for the running cell
+  private _interruptBuffer: Uint8Array | null = null;
+  private _interruptRunningCell: (() => void) | null = null;
+
+  constructor() {
+    super();
+  }
+
+  // Async method for kernel status
+  async getStatus(): Promise<"active" | "busy" | "unknown"> {
+    return this._status;
+  }
+
+  /**
+   * Initialize the kernel, loading the TypeScript compiler if needed
+   */
+  public async initialize(options?: IKernelOptions): Promise<void> {
+    if (this.initialized) {
+      return;
+    }
+
+    if (this.initPromise) {
+      return this.initPromise;
+    }
+
+    this.options = { ...options?.javascript };
+    this.initPromise = this._initializeInternal();
+    return this.initPromise;
+  }
+
+  private async _initializeInternal(): Promise<void> {
+    try {
+      if (this.options.typescript) {
+        this.typescript = await loadTypeScript(this.options.typescriptURL || TYPESCRIPT_CDN_URL);
+        console.log(`📜 TypeScript ${this.typescript.version} loaded`);
+      }
+
+      // display() is async; cells often don't await it, so the kernel does before finishing the cell
+      const display = this.jupyter.display;
+      this.jupyter.display = (obj: any, options?: any) => {
+        const pending = display(obj, options);
+        this.pendingDisplays.add(pending);
+        pending.catch(() => undefined).finally(() => this.pendingDisplays.delete(pending));
+        return pending;
+      };
+      this.scope = this.createScope();
+      this.userScopes.set(DEFAULT_USER_NAMESPACE, this.scope);
+      this.jupyter.onBroadcast((msgType, content) => this.publish(msgType, content));
+
+      this.initialized = true;
+      this._status = "active";
+      console.log("✅ JavaScript kernel ready");
+    } catch (error) {
+      this.initPromise = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Create a scope holding only the kernel's own bindings
+   * @private
+   */
+  private createScope(): Record<string, any> {
+    const scope: Record<string, any> = Object.create(null);
+    scope.Jupyter = this.jupyter;
+    scope.display = this.jupyter.display;
+    scope.console = this.createConsole();
+    scope.input = (prompt: any = "") => this.readInput(String(prompt));
+    return scope;
+  }
+
+  /**
+   * Get the scope of a user namespace, creating it on first use
+   * @private
+   */
+  private userScope(name: string = DEFAULT_USER_NAMESPACE): Record<string, any> {
+    let scope = this.userScopes.get(name);
+    if (!scope) {
+      scope = this.createScope();
+      this.userScopes.set(name, scope);
+    }
+    return scope;
+  }
+
+  /**
+   * Check if the kernel has been initialized
+   */
+  public isInitialized(): boolean {
+    return this.initialized;
+  }
+
+  /**
+   * Get the header of the parent message currently being handled
+   */
+  public getParentHeader(): any {
+    return this._parent.header;
+  }
+
+  /**
+   * Execute code and collect its outputs
+   * @param code The code to execute
+   * @param parent Parent message header
+   * @param options Jupyter execute options (silent, storeHistory, userExpressions, allowStdin)
+   * @returns The result of the execution, in the shape returned by the Python kernel
+   */
+  public async execute(code: string, parent: any = {}, options: IKernelExecuteOptions = {}): Promise<{ success: boolean, outputs?: any, error?: Error, ename?: string, evalue?: string, traceback?: any, droppedBytes?: number }> {
+    const result: any = { outputs: [], data: {}, metadata: {} };
+    const stream = this.executeStream(code, parent, options);
+
+    // Errors come from the final result, since silent executions publish no execute_error
+    let next = await stream.next();
+    while (!next.done) {
+      const output = next.value;
+      if (output.type === "stream") {
+        result.stdout = (result.stdout || "") + (output.data.name === "stdout" ? output.data.text : "");
+        result.stderr = (result.stderr || "") + (output.data.name === "stderr" ? output.data.text : "");
+        result.outputs.push(output.data);
+      } else if (output.type === "display_data" || output.type === "execute_result") {
+        Object.assign(result.data, output.data.data);
+        Object.assign(result.metadata, output.data.metadata);
+        result.outputs.push(output.data);
+      } else if (output.type !== "execute_error") {
+        result.outputs.push(output);
+      }
+      next = await stream.next();
+    }
+
+    const final = next.value;
+    if (!final.success) {
+      const { ename, evalue, traceback } = final.result;
+      return { success: false, error: final.error, ename, evalue, traceback, outputs: result.outputs, droppedBytes: final.droppedBytes };
+    }
+    result.execution_count = final.result.execution_count;
+    result.user_expressions = final.result.user_expressions;
+    result.droppedBytes = final.droppedBytes;
+    result.success = true;
+    return result;
+  }
+
+  /**
+   * Execute code with streaming output
+   * @param code The code to execute
+   * @param parent Parent message header
+   * @param options Jupyter execute options (silent, storeHistory, userExpressions, allowStdin)
+   * @returns AsyncGenerator yielding intermediate outputs and finally the execution result
+   */
+  public async* executeStream(code: string, parent: any = {}, options: IKernelExecuteOptions = {}): AsyncGenerator<any, { success: boolean, result?: any, error?: Error, droppedBytes?: number }, void> {
+    // The idle event names the execution it ends, like the Python kernel's
+    const status = (execution_state: "busy" | "idle"): IKernelStatusEvent => ({
+      execution_state,
+      parent_msg_id: parent?.header?.msg_id ?? ""
+    });
+
+    this._parent = parent || {};
+    this._status = "busy";
+    const storeHistory = !options.silent && (options.storeHistory ?? true);
+    super.emit(KernelEvents.KERNEL_BUSY, {
+      ...status("busy"),
+      execution_count: storeHistory ? this.executionCount + 1 : this.executionCount
+    });
+
+    const events = new AsyncQueue<IEventData>();
+    const handleAllEvents = (eventData: IEventData) => {
+      events.push(eventData);
+    };
+    super.on(KernelEvents.ALL, handleAllEvents);
+
+    try {
+      await this.initialize();
+      let outputStats: IOutputStats = { droppedBytes: 0, truncated: false };
+      this.outputThrottle.begin({ ...this.outputPolicy, ...options.outputPolicy });
+      const executionResult = this.runCell(code, options).finally(() => {
+        outputStats = this.outputThrottle.end();
+        this.publishHeapSize();
+        events.close();
+      });
+      for await (const event of events) {
+        yield event;
+      }
+      return { ...await executionResult, droppedBytes: outputStats.droppedBytes };
+    } finally {
+      super.off(KernelEvents.ALL, handleAllEvents);
+      this._status = "active";
+      super.emit(KernelEvents.KERNEL_IDLE, status("idle"));
+    }
+  }
+
+  /**
+   * Run one cell and publish its result or error
+   * @private
+   */
+  private async runCell(code: string, options: IKernelExecuteOptions): Promise<{ success: boolean, result?: any, error?: Error }> {
+    const silent = options.silent ?? false;
+    const executionCount = !silent && (options.storeHistory ?? true) ? ++this.executionCount : this.executionCount;
+    this._silent = silent;
+    this._allowStdin = options.allowStdin ?? true;
+    const scope = this.userScope(options.userNamespace);
+
+    try {
+      const cell = transformCell(this.typescript ? transpileTypeScript(this.typescript, code) : code);
+      for (const name of cell.names) {
+        if (!(name in scope)) {
+          scope[name] = undefined;
+        }
+      }
+
+      // Function bodies are sloppy-mode code, where `with` resolves names through the scope
+      const run = new Function("__scope", `with (__scope) { return (async () => {\n${cell.body}\n})(); }`);
+      const value = await this.interruptible(run(scope));
+      await Promise.all(this.pendingDisplays);
+
+      if (value !== undefined) {
+        this.publish(KernelEvents.EXECUTE_RESULT, {
+          execution_count: executionCount,
+          data: this.jupyter.formatResult(value),
+          metadata: {}
+        });
+      }
+      return {
+        success: true,
+        result: {
+          status: "ok",
+          execution_count: executionCount,
+          payload: [],
+          user_expressions: this.evaluateUserExpressions(scope, options.userExpressions ?? {})
+        }
+      };
+    } catch (error) {
+      const ename = error instanceof Error ? error.name : "Error";
+      const evalue = error instanceof Error ? error.message : String(error);
+      const traceback = error instanceof Error && error.stack ? error.stack.split("\n") : [`${ename}: ${evalue}`];
+      this.publish(KernelEvents.EXECUTE_ERROR, { ename, evalue, traceback });
+      return {
+        success: false,
+        error: new Error(`${ename}: ${evalue}`),
+        result: { status: "error", execution_count: executionCount, ename, evalue, traceback }
+      };
+    } finally {
+      this._silent = false;
+      this._allowStdin = true;
+    }
+  }
+
+  /**
+   * Evaluate the user expressions of an execute request in the kernel scope
+   * @private
+   */
+  private evaluateUserExpressions(scope: Record<string, any>, expressions: Record<string, string>): Record<string, any> {
+    const results: Record<string, any> = {};
+    for (const [name, expression] of Object.entries(expressions)) {
+      try {
+        const evaluate = new Function("__scope", `with (__scope) { return (${expression}); }`);
+        results[name] = { status: "ok", data: this.jupyter.formatResult(evaluate(scope)), metadata: {} };
+      } catch (error) {
+        const ename = error instanceof Error ? error.name : "Error";
+        const evalue = error instanceof Error ? error.message : String(error);
+        results[name] = { status: "error", ename, evalue, traceback: [`${ename}: ${evalue}`] };
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Wait for a running cell, giving up when the kernel is interrupted
+   * Synchronous code cannot be interrupted; only the wait for pending promises ends.
+   * @private
+   */
+  private interruptible<T>(promise: Promise<T>): Promise<T> {
+    return new Promise<T>((resolve, reject) => {
+      const interrupt = () => reject(this.interruptError());
+      const poll = this._interruptBuffer ? setInterval(() => {
+        if (this._interruptBuffer && this._interruptBuffer[0] === 2) {
+          this._interruptBuffer[0] = 0;
+          interrupt();
+        }
+      }, 50) : undefined;
+
+      this._interruptRunningCell = interrupt;
+      promise.then(resolve, reject).finally(() => {
+        clearInterval(poll);
+        this._interruptRunningCell = null;
+      });
+    });
+  }
+
+  /**
+   * Error a cell ends with when the kernel is interrupted
+   * @private
+   */
+  private interruptError(): Error {
+    const error = new Error("Execution interrupted by user");
+    error.name = "KeyboardInterrupt";
+    return error;
+  }
+
+  /**
+   * Interrupt the running cell
+   * @returns True if a cell was running
+   */
+  public async interrupt(): Promise<boolean> {
+    if (!this._interruptRunningCell) {
+      return false;
+    }
+    this._interruptRunningCell();
+    return true;
+  }
+
+  /**
+   * Set the limits on the stream output of this kernel's executions
+   * The outputPolicy execute option overrides them for one execution.
+   * @param policy Output policy
+   */
+  public setOutputPolicy(policy: IOutputPolicy): void {
+    this.outputPolicy = { ...policy };
+  }
+
+  /**
+   * Hold console output back while the manager's consumer of the stream is behind
+   * @param buffer Output flow buffer shared with the manager
+   */
+  public setOutputFlowBuffer(buffer: SharedArrayBuffer): void {
+    this.outputThrottle.setFlowBuffer(buffer);
+  }
+
+  /**
+   * Publish the JavaScript heap size through a shared buffer
+   * Used by worker kernels, so that the manager can check the memory limit while
+   * a cell keeps the worker busy (see HEAP_SIZE_BUFFER_BYTES for the layout).
+   * @param buffer Heap size buffer shared with the manager
+   */
+  public setHeapSizeBuffer(buffer: SharedArrayBuffer): void {
+    this.heapSizeGauge = new Int32Array(buffer, 0, 1);
+    this.publishHeapSize();
+  }
+
+  /**
+   * Report the memory used by this kernel
+   * The heap size is only known where the browser reports it (performance.memory),
+   * and there are no Python allocations to trace.
+   * @returns Heap size in bytes, or null
+   */
+  public async getResourceUsage(): Promise<IKernelResourceUsage> {
+    return { heapSize: jsHeapSize(), python: null };
+  }
+
+  /**
+   * Write the current heap size to the gauge
+   * Synchronous code only calls out on console output and displays, so the
+   * size is sampled on every output and when the cell ends.
+   * @private
+   */
+  private publishHeapSize(): void {
+    const heapSize = this.heapSizeGauge ? jsHeapSize() : null;
+    if (heapSize !== null) {
+      Atomics.store(this.heapSizeGauge!, 0, Math.ceil(heapSize / WASM_PAGE_BYTES));
+    }
+  }
+
+  /**
+   * Watch a shared interrupt buffer (set to 2 by the manager to interrupt)
+   */
+  public setInterruptBuffer(buffer: Uint8Array): void {
+    this._interruptBuffer = buffer;
+  }
+
+  /**
+   * Emit a message published by a cell
+   * @private
+   */
+  private publish(type: string, data: any): void {
+    if (!PUBLISHED_TYPES.includes(type)) {
+      console.warn(`[JS KERNEL] Ignoring unsupported message type: ${type}`);
+      return;
+    }
+    if (this._silent && !SILENT_TYPES.includes(type)) {
+      return;
+    }
+    // Stream text goes through the output policy; held back text goes out before other messages
+    if (type === KernelEvents.STREAM) {
+      this.outputThrottle.write(data.name, data.text);
+      return;
+    }
+    this.outputThrottle.flush();
+    this.emitMessage(type, data);
+  }
+
+  /**
+   * Emit a message and its ALL event
+   * @private
+   */
+  private emitMessage(type: string, data: any): void {
+    this.publishHeapSize();
+    super.emit(type, data);
+    super.emit(KernelEvents.ALL, { type, data } as IEventData);
+  }
+
+  /**
+   * Console for cells: log/info/debug go to stdout, warn/error to stderr
+   * @private
+   */
+  private createConsole(): Console {
+    const write = (name: "stdout" | "stderr") => (...args: any[]) => {
+      this.publish(KernelEvents.STREAM, { name, text: `${args.map(formatValue).join(" ")}\n` });
+    };
+    return Object.assign(Object.create(console), {
+      log: write("stdout"),
+      info: write("stdout"),
+      debug: write("stdout"),
+      dir: write("stdout"),
+      warn: write("stderr"),
+      error: write("stderr")
+    });
+  }
+
+  /**
+   * Ask the front-end for a line of input
+   * @private
+   */
+  private readInput(prompt: string): Promise<string> {
+    if (!this._allowStdin) {
+      const error = new Error("input was called, but this execution does not allow stdin");
+      error.name = "StdinNotImplementedError";
+      return Promise.reject(error);
+    }
+
+    // Listen for the reply before asking, so an immediate answer is not lost
+    const replyPromise = new Promise<IInputReply>((resolve) => {
+      this._resolveInputReply = resolve;
+    });
+    this.publish(KernelEvents.INPUT_REQUEST, { prompt, password: false });
+    return replyPromise.then(reply => {
+      if (reply.timedOut) {
+        const error = new Error("Timed out waiting for input");
+        error.name = "TimeoutError";
+        throw error;
+      }
+      return reply.value;
+    });
+  }
+
+  /**
+   * Handle input reply from user
+   */
+  public async inputReply(content: IInputReply): Promise<void> {
+    if (this._resolveInputReply) {
+      this._resolveInputReply(content);
+      this._resolveInputReply = null;
+    }
+  }
+
+  /**
+   * Resolve a dotted name against the kernel scope and the globals
+   * @private
+   */
+  private lookup(name: string): any {
+    const [first, ...rest] = name.split(".");
+    try {
+      let value = first in this.scope ? this.scope[first] : (globalThis as any)[first];
+      for (const part of rest) {
+        value = value?.[part];
+      }
+      return value;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Complete the name before the cursor
+   */
+  public async complete(code: string, cursor_pos: number): Promise<any> {
+    const end = cursor_pos ?? code.length;
+    const token = /[\w$.]*$/.exec(code.slice(0, end))![0];
+    const dot = token.lastIndexOf(".");
+    const prefix = token.slice(dot + 1);
+
+    let candidates: string[];
+    if (dot >= 0) {
+      const target = this.lookup(token.slice(0, dot));
+      candidates = target === undefined || target === null ? [] : propertyNames(target);
+    } else {
+      candidates = [...Object.keys(this.scope), ...propertyNames(globalThis), ...JS_KEYWORDS];
+    }
+
+    return {
+      matches: [...new Set(candidates)].filter(name => name.startsWith(prefix)).sort(),
+      cursor_start: end - prefix.length,
+      cursor_end: end,
+      metadata: {},
+      status: "ok"
+    };
+  }
+
+  /**
+   * Describe the name under the cursor
+   */
+  public async inspect(code: string, cursor_pos: number, detail_level: 0 | 1): Promise<any> {
+    const before = /[\w$.]*$/.exec(code.slice(0, cursor_pos))![0];
+    const after = /^[\w$]*/.exec(code.slice(cursor_pos))![0];
+    const name = (before + after).replace(/^\.+|\.+$/g, "");
+    const value = name ? this.lookup(name) : undefined;
+    if (value === undefined) {
+      return { data: {}, metadata: {}, found: false, status: "ok" };
+    }
+
+    const type = value !== null && typeof value === "object" ? value.constructor?.name || "Object" : typeof value;
+    let text = `Type: ${type}`;
+    if (typeof value === "function") {
+      const source = Function.prototype.toString.call(value);
+      text += `\n${detail_level > 0 ? source : source.split("\n")[0]}`;
+    } else {
+      text += `\nValue: ${formatValue(value)}`;
+    }
+    return { data: { "text/plain": text }, metadata: {}, found: true, status: "ok" };
+  }
+
+  /**
+   * Check whether a cell is complete, or needs more lines
+   */
+  public async isComplete(code: string): Promise<any> {
+    try {
+      transformCell(this.typescript ? transpileTypeScript(this.typescript, code) : code);
+      return { status: "complete" };
+    } catch (error) {
+      const pos = (error as IPositionedSyntaxError).pos;
+      if (!(error instanceof SyntaxError) || pos === undefined || pos < code.trimEnd().length) {
+        return { status: "invalid" };
+      }
+      const lastLine = code.trimEnd().split("\n").pop() || "";
+      const indent = /^\s*/.exec(lastLine)![0];
+      return { status: "incomplete", indent: /[{([]$/.test(lastLine) ? `${indent}  ` : indent };
+    }
+  }
+
+  /**
+   * Clear a user namespace, optionally keeping the modules it imported
+   * @param options Which namespace to reset, and whether to keep its imports
+   */
+  public async resetNamespace(options: IResetNamespaceOptions = {}): Promise<void> {
+    const name = options.userNamespace ?? DEFAULT_USER_NAMESPACE;
+    const previous = this.userScope(name);
+    const scope = this.createScope();
+    if (options.keepImports) {
+      // Dynamic import() resolves to module namespace objects
+      for (const [key, value] of Object.entries(previous)) {
+        if (Object.prototype.toString.call(value) === "[object Module]") {
+          scope[key] = value;
+        }
+      }
+    }
+    this.userScopes.set(name, scope);
+    if (name === DEFAULT_USER_NAMESPACE) {
+      this.scope = scope;
+    }
+  }
+
+  /**
+   * List the user namespaces of the kernel, starting with the default one
+   */
+  public async listUserNamespaces(): Promise<string[]> {
+    return [...this.userScopes.keys()];
+  }
+
+  /**
+   * Delete a named user namespace and everything defined in it
+   * @param name Namespace name
+   * @returns True if the namespace existed
+   */
+  public async deleteUserNamespace(name: string): Promise<boolean> {
+    if (name === DEFAULT_USER_NAMESPACE) {
+      throw new Error("The default namespace cannot be deleted; use resetNamespace instead");
+    }
+    return this.userScopes.delete(name);
+  }
+
+  /**
+   * Summarize the variables of a user namespace
+   * Functions, classes and the kernel's own bindings are left out.
+   * @param options Name pattern, most variables to return and namespace
+   * @returns Variable summaries sorted by name
+   */
+  public async inspectVariables(options: IVariableInspectOptions = {}): Promise<IVariableSummary[]> {
+    const scope = this.userScope(options.userNamespace);
+    const pattern = options.filter ? globPattern(options.filter) : null;
+    return Object.keys(scope)
+      .filter(name => !name.startsWith("_") && !SCOPE_BUILTINS.includes(name) && typeof scope[name] !== "function")
+      .filter(name => !pattern || pattern.test(name))
+      .sort()
+      .slice(0, options.maxItems ?? 100)
+      .map(name => summarizeVariable(name, scope[name]));
+  }
+
+  /**
+   * Describe the value at a path in a user namespace, with a page of its items
+   * @param path Variable name, or the name followed by keys, indices or property names
+   * @param options Page of items and namespace
+   */
+  public async getVariableDetail(path: VariablePath, options: IVariableDetailOptions = {}): Promise<IVariableDetail> {
+    const keys = typeof path === "string" ? [path] : path;
+    const scope = this.userScope(options.userNamespace);
+    const [name, ...rest] = keys;
+    if (!(String(name) in scope) || SCOPE_BUILTINS.includes(String(name))) {
+      throw new Error(`No variable named ${JSON.stringify(name)}`);
+    }
+    const value = rest.reduce((parent, key) => variableChild(parent, key), scope[name]);
+
+    const offset = Math.max(0, options.offset ?? 0);
+    const limit = Math.max(0, options.limit ?? 100);
+    const items = variableItems(value);
+    return {
+      ...summarizeVariable(keys[keys.length - 1], value),
+      path: keys,
+      offset,
+      total: items.length,
+      items: items.slice(offset, offset + limit).map(([key, item]) => ({ ...summarizeVariable(key, item), key }))
+    };
+  }
+
+  /**
+   * Get the language of the kernel for Jupyter kernel_info replies
+   * JavaScript runs on the host's engine, which has no version to report;
+   * TypeScript reports the version of its compiler.
+   */
+  public async getKernelInfo(): Promise<IKernelInfo> {
+    await this.initialize();
+    if (this.typescript) {
+      return {
+        language_info: {
+          name: "typescript",
+          version: this.typescript.version,
+          mimetype: "text/typescript",
+          file_extension: ".ts",
+          codemirror_mode: { name: "javascript", typescript: true }
+        },
+        banner: `TypeScript ${this.typescript.version} kernel`
+      };
+    }
+    return {
+      language_info: {
+        name: "javascript",
+        version: "",
+        mimetype: "text/javascript",
+        file_extension: ".js",
+        codemirror_mode: "javascript"
+      },
+      banner: "JavaScript kernel"
+    };
+  }
+
+  /**
+   * JavaScript kernels have no comm targets
+   */
+  public async commInfo(): Promise<any> {
+    return { comms: {}, status: "ok" };
+  }
+}
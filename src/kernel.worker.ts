@@ -1,8 +1,9 @@
 // Web Worker file for running the Kernel in a separate thread
 // Import necessary modules
 import * as Comlink from "comlink";
-import { KernelEvents, IKernelOptions } from "./types";
+import { KernelEvents, KernelLanguage, IKernelOptions, IKernelSnapshot, IKernelSnapshotOptions, IPackageInstallOptions, KernelFilesystemError, IInputReply, IKernelExecuteOptions, getKernelDeathCause, IResourceUsageOptions, IResetNamespaceOptions, IVariableInspectOptions, IVariableDetailOptions, VariablePath, IDebugRequest, IProfileOptions, HostBridge, CommBuffer, IOutputPolicy } from "./types";
 import { Kernel } from "./index";
+import { JavaScriptKernel } from "./javascript-kernel";
 
 // Use a browser-compatible EventEmitter
 class EventEmitter {
@@ -30,8 +31,8 @@ class EventEmitter {
 }
 
 
-// Create a new kernel instance
-const kernel = new Kernel();
+// Create a new kernel instance (replaced by a JavaScript kernel on INITIALIZE_KERNEL if requested)
+let kernel: Kernel | JavaScriptKernel = new Kernel();
 
 // Variable to store the event port
 let eventPort: MessagePort | null = null;
@@ -42,6 +43,11 @@ let kernelOptions: IKernelOptions = {};
 // Track current event listeners for cleanup
 let currentEventListeners: Map<string, (data: any) => void> = new Map();
 
+// Outputs whose binary payloads (see setBinaryOutputs) are transferred to the manager
+const OUTPUT_EVENTS: string[] = [KernelEvents.DISPLAY_DATA, KernelEvents.UPDATE_DISPLAY_DATA, KernelEvents.EXECUTE_RESULT];
+// Bundle of the last transferred output, which the ALL event that follows shares
+let transferredBundle: any = null;
+
 // Interrupt handling for worker
 let interruptBuffer: Uint8Array | null = null;
 
@@ -68,9 +74,55 @@ function createKeyboardInterruptResult() {
   };
 }
 
+// Get the kernel for an operation that only Python kernels support
+function pythonKernel(operation: string): Kernel {
+  if (!(kernel instanceof Kernel)) {
+    throw new Error(`${operation} is not supported by javascript kernels`);
+  }
+  return kernel;
+}
+
+// Run a filesystem operation and return its outcome as plain data,
+// since Comlink only carries the message of thrown errors
+async function runFilesystemOperation<T>(operation: () => Promise<T>): Promise<{
+  result?: T;
+  error?: { code: string; operation: string; path: string; message: string };
+}> {
+  try {
+    return { result: await operation() };
+  } catch (error) {
+    if (error instanceof KernelFilesystemError) {
+      return {
+        error: { code: error.code, operation: error.operation, path: error.path, message: error.message }
+      };
+    }
+    throw error;
+  }
+}
+
+// Tell the manager when an uncaught error left the runtime unusable
+function reportFatalError(error: any): void {
+  const cause = getKernelDeathCause(error);
+  if (cause && eventPort) {
+    eventPort.postMessage({
+      type: KernelEvents.KERNEL_DIED,
+      data: { cause, message: error instanceof Error ? error.message : String(error) }
+    });
+  }
+}
+
+// Answer heartbeats from the manager. This runs whenever the event loop is free
+// (including while a cell awaits), so only code that blocks the worker delays it
+function handlePortMessage(event: MessageEvent): void {
+  if (event.data?.type === "HEARTBEAT" && eventPort) {
+    eventPort.postMessage({ type: "HEARTBEAT_ACK", data: event.data.data });
+  }
+}
+
 // Global error handlers to prevent worker crashes
 self.addEventListener("error", (event) => {
   console.error("[WORKER] Global error caught:", event.error);
+  reportFatalError(event.error);
   event.preventDefault();
 });
 
@@ -91,6 +143,7 @@ self.addEventListener("unhandledrejection", (event) => {
     }
   } else {
     console.error("[WORKER] Unhandled promise rejection:", event.reason);
+    reportFatalError(event.reason);
   }
   
   event.preventDefault();
@@ -104,6 +157,7 @@ self.addEventListener("message", (event) => {
     
     // Set the new port
     eventPort = event.data.port;
+    eventPort!.onmessage = handlePortMessage;
     
     // If the kernel is already initialized, set up event forwarding immediately
     if (kernel.isInitialized()) {
@@ -112,6 +166,9 @@ self.addEventListener("message", (event) => {
   } else if (event.data?.type === "INITIALIZE_KERNEL") {
     // Save the options for kernel initialization
     kernelOptions = event.data.options || {};
+    if (kernelOptions.lang === KernelLanguage.JAVASCRIPT && !kernel.isInitialized()) {
+      kernel = new JavaScriptKernel();
+    }
     
     // Initialize the kernel with the provided options
     initializeKernel(kernelOptions).catch(error => {
@@ -125,6 +182,11 @@ self.addEventListener("message", (event) => {
             traceback: [error.stack || ""]
           }
         });
+        // Let the manager fail kernel creation with the actual reason
+        eventPort.postMessage({
+          type: "KERNEL_INITIALIZED",
+          data: { success: false, error: error.message }
+        });
       }
     });
   } else if (event.data?.type === "SET_INTERRUPT_BUFFER") {
@@ -152,6 +214,26 @@ self.addEventListener("message", (event) => {
     // Also send on main worker channel in case eventPort isn't set up yet
     self.postMessage(responseMessage);
     
+  } else if (event.data?.type === "SET_STDIN_BUFFER") {
+    // Replies to input() arrive through this buffer while the worker is blocked
+    pythonKernel("setStdinBuffer").setStdinBuffer(event.data.buffer);
+    console.log("[WORKER] Stdin buffer set, input() will block until a reply arrives");
+    
+  } else if (event.data?.type === "SET_OUTPUT_FLOW_BUFFER") {
+    // Stream writes wait here while the manager's consumer of the stream is behind
+    kernel.setOutputFlowBuffer(event.data.buffer);
+    
+  } else if (event.data?.type === "SET_HEAP_SIZE_BUFFER") {
+    // The heap size is sampled here during cells, so memory limits hold while the worker is busy
+    kernel.setHeapSizeBuffer(event.data.buffer);
+    
+  } else if (event.data?.type === "SET_DEBUG_BUFFER") {
+    // Requests for a paused cell arrive through this buffer; their replies go out on the event port
+    pythonKernel("setDebugBuffer").setDebugBuffer(event.data.buffer, reply => {
+      eventPort?.postMessage({ type: "DEBUG_REPLY", data: reply });
+    });
+    console.log("[WORKER] Debug buffer set, paused cells will block until the host resumes them");
+    
   } else if (event.data?.type === "INTERRUPT_KERNEL") {
     // Handle interrupt request
     
@@ -257,6 +339,18 @@ function cleanupEventForwarding() {
   }
 }
 
+// Buffers of the binary payloads of an output bundle
+function outputBuffers(bundle: any): ArrayBuffer[] {
+  const buffers = new Set<ArrayBuffer>();
+  for (const value of Object.values(bundle?.data ?? {})) {
+    // Only buffers the payload has to itself can be transferred
+    if (value instanceof Uint8Array && value.buffer instanceof ArrayBuffer && value.byteLength === value.buffer.byteLength) {
+      buffers.add(value.buffer);
+    }
+  }
+  return [...buffers];
+}
+
 // Set up event forwarding from kernel to main thread
 function setupEventForwarding() {
   if (!eventPort) {
@@ -269,12 +363,28 @@ function setupEventForwarding() {
     // Create a listener function for this event type
     const listener = (data: any) => {
       if (eventPort) {
-        // Send just the event type and raw data
-        // This matches the structure used in main thread mode
-        eventPort.postMessage({
+        // Send the event type and raw data, plus the parent header of the
+        // request that produced it so the manager can correlate outputs
+        const message = {
           type: eventType,
-          data: data
-        });
+          data: data,
+          parentHeader: kernel.getParentHeader()
+        };
+        
+        // Transferred payloads are gone from the bundle, so the ALL event
+        // only tells the manager to reuse the bundle it already got
+        if (eventType === KernelEvents.ALL && transferredBundle !== null && data?.data === transferredBundle) {
+          transferredBundle = null;
+          eventPort.postMessage({ ...message, data: { type: data.type }, sharedData: true });
+          return;
+        }
+        const transfer = OUTPUT_EVENTS.includes(eventType) ? outputBuffers(data) : [];
+        if (transfer.length > 0) {
+          transferredBundle = data;
+          eventPort.postMessage({ ...message, transferred: true }, transfer);
+        } else {
+          eventPort.postMessage(message);
+        }
       }
     };
     
@@ -318,9 +428,9 @@ const simpleProxy = {
     }
   },
   
-  execute: async (code: string, parent?: any) => {
+  execute: async (code: string, parent?: any, options?: IKernelExecuteOptions) => {
     try {
-      const result = await kernel.execute(code, parent);
+      const result = await kernel.execute(code, parent, options);
       return result;
     } catch (error) {
       console.error("[WORKER] Execute error:", error);
@@ -356,7 +466,7 @@ const simpleProxy = {
     }
   },
   
-  inputReply: async (content: { value: string }) => {
+  inputReply: async (content: IInputReply) => {
     try {
       await kernel.inputReply(content);
     } catch (error) {
@@ -470,10 +580,14 @@ const simpleProxy = {
     }
   },
   
-  commOpen: async (content: any, parent?: any) => {
+  getKernelInfo: async () => {
+    return await kernel.getKernelInfo();
+  },
+  
+  commOpen: async (content: any, parent?: any, buffers?: CommBuffer[], metadata?: any) => {
     try {
-      if (typeof kernel.commOpen === 'function') {
-        const result = await kernel.commOpen(content, parent);
+      if (kernel instanceof Kernel) {
+        const result = await kernel.commOpen(content, parent, buffers, metadata);
         return result;
       } else {
         console.warn("[WORKER] Kernel does not support commOpen method");
@@ -485,10 +599,10 @@ const simpleProxy = {
     }
   },
   
-  commMsg: async (content: any, parent?: any) => {
+  commMsg: async (content: any, parent?: any, buffers?: CommBuffer[], metadata?: any) => {
     try {
-      if (typeof kernel.commMsg === 'function') {
-        const result = await kernel.commMsg(content, parent);
+      if (kernel instanceof Kernel) {
+        const result = await kernel.commMsg(content, parent, buffers, metadata);
         return result;
       } else {
         console.warn("[WORKER] Kernel does not support commMsg method");
@@ -500,10 +614,10 @@ const simpleProxy = {
     }
   },
   
-  commClose: async (content: any, parent?: any) => {
+  commClose: async (content: any, parent?: any, buffers?: CommBuffer[], metadata?: any) => {
     try {
-      if (typeof kernel.commClose === 'function') {
-        const result = await kernel.commClose(content, parent);
+      if (kernel instanceof Kernel) {
+        const result = await kernel.commClose(content, parent, buffers, metadata);
         return result;
       } else {
         console.warn("[WORKER] Kernel does not support commClose method");
@@ -513,6 +627,212 @@ const simpleProxy = {
       console.error("[WORKER] CommClose error:", error);
       return undefined;
     }
+  },
+  
+  // Filesystem persistence
+  syncFilesystem: async () => {
+    try {
+      await pythonKernel("syncFilesystem").syncFilesystem();
+    } catch (error) {
+      console.error("[WORKER] SyncFilesystem error:", error);
+      throw error;
+    }
+  },
+  
+  // File transfer methods
+  writeFile: (path: string, data: Uint8Array | string) => {
+    return runFilesystemOperation(() => pythonKernel("writeFile").writeFile(path, data));
+  },
+  
+  readFile: async (path: string) => {
+    const outcome = await runFilesystemOperation(() => pythonKernel("readFile").readFile(path));
+    // Hand the buffer over to the main thread instead of copying it
+    return outcome.result ? Comlink.transfer(outcome, [outcome.result.buffer]) : outcome;
+  },
+  
+  listDir: (path: string) => {
+    return runFilesystemOperation(() => pythonKernel("listDir").listDir(path));
+  },
+  
+  stat: (path: string) => {
+    return runFilesystemOperation(() => pythonKernel("stat").stat(path));
+  },
+  
+  remove: (path: string, options?: { recursive?: boolean }) => {
+    return runFilesystemOperation(() => pythonKernel("remove").remove(path, options));
+  },
+  
+  mkdir: (path: string, options?: { recursive?: boolean }) => {
+    return runFilesystemOperation(() => pythonKernel("mkdir").mkdir(path, options));
+  },
+  
+  // State snapshot methods
+  snapshot: async (options?: IKernelSnapshotOptions) => {
+    try {
+      return await pythonKernel("snapshot").snapshot(options);
+    } catch (error) {
+      console.error("[WORKER] Snapshot error:", error);
+      throw error;
+    }
+  },
+  
+  restoreSnapshot: async (snapshot: IKernelSnapshot) => {
+    try {
+      return await pythonKernel("restoreSnapshot").restoreSnapshot(snapshot);
+    } catch (error) {
+      console.error("[WORKER] RestoreSnapshot error:", error);
+      throw error;
+    }
+  },
+  
+  // Package management methods
+  installPackages: async (specs: string[], options?: IPackageInstallOptions) => {
+    try {
+      return await pythonKernel("installPackages").installPackages(specs, options);
+    } catch (error) {
+      console.error("[WORKER] InstallPackages error:", error);
+      throw error;
+    }
+  },
+  
+  listPackages: async () => {
+    try {
+      return await pythonKernel("listPackages").listPackages();
+    } catch (error) {
+      console.error("[WORKER] ListPackages error:", error);
+      throw error;
+    }
+  },
+  
+  uninstallPackage: async (name: string) => {
+    try {
+      return await pythonKernel("uninstallPackage").uninstallPackage(name);
+    } catch (error) {
+      console.error("[WORKER] UninstallPackage error:", error);
+      throw error;
+    }
+  },
+  
+  exportLock: async () => {
+    try {
+      return await pythonKernel("exportLock").exportLock();
+    } catch (error) {
+      console.error("[WORKER] ExportLock error:", error);
+      throw error;
+    }
+  },
+  
+  validateNotebook: async (notebook: string) => {
+    try {
+      return await pythonKernel("validateNotebook").validateNotebook(notebook);
+    } catch (error) {
+      console.error("[WORKER] ValidateNotebook error:", error);
+      throw error;
+    }
+  },
+  
+  // User namespace methods
+  resetNamespace: async (options?: IResetNamespaceOptions) => {
+    try {
+      return await kernel.resetNamespace(options);
+    } catch (error) {
+      console.error("[WORKER] ResetNamespace error:", error);
+      throw error;
+    }
+  },
+  
+  listUserNamespaces: async () => {
+    return kernel.listUserNamespaces();
+  },
+  
+  deleteUserNamespace: async (name: string) => {
+    try {
+      return await kernel.deleteUserNamespace(name);
+    } catch (error) {
+      console.error("[WORKER] DeleteUserNamespace error:", error);
+      throw error;
+    }
+  },
+  
+  // Variable inspector methods
+  inspectVariables: async (options?: IVariableInspectOptions) => {
+    try {
+      return await kernel.inspectVariables(options);
+    } catch (error) {
+      console.error("[WORKER] InspectVariables error:", error);
+      throw error;
+    }
+  },
+  
+  getVariableDetail: async (path: VariablePath, options?: IVariableDetailOptions) => {
+    try {
+      return await kernel.getVariableDetail(path, options);
+    } catch (error) {
+      console.error("[WORKER] GetVariableDetail error:", error);
+      throw error;
+    }
+  },
+  
+  // Debugger (requests for a paused cell go through the debug buffer instead)
+  debug: async (request: IDebugRequest) => {
+    try {
+      return await pythonKernel("debug").debug(request);
+    } catch (error) {
+      console.error("[WORKER] Debug error:", error);
+      throw error;
+    }
+  },
+  
+  // Profiler
+  takeProfile: async (parentMsgId: string, options?: IProfileOptions) => {
+    try {
+      return await pythonKernel("takeProfile").takeProfile(parentMsgId, options);
+    } catch (error) {
+      console.error("[WORKER] TakeProfile error:", error);
+      throw error;
+    }
+  },
+  
+  setBinaryOutputs: async (enabled: boolean) => {
+    if (kernel instanceof Kernel) {
+      kernel.setBinaryOutputs(enabled);
+    }
+  },
+
+  setOutputPolicy: async (policy: IOutputPolicy) => {
+    kernel.setOutputPolicy(policy);
+  },
+  
+  // Host objects (the bridge is a Comlink proxy of the manager's; Python callbacks
+  // are only proxied when they are whole arguments)
+  setHostBridge: async (bridge: (exposureId: number, path: string[], ...args: unknown[]) => Promise<unknown>) => {
+    const call: HostBridge = (exposureId, path, args) => bridge(exposureId, path, ...args.map(arg =>
+      typeof arg === "function" ? Comlink.proxy((...values: unknown[]) => arg(...values)) : arg
+    ));
+    pythonKernel("setHostBridge").setHostBridge(call);
+  },
+  
+  exposeHost: async (name: string, exposureId: number, value: unknown) => {
+    try {
+      return await pythonKernel("exposeHost").exposeHost(name, exposureId, value);
+    } catch (error) {
+      console.error("[WORKER] ExposeHost error:", error);
+      throw error;
+    }
+  },
+  
+  unexposeHost: async (name: string) => {
+    try {
+      return await pythonKernel("unexposeHost").unexposeHost(name);
+    } catch (error) {
+      console.error("[WORKER] UnexposeHost error:", error);
+      throw error;
+    }
+  },
+  
+  // Memory accounting (javascript kernels report their heap where the browser does)
+  getResourceUsage: async (options?: IResourceUsageOptions) => {
+    return kernel.getResourceUsage(options);
   }
 };
 
@@ -35,8 +35,11 @@ class EventEmitter {
     // No-op for browser compatibility
   }
 }
-import { KernelEvents, IKernel, IKernelOptions, IFilesystemMountOptions } from "./types";
+import { KernelEvents, KernelLanguage, IKernel, IKernelOptions, IFilesystemMountOptions, IKernelSnapshot, IKernelSnapshotOptions, IKernelRestoreReport, IFileInfo, KernelFilesystemError, IPackageInfo, IPackageInstallOptions, IPackageInstallResult, IPyodideOptions, IBootstrapOptions, BootstrapProfile, IJavaScriptKernelOptions, IKernelDeathInfo, KernelDiedError, getKernelDeathCause, IInputRequest, IInputReply, IKernelExecuteOptions, IResourceUsageOptions, IKernelResourceUsage, IResetNamespaceOptions, IVariableInspectOptions, IVariableSummary, IVariableDetailOptions, IVariableDetail, VariablePath, StdinState, STDIN_HEADER_BYTES, STDIN_MAX_REPLY_BYTES, IDebugRequest, IDebugResponse, IDebugEvent, DebugChannelState, DEBUG_HEADER_BYTES, DEBUG_MAX_REQUEST_BYTES, HEAP_SIZE_BUFFER_BYTES, WASM_PAGE_BYTES, OUTPUT_FLOW_BUFFER_BYTES, OutputFlowState, IProfileOptions, IProfileReport, HostBridge, HOST_FUNCTION_KEY, CommBuffer, CommTargetHandler, ICommMessage, IOutputPolicy } from "./types";
 import { Kernel } from "./index";
+import { HostComm } from "./comm";
+import { AsyncQueue } from "./queue";
+import { JavaScriptKernel } from "./javascript-kernel";
 
 // Re-export KernelEvents for test usage
 export { KernelEvents };
@@ -47,10 +50,8 @@ export enum KernelMode {
   WORKER = "worker"
 }
 
-// Kernel language enum
-export enum KernelLanguage {
-  PYTHON = "python"
-}
+// Re-export KernelLanguage, which lives with the kernel types
+export { KernelLanguage };
 
 // Extended WorkerOptions interface to include Deno permissions
 interface WorkerOptions {
@@ -69,6 +70,7 @@ export interface IKernelPoolConfig {
   preloadConfigs: Array<{
     mode: KernelMode;
     language: KernelLanguage;
+    profile?: BootstrapProfile; // Bootstrap profile of the pooled kernels (default: "standard")
   }>; // Configurations to preload in the pool
 }
 
@@ -81,6 +83,49 @@ export interface IKernelManagerOptions {
   }>; // Restrict which kernel types can be created
   interruptionMode?: 'shared-array-buffer' | 'kernel-interrupt' | 'auto'; // Default: 'auto'
   workerUrl?: string; // Optional custom URL for the worker script
+  pyodide?: IPyodideOptions; // Default Pyodide distribution for all kernels, including pooled ones
+  recovery?: IKernelRecoveryPolicy; // What to do when a kernel dies (default: { strategy: "none" })
+}
+
+// How the manager recovers a kernel that died
+// - none: remove the dead kernel
+// - restart: recreate it right away with the same ID and options
+// - backoff: recreate it after a delay that doubles with every failed attempt
+export type KernelRecoveryStrategy = "none" | "restart" | "backoff";
+
+// Recovery policy for dead kernels
+export interface IKernelRecoveryPolicy {
+  strategy: KernelRecoveryStrategy;
+  maxRetries?: number; // Restart attempts before the kernel is given up (default: 3)
+  initialDelay?: number; // backoff: milliseconds before the first attempt (default: 1000)
+  maxDelay?: number; // backoff: upper bound for the delay in milliseconds (default: 30000)
+}
+
+// Heartbeat settings of a worker kernel
+export interface IHeartbeatOptions {
+  interval?: number; // Milliseconds between beats (default: 5000)
+  missedBeats?: number; // Beats missed in a row before KERNEL_UNRESPONSIVE is emitted (default: 3)
+  skipDuringExecution?: boolean; // Don't count beats missed while a cell runs, for long synchronous cells (default: false)
+}
+
+// Liveness of a worker kernel as seen by its heartbeat
+export interface IKernelHeartbeat {
+  responsive: boolean; // False once missedBeats beats in a row went unanswered
+  latency: number | null; // Round trip of the last answered beat in milliseconds
+  lastBeat: string | null; // When the last beat was answered (ISO timestamp)
+  missedBeats: number; // Unanswered beats since the last answer
+  interval: number;
+  suspended: boolean; // Missed beats are not counted right now (skipDuringExecution while a cell runs)
+}
+
+// Memory limit of a kernel, on the size of its WebAssembly heap
+// - interrupt: interrupt the running execution whenever the heap grew past the limit
+// - terminate: kill the kernel like an out-of-memory crash (the recovery policy applies)
+export interface IMemoryLimit {
+  bytes: number;
+  action?: "interrupt" | "terminate"; // Default: "terminate"
+  warnAt?: number; // Fraction of the limit at which KERNEL_MEMORY_WARNING is emitted (default: 0.8)
+  checkInterval?: number; // Milliseconds between checks (default: 2000)
 }
 
 // Interface for kernel instance
@@ -90,6 +135,7 @@ export interface IKernelInstance {
   mode: KernelMode;
   language: KernelLanguage;
   worker?: Worker;
+  eventPort?: MessagePort; // Channel of worker kernel events, also used for heartbeats
   created: string;
   options: IManagerKernelOptions;
   isFromPool?: boolean; // Track if this kernel came from the pool
@@ -119,16 +165,197 @@ export interface IManagerKernelOptions {
   filesystem?: IFilesystemMountOptions;
   env?: Record<string, string>; // Environment variables to set in the kernel
   lockFileURL?: string; // URL to pyodide-lock.json file for faster loading
+  pyodide?: IPyodideOptions; // Pyodide distribution, merged over the manager's default
+  bootstrap?: IBootstrapOptions; // Packages to install at startup (profile, extra packages, preloads)
   inactivityTimeout?: number; // Time in milliseconds after which an inactive kernel will be shut down
   maxExecutionTime?: number; // Maximum time in milliseconds a single execution can run before considered stuck/dead
+  inputTimeout?: number; // Time in milliseconds to wait for a reply to input() before it raises TimeoutError (default: wait forever)
+  javascript?: IJavaScriptKernelOptions; // Options for JavaScript kernels (TypeScript support)
+  recovery?: IKernelRecoveryPolicy; // Overrides the manager's recovery policy for this kernel
+  heartbeat?: IHeartbeatOptions | false; // Liveness probing of worker kernels (false disables it)
+  memoryLimit?: IMemoryLimit; // Warn about, interrupt or terminate a kernel that uses too much memory (worker kernels only)
+  watchVariables?: boolean | IVariableInspectOptions; // Emit VARIABLES_CHANGED with the inspected variables after each execution
+  binaryOutputs?: boolean; // Binary MIME payloads of outputs (images, Arrow buffers) arrive as Uint8Arrays, transferred from workers without copying
+  outputPolicy?: IOutputPolicy; // Limits on the stdout/stderr output of executions (coalescing, rate, cap, overflow); executions can override them
+}
+
+// Lifecycle status of a queued execution
+export type ExecutionStatus = "queued" | "running" | "done" | "cancelled";
+
+// Options for submitting code to a kernel's execution queue
+// The IKernelExecuteOptions fields (silent, storeHistory, userExpressions, allowStdin, userNamespace) are passed on to the kernel.
+export interface IExecutionRequestOptions extends IKernelExecuteOptions {
+  executionId?: string; // Caller-chosen execution ID (generated when omitted)
+  priority?: number; // Higher priorities run first; equal priorities run in submission order (default 0)
+  onInput?: (request: IInputRequest) => string | Promise<string>; // Answers input()/getpass() prompts of this execution
+  inputTimeout?: number; // Milliseconds to wait for an input reply before input() raises TimeoutError (default: the kernel's inputTimeout)
+  stopOnError?: boolean; // Cancel the kernel's queued executions if this one fails (default: false)
+  timeout?: number; // Milliseconds before the execution counts as stuck, overriding the kernel's maxExecutionTime
+}
+
+// Options for profiling an execution: how it runs and how its stats are reported
+export interface IProfileRequestOptions extends Omit<IExecutionRequestOptions, "profile">, IProfileOptions {}
+
+// Result of a profiled execution together with its profile
+export interface IProfileResult extends IProfileReport {
+  success: boolean;
+  result?: any;
+  error?: Error;
 }
 
+// Information about an execution submitted to a kernel
+export interface IExecutionInfo {
+  id: string;
+  kernelId: string;
+  status: ExecutionStatus;
+  priority: number;
+  code: string;
+  parentMsgId?: string; // msg_id of the parent header used to correlate outputs
+  submittedAt: number;
+  startedAt?: number;
+  finishedAt?: number;
+}
+
+// Kernel state snapshot together with the configuration needed to recreate the kernel
+export interface IManagerKernelSnapshot extends IKernelSnapshot {
+  kernel: {
+    mode: KernelMode;
+    language: KernelLanguage;
+    options: Pick<IManagerKernelOptions, "env" | "lockFileURL" | "pyodide" | "bootstrap" | "filesystem" | "inactivityTimeout" | "maxExecutionTime" | "inputTimeout" | "javascript">;
+  };
+}
+
+// Options for restarting a kernel
+export interface IRestartKernelOptions {
+  keepState?: boolean; // Snapshot the kernel before restarting and restore it afterwards
+}
+
+// Number of finished executions remembered per kernel for status lookups
+const EXECUTION_HISTORY_LIMIT = 100;
+
+// Worker kernel events streamed as outputs of the execution they belong to
+const STREAMED_EVENTS = [
+  KernelEvents.STREAM,
+  KernelEvents.DISPLAY_DATA,
+  KernelEvents.UPDATE_DISPLAY_DATA,
+  KernelEvents.EXECUTE_RESULT,
+  KernelEvents.EXECUTE_ERROR,
+  KernelEvents.INPUT_REQUEST
+];
+
+// Events of an execution queued for its consumer before a worker's output is paused
+const STREAM_HIGH_WATER_MARK = 1000;
+
+// Heartbeat bookkeeping of a worker kernel
+type HeartbeatState = {
+  status: IKernelHeartbeat;
+  threshold: number; // Missed beats before the kernel counts as unresponsive
+  skipDuringExecution: boolean;
+  timer: any; // Beat timer (null when the heartbeat is disabled)
+  seq: number; // Last beat sequence number
+  outstanding: number | null; // Beat of the timer still waiting for an answer
+  pending: Map<number, { sent: number; answered: (latency: number) => void }>;
+};
+
+// Debug buffer of a Python worker kernel, which carries requests while one of its cells is paused
+type DebugChannel = {
+  buffer: SharedArrayBuffer;
+  paused: boolean; // Between the debugger's "stopped" and "continued" events
+  chain: Promise<unknown>; // Requests are written into the buffer one at a time
+  replies: Map<number, { command: string; resolve: (reply: IDebugResponse) => void }>;
+};
+
+// Memory limit bookkeeping of a kernel
+type MemoryMonitor = {
+  timer: any;
+  checking: boolean; // A check is waiting for the kernel to answer
+  warned: boolean; // KERNEL_MEMORY_WARNING was emitted
+  enforcedAt: number; // Heap size at which the limit was last enforced
+};
+
 // Helper type for listener management
 type ListenerWrapper = {
   original: (data: any) => void;
   wrapped: (event: { kernelId: string, data: any }) => void;
 };
 
+/**
+ * Unwrap the result of a worker filesystem operation, rethrowing structured errors
+ * @param outcome Result or error returned by the worker
+ * @returns The operation's result
+ */
+function unwrapFilesystemOutcome(outcome: any): any {
+  if (outcome && outcome.error) {
+    const { code, operation, path, message } = outcome.error;
+    throw new KernelFilesystemError(code, operation, path, message);
+  }
+  return outcome ? outcome.result : undefined;
+}
+
+/**
+ * Pick the options the kernel itself handles (callbacks cannot be sent to a worker)
+ * @param options Execution request options
+ * @returns Kernel execute options
+ */
+function toKernelExecuteOptions(options: IExecutionRequestOptions): IKernelExecuteOptions {
+  const { silent, storeHistory, userExpressions, allowStdin, userNamespace, profile, outputPolicy } = options;
+  return { silent, storeHistory, userExpressions, allowStdin, userNamespace, profile, outputPolicy };
+}
+
+// Host value exposed to a kernel
+type HostExposure = {
+  id: number;
+  value: unknown;
+};
+
+// Names host objects can be imported as from the host module
+const HOST_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Describe a host value for a kernel: functions become HOST_FUNCTION_KEY markers
+ * with their path, the properties and methods of objects are walked, other
+ * values (typed arrays, dates, maps, ...) are passed on as they are
+ * @param value Host value
+ * @param path Path from the exposed value
+ * @param seen Objects on the way to the value, to skip cycles
+ * @returns Value that can be sent to a worker
+ */
+function describeHostValue(value: unknown, path: string[] = [], seen: Set<object> = new Set()): unknown {
+  if (typeof value === "function") {
+    return { [HOST_FUNCTION_KEY]: path };
+  }
+  if (value === null || typeof value !== "object" || ArrayBuffer.isView(value) || value instanceof ArrayBuffer ||
+      value instanceof Date || value instanceof Map || value instanceof Set) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return undefined;
+  }
+  seen.add(value);
+  try {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => describeHostValue(item, [...path, String(index)], seen));
+    }
+    
+    // Methods of class instances live on their prototypes
+    const keys = new Set(Object.keys(value));
+    for (let proto = Object.getPrototypeOf(value); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+      for (const key of Object.getOwnPropertyNames(proto)) {
+        if (key !== "constructor" && typeof Object.getOwnPropertyDescriptor(proto, key)?.value === "function") {
+          keys.add(key);
+        }
+      }
+    }
+    const description: Record<string, unknown> = {};
+    for (const key of keys) {
+      description[key] = describeHostValue((value as Record<string, unknown>)[key], [...path, key], seen);
+    }
+    return description;
+  } finally {
+    seen.delete(value);
+  }
+}
+
 /**
  * KernelManager class manages multiple kernel instances 
  * in either main thread or worker mode
@@ -152,7 +379,14 @@ export class KernelManager extends EventEmitter {
   
   // Track AbortControllers for each kernel's ongoing operations
   private abortControllers: Map<string, Map<string, AbortController>> = new Map();
-  
+
+  // Per-kernel execution queues (waiting executions ordered by priority, then submission)
+  private executionQueues: Map<string, Array<{ info: IExecutionInfo; admit: (admitted: boolean) => void }>> = new Map();
+  // Execution currently running on each kernel
+  private runningExecutions: Map<string, IExecutionInfo> = new Map();
+  // Recent executions per kernel, for status lookups
+  private executionRecords: Map<string, Map<string, IExecutionInfo>> = new Map();
+
   // Pool management - now using promises for immediate response
   private pool: Map<string, Promise<IKernelInstance>[]> = new Map();
   private poolConfig: IKernelPoolConfig;
@@ -169,12 +403,57 @@ export class KernelManager extends EventEmitter {
   // Interrupt buffers for worker kernels (using SharedArrayBuffer)
   private interruptBuffers: Map<string, Uint8Array> = new Map();
   
+  // Timers for pending input requests, by kernel ID
+  private inputTimeouts: Map<string, any> = new Map();
+  
   // Interruption mode configuration
   private interruptionMode: 'shared-array-buffer' | 'kernel-interrupt' | 'auto';
   
   // Worker URL configuration
   private workerUrl: string | undefined;
   
+  // Default Pyodide distribution
+  private pyodideOptions: IPyodideOptions | undefined;
+  
+  // Recovery of dead kernels
+  private recoveryPolicy: IKernelRecoveryPolicy;
+  // Automatic restarts per kernel ID
+  private recoveryCounts: Map<string, number> = new Map();
+  // Kernels being recovered; destroying one cancels its recovery
+  private pendingRecoveries: Map<string, { cancelled: boolean }> = new Map();
+  
+  // Heartbeats of worker kernels, by kernel ID
+  private heartbeats: Map<string, HeartbeatState> = new Map();
+  
+  // Debug buffers of Python worker kernels, by kernel ID
+  private debugChannels: Map<string, DebugChannel> = new Map();
+  // Sequence number of debug requests sent without one
+  private debugSeq = 0;
+  
+  // Host objects exposed to kernels, by kernel ID and name
+  private hostExports: Map<string, Map<string, HostExposure>> = new Map();
+  // Exposure IDs let kernels call exactly the object they imported
+  private hostExposureSeq = 0;
+  
+  // Host comm targets, by kernel ID and target name
+  private commTargets: Map<string, Map<string, CommTargetHandler>> = new Map();
+  // Comms Python opened for them, by kernel ID and comm ID
+  private hostComms: Map<string, Map<string, HostComm>> = new Map();
+  // Whether comm messages are routed to the host comms yet
+  private routingComms = false;
+  
+  // Last output of each worker kernel whose binary payloads were transferred (see emitWorkerEvent)
+  private transferredOutputs: Map<string, any> = new Map();
+  
+  // Memory limit checks, by kernel ID
+  private memoryMonitors: Map<string, MemoryMonitor> = new Map();
+  // Heap sizes published by worker kernels through shared memory, in WebAssembly pages
+  private heapSizeGauges: Map<string, Int32Array> = new Map();
+  // Flow control of the stream output of worker kernels (see OutputFlowState)
+  private outputFlowBuffers: Map<string, Int32Array> = new Map();
+  // Heap size of ready pool kernels (idle kernels do not grow)
+  private poolKernelHeapSizes: WeakMap<Promise<IKernelInstance>, number> = new WeakMap();
+  
   /**
    * Resolve the worker URL based on the current environment
    * @private
@@ -219,6 +498,32 @@ export class KernelManager extends EventEmitter {
     return './kernel.worker.js';
   }
   
+  /**
+   * Merge a kernel's Pyodide distribution over the manager default
+   * Relative URLs are made absolute against the page, since worker kernels
+   * would otherwise resolve them against the worker script.
+   * @param options Kernel-level Pyodide options
+   * @returns Options to hand to the kernel, or undefined for the CDN default
+   * @private
+   */
+  private resolvePyodideOptions(options?: IPyodideOptions): IPyodideOptions | undefined {
+    if (!this.pyodideOptions && !options) {
+      return undefined;
+    }
+    
+    const resolved: IPyodideOptions = { ...this.pyodideOptions, ...options };
+    const base = typeof location !== 'undefined' ? location.href : undefined;
+    if (base) {
+      for (const key of ['indexURL', 'scriptURL', 'packageBaseUrl', 'wheelsURL'] as const) {
+        const value = resolved[key];
+        if (value) {
+          resolved[key] = new URL(value, base).href;
+        }
+      }
+    }
+    return resolved;
+  }
+  
   /**
    * Helper function to check if an error is a KeyboardInterrupt
    * @private
@@ -278,15 +583,16 @@ export class KernelManager extends EventEmitter {
 
   /**
    * Abort all ongoing operations for a specific kernel
+   * @param reason Abort reason; a KernelDiedError makes the executions fail with it
    * @private
    */
-  private abortAllKernelOperations(kernelId: string): void {
+  private abortAllKernelOperations(kernelId: string, reason?: any): void {
     const kernelControllers = this.abortControllers.get(kernelId);
     if (!kernelControllers) return;
 
     for (const [executionId, controller] of kernelControllers) {
       try {
-        controller.abort();
+        controller.abort(reason);
         console.log(`🚫 Aborted execution ${executionId} for kernel ${kernelId}`);
       } catch (error) {
         console.warn(`⚠️ Error aborting execution ${executionId}:`, error);
@@ -307,6 +613,12 @@ export class KernelManager extends EventEmitter {
     // Set worker URL if provided
     this.workerUrl = options.workerUrl;
     
+    // Set the default Pyodide distribution if provided
+    this.pyodideOptions = options.pyodide;
+    
+    // Leave dead kernels alone unless a recovery policy is configured
+    this.recoveryPolicy = options.recovery || { strategy: "none" };
+    
     // Set default allowed kernel types (worker mode only for security)
     this.allowedKernelTypes = options.allowedKernelTypes || [
       { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
@@ -346,29 +658,32 @@ export class KernelManager extends EventEmitter {
   
   
   /**
-   * Generate a pool key for a given mode and language combination
+   * Generate a pool key for a given mode, language and bootstrap profile combination
+   * Standard kernels keep the plain `${mode}-${language}` key.
    * @param mode Kernel mode
    * @param language Kernel language
+   * @param profile Bootstrap profile
    * @returns Pool key string
    * @private
    */
-  private getPoolKey(mode: KernelMode, language: KernelLanguage): string {
-    return `${mode}-${language}`;
+  private getPoolKey(mode: KernelMode, language: KernelLanguage, profile: BootstrapProfile = "standard"): string {
+    return profile === "standard" ? `${mode}-${language}` : `${mode}-${language}-${profile}`;
   }
   
   /**
    * Get a kernel promise from the pool if available
    * @param mode Kernel mode
    * @param language Kernel language
+   * @param profile Bootstrap profile
    * @returns Kernel promise or null if none available
    * @private
    */
-  private getFromPool(mode: KernelMode, language: KernelLanguage): Promise<IKernelInstance> | null {
+  private getFromPool(mode: KernelMode, language: KernelLanguage, profile: BootstrapProfile = "standard"): Promise<IKernelInstance> | null {
     if (!this.poolConfig.enabled) {
       return null;
     }
     
-    const poolKey = this.getPoolKey(mode, language);
+    const poolKey = this.getPoolKey(mode, language, profile);
     const poolPromises = this.pool.get(poolKey);
     
     if (!poolPromises || poolPromises.length === 0) {
@@ -381,7 +696,7 @@ export class KernelManager extends EventEmitter {
     // Immediately trigger background refill to add one promise back
     if (this.poolConfig.autoRefill) {
       setTimeout(() => {
-        this.refillPoolSingle(mode, language).catch(error => {
+        this.refillPoolSingle(mode, language, profile).catch(error => {
           console.error(`Error refilling single kernel for ${poolKey}:`, error);
         });
       }, 0);
@@ -394,15 +709,16 @@ export class KernelManager extends EventEmitter {
    * Add a kernel promise to the pool
    * @param mode Kernel mode
    * @param language Kernel language
+   * @param profile Bootstrap profile
    * @param kernelPromise Kernel promise
    * @private
    */
-  private addToPool(mode: KernelMode, language: KernelLanguage, kernelPromise: Promise<IKernelInstance>): void {
+  private addToPool(mode: KernelMode, language: KernelLanguage, profile: BootstrapProfile, kernelPromise: Promise<IKernelInstance>): void {
     if (!this.poolConfig.enabled) {
       return;
     }
     
-    const poolKey = this.getPoolKey(mode, language);
+    const poolKey = this.getPoolKey(mode, language, profile);
     
     if (!this.pool.has(poolKey)) {
       this.pool.set(poolKey, []);
@@ -414,6 +730,14 @@ export class KernelManager extends EventEmitter {
     if (poolPromises.length < this.poolConfig.poolSize) {
       poolPromises.push(kernelPromise);
       
+      // Remember the heap size of the ready kernel for getPoolStats
+      kernelPromise.then(async kernel => {
+        const usage = await kernel.kernel.getResourceUsage?.();
+        if (usage?.heapSize) {
+          this.poolKernelHeapSizes.set(kernelPromise, usage.heapSize);
+        }
+      }).catch(() => undefined);
+      
       // Handle promise rejection to prevent unhandled rejections
       kernelPromise.catch(error => {
         console.error(`Pool kernel promise rejected for ${poolKey}:`, error);
@@ -439,20 +763,21 @@ export class KernelManager extends EventEmitter {
    * Refill the pool with a single kernel promise
    * @param mode Kernel mode
    * @param language Kernel language
+   * @param profile Bootstrap profile
    * @private
    */
-  private async refillPoolSingle(mode: KernelMode, language: KernelLanguage): Promise<void> {
+  private async refillPoolSingle(mode: KernelMode, language: KernelLanguage, profile: BootstrapProfile = "standard"): Promise<void> {
     if (!this.poolConfig.enabled) {
       return;
     }
     
-    const poolKey = this.getPoolKey(mode, language);
+    const poolKey = this.getPoolKey(mode, language, profile);
     const poolPromises = this.pool.get(poolKey) || [];
     
     // Only add one if we're below the pool size
     if (poolPromises.length < this.poolConfig.poolSize) {
-      const kernelPromise = this.createPoolKernelPromise(mode, language);
-      this.addToPool(mode, language, kernelPromise);
+      const kernelPromise = this.createPoolKernelPromise(mode, language, profile);
+      this.addToPool(mode, language, profile, kernelPromise);
     }
   }
 
@@ -460,14 +785,15 @@ export class KernelManager extends EventEmitter {
    * Refill the pool for a specific configuration with parallel creation
    * @param mode Kernel mode
    * @param language Kernel language
+   * @param profile Bootstrap profile
    * @private
    */
-  private async refillPool(mode: KernelMode, language: KernelLanguage): Promise<void> {
+  private async refillPool(mode: KernelMode, language: KernelLanguage, profile: BootstrapProfile = "standard"): Promise<void> {
     if (!this.poolConfig.enabled) {
       return;
     }
     
-    const poolKey = this.getPoolKey(mode, language);
+    const poolKey = this.getPoolKey(mode, language, profile);
     
     // Check if already prefilling this pool key to prevent duplicates
     if (this.prefillingInProgress.get(poolKey)) {
@@ -487,12 +813,12 @@ export class KernelManager extends EventEmitter {
       
       // Create all needed kernel promises in parallel
       const newPromises = Array.from({ length: needed }, () => 
-        this.createPoolKernelPromise(mode, language)
+        this.createPoolKernelPromise(mode, language, profile)
       );
       
       // Add all promises to the pool
       for (const kernelPromise of newPromises) {
-        this.addToPool(mode, language, kernelPromise);
+        this.addToPool(mode, language, profile, kernelPromise);
       }
       
     } catch (error) {
@@ -507,18 +833,19 @@ export class KernelManager extends EventEmitter {
    * Create a kernel promise for the pool
    * @param mode Kernel mode
    * @param language Kernel language
+   * @param profile Bootstrap profile
    * @returns Promise that resolves to a kernel instance
    * @private
    */
-  private createPoolKernelPromise(mode: KernelMode, language: KernelLanguage): Promise<IKernelInstance> {
+  private createPoolKernelPromise(mode: KernelMode, language: KernelLanguage, profile: BootstrapProfile = "standard"): Promise<IKernelInstance> {
     return new Promise(async (resolve, reject) => {
       try {
-        const kernel = await this.createPoolKernel(mode, language);
+        const kernel = await this.createPoolKernel(mode, language, profile);
         // Mark as taken from pool
         kernel.isFromPool = true;
         resolve(kernel);
       } catch (error) {
-        console.error(`Error creating pool kernel for ${mode}-${language}:`, error);
+        console.error(`Error creating pool kernel for ${this.getPoolKey(mode, language, profile)}:`, error);
         reject(error);
       }
     });
@@ -528,10 +855,11 @@ export class KernelManager extends EventEmitter {
    * Create a kernel specifically for the pool
    * @param mode Kernel mode
    * @param language Kernel language
+   * @param profile Bootstrap profile
    * @returns Kernel instance
    * @private
    */
-  private async createPoolKernel(mode: KernelMode, language: KernelLanguage): Promise<IKernelInstance> {
+  private async createPoolKernel(mode: KernelMode, language: KernelLanguage, profile: BootstrapProfile = "standard"): Promise<IKernelInstance> {
     // Generate a temporary ID for the pool kernel
     const tempId = `pool-${crypto.randomUUID()}`;
     
@@ -540,6 +868,9 @@ export class KernelManager extends EventEmitter {
       mode,
       lang: language
     };
+    if (profile !== "standard") {
+      options.bootstrap = { profile };
+    }
     
     // Store options temporarily - but don't store incomplete instance in kernels map
     // Instead, we'll pass the options directly to the creation methods
@@ -603,9 +934,9 @@ export class KernelManager extends EventEmitter {
       // Preload kernels for each configured type
       for (const config of this.poolConfig.preloadConfigs) {
         try {
-          await this.refillPool(config.mode, config.language);
+          await this.refillPool(config.mode, config.language, config.profile);
         } catch (error) {
-          console.error(`Error preloading ${config.mode}-${config.language}:`, error);
+          console.error(`Error preloading ${this.getPoolKey(config.mode, config.language, config.profile)}:`, error);
           // Continue with other configurations
         }
       }
@@ -628,8 +959,8 @@ export class KernelManager extends EventEmitter {
       return false;
     }
     
-    // Don't use pool if custom filesystem or permissions are specified
-    if (options.filesystem || options.deno?.permissions) {
+    // Don't use pool if custom filesystem, permissions or Pyodide distribution are specified
+    if (options.filesystem || options.deno?.permissions || options.pyodide) {
       return false;
     }
     
@@ -638,6 +969,16 @@ export class KernelManager extends EventEmitter {
       return false;
     }
     
+    // Don't use pool for JavaScript kernels with custom options
+    if (options.javascript) {
+      return false;
+    }
+    
+    // Pooled kernels are keyed by profile only; extra packages need a fresh kernel
+    if (options.bootstrap?.packages?.length || options.bootstrap?.preload?.length) {
+      return false;
+    }
+    
     return true;
   }
   
@@ -661,6 +1002,7 @@ export class KernelManager extends EventEmitter {
       mode: poolKernel.mode,
       language: poolKernel.language,
       worker: poolKernel.worker,
+      eventPort: poolKernel.eventPort,
       created: new Date().toISOString(), // Update creation time
       options: { ...poolKernel.options, ...options },
       isFromPool: true,
@@ -675,6 +1017,15 @@ export class KernelManager extends EventEmitter {
       throw new Error(`Failed to preserve destroy function during pool kernel reassignment`);
     }
     
+    // Shared buffers follow the kernel from its temporary pool ID
+    for (const buffers of [this.heapSizeGauges, this.outputFlowBuffers]) {
+      const buffer = buffers.get(poolKernel.id);
+      if (buffer) {
+        buffers.delete(poolKernel.id);
+        buffers.set(newId, buffer);
+      }
+    }
+    
     return updatedInstance;
   }
   
@@ -682,13 +1033,15 @@ export class KernelManager extends EventEmitter {
    * Get pool statistics for debugging/monitoring
    * @returns Pool statistics
    */
-  public getPoolStats(): Record<string, { available: number; total: number }> {
-    const stats: Record<string, { available: number; total: number }> = {};
+  public getPoolStats(): Record<string, { available: number; total: number; heapSize: number }> {
+    const stats: Record<string, { available: number; total: number; heapSize: number }> = {};
     
     for (const [poolKey, promises] of this.pool.entries()) {
       stats[poolKey] = {
         available: promises.length,
-        total: this.poolConfig.poolSize
+        total: this.poolConfig.poolSize,
+        // Bytes of WebAssembly memory held by the ready kernels
+        heapSize: promises.reduce((sum, promise) => sum + (this.poolKernelHeapSizes.get(promise) || 0), 0)
       };
     }
     
@@ -706,6 +1059,7 @@ export class KernelManager extends EventEmitter {
     preloadConfigs: Array<{
       mode: KernelMode;
       language: KernelLanguage;
+      profile?: BootstrapProfile;
     }>;
     isPreloading: boolean;
   } {
@@ -744,7 +1098,7 @@ export class KernelManager extends EventEmitter {
    * @param options Options for creating the kernel
    * @param options.id Optional custom ID for the kernel
    * @param options.mode Optional kernel mode (main_thread or worker)
-   * @param options.lang Optional kernel language (python or typescript)
+   * @param options.lang Optional kernel language (python or javascript)
    * @param options.namespace Optional namespace prefix for the kernel ID
    * @param options.deno.permissions Optional Deno permissions for worker mode
    * @param options.filesystem Optional filesystem mounting options
@@ -768,6 +1122,12 @@ export class KernelManager extends EventEmitter {
       }`);
     }
     
+    // Main thread kernels share one Pyodide heap, which no single kernel can be held to
+    if (options.memoryLimit && mode === KernelMode.MAIN_THREAD) {
+      console.warn('memoryLimit is ignored for main thread kernels: they share one Pyodide heap');
+      options = { ...options, memoryLimit: undefined };
+    }
+    
     // Apply namespace prefix if provided
     const id = options.namespace ? `${options.namespace}:${baseId}` : baseId;
     
@@ -778,16 +1138,17 @@ export class KernelManager extends EventEmitter {
     
     // Try to get from pool if possible
     if (this.canUsePool(options)) {
-      const poolKey = this.getPoolKey(mode, language);
+      const profile = options.bootstrap?.profile || "standard";
+      const poolKey = this.getPoolKey(mode, language, profile);
       
       // Check if this kernel type is configured for pooling
       const isPooledType = this.poolConfig.preloadConfigs.some(config => 
-        config.mode === mode && config.language === language
+        config.mode === mode && config.language === language && (config.profile || "standard") === profile
       );
       
       if (isPooledType) {
         // First try to get from existing pool
-        let poolKernelPromise = this.getFromPool(mode, language);
+        let poolKernelPromise = this.getFromPool(mode, language, profile);
         
         if (poolKernelPromise) {
           return await this.setupPoolKernelFromPromise(poolKernelPromise, id, options);
@@ -797,12 +1158,12 @@ export class KernelManager extends EventEmitter {
         // Create a new promise immediately and trigger background refill
         try {
           // Create a new kernel promise specifically for this request
-          const newKernelPromise = this.createPoolKernelPromise(mode, language);
+          const newKernelPromise = this.createPoolKernelPromise(mode, language, profile);
           
           // Trigger background refill to replenish the pool for future requests
           if (this.poolConfig.autoRefill) {
             setTimeout(() => {
-              this.refillPool(mode, language).catch(error => {
+              this.refillPool(mode, language, profile).catch(error => {
                 console.error(`Error refilling exhausted pool for ${poolKey}:`, error);
               });
             }, 0);
@@ -816,7 +1177,7 @@ export class KernelManager extends EventEmitter {
       } else {
         // This kernel type is not configured for pooling, try to get from pool anyway
         // in case there are kernels available from previous configurations
-        const poolKernelPromise = this.getFromPool(mode, language);
+        const poolKernelPromise = this.getFromPool(mode, language, profile);
         if (poolKernelPromise) {
           return await this.setupPoolKernelFromPromise(poolKernelPromise, id, options);
         }
@@ -865,11 +1226,7 @@ export class KernelManager extends EventEmitter {
         const eventHandler = (event: MessageEvent) => {
           if (event.data && event.data.type) {
             // Emit the event from the manager with kernel ID
-            // This structure matches the setupEventForwarding method for main thread kernels
-            super.emit(event.data.type, {
-              kernelId: id,
-              data: event.data.data
-            });
+            this.emitWorkerEvent(id, event.data);
           }
         };
         
@@ -877,6 +1234,8 @@ export class KernelManager extends EventEmitter {
         port1.addEventListener('message', eventHandler);
         port1.start();
         
+        instance.eventPort = port1;
+        
         // Update the destroy function to clean up the new event handler
         const originalDestroy = instance.destroy;
         instance.destroy = async () => {
@@ -905,6 +1264,22 @@ export class KernelManager extends EventEmitter {
         this.setupStalledExecutionHandler(id);
       }
       
+      // Start probing worker kernels for liveness
+      this.startHeartbeat(id);
+      
+      // Enforce the memory limit if specified
+      this.startMemoryMonitor(id);
+      
+      // Publish binary output payloads as Uint8Arrays if requested
+      if (options.binaryOutputs) {
+        await instance.kernel.setBinaryOutputs?.(true);
+      }
+      
+      // Apply the kernel's output policy
+      if (options.outputPolicy) {
+        await instance.kernel.setOutputPolicy?.(options.outputPolicy);
+      }
+      
       return id;
     } catch (error) {
       console.error(`Error setting up pool kernel ${id}:`, error);
@@ -955,11 +1330,7 @@ export class KernelManager extends EventEmitter {
       const eventHandler = (event: MessageEvent) => {
         if (event.data && event.data.type) {
           // Emit the event from the manager with kernel ID
-          // This structure matches the setupEventForwarding method for main thread kernels
-          super.emit(event.data.type, {
-            kernelId: id,
-            data: event.data.data
-          });
+          this.emitWorkerEvent(id, event.data);
         }
       };
       
@@ -967,6 +1338,8 @@ export class KernelManager extends EventEmitter {
       port1.addEventListener('message', eventHandler);
       port1.start();
       
+      instance.eventPort = port1;
+      
       // Update the destroy function to clean up the new event handler
       const originalDestroy = instance.destroy;
       instance.destroy = async () => {
@@ -995,6 +1368,20 @@ export class KernelManager extends EventEmitter {
       this.setupStalledExecutionHandler(id);
     }
     
+    // Start probing worker kernels for liveness
+    this.startHeartbeat(id);
+    
+    // Enforce the memory limit if specified
+    this.startMemoryMonitor(id);
+    
+    // Publish binary output payloads as Uint8Arrays if requested (calls to the kernel run in order)
+    if (options.binaryOutputs) {
+      void instance.kernel.setBinaryOutputs?.(true);
+    }
+    if (options.outputPolicy) {
+      void instance.kernel.setOutputPolicy?.(options.outputPolicy);
+    }
+    
     return id;
   }
   
@@ -1025,10 +1412,16 @@ export class KernelManager extends EventEmitter {
     // Create the appropriate kernel instance
     let instance: IKernelInstance;
     
-    if (mode === KernelMode.MAIN_THREAD) {
-      instance = await this.createMainThreadKernel(id);
-    } else {
-      instance = await this.createWorkerKernel(id);
+    try {
+      if (mode === KernelMode.MAIN_THREAD) {
+        instance = await this.createMainThreadKernel(id);
+      } else {
+        instance = await this.createWorkerKernel(id);
+      }
+    } catch (error) {
+      // Don't leave the placeholder behind, so the ID can be reused
+      this.kernels.delete(id);
+      throw error;
     }
     
     // Store the kernel instance
@@ -1050,6 +1443,22 @@ export class KernelManager extends EventEmitter {
       this.setupStalledExecutionHandler(id);
     }
     
+    // Start probing worker kernels for liveness
+    this.startHeartbeat(id);
+    
+    // Enforce the memory limit if specified
+    this.startMemoryMonitor(id);
+    
+    // Publish binary output payloads as Uint8Arrays if requested
+    if (options.binaryOutputs) {
+      await instance.kernel.setBinaryOutputs?.(true);
+    }
+    
+    // Apply the kernel's output policy
+    if (options.outputPolicy) {
+      await instance.kernel.setOutputPolicy?.(options.outputPolicy);
+    }
+    
     return id;
   }
   
@@ -1063,8 +1472,8 @@ export class KernelManager extends EventEmitter {
     const options = this.kernels.get(id)?.options || {};
     const language = options.lang || KernelLanguage.PYTHON;
     
-    // Create the Python kernel
-    const kernel = new Kernel();
+    // Create the kernel for the requested language
+    const kernel = language === KernelLanguage.JAVASCRIPT ? new JavaScriptKernel() : new Kernel();
     
     // Create the kernel instance
     const instance: IKernelInstance = {
@@ -1075,13 +1484,19 @@ export class KernelManager extends EventEmitter {
       created: new Date().toISOString(),
       options,
       destroy: async () => {
-        // Nothing special to do for main thread kernel
-        return Promise.resolve();
+        // Release the kernel's mount in the Pyodide shared by main thread kernels
+        try {
+          if (kernel instanceof Kernel) {
+            await kernel.unmountFilesystem();
+          }
+        } catch (error) {
+          console.warn(`Failed to unmount filesystem of kernel ${id}:`, error);
+        }
       }
     };
     
     // Initialize the kernel with filesystem options
-    const kernelOptions: IKernelOptions = {};
+    const kernelOptions: IKernelOptions = { lang: language };
     
     // Add filesystem options if provided
     if (options.filesystem) {
@@ -1098,6 +1513,22 @@ export class KernelManager extends EventEmitter {
       kernelOptions.lockFileURL = options.lockFileURL;
     }
     
+    // Add the Pyodide distribution if one is configured
+    const pyodide = this.resolvePyodideOptions(options.pyodide);
+    if (pyodide) {
+      kernelOptions.pyodide = pyodide;
+    }
+    
+    // Add the bootstrap profile and extra packages if provided
+    if (options.bootstrap) {
+      kernelOptions.bootstrap = options.bootstrap;
+    }
+    
+    // Add the JavaScript kernel options if provided
+    if (options.javascript) {
+      kernelOptions.javascript = options.javascript;
+    }
+    
     // Initialize the kernel
     await kernel.initialize(kernelOptions);
     
@@ -1135,7 +1566,9 @@ export class KernelManager extends EventEmitter {
     const { port1, port2 } = new MessageChannel();
     
     // Create a promise that will resolve when the kernel is initialized
+    let failInit: (error: Error) => void = () => undefined;
     const initPromise = new Promise<void>((resolve, reject) => {
+      failInit = reject;
       const initHandler = (event: MessageEvent) => {
         if (event.data?.type === "KERNEL_INITIALIZED") {
           if (event.data.data.success) {
@@ -1143,7 +1576,7 @@ export class KernelManager extends EventEmitter {
             resolve();
           } else {
             port1.removeEventListener('message', initHandler);
-            reject(new Error("Kernel initialization failed"));
+            reject(new Error(event.data.data.error || "Kernel initialization failed"));
           }
         }
       };
@@ -1161,11 +1594,7 @@ export class KernelManager extends EventEmitter {
     const eventHandler = (event: MessageEvent) => {
       if (event.data && event.data.type) {
         // Emit the event from the manager with kernel ID
-        // This structure matches the setupEventForwarding method for main thread kernels
-        super.emit(event.data.type, {
-          kernelId: id,
-          data: event.data.data
-        });
+        this.emitWorkerEvent(id, event.data);
       }
     };
     
@@ -1173,6 +1602,23 @@ export class KernelManager extends EventEmitter {
     port1.addEventListener('message', eventHandler);
     port1.start();
     
+    // The worker handles its own uncaught errors, so an error reaching this point
+    // (e.g. the script failed to load, or the worker crashed) means it is gone
+    const workerErrorHandler = (event: ErrorEvent) => {
+      const info: IKernelDeathInfo = {
+        cause: getKernelDeathCause(event.error ?? event.message) ?? "worker_error",
+        message: event.message || "Worker error"
+      };
+      failInit(new Error(`Kernel worker failed: ${info.message}`));
+      
+      // The kernel may have been renamed since (pool kernels are reassigned)
+      const kernelId = this.findWorkerKernelId(worker);
+      if (kernelId) {
+        this.handleKernelDeath(kernelId, info);
+      }
+    };
+    worker.addEventListener('error', workerErrorHandler);
+    
     // Initialize the kernel with filesystem options
     // We need to pass these options to the worker
     worker.postMessage({
@@ -1181,16 +1627,38 @@ export class KernelManager extends EventEmitter {
         filesystem: options.filesystem,
         env: options.env,
         lockFileURL: options.lockFileURL,
-        lang: language
+        pyodide: this.resolvePyodideOptions(options.pyodide),
+        bootstrap: options.bootstrap,
+        lang: language,
+        javascript: options.javascript
       }
     });
     
-    // Wait for kernel initialization
-    await initPromise;
+    // Wait for kernel initialization, cleaning up the worker if it fails
+    try {
+      await initPromise;
+    } catch (error) {
+      worker.removeEventListener('error', workerErrorHandler);
+      port1.close();
+      worker.terminate();
+      throw error;
+    }
     
     // Set up interrupt buffer automatically for worker kernels
     await this.setupWorkerInterruptBuffer(id, worker);
     
+    // Let input() block Python workers when shared memory is available
+    // (JavaScript kernels await their replies instead)
+    const stdinBuffer = language === KernelLanguage.PYTHON ? this.setupWorkerStdinBuffer(id, worker) : null;
+    // Stream output waits for slow consumers the same way
+    this.setupWorkerOutputFlowBuffer(id, worker);
+    // Likewise a paused debugger, which blocks the worker until it is resumed
+    if (language === KernelLanguage.PYTHON) {
+      this.setupWorkerDebugBuffer(id, worker);
+    }
+    // The memory limit reads the heap size of busy workers
+    this.setupWorkerHeapSizeBuffer(id, worker);
+    
     // Create the kernel instance
     const instance: IKernelInstance = {
       id,
@@ -1199,8 +1667,8 @@ export class KernelManager extends EventEmitter {
         initialize: async (options?: IKernelOptions) => {
           return kernelProxy.initialize(options);
         },
-        execute: async (code: string, parent?: any) => {
-          const result = await kernelProxy.execute(code, parent);
+        execute: async (code: string, parent?: any, options?: IKernelExecuteOptions) => {
+          const result = await kernelProxy.execute(code, parent, options);
           
           // Handle Python worker results (no special display reconstruction needed)
           
@@ -1209,7 +1677,12 @@ export class KernelManager extends EventEmitter {
         isInitialized: () => {
           return kernelProxy.isInitialized();
         },
-        inputReply: async (content: { value: string }) => {
+        inputReply: async (content: IInputReply) => {
+          // A worker blocked in input() can only see replies written to the stdin buffer
+          if (stdinBuffer) {
+            this.writeStdinReply(stdinBuffer, content);
+            return;
+          }
           return kernelProxy.inputReply(content);
         },
         // Map async getStatus method
@@ -1291,42 +1764,149 @@ export class KernelManager extends EventEmitter {
             return { comms: {}, status: 'error', error: String(error) };
           }
         },
-        commOpen: async (content: any, parent?: any) => {
+        getKernelInfo: async () => {
+          return await kernelProxy.getKernelInfo();
+        },
+        commOpen: async (content: any, parent?: any, buffers?: CommBuffer[], metadata?: any) => {
           try {
             if (typeof kernelProxy.commOpen === 'function') {
-              return await kernelProxy.commOpen(content, parent);
+              return await kernelProxy.commOpen(content, parent, buffers, metadata);
             }
           } catch (error) {
             console.warn('Failed to open comm:', error);
           }
         },
-        commMsg: async (content: any, parent?: any) => {
+        commMsg: async (content: any, parent?: any, buffers?: CommBuffer[], metadata?: any) => {
           try {
             if (typeof kernelProxy.commMsg === 'function') {
-              return await kernelProxy.commMsg(content, parent);
+              return await kernelProxy.commMsg(content, parent, buffers, metadata);
             }
           } catch (error) {
             console.warn('Failed to send comm message:', error);
           }
         },
-        commClose: async (content: any, parent?: any) => {
+        commClose: async (content: any, parent?: any, buffers?: CommBuffer[], metadata?: any) => {
           try {
             if (typeof kernelProxy.commClose === 'function') {
-              return await kernelProxy.commClose(content, parent);
+              return await kernelProxy.commClose(content, parent, buffers, metadata);
             }
           } catch (error) {
             console.warn('Failed to close comm:', error);
           }
+        },
+        // Map file transfer methods (structured errors are rethrown as KernelFilesystemError)
+        writeFile: async (path: string, data: Uint8Array | string, options?: { transfer?: boolean }) => {
+          const payload = options?.transfer && typeof data !== 'string'
+            ? Comlink.transfer(data, [data.buffer])
+            : data;
+          return unwrapFilesystemOutcome(await kernelProxy.writeFile(path, payload));
+        },
+        readFile: async (path: string) => {
+          return unwrapFilesystemOutcome(await kernelProxy.readFile(path));
+        },
+        listDir: async (path: string) => {
+          return unwrapFilesystemOutcome(await kernelProxy.listDir(path));
+        },
+        stat: async (path: string) => {
+          return unwrapFilesystemOutcome(await kernelProxy.stat(path));
+        },
+        remove: async (path: string, options?: { recursive?: boolean }) => {
+          return unwrapFilesystemOutcome(await kernelProxy.remove(path, options));
+        },
+        mkdir: async (path: string, options?: { recursive?: boolean }) => {
+          return unwrapFilesystemOutcome(await kernelProxy.mkdir(path, options));
+        },
+        // Map filesystem sync (errors propagate to the caller)
+        syncFilesystem: async () => {
+          return kernelProxy.syncFilesystem();
+        },
+        // Map snapshot methods (errors propagate to the caller)
+        snapshot: async (options?: IKernelSnapshotOptions) => {
+          return kernelProxy.snapshot(options);
+        },
+        restoreSnapshot: async (snapshot: IKernelSnapshot) => {
+          return kernelProxy.restoreSnapshot(snapshot);
+        },
+        // Map package management methods (errors propagate to the caller)
+        installPackages: async (specs: string[], options?: IPackageInstallOptions) => {
+          return kernelProxy.installPackages(specs, options);
+        },
+        listPackages: async () => {
+          return kernelProxy.listPackages();
+        },
+        uninstallPackage: async (name: string) => {
+          return kernelProxy.uninstallPackage(name);
+        },
+        exportLock: async () => {
+          return kernelProxy.exportLock();
+        },
+        validateNotebook: async (notebook: string) => {
+          return kernelProxy.validateNotebook(notebook);
+        },
+        getResourceUsage: async (options?: IResourceUsageOptions) => {
+          return kernelProxy.getResourceUsage!(options);
+        },
+        // Map user namespace methods (errors propagate to the caller)
+        resetNamespace: async (options?: IResetNamespaceOptions) => {
+          return kernelProxy.resetNamespace(options);
+        },
+        listUserNamespaces: async () => {
+          return kernelProxy.listUserNamespaces();
+        },
+        deleteUserNamespace: async (name: string) => {
+          return kernelProxy.deleteUserNamespace(name);
+        },
+        // Map variable inspector methods (errors propagate to the caller)
+        inspectVariables: async (options?: IVariableInspectOptions) => {
+          return kernelProxy.inspectVariables(options);
+        },
+        getVariableDetail: async (path: VariablePath, options?: IVariableDetailOptions) => {
+          return kernelProxy.getVariableDetail(path, options);
+        },
+        // Map the debugger (a paused worker only sees requests written to its debug buffer)
+        debug: async (request: IDebugRequest) => {
+          const channel = this.debugChannels.get(id);
+          if (channel?.paused) {
+            const reply = await this.sendPausedDebugRequest(channel, request);
+            if (reply) {
+              return reply;
+            }
+          }
+          return kernelProxy.debug(request);
+        },
+        // Map the profiler (errors propagate to the caller)
+        takeProfile: async (parentMsgId: string, options?: IProfileOptions) => {
+          return kernelProxy.takeProfile(parentMsgId, options);
+        },
+        // Map host objects (the worker calls host functions through a proxy of the bridge)
+        setHostBridge: async (bridge: HostBridge) => {
+          return kernelProxy.setHostBridge(Comlink.proxy(
+            (exposureId: number, path: string[], ...args: unknown[]) => bridge(exposureId, path, args)
+          ) as unknown as HostBridge);
+        },
+        exposeHost: async (name: string, exposureId: number, value: unknown) => {
+          return kernelProxy.exposeHost(name, exposureId, value);
+        },
+        unexposeHost: async (name: string) => {
+          return kernelProxy.unexposeHost(name);
+        },
+        setBinaryOutputs: async (enabled: boolean) => {
+          return kernelProxy.setBinaryOutputs(enabled);
+        },
+        setOutputPolicy: async (policy: IOutputPolicy) => {
+          return kernelProxy.setOutputPolicy(policy);
         }
       } as unknown as IKernel,
       mode: KernelMode.WORKER,
       language,
       worker,
+      eventPort: port1,
       created: new Date().toISOString(),
       options, // Store the options for reference
       destroy: async () => {
         // Clean up the worker and event listeners
         port1.removeEventListener('message', eventHandler);
+        worker.removeEventListener('error', workerErrorHandler);
         port1.close();
         worker.terminate();
         return Promise.resolve();
@@ -1350,15 +1930,76 @@ export class KernelManager extends EventEmitter {
         
         // Add event listener to forward events
         kernelEmitter.on(eventType, (data: any) => {
+          // The manager handles the death and announces it itself
+          if (eventType === KernelEvents.KERNEL_DIED) {
+            this.handleKernelDeath(instance.id, data);
+            return;
+          }
           super.emit(eventType, {
             kernelId: instance.id,
-            data
+            data,
+            parentHeader: instance.kernel.getParentHeader?.()
           });
         });
       });
     }
   }
   
+  /**
+   * Emit an event posted by a worker kernel from the manager, with the kernel ID
+   * (same structure as setupEventForwarding uses for main thread kernels)
+   * @param id Kernel ID
+   * @param message Event message from the worker
+   * @private
+   */
+  private emitWorkerEvent(id: string, message: { type: string, data: any, parentHeader?: any, transferred?: boolean, sharedData?: boolean }): void {
+    // Heartbeat answers are bookkeeping, not kernel events
+    if (message.type === "HEARTBEAT_ACK") {
+      this.handleHeartbeatAck(id, message.data.seq);
+      return;
+    }
+    // So are the replies of a paused debugger, which cannot answer through Comlink
+    if (message.type === "DEBUG_REPLY") {
+      this.handleDebugReply(id, message.data);
+      return;
+    }
+    if (message.type === KernelEvents.DEBUG_EVENT) {
+      this.trackDebugPause(id, message.data);
+    }
+    // The manager handles the death and announces it itself
+    if (message.type === KernelEvents.KERNEL_DIED) {
+      this.handleKernelDeath(id, message.data);
+      return;
+    }
+    // Outputs with transferred payloads are followed by an ALL event sharing their data
+    if (message.transferred) {
+      this.transferredOutputs.set(id, message.data);
+    } else if (message.sharedData) {
+      message = { ...message, data: { type: message.data.type, data: this.transferredOutputs.get(id) } };
+      this.transferredOutputs.delete(id);
+    }
+    super.emit(message.type, {
+      kernelId: id,
+      data: message.data,
+      parentHeader: message.parentHeader
+    });
+  }
+  
+  /**
+   * Find the ID of the kernel running in a worker
+   * @param worker Kernel worker
+   * @returns Kernel ID or undefined if no kernel uses the worker anymore
+   * @private
+   */
+  private findWorkerKernelId(worker: Worker): string | undefined {
+    for (const [id, instance] of this.kernels.entries()) {
+      if (instance.worker === worker) {
+        return id;
+      }
+    }
+    return undefined;
+  }
+  
   /**
    * Get a kernel instance by ID
    * @param id Kernel ID
@@ -1391,6 +2032,11 @@ export class KernelManager extends EventEmitter {
     deno?: {
       permissions?: IDenoPermissions;
     };
+    recoveries: number; // Times the kernel died and was restarted automatically
+    memory: {
+      heapSize: number | null; // Bytes of WebAssembly memory (null for JavaScript kernels)
+      limit: number | null; // memoryLimit in bytes
+    };
   }>> {
           const filteredKernels = Array.from(this.kernels.entries())
         .filter(([id]) => {
@@ -1419,6 +2065,13 @@ export class KernelManager extends EventEmitter {
             status = "unknown";
           }
           
+          let heapSize: number | null = null;
+          try {
+            heapSize = (await this.getResourceUsage(id)).heapSize;
+          } catch (error) {
+            console.warn(`Error getting memory usage for kernel ${id}:`, error);
+          }
+          
           return {
             id,
             mode: instance.mode,
@@ -1426,7 +2079,12 @@ export class KernelManager extends EventEmitter {
             status,
             created: instance.created || new Date().toISOString(),
             namespace: extractedNamespace,
-            deno: instance.options?.deno
+            deno: instance.options?.deno,
+            recoveries: this.recoveryCounts.get(id) || 0,
+            memory: {
+              heapSize,
+              limit: instance.options.memoryLimit?.bytes ?? null
+            }
           };
         })
       );
@@ -1443,7 +2101,11 @@ export class KernelManager extends EventEmitter {
     const instance = this.kernels.get(id);
     
     if (!instance) {
-      // Handle gracefully - kernel may already be destroyed
+      // Handle gracefully - kernel may already be destroyed (or died and is being recovered)
+      const recovery = this.pendingRecoveries.get(id);
+      if (recovery) {
+        recovery.cancelled = true;
+      }
       return;
     }
     
@@ -1452,9 +2114,30 @@ export class KernelManager extends EventEmitter {
       throw new Error(`Kernel ${id} is missing destroy function (type: ${typeof instance.destroy})`);
     }
     
+    // Persist IndexedDB-backed files before the kernel goes away
+    // (bounded, since a stuck kernel would never answer)
+    if (instance.options.filesystem?.backend === "idbfs" && typeof instance.kernel.syncFilesystem === 'function') {
+      let syncTimer: any;
+      try {
+        await Promise.race([
+          instance.kernel.syncFilesystem(),
+          new Promise<void>((_, reject) => {
+            syncTimer = setTimeout(() => reject(new Error('Filesystem sync timed out')), 2000);
+          })
+        ]);
+      } catch (error) {
+        console.warn(`Failed to sync filesystem of kernel ${id} before destroying it:`, error);
+      } finally {
+        clearTimeout(syncTimer);
+      }
+    }
+    
     // Abort all ongoing operations for this kernel first
     this.abortAllKernelOperations(id);
     
+    // Cancel executions still waiting in the queue
+    this.clearExecutionQueue(id);
+    
     // Clear any inactivity timer
     this.clearInactivityTimeout(id);
     
@@ -1482,12 +2165,29 @@ export class KernelManager extends EventEmitter {
       this.interruptBuffers.delete(id);
     }
     
+    // Clean up a pending input request timer
+    this.clearInputTimeout(id);
+    
     // Clean up ongoing executions tracking
     this.ongoingExecutions.delete(id);
     
     // Clean up activity tracking
     this.lastActivityTime.delete(id);
     
+    // Stop the heartbeat and memory limit checks
+    this.stopHeartbeat(id);
+    this.stopMemoryMonitor(id);
+    this.heapSizeGauges.delete(id);
+    this.outputFlowBuffers.delete(id);
+    this.debugChannels.delete(id);
+    this.hostExports.delete(id);
+    this.commTargets.delete(id);
+    this.closeHostComms(id);
+    this.transferredOutputs.delete(id);
+    
+    // Forget automatic recoveries (handleKernelDeath and restartKernel carry them over)
+    this.recoveryCounts.delete(id);
+    
     // Remove all event listeners for this kernel
     this.removeAllKernelListeners(id);
     
@@ -1524,6 +2224,13 @@ export class KernelManager extends EventEmitter {
     
     await Promise.all(destroyPromises);
     
+    // Don't bring back kernels that died and are waiting to be recovered
+    for (const [id, recovery] of this.pendingRecoveries.entries()) {
+      if (!namespace || id.startsWith(`${namespace}:`)) {
+        recovery.cancelled = true;
+      }
+    }
+    
     // If no namespace specified, also clean up the pool
     if (!namespace) {
       await this.destroyPool();
@@ -1721,44 +2428,171 @@ export class KernelManager extends EventEmitter {
 
   /**
    * Execute Python code with streaming output
-   * This method works in both main thread and worker modes
+   * This method works in both main thread and worker modes.
+   * The execution is queued right away and runs to completion whether or not
+   * the stream is consumed; executions on the same kernel run one at a time.
+   * A consumer that stops early leaves the rest of the outputs to be drained
+   * in the background.
    * @param kernelId ID of the kernel to use
    * @param code The Python code to execute
-   * @param parent Optional parent message header
+   * @param parent Optional parent message (`{ header }`); a header is generated when missing
+   * @param options Optional execution ID, queue priority and execute options
    * @returns AsyncGenerator yielding intermediate outputs
    */
-  public async* executeStream(
+  public executeStream(
     kernelId: string, 
     code: string, 
-    parent: any = {}
-  ): AsyncGenerator<any, { success: boolean, result?: any, error?: Error }, void> {
-    const instance = this.getKernel(kernelId);
-    
-    if (!instance) {
-      throw new Error(`Kernel with ID ${kernelId} not found`);
-    }
-    
-    // Update kernel activity
-    this.updateKernelActivity(kernelId);
-    
-    // Track this execution with the code for better monitoring
-    const executionId = this.trackExecution(kernelId, code);
-    
-    // Create AbortController for this execution to enable cancellation
-    const abortController = new AbortController();
-    this.storeAbortController(kernelId, executionId, abortController);
-    
+    parent: any = {},
+    options: IExecutionRequestOptions = {}
+  ): AsyncGenerator<any, { success: boolean, result?: any, error?: Error, droppedBytes?: number }, void> {
+    const outputs = new AsyncQueue<any>(STREAM_HIGH_WATER_MARK);
+    const outcome = this.relayExecutionStream(kernelId, code, parent, options, outputs);
+    return this.readExecutionStream(outputs, outcome);
+  }
+
+  /**
+   * Queue an execution and relay its outputs, independently of the consumer
+   * The queue slot is released once the kernel reported the end of the
+   * execution. Errors that end the stream (e.g. a dead kernel) fail `outputs`.
+   * @param kernelId ID of the kernel to use
+   * @param code The Python code to execute
+   * @param parent Parent message
+   * @param options Execution ID, queue priority and execute options
+   * @param outputs Stream read by the consumer
+   * @returns Promise resolving to the execution result
+   * @private
+   */
+  private async relayExecutionStream(
+    kernelId: string,
+    code: string,
+    parent: any,
+    options: IExecutionRequestOptions,
+    outputs: AsyncQueue<any>
+  ): Promise<{ success: boolean, result?: any, error?: Error, droppedBytes?: number }> {
     try {
-      // For main thread kernels, we can use the executeStream method directly
-      if (instance.mode === KernelMode.MAIN_THREAD) {
-        const kernel = instance.kernel as unknown as { 
-          executeStream: (code: string, parent: any) => AsyncGenerator<any, any, void> 
-        };
-        
+      const instance = this.getKernel(kernelId);
+      
+      if (!instance) {
+        throw new Error(`Kernel with ID ${kernelId} not found`);
+      }
+      
+      const executionId = options.executionId || `exec-${crypto.randomUUID()}`;
+      const parentMessage = this.ensureParentHeader(parent, executionId);
+      
+      // Wait for our turn in the kernel's execution queue
+      const admitted = await this.enqueueExecution(kernelId, executionId, code, parentMessage, options.priority);
+      if (!admitted) {
+        outputs.close();
+        return {
+          success: false,
+          error: new Error(`Execution ${executionId} was cancelled`)
+        };
+      }
+      
+      const stopWatchingInput = this.watchInputRequests(kernelId, parentMessage.header.msg_id, options);
+      try {
+        const stream = this.runExecutionStream(instance, code, parentMessage, executionId, options);
+        let next = await stream.next();
+        while (!next.done) {
+          // A closed stream means the consumer went away, and the rest is dropped
+          if (!outputs.push(next.value) && !outputs.closed) {
+            // The consumer is behind, so the worker waits (or drops output) until it catches up
+            this.pauseWorkerOutput(kernelId, outputs);
+          }
+          next = await stream.next();
+        }
+        
+        const result = next.value;
+        if (options.stopOnError && !result.success) {
+          this.cancelQueuedExecutions(kernelId);
+        }
+        await this.publishVariables(kernelId, executionId, options);
+        outputs.close();
+        return result;
+      } finally {
+        stopWatchingInput();
+        this.finishQueuedExecution(kernelId, executionId);
+      }
+    } catch (error) {
+      const failure = error instanceof Error ? error : new Error(String(error));
+      outputs.fail(failure);
+      return { success: false, error: failure };
+    }
+  }
+
+  /**
+   * Yield the outputs relayed for an execution, then its result
+   * @param outputs Stream filled by relayExecutionStream
+   * @param outcome Result of relayExecutionStream
+   * @returns AsyncGenerator yielding intermediate outputs
+   * @private
+   */
+  private async* readExecutionStream(
+    outputs: AsyncQueue<any>,
+    outcome: Promise<{ success: boolean, result?: any, error?: Error, droppedBytes?: number }>
+  ): AsyncGenerator<any, { success: boolean, result?: any, error?: Error, droppedBytes?: number }, void> {
+    try {
+      for await (const output of outputs) {
+        yield output;
+      }
+    } finally {
+      // Stopping early lets the execution finish in the background without pausing the worker
+      outputs.close();
+    }
+    return await outcome;
+  }
+
+  /**
+   * Run an admitted execution and stream its outputs
+   * @param instance Kernel instance
+   * @param code The Python code to execute
+   * @param parent Parent message with header
+   * @param executionId Execution ID
+   * @param options Execute options and timeout
+   * @returns AsyncGenerator yielding intermediate outputs
+   * @private
+   */
+  private async* runExecutionStream(
+    instance: IKernelInstance,
+    code: string,
+    parent: any,
+    executionId: string,
+    options: IExecutionRequestOptions = {}
+  ): AsyncGenerator<any, { success: boolean, result?: any, error?: Error, droppedBytes?: number }, void> {
+    const kernelId = instance.id;
+    const parentMsgId = parent.header.msg_id;
+    
+    // Update kernel activity
+    this.updateKernelActivity(kernelId);
+    
+    // Track this execution with the code for better monitoring
+    this.trackExecution(kernelId, code, executionId, options.timeout);
+    
+    // Create AbortController for this execution to enable cancellation
+    const abortController = new AbortController();
+    this.storeAbortController(kernelId, executionId, abortController);
+    
+    try {
+      // For main thread kernels, we can use the executeStream method directly
+      if (instance.mode === KernelMode.MAIN_THREAD) {
+        const kernel = instance.kernel as unknown as { 
+          executeStream: (code: string, parent: any, options: IKernelExecuteOptions) => AsyncGenerator<any, any, void> 
+        };
+        
         // Forward to the kernel's executeStream method
         if (typeof kernel.executeStream === 'function') {
           try {
-            yield* kernel.executeStream(code, parent);
+            const stream = kernel.executeStream(code, parent, toKernelExecuteOptions(options));
+            let next = await stream.next();
+            while (!next.done) {
+              yield { ...next.value, executionId };
+              next = await stream.next();
+            }
+            
+            // The kernel died while running the code
+            if (abortController.signal.reason instanceof KernelDiedError) {
+              throw abortController.signal.reason;
+            }
             
             // Update activity after execution completes
             this.updateKernelActivity(kernelId);
@@ -1766,8 +2600,11 @@ export class KernelManager extends EventEmitter {
             // Complete execution tracking
             this.completeExecution(kernelId, executionId);
             
-            return { success: true };
+            return next.value ?? { success: true };
           } catch (error) {
+            if (error instanceof KernelDiedError) {
+              throw error;
+            }
             console.error(`Error in main thread executeStream:`, error);
             
             // Update activity even if there's an error
@@ -1784,269 +2621,157 @@ export class KernelManager extends EventEmitter {
         }
       }
       
-      // For worker mode, we need to implement streaming via events with proper isolation
-      try {
-        // Event-based approach for worker kernels or main thread kernels without executeStream
-        const streamQueue: any[] = [];
-        let executionComplete = false;
-        let executionResult: { success: boolean, result?: any, error?: Error } = { success: true };
-        
-        // Store handler references for guaranteed cleanup
-        const eventHandlers = new Map<string, (event: { kernelId: string, data: any }) => void>();
-        
-        // Helper function to clean up all event handlers
-        const cleanupHandlers = () => {
-          for (const [eventType, handler] of eventHandlers.entries()) {
-            super.off(eventType as any, handler);
-          }
-          eventHandlers.clear();
-        };
-        
-        // Create execution-specific event handlers that include executionId check
-        const createHandler = (eventType: string) => {
-          const handler = (event: { kernelId: string, data: any }) => {
-            // Only process events for this specific kernel and while this execution is active
-            if (event.kernelId === kernelId && !executionComplete) {
-              streamQueue.push({
-                type: eventType,
-                data: event.data,
-                executionId // Include execution ID for debugging
-              });
-              
-              // Events also count as activity
-              this.updateKernelActivity(kernelId);
-            }
-          };
-          eventHandlers.set(eventType, handler);
-          return handler;
-        };
-        
-        // Create and register all event handlers
-        const handleStreamEvent = createHandler('stream');
-        const handleDisplayEvent = createHandler('display_data');
-        const handleUpdateDisplayEvent = createHandler('update_display_data');
-        const handleResultEvent = createHandler('execute_result');
-        const handleErrorEvent = createHandler('execute_error');
-        
-        // Register handlers
-        super.on(KernelEvents.STREAM, handleStreamEvent);
-        super.on(KernelEvents.DISPLAY_DATA, handleDisplayEvent);
-        super.on(KernelEvents.UPDATE_DISPLAY_DATA, handleUpdateDisplayEvent);
-        super.on(KernelEvents.EXECUTE_RESULT, handleResultEvent);
-        super.on(KernelEvents.EXECUTE_ERROR, handleErrorEvent);
-        
-        // Create a promise that will resolve when execution is complete
-        const executionPromise = new Promise<{ success: boolean, result?: any, error?: Error }>((resolve, reject) => {
-          // Set up a handler for execution errors specifically
-          const handleExecutionError = (event: { kernelId: string, data: any }) => {
-            if (event.kernelId === kernelId && !executionComplete) {
-              // Mark execution as complete to stop processing more events
-              executionComplete = true;
-              
-              // Store the error for the final result
-              executionResult = {
-                success: false,
-                error: new Error(`${event.data.ename}: ${event.data.evalue}`),
-                result: event.data
-              };
-              
-              // Update activity
-              this.updateKernelActivity(kernelId);
-              
-              resolve(executionResult);
+      // Worker kernels publish outputs on their event port while execute
+      // answers through Comlink, and the two channels are not ordered. The
+      // execution is over once both the result and the idle event naming its
+      // parent, which the worker posts after the last output, have arrived.
+      const outputs = new AsyncQueue<any>();
+      const eventHandlers = new Map<string, (event: { kernelId: string, data: any, parentHeader?: any }) => void>();
+      let executionResult: { success: boolean, result?: any, error?: Error, droppedBytes?: number } | null = null;
+      let errorData: any = null;
+      let idle = false;
+      
+      const finish = () => {
+        if (executionResult && idle) {
+          this.updateKernelActivity(kernelId);
+          outputs.close();
+        }
+      };
+      
+      for (const eventType of STREAMED_EVENTS) {
+        eventHandlers.set(eventType, (event) => {
+          if (event.kernelId === kernelId && !outputs.closed && this.belongsToExecution(event, parentMsgId)) {
+            if (eventType === KernelEvents.EXECUTE_ERROR) {
+              errorData = event.data;
             }
-          };
-          
-          // Add error handler to our cleanup list
-          eventHandlers.set('execute_error_completion', handleExecutionError);
-          super.on(KernelEvents.EXECUTE_ERROR, handleExecutionError);
-          
-          // Check if already aborted
-          if (abortController.signal.aborted) {
-            executionComplete = true;
-            resolve({
-              success: false,
-              error: new Error('Execution was aborted')
-            });
-            return;
+            outputs.push({ type: eventType, data: event.data, executionId });
+            
+            // Events also count as activity
+            this.updateKernelActivity(kernelId);
           }
-          
-          // Set up abort handler
-          const abortHandler = () => {
-            if (!executionComplete) {
-              console.log(`🚫 Execution ${executionId} aborted`);
-              executionComplete = true;
-              
-              resolve({
-                success: false,
-                error: new Error('Execution was aborted')
-              });
-            }
-          };
-          
-          abortController.signal.addEventListener('abort', abortHandler);
-          
-          // Execute the code
-          // We know the execute method is available directly on the kernel object
+        });
+      }
+      eventHandlers.set(KernelEvents.KERNEL_IDLE, (event) => {
+        if (event.kernelId === kernelId && event.data?.parent_msg_id === parentMsgId) {
+          idle = true;
+          finish();
+        }
+      });
+      for (const [eventType, handler] of eventHandlers) {
+        super.on(eventType, handler);
+      }
+      
+      // Aborting ends the stream right away; a dead kernel fails it
+      const abortHandler = () => {
+        console.log(`🚫 Execution ${executionId} aborted`);
+        const reason = abortController.signal.reason;
+        outputs.fail(reason instanceof KernelDiedError ? reason : new Error("Execution was aborted"));
+      };
+      if (abortController.signal.aborted) {
+        abortHandler();
+      } else {
+        abortController.signal.addEventListener("abort", abortHandler);
+      }
+      
+      try {
+        if (!outputs.closed) {
           try {
-            const executePromise = instance.kernel.execute(code, parent);
-            
-            executePromise.then((result) => {
-              // Only process if execution hasn't been marked complete already
-              if (!executionComplete) {
-                // Check if the execution result indicates an error (for Python kernels)
-                if (result.success && result.result && result.result.status === "error") {
-                  // Handle as error
-                  const errorData = {
+            instance.kernel.execute(code, parent, toKernelExecuteOptions(options)).then((result) => {
+              // Check if the execution result indicates an error (for Python kernels)
+              if (result.success && result.result && result.result.status === "error") {
+                outputs.push({
+                  type: "error",
+                  data: {
                     status: result.result.status,
                     ename: result.result.ename,
                     evalue: result.result.evalue,
                     traceback: result.result.traceback
-                  };
-                  
-                  // Push error to stream queue directly 
-                  streamQueue.push({
-                    type: 'error',
-                    data: errorData,
-                    executionId
-                  });
-                  
-                  // Update execution result to reflect the error
-                  executionResult = {
-                    success: false,
-                    error: new Error(`${result.result.ename}: ${result.result.evalue}`),
-                    result: result.result
-                  };
-                } else {
-                  executionResult = result;
-                }
-                
-                executionComplete = true;
-                
-                // Update activity when execution completes
-                this.updateKernelActivity(kernelId);
-                
-                resolve(executionResult);
+                  },
+                  executionId
+                });
+                executionResult = {
+                  success: false,
+                  error: new Error(`${result.result.ename}: ${result.result.evalue}`),
+                  result: result.result,
+                  droppedBytes: result.droppedBytes
+                };
+              } else {
+                executionResult = result;
               }
+              
+              // Kernels always go idle after an execution (a dead one fails the stream instead)
+              finish();
             }).catch((error) => {
-              // Only process if execution hasn't been marked complete already
-              if (!executionComplete) {
-                console.error(`Error in execute for kernel ${kernelId}:`, error);
-                
-                // Check if this is a KeyboardInterrupt and handle it specially
-                let errorResult;
-                if (this.isKeyboardInterrupt(error)) {
-                  console.log(`KeyboardInterrupt caught in executeStream for kernel ${kernelId}`);
-                  errorResult = this.createKeyboardInterruptResult();
-                  
-                  // Also push to stream queue for immediate feedback
-                  streamQueue.push({
-                    type: 'error',
-                    data: errorResult.result,
-                    executionId
-                  });
-                } else {
-                  // Handle other errors normally
-                  errorResult = {
-                    success: false,
-                    error: error instanceof Error ? error : new Error(String(error))
-                  };
-                }
-                
-                executionComplete = true;
-                executionResult = errorResult;
-                
-                // Update activity even on error
-                this.updateKernelActivity(kernelId);
-                
-                resolve(errorResult);
+              console.error(`Error in execute for kernel ${kernelId}:`, error);
+              
+              // The call itself failed, so no idle event is coming
+              if (this.isKeyboardInterrupt(error)) {
+                console.log(`KeyboardInterrupt caught in executeStream for kernel ${kernelId}`);
+                executionResult = this.createKeyboardInterruptResult();
+                outputs.push({ type: "error", data: executionResult.result, executionId });
+              } else {
+                executionResult = {
+                  success: false,
+                  error: error instanceof Error ? error : new Error(String(error))
+                };
               }
+              idle = true;
+              finish();
             });
           } catch (error) {
-            // Only process if execution hasn't been marked complete already
-            if (!executionComplete) {
-              console.error(`Error calling execute for kernel ${kernelId}:`, error);
-              
-              // Simple error handling
-              const errorResult = {
-                success: false,
-                error: error instanceof Error ? error : new Error(String(error))
-              };
-              
-              executionComplete = true;
-              executionResult = errorResult;
-              
-              // Update activity even on direct error
-              this.updateKernelActivity(kernelId);
-              
-              resolve(errorResult);
-            }
+            console.error(`Error calling execute for kernel ${kernelId}:`, error);
+            executionResult = {
+              success: false,
+              error: error instanceof Error ? error : new Error(String(error))
+            };
+            idle = true;
+            finish();
           }
-        });
+        }
         
-        // Use try/finally to guarantee cleanup
         try {
-          // Monitor the stream queue and yield results
-          // Continue until execution is complete AND all queued events have been yielded
-          while ((!executionComplete || streamQueue.length > 0) && !abortController.signal.aborted) {
-            // If there are items in the queue, yield them
-            if (streamQueue.length > 0) {
-              const event = streamQueue.shift();
-              yield event;
-              continue;
-            }
-            
-            // If no more events but execution is not complete, wait a little
-            if (!executionComplete) {
-              // Use abort signal to cancel the wait
-              try {
-                await new Promise((resolve, reject) => {
-                  const timeoutId = setTimeout(resolve, 10);
-                  abortController.signal.addEventListener('abort', () => {
-                    clearTimeout(timeoutId);
-                    reject(new Error('Aborted'));
-                  });
-                });
-              } catch (error) {
-                // If aborted, break out of loop
-                if (abortController.signal.aborted) {
-                  break;
-                }
-              }
-            }
+          for await (const output of outputs) {
+            yield output;
           }
-          
-          // Check if execution was aborted during stream monitoring
-          if (abortController.signal.aborted && !executionComplete) {
-            throw new Error('Execution was aborted during stream monitoring');
+        } catch (error) {
+          if (error instanceof KernelDiedError) {
+            throw error;
           }
-          
-          // Wait for the final result
-          const result = await executionPromise;
-          return result;
-        } finally {
-          // ALWAYS clean up event handlers regardless of how execution ends
-          cleanupHandlers();
-          
-          // Remove AbortController to prevent memory leaks
-          this.removeAbortController(kernelId, executionId);
-          
-          // Complete execution tracking
-          this.completeExecution(kernelId, executionId);
+          return {
+            success: false,
+            error: error instanceof Error ? error : new Error(String(error))
+          };
         }
-      } catch (error) {
-        // Complete execution tracking on any outer error
-        this.completeExecution(kernelId, executionId);
         
-        console.error(`Unexpected error in executeStream:`, error);
-        return {
-          success: false, 
-          error: error instanceof Error ? error : new Error(String(error))
-        };
+        // Errors published by the kernel make the result
+        if (errorData) {
+          return {
+            success: false,
+            error: new Error(`${errorData.ename}: ${errorData.evalue}`),
+            result: errorData,
+            droppedBytes: executionResult?.droppedBytes
+          };
+        }
+        return executionResult ?? { success: true };
+      } finally {
+        // ALWAYS clean up event handlers regardless of how execution ends
+        for (const [eventType, handler] of eventHandlers) {
+          super.off(eventType, handler);
+        }
+        abortController.signal.removeEventListener("abort", abortHandler);
+        
+        // Remove AbortController to prevent memory leaks
+        this.removeAbortController(kernelId, executionId);
+        
+        // Complete execution tracking
+        this.completeExecution(kernelId, executionId);
       }
     } catch (error) {
       // Complete execution tracking on any outer error
       this.completeExecution(kernelId, executionId);
+      if (error instanceof KernelDiedError) {
+        throw error;
+      }
       
       console.error(`Unexpected error in executeStream:`, error);
       return {
@@ -2060,12 +2785,12 @@ export class KernelManager extends EventEmitter {
    * Track a new execution task for a kernel
    * @param kernelId Kernel ID
    * @param code Optional code being executed for metadata
+   * @param executionId Optional execution ID (generated when omitted)
+   * @param timeout Optional per-execution timeout overriding the kernel's maxExecutionTime
    * @returns Unique execution ID
    * @private
    */
-  private trackExecution(kernelId: string, code?: string): string {
-    // Create a unique execution ID
-    const executionId = `exec-${crypto.randomUUID()}`;
+  private trackExecution(kernelId: string, code?: string, executionId: string = `exec-${crypto.randomUUID()}`, timeout?: number): string {
     const startTime = Date.now();
     
     // Reset interrupt buffer for worker kernels before each new execution
@@ -2099,8 +2824,9 @@ export class KernelManager extends EventEmitter {
     // Update activity timestamp
     this.updateKernelActivity(kernelId);
     
-    // If maxExecutionTime is set, create a timeout to detect stuck/dead kernels
-    if (instance && instance.options.maxExecutionTime && instance.options.maxExecutionTime > 0) {
+    // If maxExecutionTime (or a per-execution timeout) is set, create a timeout to detect stuck/dead kernels
+    const maxExecutionTime = timeout ?? instance?.options.maxExecutionTime;
+    if (instance && maxExecutionTime && maxExecutionTime > 0) {
       // Get or create the map of execution timeouts for this kernel
       if (!this.executionTimeouts.has(kernelId)) {
         this.executionTimeouts.set(kernelId, new Map());
@@ -2108,7 +2834,7 @@ export class KernelManager extends EventEmitter {
       
       // Set a timeout for this execution with enhanced handling
       const timeoutId = setTimeout(() => {
-        console.warn(`Execution ${executionId} on kernel ${kernelId} has been running for ${instance.options.maxExecutionTime}ms and may be stuck/dead.`);
+        console.warn(`Execution ${executionId} on kernel ${kernelId} has been running for ${maxExecutionTime}ms and may be stuck/dead.`);
         
         // Get execution metadata for better error reporting
         const metadata = this.executionMetadata.get(kernelId)?.get(executionId);
@@ -2118,15 +2844,15 @@ export class KernelManager extends EventEmitter {
         super.emit('execution_stalled', {
           kernelId,
           executionId,
-          maxExecutionTime: instance.options.maxExecutionTime,
+          maxExecutionTime,
           actualRuntime,
           code: metadata?.code || code,
           startTime: metadata?.startTime || startTime
         });
         
         // Auto-handle stuck execution if configured
-        this.handleStuckExecution(kernelId, executionId, actualRuntime, metadata?.code || code);
-      }, instance.options.maxExecutionTime);
+        this.handleStuckExecution(kernelId, executionId, actualRuntime, metadata?.code || code, maxExecutionTime);
+      }, maxExecutionTime);
       
       // Store the timeout ID
       this.executionTimeouts.get(kernelId)!.set(executionId, timeoutId);
@@ -2218,107 +2944,370 @@ export class KernelManager extends EventEmitter {
   }
   
   /**
-   * Get the count of ongoing executions for a kernel
-   * @param id Kernel ID
-   * @returns Number of ongoing executions
+   * Make sure a parent message carries a header with a msg_id
+   * Kernel outputs are stamped with this header, which is how they are
+   * correlated with the execution that produced them.
+   * @param parent Parent message supplied by the caller
+   * @param executionId Execution ID used as msg_id when no header is present
+   * @returns Parent message with header
+   * @private
    */
-  public getOngoingExecutionCount(id: string): number {
-    if (!this.ongoingExecutions.has(id)) {
-      return 0;
+  private ensureParentHeader(parent: any, executionId: string): any {
+    if (parent && parent.header && parent.header.msg_id) {
+      return parent;
     }
-    return this.ongoingExecutions.get(id)!.size;
+    return {
+      ...(parent || {}),
+      header: {
+        msg_id: executionId,
+        msg_type: "execute_request",
+        session: executionId,
+        username: "kernel-manager",
+        date: new Date().toISOString(),
+        version: "5.3"
+      }
+    };
   }
-  
+
   /**
-   * Set up an inactivity timeout for a kernel
-   * @param id Kernel ID
-   * @param timeout Timeout in milliseconds
+   * Check whether a kernel event was produced by the execution with the given parent msg_id
+   * Kernels stamp their outputs with the parent header and the manager stamps the
+   * errors it raises for an execution, so events without one belong to no execution.
+   * @param event Manager event
+   * @param parentMsgId msg_id of the execution's parent header
+   * @returns True if the event belongs to the execution
    * @private
    */
-  private setupInactivityTimeout(id: string, timeout: number): void {
-    // Don't set up a timer if timeout is 0 or negative
-    if (timeout <= 0) {
-      return;
+  private belongsToExecution(event: { parentHeader?: any }, parentMsgId: string): boolean {
+    return !!parentMsgId && event.parentHeader?.msg_id === parentMsgId;
+  }
+
+  /**
+   * Get the parent header of an execution, for the events the manager raises about it
+   * @param kernelId Kernel ID
+   * @param executionId Execution ID
+   * @returns Header with the execution's parent msg_id, or undefined if the execution is unknown
+   * @private
+   */
+  private getExecutionParentHeader(kernelId: string, executionId: string): { msg_id: string } | undefined {
+    const parentMsgId = this.findExecution(kernelId, executionId)?.parentMsgId;
+    return parentMsgId ? { msg_id: parentMsgId } : undefined;
+  }
+
+  /**
+   * Add an execution to a kernel's queue and wait until it may run
+   * @param kernelId Kernel ID
+   * @param executionId Execution ID
+   * @param code Code to execute
+   * @param parent Parent message with header
+   * @param priority Queue priority (higher runs first)
+   * @returns Promise resolving to true when the execution may start, false if it was cancelled
+   * @private
+   */
+  private enqueueExecution(
+    kernelId: string,
+    executionId: string,
+    code: string,
+    parent: any,
+    priority: number = 0
+  ): Promise<boolean> {
+    const existing = this.findExecution(kernelId, executionId);
+    if (existing && (existing.status === "queued" || existing.status === "running")) {
+      throw new Error(`Execution ${executionId} is already active on kernel ${kernelId}`);
     }
     
-    // Always clear any existing timer first
-    this.clearInactivityTimeout(id);
-    
-    // Calculate remaining time based on last activity
-    const lastActivity = this.lastActivityTime.get(id) || Date.now();
-    const elapsed = Date.now() - lastActivity;
-    const remainingTime = Math.max(0, timeout - elapsed);
+    const info: IExecutionInfo = {
+      id: executionId,
+      kernelId,
+      status: "queued",
+      priority,
+      code,
+      parentMsgId: parent.header.msg_id,
+      submittedAt: Date.now()
+    };
+    this.recordExecution(info);
     
-    // If no time remaining, destroy immediately
-    if (remainingTime === 0) {
-      // Check if the kernel has ongoing executions before shutting down
-      if (this.hasOngoingExecutions(id)) {
-        // Reset the timer to check again later
-        this.setupInactivityTimeout(id, timeout);
-        return;
+    return new Promise<boolean>((resolve) => {
+      if (!this.executionQueues.has(kernelId)) {
+        this.executionQueues.set(kernelId, []);
       }
+      const queue = this.executionQueues.get(kernelId)!;
       
-      // Destroy immediately
-      this.destroyKernel(id).catch(error => {
-        console.error(`Error destroying inactive kernel ${id}:`, error);
-      });
+      // Insert after every waiting execution with the same or a higher priority
+      let index = queue.length;
+      while (index > 0 && queue[index - 1].info.priority < priority) {
+        index--;
+      }
+      queue.splice(index, 0, { info, admit: resolve });
+      
+      this.processExecutionQueue(kernelId);
+    });
+  }
+
+  /**
+   * Start the next queued execution if the kernel is free
+   * @param kernelId Kernel ID
+   * @private
+   */
+  private processExecutionQueue(kernelId: string): void {
+    if (this.runningExecutions.has(kernelId)) {
       return;
     }
     
-    // Create a timer to destroy the kernel after the remaining timeout
-    const timer = setTimeout(() => {
-      // Check if the kernel has ongoing executions before shutting down
-      if (this.hasOngoingExecutions(id)) {
-        // Reset the timer to check again later
-        this.setupInactivityTimeout(id, timeout);
-        return;
-      }
-      
-      this.destroyKernel(id).catch(error => {
-        console.error(`Error destroying inactive kernel ${id}:`, error);
-      });
-    }, remainingTime);
+    const queue = this.executionQueues.get(kernelId);
+    if (!queue || queue.length === 0) {
+      this.executionQueues.delete(kernelId);
+      return;
+    }
     
-    // Store the timer ID
-    this.inactivityTimers.set(id, timer);
+    const next = queue.shift()!;
+    next.info.status = "running";
+    next.info.startedAt = Date.now();
+    this.runningExecutions.set(kernelId, next.info);
+    next.admit(true);
   }
-  
+
   /**
-   * Clear any existing inactivity timeout for a kernel
-   * @param id Kernel ID
+   * Mark the running execution as done and start the next one
+   * @param kernelId Kernel ID
+   * @param executionId Execution ID
    * @private
    */
-  private clearInactivityTimeout(id: string): void {
-    if (this.inactivityTimers.has(id)) {
-      const timerId = this.inactivityTimers.get(id);
-      clearTimeout(timerId);
-      this.inactivityTimers.delete(id);
+  private finishQueuedExecution(kernelId: string, executionId: string): void {
+    const running = this.runningExecutions.get(kernelId);
+    if (running && running.id === executionId) {
+      running.status = "done";
+      running.finishedAt = Date.now();
+      this.runningExecutions.delete(kernelId);
     }
+    this.processExecutionQueue(kernelId);
   }
 
   /**
-   * Update activity timestamp for a kernel and reset inactivity timer if present
-   * @param id Kernel ID
+   * Remember an execution for status lookups, dropping the oldest finished ones
+   * @param info Execution info
    * @private
    */
-  private updateKernelActivity(id: string): void {
-    // Update the last activity time
-    this.lastActivityTime.set(id, Date.now());
-    
-    // Get the kernel options
-    const instance = this.kernels.get(id);
-    if (!instance) return;
-    
-    const timeout = instance.options.inactivityTimeout;
+  private recordExecution(info: IExecutionInfo): void {
+    if (!this.executionRecords.has(info.kernelId)) {
+      this.executionRecords.set(info.kernelId, new Map());
+    }
+    const records = this.executionRecords.get(info.kernelId)!;
+    records.set(info.id, info);
     
-    // Reset the inactivity timer if timeout is enabled (greater than 0)
-    if (timeout && timeout > 0) {
-      this.setupInactivityTimeout(id, timeout);
+    for (const [id, record] of records) {
+      if (records.size <= EXECUTION_HISTORY_LIMIT) {
+        break;
+      }
+      if (record.status === "done" || record.status === "cancelled") {
+        records.delete(id);
+      }
     }
   }
 
   /**
-   * Get the last activity time for a kernel
+   * Look up an execution record
+   * @param kernelId Kernel ID
+   * @param executionId Execution ID
+   * @returns Execution record or undefined
+   * @private
+   */
+  private findExecution(kernelId: string, executionId: string): IExecutionInfo | undefined {
+    return this.executionRecords.get(kernelId)?.get(executionId);
+  }
+
+  /**
+   * Cancel all queued executions of a kernel (used when the kernel goes away)
+   * @param kernelId Kernel ID
+   * @private
+   */
+  private clearExecutionQueue(kernelId: string): void {
+    const queue = this.executionQueues.get(kernelId) || [];
+    this.executionQueues.delete(kernelId);
+    this.runningExecutions.delete(kernelId);
+    this.executionRecords.delete(kernelId);
+    
+    for (const entry of queue) {
+      entry.info.status = "cancelled";
+      entry.info.finishedAt = Date.now();
+      entry.admit(false);
+    }
+  }
+
+  /**
+   * Cancel a queued execution before it starts
+   * Running executions cannot be cancelled; use interruptKernel for those.
+   * @param kernelId Kernel ID
+   * @param executionId Execution ID
+   * @returns True if the execution was removed from the queue
+   */
+  public cancelExecution(kernelId: string, executionId: string): boolean {
+    const queue = this.executionQueues.get(kernelId);
+    if (!queue) {
+      return false;
+    }
+    
+    const index = queue.findIndex(entry => entry.info.id === executionId);
+    if (index === -1) {
+      return false;
+    }
+    
+    const [entry] = queue.splice(index, 1);
+    if (queue.length === 0) {
+      this.executionQueues.delete(kernelId);
+    }
+    
+    entry.info.status = "cancelled";
+    entry.info.finishedAt = Date.now();
+    entry.admit(false);
+    
+    console.log(`🚫 Cancelled queued execution ${executionId} on kernel ${kernelId}`);
+    return true;
+  }
+
+  /**
+   * Cancel the executions waiting in a kernel's queue, leaving the running one alone
+   * @param kernelId Kernel ID
+   * @private
+   */
+  private cancelQueuedExecutions(kernelId: string): void {
+    const queue = [...(this.executionQueues.get(kernelId) || [])];
+    for (const entry of queue) {
+      this.cancelExecution(kernelId, entry.info.id);
+    }
+  }
+
+  /**
+   * Get the running and queued executions of a kernel, in the order they will run
+   * @param kernelId Kernel ID
+   * @returns Array of execution info (copies)
+   */
+  public getExecutionQueue(kernelId: string): IExecutionInfo[] {
+    const result: IExecutionInfo[] = [];
+    const running = this.runningExecutions.get(kernelId);
+    if (running) {
+      result.push({ ...running });
+    }
+    for (const entry of this.executionQueues.get(kernelId) || []) {
+      result.push({ ...entry.info });
+    }
+    return result;
+  }
+
+  /**
+   * Get information about an execution submitted to a kernel
+   * Finished executions are remembered for a limited number of later submissions.
+   * @param kernelId Kernel ID
+   * @param executionId Execution ID
+   * @returns Execution info (copy) or undefined if unknown
+   */
+  public getExecutionStatus(kernelId: string, executionId: string): IExecutionInfo | undefined {
+    const info = this.findExecution(kernelId, executionId);
+    return info ? { ...info } : undefined;
+  }
+
+  /**
+   * Get the count of ongoing executions for a kernel
+   * @param id Kernel ID
+   * @returns Number of ongoing executions
+   */
+  public getOngoingExecutionCount(id: string): number {
+    if (!this.ongoingExecutions.has(id)) {
+      return 0;
+    }
+    return this.ongoingExecutions.get(id)!.size;
+  }
+  
+  /**
+   * Set up an inactivity timeout for a kernel
+   * @param id Kernel ID
+   * @param timeout Timeout in milliseconds
+   * @private
+   */
+  private setupInactivityTimeout(id: string, timeout: number): void {
+    // Don't set up a timer if timeout is 0 or negative
+    if (timeout <= 0) {
+      return;
+    }
+    
+    // Always clear any existing timer first
+    this.clearInactivityTimeout(id);
+    
+    // Calculate remaining time based on last activity
+    const lastActivity = this.lastActivityTime.get(id) || Date.now();
+    const elapsed = Date.now() - lastActivity;
+    const remainingTime = Math.max(0, timeout - elapsed);
+    
+    // If no time remaining, destroy immediately
+    if (remainingTime === 0) {
+      // Check if the kernel has ongoing executions before shutting down
+      if (this.hasOngoingExecutions(id)) {
+        // Reset the timer to check again later
+        this.setupInactivityTimeout(id, timeout);
+        return;
+      }
+      
+      // Destroy immediately
+      this.destroyKernel(id).catch(error => {
+        console.error(`Error destroying inactive kernel ${id}:`, error);
+      });
+      return;
+    }
+    
+    // Create a timer to destroy the kernel after the remaining timeout
+    const timer = setTimeout(() => {
+      // Check if the kernel has ongoing executions before shutting down
+      if (this.hasOngoingExecutions(id)) {
+        // Reset the timer to check again later
+        this.setupInactivityTimeout(id, timeout);
+        return;
+      }
+      
+      this.destroyKernel(id).catch(error => {
+        console.error(`Error destroying inactive kernel ${id}:`, error);
+      });
+    }, remainingTime);
+    
+    // Store the timer ID
+    this.inactivityTimers.set(id, timer);
+  }
+  
+  /**
+   * Clear any existing inactivity timeout for a kernel
+   * @param id Kernel ID
+   * @private
+   */
+  private clearInactivityTimeout(id: string): void {
+    if (this.inactivityTimers.has(id)) {
+      const timerId = this.inactivityTimers.get(id);
+      clearTimeout(timerId);
+      this.inactivityTimers.delete(id);
+    }
+  }
+
+  /**
+   * Update activity timestamp for a kernel and reset inactivity timer if present
+   * @param id Kernel ID
+   * @private
+   */
+  private updateKernelActivity(id: string): void {
+    // Update the last activity time
+    this.lastActivityTime.set(id, Date.now());
+    
+    // Get the kernel options
+    const instance = this.kernels.get(id);
+    if (!instance) return;
+    
+    const timeout = instance.options.inactivityTimeout;
+    
+    // Reset the inactivity timer if timeout is enabled (greater than 0)
+    if (timeout && timeout > 0) {
+      this.setupInactivityTimeout(id, timeout);
+    }
+  }
+
+  /**
+   * Get the last activity time for a kernel
    * @param id Kernel ID
    * @returns Last activity time in milliseconds since epoch, or undefined if not found
    */
@@ -2412,6 +3401,7 @@ export class KernelManager extends EventEmitter {
         if (instance) {
           super.emit(KernelEvents.EXECUTE_ERROR, {
             kernelId: id,
+            parentHeader: this.getExecutionParentHeader(id, event.executionId),
             data: {
               ename: "ExecutionStalledError",
               evalue: `Execution stalled or potentially deadlocked (running > ${event.maxExecutionTime}ms)`,
@@ -2549,141 +3539,1357 @@ export class KernelManager extends EventEmitter {
       }
     }
     
-    // Sort executions by start time (oldest first)
-    executions.sort((a, b) => a.startTime - b.startTime);
+    // Sort executions by start time (oldest first)
+    executions.sort((a, b) => a.startTime - b.startTime);
+    
+    return {
+      count,
+      isStuck: anyStuck,
+      executionIds,
+      longestRunningTime,
+      executions
+    };
+  }
+
+  /**
+   * Execute Python code in a kernel
+   * Uses executeStream to collect all outputs and return them
+   * @param kernelId ID of the kernel to use
+   * @param code Python code to execute
+   * @param parent Optional parent message header
+   * @param options Optional execution ID, queue priority and execute options
+   * @returns Promise resolving to execution result with collected outputs
+   */
+  public async execute(
+    kernelId: string,
+    code: string,
+    parent: any = {},
+    options: IExecutionRequestOptions = {}
+  ): Promise<{ success: boolean, outputs?: any, error?: Error, ename?: string, evalue?: string, traceback?: any, droppedBytes?: number }> {
+    const instance = this.getKernel(kernelId);
+    
+    if (!instance) {
+      throw new Error(`Kernel with ID ${kernelId} not found`);
+    }
+    
+    const executionId = options.executionId || `exec-${crypto.randomUUID()}`;
+    const parentMessage = this.ensureParentHeader(parent, executionId);
+    
+    // Share the execution queue with executeStream so executions never overlap
+    const admitted = await this.enqueueExecution(kernelId, executionId, code, parentMessage, options.priority);
+    if (!admitted) {
+      return {
+        success: false,
+        error: new Error(`Execution ${executionId} was cancelled`)
+      };
+    }
+    
+    const stopWatchingInput = this.watchInputRequests(kernelId, parentMessage.header.msg_id, options);
+    this.trackExecution(kernelId, code, executionId, options.timeout);
+    try {
+      const result = await this.failOnKernelDeath(kernelId, executionId, instance.kernel.execute(code, parentMessage, toKernelExecuteOptions(options)));
+      if (options.stopOnError && !result.success) {
+        this.cancelQueuedExecutions(kernelId);
+      }
+      await this.publishVariables(kernelId, executionId, options);
+      return result;
+    } finally {
+      this.completeExecution(kernelId, executionId);
+      stopWatchingInput();
+      this.finishQueuedExecution(kernelId, executionId);
+    }
+  }
+
+  /**
+   * Wait for a kernel call, but reject with KernelDiedError as soon as the kernel dies
+   * (a call into a dead worker would never settle)
+   * @param kernelId Kernel ID
+   * @param executionId Execution ID
+   * @param promise The pending kernel call
+   * @private
+   */
+  private failOnKernelDeath<T>(kernelId: string, executionId: string, promise: Promise<T>): Promise<T> {
+    const abortController = new AbortController();
+    this.storeAbortController(kernelId, executionId, abortController);
+    
+    return new Promise<T>((resolve, reject) => {
+      abortController.signal.addEventListener('abort', () => {
+        if (abortController.signal.reason instanceof KernelDiedError) {
+          reject(abortController.signal.reason);
+        }
+      });
+      promise.then(resolve, reject);
+    }).finally(() => {
+      this.removeAbortController(kernelId, executionId);
+    });
+  }
+
+  /**
+   * Answer the pending input()/getpass() prompt of a kernel
+   * Prompts arrive as INPUT_REQUEST events (and as `input_request` items in executeStream).
+   * @param kernelId ID of the kernel
+   * @param value The line of input, without a trailing newline
+   */
+  public async sendInput(kernelId: string, value: string): Promise<void> {
+    const instance = this.getKernel(kernelId);
+    
+    if (!instance) {
+      throw new Error(`Kernel with ID ${kernelId} not found`);
+    }
+    
+    this.clearInputTimeout(kernelId);
+    this.updateKernelActivity(kernelId);
+    await instance.kernel.inputReply({ value });
+  }
+
+  /**
+   * Handle the input requests of one execution: start the reply timeout and
+   * answer through the execution's onInput callback if it has one
+   * @param kernelId Kernel ID
+   * @param parentMsgId msg_id of the execution's parent header
+   * @param options Execution options
+   * @returns Function that stops watching
+   * @private
+   */
+  private watchInputRequests(kernelId: string, parentMsgId: string, options: IExecutionRequestOptions): () => void {
+    const handler = (event: { kernelId: string, data: IInputRequest, parentHeader?: any }) => {
+      if (event.kernelId !== kernelId || !this.belongsToExecution(event, parentMsgId)) {
+        return;
+      }
+      
+      const instance = this.getKernel(kernelId);
+      const timeout = options.inputTimeout ?? instance?.options.inputTimeout;
+      if (instance && timeout !== undefined && timeout > 0) {
+        this.clearInputTimeout(kernelId);
+        this.inputTimeouts.set(kernelId, setTimeout(() => {
+          this.inputTimeouts.delete(kernelId);
+          console.warn(`⏰ No input reply for kernel ${kernelId} within ${timeout}ms`);
+          instance.kernel.inputReply({ value: "", timedOut: true }).catch(error => {
+            console.error(`Error timing out input request on kernel ${kernelId}:`, error);
+          });
+        }, timeout));
+      }
+      
+      if (options.onInput) {
+        const onInput = options.onInput;
+        Promise.resolve()
+          .then(() => onInput(event.data))
+          .then(value => this.sendInput(kernelId, value))
+          .catch(error => {
+            console.error(`Error answering input request on kernel ${kernelId}:`, error);
+          });
+      }
+    };
+    
+    super.on(KernelEvents.INPUT_REQUEST, handler);
+    return () => {
+      super.off(KernelEvents.INPUT_REQUEST, handler);
+      this.clearInputTimeout(kernelId);
+    };
+  }
+
+  /**
+   * Cancel the reply timeout of a kernel's pending input request
+   * @param kernelId Kernel ID
+   * @private
+   */
+  private clearInputTimeout(kernelId: string): void {
+    const timer = this.inputTimeouts.get(kernelId);
+    if (timer !== undefined) {
+      clearTimeout(timer);
+      this.inputTimeouts.delete(kernelId);
+    }
+  }
+
+  /**
+   * Check if a kernel type is allowed
+   * @param mode Kernel mode
+   * @param language Kernel language
+   * @returns True if the kernel type is allowed
+   * @private
+   */
+  private isKernelTypeAllowed(mode: KernelMode, language: KernelLanguage): boolean {
+    return this.allowedKernelTypes.some(type => 
+      type.mode === mode && type.language === language
+    );
+  }
+  
+  /**
+   * Get the list of allowed kernel types
+   * @returns Array of allowed kernel type configurations
+   */
+  public getAllowedKernelTypes(): Array<{
+    mode: KernelMode;
+    language: KernelLanguage;
+  }> {
+    return [...this.allowedKernelTypes]; // Return a copy to prevent modification
+  }
+
+  /**
+   * Ping a kernel to reset its activity timer and extend the deadline
+   * (this does not check that the kernel answers, see probeKernel)
+   * @param id Kernel ID
+   * @returns True if the kernel was pinged successfully, false if not found
+   */
+  public pingKernel(id: string): boolean {
+    const instance = this.kernels.get(id);
+    if (!instance) {
+      return false;
+    }
+    
+    // Update kernel activity (this will reset the inactivity timer)
+    this.updateKernelActivity(id);
+    
+    return true;
+  }
+
+  /**
+   * Send a heartbeat through a worker kernel's event port and wait for the answer
+   * @param id Kernel ID
+   * @param timeout Milliseconds to wait for the answer (default: the heartbeat interval)
+   * @returns Round trip in milliseconds, or null if the kernel did not answer in time
+   */
+  public async probeKernel(id: string, timeout?: number): Promise<number | null> {
+    const instance = this.kernels.get(id);
+    if (!instance) {
+      throw new Error(`Kernel with ID ${id} not found`);
+    }
+    
+    // Main thread kernels share this thread, so they are responsive whenever this runs
+    const state = this.heartbeats.get(id);
+    if (!state || !instance.eventPort) {
+      return 0;
+    }
+    
+    return new Promise<number | null>((resolve) => {
+      let seq = 0;
+      const timer = setTimeout(() => {
+        state.pending.delete(seq);
+        resolve(null);
+      }, timeout ?? state.status.interval);
+      seq = this.postHeartbeat(instance, state, (latency) => {
+        clearTimeout(timer);
+        resolve(latency);
+      });
+    });
+  }
+  
+  /**
+   * Get the liveness of a worker kernel as last seen by its heartbeat
+   * @param id Kernel ID
+   * @returns Heartbeat status, or undefined for main thread kernels and unknown IDs
+   */
+  public getHeartbeat(id: string): IKernelHeartbeat | undefined {
+    const state = this.heartbeats.get(id);
+    return state ? { ...state.status, suspended: this.isHeartbeatSuspended(id, state) } : undefined;
+  }
+  
+  /**
+   * Start the heartbeat of a worker kernel
+   * @param id Kernel ID
+   * @private
+   */
+  private startHeartbeat(id: string): void {
+    const instance = this.kernels.get(id);
+    if (!instance || instance.mode !== KernelMode.WORKER || !instance.eventPort) {
+      return;
+    }
+    
+    // With the heartbeat disabled the kernel can still be probed on demand
+    const options = instance.options.heartbeat === false ? null : (instance.options.heartbeat || {});
+    const state: HeartbeatState = {
+      status: {
+        responsive: true,
+        latency: null,
+        lastBeat: null,
+        missedBeats: 0,
+        interval: options?.interval ?? 5000,
+        suspended: false
+      },
+      threshold: options?.missedBeats ?? 3,
+      skipDuringExecution: options?.skipDuringExecution === true,
+      timer: null,
+      seq: 0,
+      outstanding: null,
+      pending: new Map()
+    };
+    this.heartbeats.set(id, state);
+    
+    if (options) {
+      state.timer = setInterval(() => this.beatHeartbeat(id), state.status.interval);
+    }
+  }
+  
+  /**
+   * Send the next beat, or count a missed one if the last beat is still unanswered
+   * @param id Kernel ID
+   * @private
+   */
+  private beatHeartbeat(id: string): void {
+    const state = this.heartbeats.get(id);
+    const instance = this.kernels.get(id);
+    if (!state || !instance) {
+      return;
+    }
+    
+    if (this.isHeartbeatSuspended(id, state)) {
+      return;
+    }
+    
+    if (state.outstanding === null) {
+      state.outstanding = this.postHeartbeat(instance, state);
+      return;
+    }
+    
+    state.status.missedBeats++;
+    if (state.status.responsive && state.status.missedBeats >= state.threshold) {
+      state.status.responsive = false;
+      console.warn(`Kernel ${id} missed ${state.status.missedBeats} heartbeats in a row and may be unresponsive`);
+      super.emit(KernelEvents.KERNEL_UNRESPONSIVE, {
+        kernelId: id,
+        data: {
+          missedBeats: state.status.missedBeats,
+          lastBeat: state.status.lastBeat,
+          interval: state.status.interval
+        }
+      });
+    }
+  }
+  
+  /**
+   * Whether missed beats of a worker are not counted right now
+   * A worker paused in the debugger is blocked on purpose; one running a cell
+   * cannot answer before the cell yields, which only counts with skipDuringExecution.
+   * @param id Kernel ID
+   * @param state Heartbeat state of the kernel
+   * @private
+   */
+  private isHeartbeatSuspended(id: string, state: HeartbeatState): boolean {
+    if (this.debugChannels.get(id)?.paused) {
+      return true;
+    }
+    return state.skipDuringExecution && (this.ongoingExecutions.get(id)?.size ?? 0) > 0;
+  }
+
+  /**
+   * Post a heartbeat to a worker kernel
+   * @param instance Kernel instance
+   * @param state Heartbeat state of the kernel
+   * @param answered Called with the round trip when the worker answers
+   * @returns Sequence number of the beat
+   * @private
+   */
+  private postHeartbeat(
+    instance: IKernelInstance,
+    state: HeartbeatState,
+    answered: (latency: number) => void = () => undefined
+  ): number {
+    const seq = ++state.seq;
+    state.pending.set(seq, { sent: Date.now(), answered });
+    instance.eventPort!.postMessage({ type: "HEARTBEAT", data: { seq } });
+    return seq;
+  }
+  
+  /**
+   * Record the answer to a heartbeat
+   * @param id Kernel ID
+   * @param seq Sequence number of the answered beat
+   * @private
+   */
+  private handleHeartbeatAck(id: string, seq: number): void {
+    const state = this.heartbeats.get(id);
+    const beat = state?.pending.get(seq);
+    if (!state || !beat) {
+      return;
+    }
+    
+    state.pending.delete(seq);
+    if (state.outstanding === seq) {
+      state.outstanding = null;
+    }
+    
+    const latency = Date.now() - beat.sent;
+    const wasResponsive = state.status.responsive;
+    state.status = {
+      ...state.status,
+      responsive: true,
+      latency,
+      lastBeat: new Date().toISOString(),
+      missedBeats: 0
+    };
+    beat.answered(latency);
+    
+    if (!wasResponsive) {
+      console.log(`Kernel ${id} is responsive again (${latency}ms)`);
+      super.emit(KernelEvents.KERNEL_RESPONSIVE, {
+        kernelId: id,
+        data: { latency }
+      });
+    }
+  }
+  
+  /**
+   * Stop the heartbeat of a kernel
+   * @param id Kernel ID
+   * @private
+   */
+  private stopHeartbeat(id: string): void {
+    const state = this.heartbeats.get(id);
+    if (state) {
+      clearInterval(state.timer);
+      this.heartbeats.delete(id);
+    }
+  }
+  
+  /**
+   * Restart a kernel by destroying it and creating a new one with the same ID and configuration
+   * @param id Kernel ID
+   * @param options Restart options; `keepState` carries globals, files and packages over
+   * @returns Promise resolving to true if the kernel was restarted successfully, false if not found
+   */
+  public async restartKernel(id: string, options: IRestartKernelOptions = {}): Promise<boolean> {
+    const instance = this.kernels.get(id);
+    if (!instance) {
+      console.warn(`Cannot restart kernel ${id}: kernel not found`);
+      return false;
+    }
+    
+    try {
+      // Store the current configuration
+      const restartOptions = this.getRestartOptions(instance);
+      const recoveries = this.recoveryCounts.get(id);
+      const exposed = this.hostExports.get(id);
+      const targets = this.commTargets.get(id);
+      
+      // Capture state before the kernel goes away
+      let snapshot: IManagerKernelSnapshot | undefined;
+      if (options.keepState) {
+        snapshot = await this.snapshotKernel(id);
+      }
+      
+      // Destroy the existing kernel
+      await this.destroyKernel(id);
+      
+      // Create a new kernel with the same configuration
+      const newKernelId = await this.createKernel(restartOptions);
+      
+      // Verify the new kernel has the same ID
+      if (newKernelId !== id) {
+        console.error(`Kernel restart failed: expected ID ${id}, got ${newKernelId}`);
+        return false;
+      }
+      
+      // A manual restart keeps the count of automatic recoveries
+      if (recoveries) {
+        this.recoveryCounts.set(id, recoveries);
+      }
+      
+      // The new kernel gets the host objects of the old one
+      for (const [name, { value }] of exposed ?? []) {
+        await this.exposeToKernel(id, name, value);
+      }
+      for (const [targetName, handler] of targets ?? []) {
+        this.registerCommTarget(id, targetName, handler);
+      }
+      
+      // Put the captured state back
+      if (snapshot) {
+        const report = await this.getKernel(id)!.kernel.restoreSnapshot!(snapshot);
+        if (report.failed.length > 0) {
+          console.warn(`Kernel ${id} restarted but ${report.failed.length} value(s) could not be restored:`, report.failed);
+        }
+      }
+      
+      return true;
+      
+    } catch (error) {
+      console.error(`Error restarting kernel ${id}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the options that recreate a kernel with the same ID and configuration
+   * @param instance Kernel instance
+   * @returns Options for createKernel
+   * @private
+   */
+  private getRestartOptions(instance: IKernelInstance): IManagerKernelOptions {
+    // Extract namespace from ID if present
+    let namespace: string | undefined;
+    let baseId: string;
+    
+    if (instance.id.includes(':')) {
+      const parts = instance.id.split(':');
+      namespace = parts[0];
+      baseId = parts[1];
+    } else {
+      baseId = instance.id;
+    }
+    
+    return {
+      id: baseId,
+      mode: instance.mode,
+      lang: instance.language,
+      namespace,
+      deno: instance.options.deno,
+      filesystem: instance.options.filesystem,
+      env: instance.options.env,
+      lockFileURL: instance.options.lockFileURL,
+      pyodide: instance.options.pyodide,
+      bootstrap: instance.options.bootstrap,
+      inactivityTimeout: instance.options.inactivityTimeout,
+      maxExecutionTime: instance.options.maxExecutionTime,
+      inputTimeout: instance.options.inputTimeout,
+      javascript: instance.options.javascript,
+      recovery: instance.options.recovery,
+      heartbeat: instance.options.heartbeat,
+      memoryLimit: instance.options.memoryLimit,
+      binaryOutputs: instance.options.binaryOutputs,
+      outputPolicy: instance.options.outputPolicy
+    };
+  }
+
+  /**
+   * Handle a kernel whose worker or Pyodide runtime died: fail its running
+   * executions right away, emit KERNEL_DIED and apply the recovery policy
+   * @param id Kernel ID
+   * @param info Cause of death
+   * @private
+   */
+  private async handleKernelDeath(id: string, info: IKernelDeathInfo): Promise<void> {
+    const instance = this.kernels.get(id);
+    if (!instance || this.pendingRecoveries.has(id)) {
+      return;
+    }
+    
+    const recovery = { cancelled: false };
+    this.pendingRecoveries.set(id, recovery);
+    
+    try {
+      const policy: IKernelRecoveryPolicy = { ...this.recoveryPolicy, ...instance.options.recovery };
+      const recoveries = this.recoveryCounts.get(id) || 0;
+      const restartOptions = this.getRestartOptions(instance);
+      console.error(`💀 Kernel ${id} died (${info.cause}): ${info.message}`);
+      
+      // Fail running executions now instead of letting them wait for maxExecutionTime
+      this.abortAllKernelOperations(id, new KernelDiedError(id, info));
+      
+      super.emit(KernelEvents.KERNEL_DIED, {
+        kernelId: id,
+        data: { ...info, recovery: policy.strategy, recoveries }
+      });
+      
+      // Remove the dead instance
+      try {
+        await this.destroyKernel(id);
+      } catch (error) {
+        console.warn(`Error cleaning up dead kernel ${id}:`, error);
+        this.kernels.delete(id);
+      }
+      
+      if (policy.strategy === "none") {
+        return;
+      }
+      
+      const maxRetries = policy.maxRetries ?? 3;
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        if (policy.strategy === "backoff") {
+          const delay = Math.min((policy.initialDelay ?? 1000) * 2 ** (attempt - 1), policy.maxDelay ?? 30000);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        
+        // The kernel was destroyed while we were waiting
+        if (recovery.cancelled) {
+          console.log(`Recovery of kernel ${id} cancelled`);
+          return;
+        }
+        
+        try {
+          await this.createKernel(restartOptions);
+          if (recovery.cancelled) {
+            await this.destroyKernel(id);
+            return;
+          }
+          this.recoveryCounts.set(id, recoveries + 1);
+          console.log(`♻️ Kernel ${id} recovered (attempt ${attempt})`);
+          super.emit(KernelEvents.KERNEL_RESTARTED, {
+            kernelId: id,
+            data: { cause: info.cause, attempt, recoveries: recoveries + 1 }
+          });
+          return;
+        } catch (error) {
+          console.warn(`⚠️ Recovery attempt ${attempt}/${maxRetries} for kernel ${id} failed:`, error);
+        }
+      }
+      
+      console.error(`Kernel ${id} could not be recovered after ${maxRetries} attempts`);
+      super.emit(KernelEvents.KERNEL_UNRECOVERABLE, {
+        kernelId: id,
+        data: { ...info, attempts: maxRetries }
+      });
+    } finally {
+      this.pendingRecoveries.delete(id);
+    }
+  }
+
+  /**
+   * Persist a kernel's filesystem to its backing store
+   * For the idbfs backend this writes the in-memory files to IndexedDB; other
+   * backends have nothing to persist and resolve immediately. A
+   * FILESYSTEM_SYNCED or FILESYSTEM_SYNC_FAILED event is emitted for the kernel.
+   * @param id Kernel ID
+   * @returns Promise resolving when the sync completes (rejects if it fails)
+   */
+  public async syncFilesystem(id: string): Promise<void> {
+    const instance = this.kernels.get(id);
+    if (!instance) {
+      throw new Error(`Kernel with ID ${id} not found`);
+    }
+    
+    if (typeof instance.kernel.syncFilesystem !== 'function') {
+      throw new Error(`Kernel ${id} does not support filesystem sync`);
+    }
+    
+    await instance.kernel.syncFilesystem();
+    this.updateKernelActivity(id);
+  }
+
+  /**
+   * Get a kernel that implements an optional kernel method
+   * @param id Kernel ID
+   * @param method Method name
+   * @returns Kernel instance
+   * @private
+   */
+  private getKernelWithMethod(id: string, method: keyof IKernel): IKernelInstance {
+    const instance = this.kernels.get(id);
+    if (!instance) {
+      throw new Error(`Kernel with ID ${id} not found`);
+    }
+    if (typeof instance.kernel[method] !== 'function') {
+      throw new Error(`Kernel ${id} does not support ${String(method)}`);
+    }
+    this.updateKernelActivity(id);
+    return instance;
+  }
+
+  /**
+   * Write a file into a kernel's filesystem (strings are written as UTF-8)
+   * @param id Kernel ID
+   * @param path File path; the parent directory must exist
+   * @param data File contents
+   * @param options `transfer` hands a Uint8Array's buffer to a worker kernel instead of
+   *   copying it (the caller's array becomes unusable)
+   * @throws KernelFilesystemError with an errno-style code such as ENOENT
+   */
+  public async writeFile(id: string, path: string, data: Uint8Array | string, options: { transfer?: boolean } = {}): Promise<void> {
+    const instance = this.getKernelWithMethod(id, 'writeFile');
+    await instance.kernel.writeFile!(path, data, options);
+  }
+
+  /**
+   * Read a file from a kernel's filesystem
+   * @param id Kernel ID
+   * @param path File path
+   * @param options `encoding: "utf8"` decodes the contents to a string
+   * @returns File contents
+   * @throws KernelFilesystemError with an errno-style code such as ENOENT
+   */
+  public async readFile(id: string, path: string): Promise<Uint8Array>;
+  public async readFile(id: string, path: string, options: { encoding: "utf8" }): Promise<string>;
+  public async readFile(id: string, path: string, options: { encoding?: "utf8" } = {}): Promise<Uint8Array | string> {
+    const instance = this.getKernelWithMethod(id, 'readFile');
+    const data = await instance.kernel.readFile!(path);
+    return options.encoding === "utf8" ? new TextDecoder().decode(data) : data;
+  }
+
+  /**
+   * List the entries of a directory in a kernel's filesystem
+   * @param id Kernel ID
+   * @param path Directory path
+   * @returns Entries with type, size and modification time, sorted by name
+   * @throws KernelFilesystemError with an errno-style code such as ENOENT
+   */
+  public async listDir(id: string, path: string): Promise<IFileInfo[]> {
+    const instance = this.getKernelWithMethod(id, 'listDir');
+    return instance.kernel.listDir!(path);
+  }
+
+  /**
+   * Get information about a file or directory in a kernel's filesystem
+   * @param id Kernel ID
+   * @param path Path to inspect
+   * @throws KernelFilesystemError with an errno-style code such as ENOENT
+   */
+  public async stat(id: string, path: string): Promise<IFileInfo> {
+    const instance = this.getKernelWithMethod(id, 'stat');
+    return instance.kernel.stat!(path);
+  }
+
+  /**
+   * Remove a file or directory from a kernel's filesystem
+   * @param id Kernel ID
+   * @param path Path to remove
+   * @param options `recursive` removes non-empty directories with their contents
+   * @throws KernelFilesystemError with an errno-style code such as ENOTEMPTY
+   */
+  public async remove(id: string, path: string, options: { recursive?: boolean } = {}): Promise<void> {
+    const instance = this.getKernelWithMethod(id, 'remove');
+    await instance.kernel.remove!(path, options);
+  }
+
+  /**
+   * Create a directory in a kernel's filesystem
+   * @param id Kernel ID
+   * @param path Directory path
+   * @param options `recursive` creates missing parents and tolerates an existing directory
+   * @throws KernelFilesystemError with an errno-style code such as EEXIST
+   */
+  public async mkdir(id: string, path: string, options: { recursive?: boolean } = {}): Promise<void> {
+    const instance = this.getKernelWithMethod(id, 'mkdir');
+    await instance.kernel.mkdir!(path, options);
+  }
+
+  /**
+   * Capture a portable snapshot of a kernel's state
+   * The snapshot holds picklable globals (unpicklable ones are listed in `skipped`),
+   * files under /home/pyodide, the installed package list, environment variables
+   * and the configuration needed to recreate the kernel. It is JSON-serializable.
+   * @param id Kernel ID
+   * @param options Snapshot options
+   * @returns Promise resolving to the snapshot
+   */
+  public async snapshotKernel(id: string, options: IKernelSnapshotOptions = {}): Promise<IManagerKernelSnapshot> {
+    const instance = this.kernels.get(id);
+    if (!instance) {
+      throw new Error(`Kernel with ID ${id} not found`);
+    }
+    
+    if (typeof instance.kernel.snapshot !== 'function') {
+      throw new Error(`Kernel ${id} does not support snapshots`);
+    }
+    
+    // Take the snapshot between executions so the state is consistent
+    return this.runBetweenExecutions(id, 'snapshot', async () => {
+      const snapshot = await instance.kernel.snapshot!(options);
+      this.updateKernelActivity(id);
+      
+      return {
+        ...snapshot,
+        kernel: {
+          mode: instance.mode,
+          language: instance.language,
+          options: {
+            env: instance.options.env,
+            lockFileURL: instance.options.lockFileURL,
+            pyodide: instance.options.pyodide,
+            bootstrap: instance.options.bootstrap,
+            filesystem: instance.options.filesystem,
+            inactivityTimeout: instance.options.inactivityTimeout,
+            maxExecutionTime: instance.options.maxExecutionTime,
+            inputTimeout: instance.options.inputTimeout,
+            javascript: instance.options.javascript
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Run an operation through a kernel's execution queue so it never overlaps an execution
+   * @param id Kernel ID
+   * @param kind Operation name, used as the queue entry's ID prefix
+   * @param operation Operation to run once admitted
+   * @returns The operation's result
+   * @private
+   */
+  private async runBetweenExecutions<T>(id: string, kind: string, operation: () => Promise<T>): Promise<T> {
+    const executionId = `${kind}-${crypto.randomUUID()}`;
+    const admitted = await this.enqueueExecution(id, executionId, "", this.ensureParentHeader({}, executionId));
+    if (!admitted) {
+      throw new Error(`${executionId} on kernel ${id} was cancelled`);
+    }
+    
+    try {
+      return await operation();
+    } finally {
+      this.finishQueuedExecution(id, executionId);
+    }
+  }
+
+  /**
+   * Create a new kernel from a snapshot produced by `snapshotKernel`
+   * The kernel is created with the snapshot's mode, language and options,
+   * overridden by any options given here, and the captured state is restored into it.
+   * @param snapshot Snapshot to restore
+   * @param options Kernel creation options (e.g. a new id or namespace)
+   * @returns Promise resolving to the new kernel ID and a restore report
+   */
+  public async restoreKernel(
+    snapshot: IManagerKernelSnapshot,
+    options: IManagerKernelOptions = {}
+  ): Promise<{ kernelId: string; report: IKernelRestoreReport }> {
+    if (!snapshot || !snapshot.kernel) {
+      throw new Error('Invalid kernel snapshot');
+    }
+    
+    const kernelId = await this.createKernel({
+      mode: snapshot.kernel.mode,
+      lang: snapshot.kernel.language,
+      ...snapshot.kernel.options,
+      ...options,
+      env: { ...(snapshot.kernel.options.env || {}), ...(options.env || {}) }
+    });
+    
+    try {
+      const instance = this.kernels.get(kernelId)!;
+      if (typeof instance.kernel.restoreSnapshot !== 'function') {
+        throw new Error(`Kernel ${kernelId} does not support snapshots`);
+      }
+      
+      const report = await instance.kernel.restoreSnapshot(snapshot);
+      this.updateKernelActivity(kernelId);
+      
+      return { kernelId, report };
+    } catch (error) {
+      // Do not leave a half-restored kernel behind
+      await this.destroyKernel(kernelId);
+      throw error;
+    }
+  }
+
+  /**
+   * Install packages into a kernel with micropip
+   * Installation waits for the kernel's queued executions and reports each spec's
+   * progress (and every distribution it brings in) as PACKAGE_PROGRESS events.
+   * @param id Kernel ID
+   * @param specs Requirement specifiers, e.g. ["numpy", "attrs==23.1.0"]
+   * @param options `indexUrls` to search instead of PyPI, `keepGoing` to continue after
+   *   a failed spec, `deps: false` to skip dependencies
+   * @returns Promise resolving to the installed, failed and skipped packages
+   */
+  public async installPackages(id: string, specs: string[], options: IPackageInstallOptions = {}): Promise<IPackageInstallResult> {
+    const instance = this.getKernelWithMethod(id, 'installPackages');
+    
+    return this.runBetweenExecutions(id, 'install', async () => {
+      const result = await instance.kernel.installPackages!(specs, options);
+      this.updateKernelActivity(id);
+      return result;
+    });
+  }
+
+  /**
+   * List the packages installed in a kernel
+   * @param id Kernel ID
+   * @returns Promise resolving to the installed packages sorted by name
+   */
+  public async listPackages(id: string): Promise<IPackageInfo[]> {
+    const instance = this.getKernelWithMethod(id, 'listPackages');
+    return instance.kernel.listPackages!();
+  }
+
+  /**
+   * Uninstall a package from a kernel (its dependencies are left in place)
+   * @param id Kernel ID
+   * @param name Package name
+   * @returns Promise resolving to false if the package was not installed
+   */
+  public async uninstallPackage(id: string, name: string): Promise<boolean> {
+    const instance = this.getKernelWithMethod(id, 'uninstallPackage');
+    
+    return this.runBetweenExecutions(id, 'uninstall', async () => {
+      const removed = await instance.kernel.uninstallPackage!(name);
+      this.updateKernelActivity(id);
+      return removed;
+    });
+  }
+
+  /**
+   * Export a kernel's packages as a pyodide-lock.json file
+   * The lock pins every loaded package to the exact wheel in use. Serve it (or
+   * turn it into a blob: URL) and pass it as `lockFileURL` to create kernels that
+   * load the same versions without resolving them again.
+   * @param id Kernel ID
+   * @returns Promise resolving to the lock file contents (JSON)
+   */
+  public async exportLock(id: string): Promise<string> {
+    const instance = this.getKernelWithMethod(id, 'exportLock');
+    return instance.kernel.exportLock!();
+  }
+
+  /**
+   * Validate a notebook against the nbformat schema, using the nbformat package
+   * installed in a kernel
+   * @param id Kernel ID
+   * @param notebook Notebook object or JSON string
+   * @returns Promise resolving to the validation error messages (empty when valid)
+   */
+  public async validateNotebook(id: string, notebook: any): Promise<string[]> {
+    const instance = this.getKernelWithMethod(id, 'validateNotebook');
+    const source = typeof notebook === "string" ? notebook : JSON.stringify(notebook);
+    return instance.kernel.validateNotebook!(source);
+  }
+
+  /**
+   * Clear one of a kernel's user namespaces, like `%reset -f`
+   * Waits for the kernel's queued executions; the execution count is kept.
+   * @param id Kernel ID
+   * @param options `keepImports` to keep imported modules, `userNamespace` to reset
+   *   a named namespace instead of the default one
+   */
+  public async resetNamespace(id: string, options: IResetNamespaceOptions = {}): Promise<void> {
+    const instance = this.getKernelWithMethod(id, 'resetNamespace');
+    
+    await this.runBetweenExecutions(id, 'reset', async () => {
+      await instance.kernel.resetNamespace!(options);
+      this.updateKernelActivity(id);
+    });
+  }
+
+  /**
+   * List a kernel's user namespaces
+   * @param id Kernel ID
+   * @returns Promise resolving to the namespace names, starting with the default one
+   */
+  public async listUserNamespaces(id: string): Promise<string[]> {
+    const instance = this.getKernelWithMethod(id, 'listUserNamespaces');
+    return instance.kernel.listUserNamespaces!();
+  }
+
+  /**
+   * Delete a named user namespace of a kernel
+   * @param id Kernel ID
+   * @param name Namespace name (the default namespace cannot be deleted)
+   * @returns Promise resolving to false if the namespace did not exist
+   */
+  public async deleteUserNamespace(id: string, name: string): Promise<boolean> {
+    const instance = this.getKernelWithMethod(id, 'deleteUserNamespace');
+    
+    return this.runBetweenExecutions(id, 'delete-namespace', async () => {
+      return instance.kernel.deleteUserNamespace!(name);
+    });
+  }
+
+  /**
+   * Summarize the variables of a kernel, for a variable explorer
+   * Inspection publishes no outputs and does not count as an execution.
+   * @param id Kernel ID
+   * @param options `filter` glob on names, `maxItems` (default 100), `userNamespace`
+   * @returns Promise resolving to the variable summaries sorted by name
+   */
+  public async inspectVariables(id: string, options?: IVariableInspectOptions): Promise<IVariableSummary[]> {
+    const instance = this.getKernelWithMethod(id, 'inspectVariables');
+    return instance.kernel.inspectVariables!(options);
+  }
+
+  /**
+   * Drill into a variable of a kernel: dict entries, sequence items, object
+   * attributes or DataFrame rows, a page at a time
+   * @param id Kernel ID
+   * @param path Variable name, or the name followed by the keys of the items, e.g. ["config", "layers", 0]
+   * @param options `offset` and `limit` of the page (default 0 and 100), `userNamespace`
+   * @returns Promise resolving to the value's summary and a page of its items
+   */
+  public async getVariableDetail(id: string, path: VariablePath, options?: IVariableDetailOptions): Promise<IVariableDetail> {
+    const instance = this.getKernelWithMethod(id, 'getVariableDetail');
+    return instance.kernel.getVariableDetail!(path, options);
+  }
+
+  /**
+   * Send a Debug Adapter Protocol request to a Python kernel's debugger
+   * Start with "attach", then set breakpoints on the source paths "dumpCell"
+   * returns for cells. A cell that hits one pauses (a "stopped" DEBUG_EVENT)
+   * until it gets "continue", "next", "stepIn" or "stepOut". Worker kernels
+   * block while paused; main thread kernels can only pause where JSPI is available.
+   * @param id Kernel ID
+   * @param request DAP request; `seq` is assigned when missing
+   * @returns Promise resolving to the DAP response (success: false with a message when it failed)
+   */
+  public async debug(id: string, request: Omit<IDebugRequest, "seq" | "type"> & { seq?: number }): Promise<IDebugResponse> {
+    const instance = this.getKernelWithMethod(id, 'debug');
+    return instance.kernel.debug!({ ...request, seq: request.seq ?? ++this.debugSeq, type: "request" });
+  }
+
+  /**
+   * Run code under cProfile to find out where a cell spends its time
+   * The code runs like any execution (queued, with outputs streamed as events)
+   * and the stats cover the whole cell, including the kernel's cell machinery.
+   * @param id Kernel ID
+   * @param code The Python code to profile
+   * @param options `sortBy` and `limit` of the per-function stats (default "cumtime" and 30), and execute options
+   * @returns Promise resolving to the execution result with the stats, call tree and wall time breakdown
+   */
+  public async profile(id: string, code: string, options: IProfileRequestOptions = {}): Promise<IProfileResult> {
+    const instance = this.getKernelWithMethod(id, 'takeProfile');
+    const { sortBy, limit, ...executeOptions } = options;
+    const executionId = executeOptions.executionId || `exec-${crypto.randomUUID()}`;
+    const parent = this.ensureParentHeader({}, executionId);
+    
+    const stream = this.executeStream(id, code, parent, { ...executeOptions, executionId, profile: true });
+    let next = await stream.next();
+    while (!next.done) {
+      next = await stream.next();
+    }
+    
+    // Cancelled executions never ran, so they have no profile
+    const report = await instance.kernel.takeProfile!(parent.header.msg_id, { sortBy, limit });
+    if (!report) {
+      throw next.value.error ?? new Error(`Execution ${executionId} was not profiled`);
+    }
+    return { ...next.value, ...report };
+  }
+
+  /**
+   * Let a Python kernel import a host function or object: `from host import name`
+   * Host functions are called across the worker boundary in worker kernels, so
+   * Python awaits them. Arguments and results are converted: None, numbers,
+   * strings, lists and dicts go as JSON-like data, buffers (bytes, numpy arrays)
+   * as typed arrays and typed arrays as memoryviews. Python functions passed as
+   * arguments reach the host as functions returning promises, until the call
+   * returns. Objects are exposed with their methods; their other properties are
+   * copied when exposed. Restarted kernels get their host objects back.
+   * @param id Kernel ID
+   * @param name Python identifier to import the object as (replaces an earlier one)
+   * @param value Function or object to expose
+   */
+  public async exposeToKernel(id: string, name: string, value: unknown): Promise<void> {
+    const instance = this.getKernelWithMethod(id, 'exposeHost');
+    if (!HOST_NAME_PATTERN.test(name)) {
+      throw new Error(`Cannot expose ${JSON.stringify(name)}: host objects need Python identifiers as names`);
+    }
+    
+    let exports = this.hostExports.get(id);
+    if (!exports) {
+      exports = new Map();
+      this.hostExports.set(id, exports);
+      await instance.kernel.setHostBridge!((exposureId, path, args) => this.callHost(id, exposureId, path, args));
+    }
+    const exposureId = ++this.hostExposureSeq;
+    exports.set(name, { id: exposureId, value });
+    await instance.kernel.exposeHost!(name, exposureId, describeHostValue(value));
+  }
+
+  /**
+   * Revoke a kernel's access to a host object
+   * Calls of its functions fail from now on, also where the kernel already imported it.
+   * @param id Kernel ID
+   * @param name Name the object was exposed as
+   * @returns Promise resolving to false if nothing was exposed under the name
+   */
+  public async unexpose(id: string, name: string): Promise<boolean> {
+    const instance = this.getKernelWithMethod(id, 'unexposeHost');
+    if (!this.hostExports.get(id)?.delete(name)) {
+      return false;
+    }
+    await instance.kernel.unexposeHost!(name);
+    return true;
+  }
+
+  /**
+   * Call a host function for a kernel (the kernel's host bridge)
+   * @param id Kernel ID
+   * @param exposureId Exposure the function belongs to
+   * @param path Path from the exposed value to the function
+   * @param args Arguments; functions among them are Comlink proxies for worker kernels
+   * @returns Promise resolving to the function's result
+   * @private
+   */
+  private async callHost(id: string, exposureId: number, path: string[], args: unknown[]): Promise<unknown> {
+    try {
+      const exposure = [...this.hostExports.get(id)?.entries() ?? []].find(([, exposed]) => exposed.id === exposureId);
+      if (!exposure) {
+        throw new Error(`This host object is no longer exposed to kernel ${id}`);
+      }
+      
+      const [name, { value }] = exposure;
+      let owner: any;
+      let target: any = value;
+      for (const key of path) {
+        owner = target;
+        target = target?.[key];
+      }
+      if (typeof target !== "function") {
+        throw new Error(`${[name, ...path].join(".")} is not a function`);
+      }
+      return await target.apply(owner, args);
+    } finally {
+      // Callbacks only live for the duration of the call
+      if (this.kernels.get(id)?.mode === KernelMode.WORKER) {
+        for (const arg of args) {
+          if (typeof arg === "function") {
+            (arg as any)[Comlink.releaseProxy]();
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle the comms a Python kernel opens for a target on the host
+   * The handler is called with a comm object when Python opens a comm for the
+   * target, e.g. with `comm.create_comm(target_name=...)`. Messages keep their
+   * binary buffers in both directions: Python's buffers arrive as Uint8Arrays
+   * and the host's buffers reach Python as memoryviews, also in worker kernels.
+   * Restarted kernels keep their targets; their open comms are closed.
+   * @param id Kernel ID
+   * @param targetName Comm target name (replaces an earlier handler)
+   * @param handler Called with the comm and the data of the comm_open message
+   */
+  public registerCommTarget(id: string, targetName: string, handler: CommTargetHandler): void {
+    this.getKernelWithMethod(id, 'commMsg');
+    
+    let targets = this.commTargets.get(id);
+    if (!targets) {
+      targets = new Map();
+      this.commTargets.set(id, targets);
+    }
+    targets.set(targetName, handler);
     
-    return {
-      count,
-      isStuck: anyStuck,
-      executionIds,
-      longestRunningTime,
-      executions
-    };
+    if (!this.routingComms) {
+      this.routingComms = true;
+      super.on(KernelEvents.ALL, (event: { kernelId: string, data: { type: string, data: any } }) => {
+        this.routeComm(event.kernelId, event.data?.type, event.data?.data);
+      });
+    }
   }
 
   /**
-   * Execute Python code in a kernel
-   * Uses executeStream to collect all outputs and return them
-   * @param kernelId ID of the kernel to use
-   * @param code Python code to execute
-   * @param parent Optional parent message header
-   * @returns Promise resolving to execution result with collected outputs
+   * Stop handling the comms Python opens for a target
+   * Comms that are already open stay open.
+   * @param id Kernel ID
+   * @param targetName Comm target name
+   * @returns false if no handler was registered for the target
    */
-  public async execute(
-    kernelId: string,
-    code: string,
-    parent: any = {}
-  ): Promise<{ success: boolean, outputs?: any, error?: Error, ename?: string, evalue?: string, traceback?: any }> {
-    const instance = this.getKernel(kernelId);
+  public unregisterCommTarget(id: string, targetName: string): boolean {
+    return this.commTargets.get(id)?.delete(targetName) ?? false;
+  }
+
+  /**
+   * Hand a comm message of a kernel to the host comm it belongs to
+   * @param id Kernel ID
+   * @param type Event type
+   * @param message Content, metadata and buffers of the message
+   * @private
+   */
+  private routeComm(id: string, type: string, message: any): void {
+    const content = message?.content;
+    if (!content?.comm_id) {
+      return;
+    }
+    const msg: ICommMessage = {
+      data: content.data ?? {},
+      metadata: message.metadata ?? {},
+      buffers: message.buffers ?? []
+    };
     
-    if (!instance) {
-      throw new Error(`Kernel with ID ${kernelId} not found`);
+    if (type === KernelEvents.COMM_OPEN) {
+      const handler = this.commTargets.get(id)?.get(content.target_name);
+      if (!handler) {
+        return;
+      }
+      const comm = new HostComm(id, content.comm_id, content.target_name, (msgType, msgContent, buffers, metadata) =>
+        this.sendComm(id, msgType, msgContent, buffers, metadata));
+      let comms = this.hostComms.get(id);
+      if (!comms) {
+        comms = new Map();
+        this.hostComms.set(id, comms);
+      }
+      comms.set(comm.commId, comm);
+      // Closing the comm from the host forgets it too
+      comm.onClose(() => {
+        this.hostComms.get(id)?.delete(comm.commId);
+      });
+      
+      Promise.resolve()
+        .then(() => handler(comm, msg))
+        .catch(error => console.error(`Error in the handler of comm target ${content.target_name}:`, error));
+      return;
+    }
+    
+    const comm = this.hostComms.get(id)?.get(content.comm_id);
+    if (!comm) {
+      return;
+    }
+    if (type === KernelEvents.COMM_MSG) {
+      void comm.handleMsg(msg);
+    } else if (type === KernelEvents.COMM_CLOSE) {
+      void comm.handleClose(msg);
     }
-    return await instance.kernel.execute(code, parent);
   }
 
   /**
-   * Check if a kernel type is allowed
-   * @param mode Kernel mode
-   * @param language Kernel language
-   * @returns True if the kernel type is allowed
+   * Send a comm message from a host comm to its kernel
+   * @param id Kernel ID
+   * @param type comm_msg or comm_close
+   * @param content Message content
+   * @param buffers Binary buffers
+   * @param metadata Message metadata
    * @private
    */
-  private isKernelTypeAllowed(mode: KernelMode, language: KernelLanguage): boolean {
-    return this.allowedKernelTypes.some(type => 
-      type.mode === mode && type.language === language
-    );
+  private async sendComm(id: string, type: "comm_msg" | "comm_close", content: { comm_id: string, data: any }, buffers: CommBuffer[], metadata: any): Promise<void> {
+    const instance = this.kernels.get(id);
+    if (!instance) {
+      throw new Error(`Kernel with ID ${id} not found`);
+    }
+    if (type === "comm_msg") {
+      await instance.kernel.commMsg!(content, {}, buffers, metadata);
+    } else {
+      await instance.kernel.commClose!(content, {}, buffers, metadata);
+    }
   }
-  
+
   /**
-   * Get the list of allowed kernel types
-   * @returns Array of allowed kernel type configurations
+   * Close the host comms of a kernel that went away
+   * @param id Kernel ID
+   * @private
    */
-  public getAllowedKernelTypes(): Array<{
-    mode: KernelMode;
-    language: KernelLanguage;
-  }> {
-    return [...this.allowedKernelTypes]; // Return a copy to prevent modification
+  private closeHostComms(id: string): void {
+    const comms = this.hostComms.get(id);
+    this.hostComms.delete(id);
+    for (const comm of comms?.values() ?? []) {
+      void comm.handleClose({ data: {}, metadata: {}, buffers: [] });
+    }
   }
 
   /**
-   * Ping a kernel to reset its activity timer and extend the deadline
+   * Emit VARIABLES_CHANGED after an execution of a kernel that watches its variables
+   * Silent executions are skipped, since they are not supposed to change anything.
    * @param id Kernel ID
-   * @returns True if the kernel was pinged successfully, false if not found
+   * @param executionId Execution that just finished
+   * @param options Options of the execution
+   * @private
    */
-  public pingKernel(id: string): boolean {
+  private async publishVariables(id: string, executionId: string, options: IExecutionRequestOptions): Promise<void> {
     const instance = this.kernels.get(id);
-    if (!instance) {
-      return false;
+    const watch = instance?.options.watchVariables;
+    if (!instance || !watch || options.silent || typeof instance.kernel.inspectVariables !== 'function') {
+      return;
     }
     
-    // Update kernel activity (this will reset the inactivity timer)
-    this.updateKernelActivity(id);
-    
-    return true;
+    const inspectOptions: IVariableInspectOptions = watch === true ? {} : { ...watch };
+    if (options.userNamespace) {
+      inspectOptions.userNamespace = options.userNamespace;
+    }
+    try {
+      const variables = await instance.kernel.inspectVariables(inspectOptions);
+      super.emit(KernelEvents.VARIABLES_CHANGED, {
+        kernelId: id,
+        data: { executionId, userNamespace: inspectOptions.userNamespace, variables }
+      });
+    } catch (error) {
+      console.warn(`Failed to inspect the variables of kernel ${id}:`, error);
+    }
   }
 
   /**
-   * Restart a kernel by destroying it and creating a new one with the same ID and configuration
+   * Report a kernel's memory use
+   * Asking for `top` allocation sites starts tracemalloc in the kernel, which only
+   * traces allocations made from then on and slows Python down until `stopTracing`.
    * @param id Kernel ID
-   * @returns Promise resolving to true if the kernel was restarted successfully, false if not found
+   * @param options Python allocation sites to report
+   * @returns Promise resolving to the WebAssembly heap size and, on request, Python allocations
    */
-  public async restartKernel(id: string): Promise<boolean> {
+  public async getResourceUsage(id: string, options?: IResourceUsageOptions): Promise<IKernelResourceUsage> {
     const instance = this.kernels.get(id);
     if (!instance) {
-      console.warn(`Cannot restart kernel ${id}: kernel not found`);
-      return false;
+      throw new Error(`Kernel with ID ${id} not found`);
+    }
+    if (typeof instance.kernel.getResourceUsage !== 'function') {
+      return { heapSize: null, python: null };
+    }
+    return instance.kernel.getResourceUsage(options);
+  }
+
+  /**
+   * Start checking a kernel against its memory limit
+   * @param id Kernel ID
+   * @private
+   */
+  private startMemoryMonitor(id: string): void {
+    const limit = this.kernels.get(id)?.options.memoryLimit;
+    if (!limit || !(limit.bytes > 0)) {
+      return;
     }
     
-    try {
-      // Store the current configuration
-      const currentConfig = {
-        mode: instance.mode,
-        language: instance.language,
-        options: { ...instance.options }
-      };
-      
-      // Extract namespace from ID if present
-      let namespace: string | undefined;
-      let baseId: string;
-      
-      if (id.includes(':')) {
-        const parts = id.split(':');
-        namespace = parts[0];
-        baseId = parts[1];
-      } else {
-        baseId = id;
+    const monitor: MemoryMonitor = { timer: null, checking: false, warned: false, enforcedAt: 0 };
+    monitor.timer = setInterval(() => this.checkMemoryLimit(id, monitor), limit.checkInterval || 2000);
+    this.memoryMonitors.set(id, monitor);
+  }
+
+  /**
+   * Compare a kernel's heap size with its memory limit and enforce it
+   * @param id Kernel ID
+   * @param monitor Memory monitor of the kernel
+   * @private
+   */
+  private async checkMemoryLimit(id: string, monitor: MemoryMonitor): Promise<void> {
+    const limit = this.kernels.get(id)?.options.memoryLimit;
+    // Skip the check while the kernel has not answered the last one (e.g. a blocked worker)
+    if (!limit || monitor.checking) {
+      return;
+    }
+    
+    let heapSize: number | null;
+    const gauge = this.heapSizeGauges.get(id);
+    if (gauge) {
+      // Readable while the worker is busy, as of its last output
+      heapSize = Atomics.load(gauge, 0) * WASM_PAGE_BYTES || null;
+    } else {
+      // Without shared memory the worker answers between cells only
+      monitor.checking = true;
+      try {
+        heapSize = (await this.getResourceUsage(id)).heapSize;
+      } catch (error) {
+        console.warn(`Failed to check the memory use of kernel ${id}:`, error);
+        return;
+      } finally {
+        monitor.checking = false;
       }
-      
-      // Destroy the existing kernel
-      await this.destroyKernel(id);
-      
-      // Create a new kernel with the same configuration
-      const restartOptions: IManagerKernelOptions = {
-        id: baseId,
-        mode: currentConfig.mode,
-        lang: currentConfig.language,
-        namespace,
-        deno: currentConfig.options.deno,
-        filesystem: currentConfig.options.filesystem,
-        inactivityTimeout: currentConfig.options.inactivityTimeout,
-        maxExecutionTime: currentConfig.options.maxExecutionTime
-      };
-      
-      // Create the new kernel
-      const newKernelId = await this.createKernel(restartOptions);
-      
-      // Verify the new kernel has the same ID
-      if (newKernelId !== id) {
-        console.error(`Kernel restart failed: expected ID ${id}, got ${newKernelId}`);
-        return false;
+    }
+    
+    // The kernel may have been destroyed in the meantime
+    if (heapSize === null || this.memoryMonitors.get(id) !== monitor) {
+      return;
+    }
+    
+    const action = limit.action || "terminate";
+    const data = { heapSize, limit: limit.bytes, action };
+    
+    if (heapSize >= limit.bytes) {
+      // The WebAssembly heap never shrinks, so only act again once it grew further
+      if (heapSize <= monitor.enforcedAt) {
+        return;
       }
+      monitor.enforcedAt = heapSize;
       
-      return true;
+      console.warn(`Kernel ${id} uses ${heapSize} bytes, past its memory limit of ${limit.bytes} bytes (${action})`);
+      super.emit(KernelEvents.KERNEL_MEMORY_EXCEEDED, { kernelId: id, data });
       
-    } catch (error) {
-      console.error(`Error restarting kernel ${id}:`, error);
-      return false;
+      if (action === "interrupt") {
+        await this.interruptKernel(id);
+      } else {
+        await this.handleKernelDeath(id, {
+          cause: "out_of_memory",
+          message: `Memory limit exceeded: ${heapSize} of ${limit.bytes} bytes in use`
+        });
+      }
+    } else if (!monitor.warned && heapSize >= limit.bytes * (limit.warnAt ?? 0.8)) {
+      monitor.warned = true;
+      super.emit(KernelEvents.KERNEL_MEMORY_WARNING, { kernelId: id, data });
+    }
+  }
+
+  /**
+   * Stop checking a kernel against its memory limit
+   * @param id Kernel ID
+   * @private
+   */
+  private stopMemoryMonitor(id: string): void {
+    const monitor = this.memoryMonitors.get(id);
+    if (monitor) {
+      clearInterval(monitor.timer);
+      this.memoryMonitors.delete(id);
     }
   }
 
@@ -2885,15 +5091,19 @@ You may need to restart the kernel if it remains unresponsive.`);
    * @param executionId Execution ID that's stuck
    * @param actualRuntime How long the execution has been running
    * @param code The code that was being executed
+   * @param maxExecutionTime The limit the execution exceeded (default: the kernel's maxExecutionTime)
    * @private
    */
-  private async handleStuckExecution(kernelId: string, executionId: string, actualRuntime: number, code?: string): Promise<void> {
+  private async handleStuckExecution(kernelId: string, executionId: string, actualRuntime: number, code?: string, maxExecutionTime?: number): Promise<void> {
     const instance = this.kernels.get(kernelId);
     if (!instance) {
       return;
     }
     
     console.warn(`Handling stuck execution ${executionId} on kernel ${kernelId} (runtime: ${actualRuntime}ms)`);
+    const maxAllowed = maxExecutionTime ?? instance.options.maxExecutionTime;
+    // Looked up before a restart forgets the execution
+    const parentHeader = this.getExecutionParentHeader(kernelId, executionId);
     
     // Strategy 1: Try to interrupt the kernel first
     const interruptSuccess = await this.interruptKernel(kernelId);
@@ -2904,13 +5114,14 @@ You may need to restart the kernel if it remains unresponsive.`);
       // Emit an execution error to notify clients
       super.emit(KernelEvents.EXECUTE_ERROR, {
         kernelId: kernelId,
+        parentHeader,
         data: {
           ename: "ExecutionInterrupted",
           evalue: `Execution automatically interrupted after ${actualRuntime}ms (exceeded maxExecutionTime)`,
           traceback: [
             `Execution was automatically interrupted due to timeout.`,
             `Runtime: ${actualRuntime}ms`,
-            `Max allowed: ${instance.options.maxExecutionTime}ms`,
+            `Max allowed: ${maxAllowed}ms`,
             code ? `Code: ${code.substring(0, 200)}${code.length > 200 ? '...' : ''}` : 'Code: <unknown>'
           ]
         }
@@ -2929,13 +5140,14 @@ You may need to restart the kernel if it remains unresponsive.`);
       // Emit a restart notification
       super.emit(KernelEvents.EXECUTE_ERROR, {
         kernelId: kernelId,
+        parentHeader,
         data: {
           ename: "KernelRestarted",
           evalue: `Kernel automatically restarted due to stuck execution (runtime: ${actualRuntime}ms)`,
           traceback: [
             `Kernel was automatically restarted due to stuck execution.`,
             `Runtime: ${actualRuntime}ms`,
-            `Max allowed: ${instance.options.maxExecutionTime}ms`,
+            `Max allowed: ${maxAllowed}ms`,
             `Interrupt attempt failed, kernel was restarted instead.`,
             code ? `Code: ${code.substring(0, 200)}${code.length > 200 ? '...' : ''}` : 'Code: <unknown>'
           ]
@@ -3119,6 +5331,216 @@ You may need to restart the kernel if it remains unresponsive.`);
     return results;
   }
 
+  /**
+   * Set up the stdin buffer that lets input() block a worker kernel
+   * @param id Kernel ID
+   * @param worker Worker instance
+   * @returns The buffer, or null when shared memory is unavailable
+   * @private
+   */
+  private setupWorkerStdinBuffer(id: string, worker: Worker): SharedArrayBuffer | null {
+    // Shared memory requires a cross-origin isolated page (COOP/COEP headers)
+    if (typeof SharedArrayBuffer === 'undefined' || (globalThis as any).crossOriginIsolated === false) {
+      console.info(`ℹ️ SharedArrayBuffer not available for kernel ${id}; input() waits with JSPI where supported and fails otherwise`);
+      return null;
+    }
+    
+    const buffer = new SharedArrayBuffer(STDIN_HEADER_BYTES + STDIN_MAX_REPLY_BYTES);
+    worker.postMessage({
+      type: "SET_STDIN_BUFFER",
+      buffer
+    });
+    return buffer;
+  }
+
+  /**
+   * Write an input reply into a worker's stdin buffer and wake the worker
+   * Replies are only delivered while the worker is waiting for one.
+   * @param buffer Stdin buffer shared with the worker
+   * @param content Reply to deliver
+   * @private
+   */
+  private writeStdinReply(buffer: SharedArrayBuffer, content: IInputReply): void {
+    const state = new Int32Array(buffer, 0, 2);
+    if (Atomics.load(state, 0) !== StdinState.WAITING) {
+      return;
+    }
+    
+    const bytes = new TextEncoder().encode(content.value);
+    if (bytes.length > STDIN_MAX_REPLY_BYTES) {
+      throw new Error(`Input reply is too long (${bytes.length} bytes, limit ${STDIN_MAX_REPLY_BYTES})`);
+    }
+    
+    new Uint8Array(buffer, STDIN_HEADER_BYTES, bytes.length).set(bytes);
+    Atomics.store(state, 1, bytes.length);
+    Atomics.store(state, 0, content.timedOut ? StdinState.TIMED_OUT : StdinState.REPLIED);
+    Atomics.notify(state, 0);
+  }
+
+  /**
+   * Set up the debug buffer that carries requests to a paused worker kernel
+   * Without shared memory, a paused worker waits for requests with JSPI instead.
+   * @param id Kernel ID
+   * @param worker Worker instance
+   * @private
+   */
+  private setupWorkerDebugBuffer(id: string, worker: Worker): void {
+    if (typeof SharedArrayBuffer === 'undefined' || (globalThis as any).crossOriginIsolated === false) {
+      return;
+    }
+    
+    const buffer = new SharedArrayBuffer(DEBUG_HEADER_BYTES + DEBUG_MAX_REQUEST_BYTES);
+    this.debugChannels.set(id, { buffer, paused: false, chain: Promise.resolve(), replies: new Map() });
+    worker.postMessage({
+      type: "SET_DEBUG_BUFFER",
+      buffer
+    });
+  }
+
+  /**
+   * Share a buffer through which the manager pauses a worker's stream output
+   * @param id Kernel ID
+   * @param worker Worker instance
+   * @private
+   */
+  private setupWorkerOutputFlowBuffer(id: string, worker: Worker): void {
+    if (typeof SharedArrayBuffer === 'undefined' || (globalThis as any).crossOriginIsolated === false) {
+      return;
+    }
+    
+    const buffer = new SharedArrayBuffer(OUTPUT_FLOW_BUFFER_BYTES);
+    this.outputFlowBuffers.set(id, new Int32Array(buffer));
+    worker.postMessage({
+      type: "SET_OUTPUT_FLOW_BUFFER",
+      buffer
+    });
+  }
+
+  /**
+   * Pause a worker's stream output until the consumer made room in the stream
+   * Output flows again once the consumer catches up, or the stream is closed
+   * because the consumer stopped early or the execution ended. A consumer that
+   * neither reads nor stops has its output dropped by the worker after
+   * MAX_FLOW_PAUSE_MS. Without shared memory the worker cannot be paused and
+   * the stream grows instead.
+   * @param id Kernel ID
+   * @param outputs Stream of the running execution
+   * @private
+   */
+  private async pauseWorkerOutput(id: string, outputs: AsyncQueue<any>): Promise<void> {
+    const flow = this.outputFlowBuffers.get(id);
+    if (!flow || Atomics.load(flow, 0) === OutputFlowState.PAUSED) {
+      return;
+    }
+    
+    Atomics.store(flow, 0, OutputFlowState.PAUSED);
+    await outputs.waitForSpace();
+    Atomics.store(flow, 0, OutputFlowState.FLOWING);
+    Atomics.notify(flow, 0);
+  }
+
+  /**
+   * Share a buffer through which a worker publishes its heap size
+   * @param id Kernel ID
+   * @param worker Worker instance
+   * @private
+   */
+  private setupWorkerHeapSizeBuffer(id: string, worker: Worker): void {
+    if (typeof SharedArrayBuffer === 'undefined' || (globalThis as any).crossOriginIsolated === false) {
+      return;
+    }
+    
+    const buffer = new SharedArrayBuffer(HEAP_SIZE_BUFFER_BYTES);
+    this.heapSizeGauges.set(id, new Int32Array(buffer));
+    worker.postMessage({
+      type: "SET_HEAP_SIZE_BUFFER",
+      buffer
+    });
+  }
+
+  /**
+   * Write a request into a paused worker's debug buffer and wait for its reply
+   * The worker reads one request at a time, between replies.
+   * @param channel Debug channel of the worker
+   * @param request DAP request
+   * @returns The reply, or null when the worker was resumed before it read the request
+   * @private
+   */
+  private sendPausedDebugRequest(channel: DebugChannel, request: IDebugRequest): Promise<IDebugResponse | null> {
+    const send = async (): Promise<IDebugResponse | null> => {
+      const state = new Int32Array(channel.buffer, 0, 2);
+      while (Atomics.load(state, 0) !== DebugChannelState.WAITING) {
+        if (!channel.paused) {
+          return null;
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      
+      const bytes = new TextEncoder().encode(JSON.stringify(request));
+      if (bytes.length > DEBUG_MAX_REQUEST_BYTES) {
+        throw new Error(`Debug request is too long (${bytes.length} bytes, limit ${DEBUG_MAX_REQUEST_BYTES})`);
+      }
+      
+      const reply = new Promise<IDebugResponse>(resolve => {
+        channel.replies.set(request.seq, { command: request.command, resolve });
+      });
+      new Uint8Array(channel.buffer, DEBUG_HEADER_BYTES, bytes.length).set(bytes);
+      Atomics.store(state, 1, bytes.length);
+      Atomics.store(state, 0, DebugChannelState.REQUEST);
+      Atomics.notify(state, 0);
+      return reply;
+    };
+    
+    const result = channel.chain.then(send, send);
+    channel.chain = result.catch(() => undefined);
+    return result;
+  }
+
+  /**
+   * Deliver the reply a paused worker posted for a request from its debug buffer
+   * @param id Kernel ID
+   * @param reply DAP response
+   * @private
+   */
+  private handleDebugReply(id: string, reply: IDebugResponse): void {
+    const channel = this.debugChannels.get(id);
+    const pending = channel?.replies.get(reply.request_seq);
+    if (channel && pending) {
+      channel.replies.delete(reply.request_seq);
+      pending.resolve(reply);
+    }
+  }
+
+  /**
+   * Follow whether a worker's debugger has paused a cell
+   * Requests still waiting for a reply when the cell resumes (e.g. after an
+   * interrupt) will not get one, so they fail.
+   * @param id Kernel ID
+   * @param event DAP event of the worker's debugger
+   * @private
+   */
+  private trackDebugPause(id: string, event: IDebugEvent): void {
+    const channel = this.debugChannels.get(id);
+    if (!channel || (event.event !== "stopped" && event.event !== "continued")) {
+      return;
+    }
+    
+    channel.paused = event.event === "stopped";
+    if (!channel.paused) {
+      for (const [seq, { command, resolve }] of channel.replies) {
+        resolve({
+          type: "response",
+          seq: 0,
+          request_seq: seq,
+          command,
+          success: false,
+          message: "The debugger resumed before handling the request"
+        });
+      }
+      channel.replies.clear();
+    }
+  }
+
   /**
    * Set up interrupt buffer for a worker kernel during creation
    * @param id Kernel ID
@@ -0,0 +1,236 @@
+// Python side of the "minimal" bootstrap profile
+// A small stand-in for the pyodide_kernel package that needs nothing beyond the
+// standard library. It exposes the same objects the Kernel class talks to
+// (kernel_instance, stdout_stream, stderr_stream, the interpreter's display
+// callbacks) so the rest of the kernel works unchanged, but runs plain Python:
+// no IPython, no magics, no rich display and no comms.
+// Unlike pyodide_kernel it only redirects sys.stdout/sys.stderr while a cell
+// runs, so it can share a Pyodide instance with standard kernels.
+
+// Name of the module the source is installed as
+export const MINIMAL_KERNEL_MODULE = "minimal_kernel";
+
+export const MINIMAL_KERNEL_SOURCE = String.raw`
+import builtins
+import codeop
+import contextlib
+import getpass
+import re
+import rlcompleter
+import traceback
+
+import pyodide_js
+from kernel_profiler import package_loading
+from pyodide.code import eval_code_async
+
+
+class Stream:
+    encoding = "utf-8"
+
+    def __init__(self, name):
+        self.name = name
+        self.publish_stream_callback = None
+
+    def write(self, text):
+        if self.publish_stream_callback:
+            self.publish_stream_callback(self.name, text)
+        return len(text)
+
+    def flush(self):
+        pass
+
+    def isatty(self):
+        return False
+
+
+class DisplayPublisher:
+    """Same callback slots as pyodide_kernel's publisher; nothing publishes without IPython"""
+
+    def __init__(self):
+        self.clear_output_callback = None
+        self.display_data_callback = None
+        self.update_display_data_callback = None
+
+    def publish(self, data, metadata=None, transient=None, update=False):
+        callback = self.update_display_data_callback if update else self.display_data_callback
+        if callback:
+            callback(data, metadata or {}, transient or {})
+
+    def clear_output(self, wait=False):
+        if self.clear_output_callback:
+            self.clear_output_callback(wait)
+
+
+class DisplayHook:
+    def __init__(self):
+        self.publish_execution_result = None
+
+    def publish(self, execution_count, value):
+        if self.publish_execution_result:
+            self.publish_execution_result(execution_count, {"text/plain": repr(value)}, {})
+
+
+class CommManager:
+    def _unavailable(self, *args, **kwargs):
+        raise NotImplementedError("Comms require the standard bootstrap profile")
+
+    comm_open = comm_msg = comm_close = _unavailable
+
+
+class Interpreter:
+    def __init__(self):
+        self.user_ns = {"__name__": "__main__", "__builtins__": builtins}
+        self.user_ns_hidden = {}
+        self.display_pub = DisplayPublisher()
+        self.displayhook = DisplayHook()
+        self.publish_execution_error = None
+        self.send_comm = None
+        self.execution_count = 0
+        self.code_name = None  # Names cells after their code while a debugger runs
+        self._input = None
+        self._getpass = None
+
+    @property
+    def input(self):
+        return self._input
+
+    @input.setter
+    def input(self, value):
+        self._input = value
+        builtins.input = lambda *args, **kwargs: value(*args, **kwargs)
+
+    @property
+    def getpass(self):
+        return self._getpass
+
+    @getpass.setter
+    def getpass(self, value):
+        self._getpass = value
+        getpass.getpass = value
+
+    def user_expressions(self, expressions):
+        """Evaluate expressions in the user namespace, in the shape of Jupyter's user_expressions"""
+        results = {}
+        for name, expression in expressions.items():
+            try:
+                value = eval(expression, self.user_ns)
+                results[name] = {"status": "ok", "data": {"text/plain": repr(value)}, "metadata": {}}
+            except Exception as e:
+                results[name] = {
+                    "status": "error",
+                    "ename": type(e).__name__,
+                    "evalue": str(e),
+                    "traceback": traceback.format_exception(type(e), e, e.__traceback__),
+                }
+        return results
+
+    def lookup(self, name):
+        """Resolve a dotted name in the user namespace without evaluating code"""
+        parts = name.split(".")
+        if parts[0] in self.user_ns:
+            value = self.user_ns[parts[0]]
+        else:
+            value = getattr(builtins, parts[0])
+        for part in parts[1:]:
+            value = getattr(value, part)
+        return value
+
+
+async def _load_packages_from_imports(code):
+    async with package_loading():
+        await pyodide_js.loadPackagesFromImports(code)
+
+
+class MinimalKernel:
+    def __init__(self, interpreter):
+        self.interpreter = interpreter
+        self.comm_manager = CommManager()
+
+    async def run(self, code, silent=False, store_history=True, user_expressions=None):
+        interpreter = self.interpreter
+        if store_history:
+            interpreter.execution_count += 1
+        filename = interpreter.code_name(code) if interpreter.code_name else f"<cell-{interpreter.execution_count}>"
+        try:
+            await _load_packages_from_imports(code)
+            with contextlib.redirect_stdout(stdout_stream), contextlib.redirect_stderr(stderr_stream):
+                value = await eval_code_async(code, globals=interpreter.user_ns, filename=filename)
+        except BaseException as e:
+            # Drop the frames of this module so the traceback starts at the cell
+            tb = e.__traceback__
+            while tb is not None and tb.tb_frame.f_code.co_filename != filename:
+                tb = tb.tb_next
+            error = {
+                "ename": type(e).__name__,
+                "evalue": str(e),
+                "traceback": traceback.format_exception(type(e), e, tb),
+            }
+            if interpreter.publish_execution_error:
+                interpreter.publish_execution_error(error["ename"], error["evalue"], error["traceback"])
+            return {"status": "error", "execution_count": interpreter.execution_count, **error}
+
+        if value is not None and not silent:
+            interpreter.user_ns["_"] = value
+            interpreter.displayhook.publish(interpreter.execution_count, value)
+        return {
+            "status": "ok",
+            "execution_count": interpreter.execution_count,
+            "payload": [],
+            "user_expressions": interpreter.user_expressions(user_expressions or {}),
+        }
+
+    def complete(self, code, cursor_pos):
+        if cursor_pos is None:
+            cursor_pos = len(code)
+        token = re.search(r"[\w.]*$", code[:cursor_pos]).group()
+        completer = rlcompleter.Completer(self.interpreter.user_ns)
+        matches = []
+        while True:
+            match = completer.complete(token, len(matches))
+            if match is None:
+                break
+            matches.append(match)
+        return {
+            "matches": matches,
+            "cursor_end": cursor_pos,
+            "cursor_start": cursor_pos - len(token),
+            "metadata": {},
+            "status": "ok",
+        }
+
+    def inspect(self, code, cursor_pos, detail_level):
+        before = re.search(r"[\w.]*$", code[:cursor_pos]).group()
+        after = re.match(r"\w*", code[cursor_pos:]).group()
+        name = (before + after).strip(".")
+        data = {}
+        try:
+            value = self.interpreter.lookup(name)
+            text = f"Type: {type(value).__name__}"
+            if value.__doc__:
+                text += f"\nDocstring:\n{value.__doc__}"
+            data["text/plain"] = text
+        except Exception:
+            pass
+        return {"data": data, "metadata": {}, "found": bool(data), "status": "ok"}
+
+    def is_complete(self, code):
+        try:
+            compiled = codeop.compile_command(code, symbol="exec")
+        except (SyntaxError, ValueError, OverflowError):
+            return {"status": "invalid"}
+        if compiled is None:
+            last_line = code.rstrip("\n").split("\n")[-1]
+            indent = last_line[:len(last_line) - len(last_line.lstrip())]
+            if last_line.rstrip().endswith(":"):
+                indent += "    "
+            return {"status": "incomplete", "indent": indent}
+        return {"status": "complete"}
+
+    def comm_info(self, target_name=""):
+        return {}
+
+
+stdout_stream = Stream("stdout")
+stderr_stream = Stream("stderr")
+kernel_instance = MinimalKernel(Interpreter())
+`;
@@ -0,0 +1,125 @@
+// Python side of per-kernel user namespaces
+// Main-thread kernels loaded from the same Pyodide distribution share one
+// Pyodide instance, and standard kernels share pyodide_kernel's interpreter
+// with it. Each kernel therefore keeps its own namespaces (a default one plus
+// any named sub-namespaces) and swaps them into the interpreter while it runs
+// code: the user module and globals, the hidden names, the execution count,
+// the In/Out history and the `_` results of IPython's display hook.
+// The same code drives the minimal profile's interpreter, which only has a
+// user_ns dict and an execution count.
+
+// Name of the module the source is installed as
+export const NAMESPACES_MODULE = "kernel_namespaces";
+
+export const NAMESPACES_SOURCE = String.raw`
+import builtins
+import os
+import sys
+import types
+
+HISTORY_FIELDS = ("input_hist_parsed", "input_hist_raw", "output_hist", "output_hist_reprs", "dir_hist")
+
+
+class Namespace:
+    """Interpreter state that belongs to one kernel namespace"""
+
+    def __init__(self, shell, ipython):
+        self.execution_count = 1 if ipython else 0
+        self.user_ns_hidden = {}
+        self.results = ("", "", "")
+        self.fresh = ipython
+        if ipython:
+            self.user_module, self.user_ns = shell.prepare_user_module(types.ModuleType("__main__"))
+            self.history = {
+                "input_hist_parsed": [""],
+                "input_hist_raw": [""],
+                "output_hist": {},
+                "output_hist_reprs": {},
+                "dir_hist": [os.getcwd()],
+            }
+        else:
+            self.user_module = None
+            self.user_ns = {"__name__": "__main__", "__builtins__": builtins}
+            self.history = None
+
+
+class Namespaces:
+    """Switches an interpreter between the namespaces of the kernels using it"""
+
+    def __init__(self, shell):
+        self.shell = shell
+        self.ipython = hasattr(shell, "init_user_ns")
+        self.active = None
+
+    @classmethod
+    def for_shell(cls, shell):
+        namespaces = getattr(shell, "_kernel_namespaces", None)
+        if namespaces is None:
+            namespaces = cls(shell)
+            shell._kernel_namespaces = namespaces
+        return namespaces
+
+    def create(self):
+        return Namespace(self.shell, self.ipython)
+
+    def activate(self, space):
+        if space is self.active:
+            return
+        if self.active is not None:
+            self._save(self.active)
+        self._load(space)
+        self.active = space
+        if space.fresh:
+            # In, Out, get_ipython and friends, bound to this namespace's history
+            space.fresh = False
+            self.shell.init_user_ns()
+
+    def reset(self, space, keep_imports=False):
+        """Clear a namespace like %reset -f, optionally keeping imported modules"""
+        self.activate(space)
+        shell = self.shell
+        modules = {}
+        if keep_imports:
+            hidden = getattr(shell, "user_ns_hidden", {})
+            modules = {
+                name: value
+                for name, value in shell.user_ns.items()
+                if isinstance(value, types.ModuleType) and not name.startswith("_") and name not in hidden
+            }
+        if self.ipython:
+            shell.reset(new_session=False)
+        else:
+            shell.user_ns.clear()
+            shell.user_ns.update({"__name__": "__main__", "__builtins__": builtins})
+        shell.user_ns.update(modules)
+
+    def _save(self, space):
+        shell = self.shell
+        space.execution_count = shell.execution_count
+        space.user_ns_hidden = shell.user_ns_hidden
+        if self.ipython:
+            space.user_module = shell.user_module
+            space.user_ns = shell.user_ns
+            space.history = {field: getattr(shell.history_manager, field) for field in HISTORY_FIELDS}
+            hook = shell.displayhook
+            space.results = (hook._, hook.__, hook.___)
+        else:
+            space.user_ns = shell.user_ns
+
+    def _load(self, space):
+        shell = self.shell
+        shell.execution_count = space.execution_count
+        shell.user_ns_hidden = space.user_ns_hidden
+        shell.user_ns = space.user_ns
+        if self.ipython:
+            shell.user_module = space.user_module
+            shell.ns_table["user_global"] = space.user_module.__dict__
+            shell.ns_table["user_local"] = space.user_ns
+            sys.modules["__main__"] = space.user_module
+            for field in HISTORY_FIELDS:
+                setattr(shell.history_manager, field, space.history[field])
+            hook = shell.displayhook
+            hook._, hook.__, hook.___ = space.results
+            shell.Completer.namespace = space.user_ns
+            shell.Completer.global_namespace = space.user_module.__dict__
+`;
@@ -0,0 +1,350 @@
+// Notebook runner for KernelManager kernels
+// Executes the code cells of an nbformat v4 notebook one after another through
+// KernelManager.executeStream and writes the outputs and execution counts back
+// in nbformat shape, much like nbclient does for Jupyter kernels.
+
+import { KernelEvents } from "./types";
+import type { IInputRequest } from "./types";
+import type { KernelManager } from "./manager";
+import { toJSONMimeBundle } from "./outputs";
+
+// Final state of a code cell in a notebook run
+export type NotebookCellStatus = "ok" | "error" | "timeout" | "skipped" | "not_run";
+
+// Error raised by a cell, as recorded in its error output
+export interface INotebookCellError {
+  ename: string;
+  evalue: string;
+  traceback: string[];
+}
+
+// Options for creating a notebook runner
+export interface INotebookRunnerOptions {
+  stopOnError?: boolean; // Stop at the first failing cell (default: true); later cells are left untouched
+  timeout?: number; // Per-cell timeout in milliseconds, counted from when the cell starts running; the cell is interrupted when it runs longer (default: the kernel's maxExecutionTime)
+  skipTags?: string[]; // Cells with any of these tags are not executed (default: ["skip-execution"])
+  allowErrorTags?: string[]; // Cells with any of these tags may fail without stopping the run (default: ["raises-exception"])
+  validate?: boolean; // Validate the notebook with nbformat in the kernel before and after the run (default: true)
+  onInput?: (request: IInputRequest) => string | Promise<string>; // Answers input()/getpass() prompts of the cells
+}
+
+// Outcome of one code cell
+export interface INotebookCellResult {
+  index: number; // Position of the cell in notebook.cells
+  id?: string; // Cell id (nbformat 4.5+)
+  status: NotebookCellStatus;
+  executionCount: number | null;
+  duration: number; // Milliseconds, 0 for cells that did not run
+  error?: INotebookCellError;
+}
+
+// Summary of a notebook run
+export interface INotebookRunSummary {
+  status: "ok" | "error"; // "error" if a cell failed without being allowed to
+  codeCells: number;
+  executed: number;
+  skipped: number;
+  failed: number; // Cells with status "error" or "timeout", including allowed failures
+  notRun: number; // Cells after the one that stopped the run
+  duration: number; // Milliseconds for the whole run
+  cells: INotebookCellResult[]; // One entry per code cell, in notebook order
+  validationErrors: string[]; // nbformat validation errors of the executed notebook
+}
+
+// Result of NotebookRunner.run
+export interface INotebookRunResult {
+  notebook: any; // The executed notebook (the input is not modified)
+  summary: INotebookRunSummary;
+}
+
+/**
+ * Collects the kernel events of one cell into nbformat outputs
+ * @private
+ */
+class CellOutputCollector {
+  public outputs: any[] = [];
+  public executionCount: number | null = null;
+  public error: INotebookCellError | null = null;
+
+  // clear_output(wait=True) clears right before the next output
+  private clearPending = false;
+
+  /**
+   * Record an executeStream event
+   */
+  public handle(event: any): void {
+    const data = event?.data || {};
+    switch (event?.type) {
+      case "stream":
+        this.addStream(data.name || "stdout", String(data.text ?? ""));
+        break;
+      case "display_data":
+        this.add({
+          output_type: "display_data",
+          data: toJSONMimeBundle(data.data || {}),
+          metadata: data.metadata || {},
+          ...(data.transient?.display_id ? { transient: { display_id: data.transient.display_id } } : {})
+        });
+        break;
+      case "update_display_data":
+        this.updateDisplay(data);
+        break;
+      case "execute_result":
+        if (typeof data.execution_count === "number") {
+          this.executionCount = data.execution_count;
+        }
+        this.add({
+          output_type: "execute_result",
+          execution_count: this.executionCount,
+          data: toJSONMimeBundle(data.data || {}),
+          metadata: data.metadata || {}
+        });
+        break;
+      case "clear_output":
+        if (data.wait) {
+          this.clearPending = true;
+        } else {
+          this.outputs = [];
+        }
+        break;
+      case "execute_error":
+      case "error":
+        // The worker path reports the same error twice (event + result); record it once
+        this.setError(data);
+        break;
+    }
+  }
+
+  /**
+   * Record the error of a failed execution that produced no error event
+   */
+  public setError(data: any): void {
+    if (this.error) {
+      return;
+    }
+    this.error = {
+      ename: data.ename || "Error",
+      evalue: data.evalue || "",
+      traceback: data.traceback || []
+    };
+    this.add({ output_type: "error", ...this.error });
+  }
+
+  /**
+   * Outputs in nbformat shape; display ids are kept only while the cell runs
+   */
+  public finish(): any[] {
+    for (const output of this.outputs) {
+      delete output.transient;
+    }
+    return this.outputs;
+  }
+
+  private add(output: any): void {
+    if (this.clearPending) {
+      this.outputs = [];
+      this.clearPending = false;
+    }
+    this.outputs.push(output);
+  }
+
+  private addStream(name: string, text: string): void {
+    const last = this.outputs[this.outputs.length - 1];
+    if (!this.clearPending && last && last.output_type === "stream" && last.name === name) {
+      last.text += text;
+      return;
+    }
+    this.add({ output_type: "stream", name, text });
+  }
+
+  private updateDisplay(data: any): void {
+    const displayId = data.transient?.display_id;
+    for (const output of this.outputs) {
+      if (displayId && output.transient?.display_id === displayId) {
+        output.data = toJSONMimeBundle(data.data || {});
+        output.metadata = data.metadata || {};
+      }
+    }
+  }
+}
+
+/**
+ * NotebookRunner executes the code cells of an nbformat v4 notebook in a
+ * KernelManager kernel and returns the executed notebook with a summary.
+ *
+ * Cells run in order through executeStream, so they share the kernel's
+ * execution queue with other callers. Markdown and raw cells are copied as-is.
+ */
+export class NotebookRunner {
+  private manager: KernelManager;
+  private kernelId: string;
+  private options: INotebookRunnerOptions;
+
+  constructor(manager: KernelManager, kernelId: string, options: INotebookRunnerOptions = {}) {
+    if (!manager.getKernel(kernelId)) {
+      throw new Error(`Kernel with ID ${kernelId} not found`);
+    }
+
+    this.manager = manager;
+    this.kernelId = kernelId;
+    this.options = options;
+  }
+
+  /**
+   * Get the ID of the kernel the notebooks run in
+   */
+  public getKernelId(): string {
+    return this.kernelId;
+  }
+
+  /**
+   * Execute every code cell of a notebook
+   * @param notebook nbformat v4 notebook, as an object or JSON string
+   * @returns The executed notebook and a run summary
+   */
+  public async run(notebook: any): Promise<INotebookRunResult> {
+    const startTime = Date.now();
+    const nb = typeof notebook === "string" ? JSON.parse(notebook) : JSON.parse(JSON.stringify(notebook));
+    if (nb?.nbformat !== 4 || !Array.isArray(nb.cells)) {
+      throw new Error(`Unsupported notebook format: expected nbformat 4, got ${nb?.nbformat}`);
+    }
+
+    const validate = this.options.validate !== false;
+    if (validate) {
+      const errors = await this.manager.validateNotebook(this.kernelId, nb);
+      if (errors.length > 0) {
+        throw new Error(`Invalid notebook: ${errors.join("; ")}`);
+      }
+    }
+
+    const skipTags = this.options.skipTags || ["skip-execution"];
+    const allowErrorTags = this.options.allowErrorTags || ["raises-exception"];
+    const cells: INotebookCellResult[] = [];
+    let stopped = false;
+    let status: "ok" | "error" = "ok";
+
+    for (let index = 0; index < nb.cells.length; index++) {
+      const cell = nb.cells[index];
+      if (cell.cell_type !== "code") {
+        continue;
+      }
+
+      const tags: string[] = cell.metadata?.tags || [];
+      const result: INotebookCellResult = { index, status: "not_run", executionCount: cell.execution_count ?? null, duration: 0 };
+      if (cell.id !== undefined) {
+        result.id = cell.id;
+      }
+      cells.push(result);
+
+      if (stopped) {
+        continue;
+      }
+      if (tags.some(tag => skipTags.includes(tag))) {
+        result.status = "skipped";
+        continue;
+      }
+
+      const cellStart = Date.now();
+      await this.runCell(cell, result);
+      result.duration = Date.now() - cellStart;
+
+      if (result.status !== "ok" && !tags.some(tag => allowErrorTags.includes(tag))) {
+        status = "error";
+        if (this.options.stopOnError !== false) {
+          stopped = true;
+        }
+      }
+    }
+
+    const validationErrors = validate ? await this.manager.validateNotebook(this.kernelId, nb) : [];
+
+    return {
+      notebook: nb,
+      summary: {
+        status,
+        codeCells: cells.length,
+        executed: cells.filter(cell => cell.status === "ok" || cell.status === "error" || cell.status === "timeout").length,
+        skipped: cells.filter(cell => cell.status === "skipped").length,
+        failed: cells.filter(cell => cell.status === "error" || cell.status === "timeout").length,
+        notRun: cells.filter(cell => cell.status === "not_run").length,
+        duration: Date.now() - startTime,
+        cells,
+        validationErrors
+      }
+    };
+  }
+
+  /**
+   * Execute one code cell and write its outputs and execution count back
+   * @private
+   */
+  private async runCell(cell: any, result: INotebookCellResult): Promise<void> {
+    const source = Array.isArray(cell.source) ? cell.source.join("") : String(cell.source ?? "");
+    const timeout = this.options.timeout ?? this.manager.getKernel(this.kernelId)?.options.maxExecutionTime;
+    const executionId = `notebook-${crypto.randomUUID()}`;
+    const collector = new CellOutputCollector();
+
+    // The manager times the cell from when the queue admits it and interrupts it
+    let timedOut = false;
+    const onStalled = (event: { kernelId: string; executionId: string }) => {
+      if (event.kernelId === this.kernelId && event.executionId === executionId) {
+        timedOut = true;
+        console.warn(`⏰ Notebook cell ${result.index} exceeded ${timeout}ms, interrupting kernel ${this.kernelId}`);
+      }
+    };
+    this.manager.on(KernelEvents.EXECUTION_STALLED, onStalled);
+
+    let executionCount: number | null = null;
+    try {
+      const stream = this.manager.executeStream(this.kernelId, source, {}, {
+        executionId,
+        timeout: this.options.timeout,
+        onInput: this.options.onInput
+      });
+      let next = await stream.next();
+      while (!next.done) {
+        collector.handle(next.value);
+        next = await stream.next();
+      }
+
+      const outcome = next.value;
+      if (typeof outcome?.result?.execution_count === "number") {
+        executionCount = outcome.result.execution_count;
+      }
+      if (outcome && outcome.success === false) {
+        collector.setError({
+          ename: outcome.result?.ename,
+          evalue: outcome.result?.evalue || outcome.error?.message,
+          traceback: outcome.result?.traceback
+        });
+      }
+    } finally {
+      this.manager.off(KernelEvents.EXECUTION_STALLED, onStalled);
+    }
+
+    // The count the kernel reported for the execution, like the execute_reply's
+    executionCount = collector.executionCount ?? executionCount;
+    cell.execution_count = executionCount;
+    cell.outputs = collector.finish();
+    for (const output of cell.outputs) {
+      if (output.output_type === "execute_result" && output.execution_count === null) {
+        output.execution_count = executionCount;
+      }
+    }
+
+    result.executionCount = executionCount;
+    if (timedOut) {
+      result.status = "timeout";
+      result.error = {
+        ename: "CellTimeoutError",
+        evalue: `Cell execution timed out after ${timeout}ms`,
+        traceback: collector.error?.traceback || []
+      };
+    } else if (collector.error) {
+      result.status = "error";
+      result.error = collector.error;
+    } else {
+      result.status = "ok";
+    }
+  }
+}
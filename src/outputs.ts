@@ -0,0 +1,101 @@
+// Binary rich outputs
+// Jupyter sends binary MIME payloads (PNG images, Arrow buffers, ...) as base64
+// text. Kernels with binary outputs enabled decode them in Python instead and
+// publish them as Uint8Arrays, which worker kernels transfer to the page without
+// copying. The helpers below turn either form into base64 or a Blob URL.
+
+// Name of the module the Python source is installed as
+export const OUTPUTS_MODULE = "kernel_outputs";
+
+// MIME types whose payloads are binary, besides the image/* types other than SVG
+export const BINARY_MIMETYPES = [
+  "application/octet-stream",
+  "application/pdf",
+  "application/vnd.apache.arrow.file",
+  "application/vnd.apache.arrow.stream",
+  "application/vnd.apache.parquet"
+];
+
+export const OUTPUTS_SOURCE = String.raw`
+import base64
+import binascii
+
+BINARY_MIMETYPES = frozenset(${JSON.stringify(BINARY_MIMETYPES)})
+
+
+def is_binary(mimetype):
+    return mimetype in BINARY_MIMETYPES or (mimetype.startswith("image/") and mimetype != "image/svg+xml")
+
+
+def to_binary(data):
+    """Copy of a MIME bundle with the binary payloads as bytes instead of base64 text"""
+    result = dict(data)
+    for mimetype, value in result.items():
+        if not is_binary(mimetype):
+            continue
+        if isinstance(value, str):
+            try:
+                # Line breaks are allowed in base64 payloads
+                result[mimetype] = base64.b64decode("".join(value.split()), validate=True)
+            except binascii.Error:
+                # Not base64 after all, e.g. a URL; leave it alone
+                pass
+        elif isinstance(value, (bytearray, memoryview)):
+            result[mimetype] = bytes(value)
+    return result
+`;
+
+/**
+ * Whether the payloads of a MIME type are binary (base64 text in plain outputs)
+ * @param mimetype MIME type
+ */
+export function isBinaryMimetype(mimetype: string): boolean {
+  return BINARY_MIMETYPES.includes(mimetype) || (mimetype.startsWith("image/") && mimetype !== "image/svg+xml");
+}
+
+/**
+ * Encode bytes as base64
+ * @param data Bytes
+ */
+export function bytesToBase64(data: Uint8Array): string {
+  let binary = "";
+  // Chunks keep the argument list of fromCharCode short
+  for (let offset = 0; offset < data.length; offset += 0x8000) {
+    binary += String.fromCharCode(...data.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Get an output payload as base64, as plain Jupyter outputs carry it
+ * @param value Payload: a Uint8Array from a kernel with binary outputs, or base64 text
+ */
+export function outputToBase64(value: Uint8Array | string): string {
+  return typeof value === "string" ? value : bytesToBase64(value);
+}
+
+/**
+ * Get a Blob URL for an output payload, e.g. for the src of an image
+ * Release it with URL.revokeObjectURL when it is no longer shown.
+ * @param value Payload: a Uint8Array, base64 text for binary MIME types or text
+ * @param mimetype MIME type of the payload
+ */
+export function outputToBlobUrl(value: Uint8Array | string, mimetype: string): string {
+  const part = typeof value === "string" && isBinaryMimetype(mimetype)
+    ? Uint8Array.from(atob(value), char => char.charCodeAt(0))
+    : value;
+  return URL.createObjectURL(new Blob([part], { type: mimetype }));
+}
+
+/**
+ * Get a MIME bundle with base64 text for binary payloads, as nbformat and the
+ * Jupyter protocol carry it
+ * @param data MIME bundle of an output
+ */
+export function toJSONMimeBundle(data: Record<string, any>): Record<string, any> {
+  const result: Record<string, any> = {};
+  for (const [mimetype, value] of Object.entries(data)) {
+    result[mimetype] = value instanceof Uint8Array ? bytesToBase64(value) : value;
+  }
+  return result;
+}
@@ -0,0 +1,171 @@
+#!/usr/bin/env python3
+"""
+Prepare a self-contained directory for running kernels without internet access.
+
+    python3 src/prepare-offline.py [--out offline] [--pyodide-version 0.28.0]
+
+Creates:
+    <out>/pyodide/  the full Pyodide distribution (indexURL)
+    <out>/pypi/     the kernel wheels, the pure-Python bootstrap packages that
+                    Pyodide does not ship, and an all.json index (wheelsURL)
+
+Serve the directory (serve.js serves ./offline as /offline/) and create kernels with
+    pyodide: { indexURL: "/offline/pyodide/", wheelsURL: "/offline/pypi/", offline: true }
+"""
+
+import argparse
+import hashlib
+import json
+import shutil
+import subprocess
+import sys
+import tarfile
+import tempfile
+import urllib.request
+import zipfile
+from email.parser import Parser
+from pathlib import Path
+
+try:
+    from packaging.requirements import Requirement
+    from packaging.utils import canonicalize_name
+except ImportError:
+    from pip._vendor.packaging.requirements import Requirement
+    from pip._vendor.packaging.utils import canonicalize_name
+
+ROOT_DIR = Path(__file__).parent.parent
+KERNEL_PYPI_DIR = Path(__file__).parent / "pypi"
+NOARCH_WHL = "-py3-none-any.whl"
+
+# Packages the kernel installs with pip at startup (see STANDARD_PACKAGES in index.ts)
+BOOTSTRAP_PACKAGES = ["comm", "hypha-rpc", "nbformat"]
+
+# Marker environment of the Pyodide interpreter, for evaluating dependencies
+MARKER_ENV = {
+    "python_version": "3.13",
+    "python_full_version": "3.13.2",
+    "sys_platform": "emscripten",
+    "platform_system": "Emscripten",
+    "platform_machine": "wasm32",
+    "os_name": "posix",
+    "implementation_name": "cpython",
+    "platform_python_implementation": "CPython",
+    "extra": "",
+}
+
+
+def download_pyodide(version, out_dir):
+    """Download and unpack the full Pyodide release"""
+    url = f"https://github.com/pyodide/pyodide/releases/download/{version}/pyodide-{version}.tar.bz2"
+    target = out_dir / "pyodide"
+    if (target / "pyodide-lock.json").exists():
+        print(f"Pyodide already present in {target}")
+        return target
+
+    print(f"Downloading {url}...")
+    with tempfile.TemporaryDirectory() as tmp:
+        archive = Path(tmp) / "pyodide.tar.bz2"
+        urllib.request.urlretrieve(url, archive)
+        with tarfile.open(archive) as tar:
+            tar.extractall(tmp)
+        shutil.rmtree(target, ignore_errors=True)
+        shutil.move(str(Path(tmp) / "pyodide"), target)
+    return target
+
+
+def wheel_requirements(wheel):
+    """Dependencies of a wheel that apply inside Pyodide"""
+    with zipfile.ZipFile(wheel) as zf:
+        metadata_name = next(n for n in zf.namelist() if n.endswith(".dist-info/METADATA"))
+        metadata = Parser().parsestr(zf.read(metadata_name).decode("utf-8"))
+    requirements = []
+    for line in metadata.get_all("Requires-Dist") or []:
+        requirement = Requirement(line)
+        if requirement.marker is None or requirement.marker.evaluate(MARKER_ENV):
+            requirements.append(requirement)
+    return requirements
+
+
+def download_bootstrap_wheels(pyodide_dir, pypi_dir):
+    """Download pure-Python wheels for the bootstrap packages and their dependencies"""
+    lock = json.loads((pyodide_dir / "pyodide-lock.json").read_text("utf-8"))
+    available = {canonicalize_name(name) for name in lock["packages"]}
+    available.update(canonicalize_name(w.name.split("-")[0]) for w in pypi_dir.glob("*.whl"))
+
+    unavailable = []
+    queue = [Requirement(name) for name in BOOTSTRAP_PACKAGES]
+    while queue:
+        requirement = queue.pop(0)
+        name = canonicalize_name(requirement.name)
+        if name in available:
+            continue
+        available.add(name)
+
+        print(f"Downloading {requirement}...")
+        before = set(pypi_dir.glob("*.whl"))
+        try:
+            subprocess.check_call([
+                sys.executable, "-m", "pip", "download", "--quiet", "--no-deps",
+                "--only-binary=:all:", "--platform", "any",
+                "--python-version", MARKER_ENV["python_version"],
+                "--dest", str(pypi_dir),
+                f"{requirement.name}{requirement.specifier}",
+            ])
+        except subprocess.CalledProcessError:
+            unavailable.append(str(requirement))
+            continue
+        for wheel in set(pypi_dir.glob("*.whl")) - before:
+            queue.extend(wheel_requirements(wheel))
+
+    if unavailable:
+        print(f"Warning: no pure-Python wheel for {', '.join(unavailable)}; kernels will fail to start offline")
+
+
+def create_all_json(pypi_dir):
+    """Create the all.json index file (the Warehouse-like format piplite reads)"""
+    all_json = {}
+    for wheel in sorted(pypi_dir.glob("*.whl")):
+        pkg_name = canonicalize_name(wheel.name.split("-")[0])
+        version = wheel.name.split("-")[1]
+        data = wheel.read_bytes()
+        releases = all_json.setdefault(pkg_name, {"name": pkg_name, "releases": {}})["releases"]
+        releases[version] = [{
+            "filename": wheel.name,
+            "url": f"./{wheel.name}",
+            "digests": {
+                "md5": hashlib.md5(data).hexdigest(),
+                "sha256": hashlib.sha256(data).hexdigest()
+            },
+            "size": len(data),
+            "packagetype": "bdist_wheel",
+            "python_version": "py3",
+            "requires_python": None,
+            "yanked": False
+        }]
+    (pypi_dir / "all.json").write_text(json.dumps(all_json, indent=2))
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    parser.add_argument("--out", default=str(ROOT_DIR / "offline"), help="output directory")
+    parser.add_argument("--pyodide-version", default="0.28.0", help="Pyodide release to download")
+    args = parser.parse_args()
+
+    out_dir = Path(args.out).resolve()
+    pypi_dir = out_dir / "pypi"
+    pypi_dir.mkdir(parents=True, exist_ok=True)
+
+    pyodide_dir = download_pyodide(args.pyodide_version, out_dir)
+
+    print("Copying kernel wheels...")
+    for wheel in KERNEL_PYPI_DIR.glob(f"*{NOARCH_WHL}"):
+        shutil.copy(wheel, pypi_dir / wheel.name)
+
+    download_bootstrap_wheels(pyodide_dir, pypi_dir)
+    create_all_json(pypi_dir)
+
+    print(f"Done! Offline distribution written to {out_dir}")
+
+
+if __name__ == "__main__":
+    main()
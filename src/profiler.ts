@@ -0,0 +1,149 @@
+// Python side of the profiler
+// Runs cells under cProfile and turns the collected stats into plain data:
+// per-function stats, a call tree that flamegraph renderers can draw directly
+// and the wall time of the cell, split into auto package loading and the rest.
+
+// Name of the module the source is installed as
+export const PROFILER_MODULE = "kernel_profiler";
+
+export const PROFILER_SOURCE = String.raw`
+import contextlib
+import cProfile
+import json
+import pstats
+import time
+
+SORT_KEYS = {
+    "cumtime": lambda row: row["cumtime"],
+    "tottime": lambda row: row["tottime"],
+    "calls": lambda row: row["calls"],
+    "name": lambda row: row["function"],
+}
+MAX_DEPTH = 64
+MIN_FRACTION = 0.001  # Call tree nodes below this share of the total are dropped
+
+# Profile of the cell that is running, if any
+_active = None
+
+
+@contextlib.asynccontextmanager
+async def package_loading():
+    """Count the time spent loading packages towards the active profile"""
+    profile = _active
+    start = time.perf_counter()
+    try:
+        yield
+    finally:
+        if profile is not None:
+            profile.package_loading += time.perf_counter() - start
+
+
+def _internal(func):
+    return "_lsprof.Profiler" in func[2]
+
+
+def _describe(func):
+    filename, line, name = func
+    if filename == "~":
+        # Built-ins have no source
+        return {"function": name, "file": None, "line": None}
+    return {"function": name, "file": filename, "line": line}
+
+
+class Profile:
+    def __init__(self):
+        self.profiler = cProfile.Profile()
+        self.package_loading = 0.0
+        self.wall_time = 0.0
+        self._start = None
+
+    def start(self):
+        global _active
+        _active = self
+        self._start = time.perf_counter()
+        self.profiler.enable()
+
+    def stop(self):
+        global _active
+        self.profiler.disable()
+        self.wall_time = time.perf_counter() - self._start
+        if _active is self:
+            _active = None
+
+    def _stats(self):
+        try:
+            return pstats.Stats(self.profiler).stats
+        except TypeError:
+            # Nothing was recorded
+            return {}
+
+    def _call_tree(self, stats):
+        children = {}
+        for func, (_, _, _, _, callers) in stats.items():
+            if _internal(func):
+                continue
+            for caller, edge in callers.items():
+                children.setdefault(caller, []).append((func, edge[3]))
+
+        roots = [
+            (func, ct) for func, (_, _, _, ct, callers) in stats.items()
+            if not _internal(func) and not any(caller in stats for caller in callers)
+        ]
+        total = sum(ct for _, ct in roots)
+        threshold = total * MIN_FRACTION
+
+        def node(func, value, path):
+            result = {**_describe(func), "name": func[2], "value": value, "children": []}
+            if len(path) >= MAX_DEPTH:
+                return result
+            # Callers share their time out among their callees in proportion to the calls seen
+            cumtime = stats[func][3]
+            scale = value / cumtime if cumtime > 0 else 0.0
+            for callee, edge_time in sorted(children.get(func, ()), key=lambda item: -item[1]):
+                child_value = edge_time * scale
+                if callee in path or child_value < threshold:
+                    continue
+                result["children"].append(node(callee, child_value, path | {callee}))
+            return result
+
+        tree = [node(func, ct, {func}) for func, ct in sorted(roots, key=lambda item: -item[1]) if ct >= threshold]
+        return {
+            "name": "all",
+            "function": "all",
+            "file": None,
+            "line": None,
+            "value": max(self.wall_time, total),
+            "children": tree,
+        }
+
+    def report(self, sort_by="cumtime", limit=30):
+        """Stats of the profiled cell, the most expensive functions first"""
+        if sort_by not in SORT_KEYS:
+            raise ValueError(f"Unknown sort key {sort_by!r}, expected one of {', '.join(SORT_KEYS)}")
+        stats = self._stats()
+        rows = [
+            {
+                **_describe(func),
+                "calls": nc,
+                "primitiveCalls": cc,
+                "tottime": tt,
+                "cumtime": ct,
+            }
+            for func, (cc, nc, tt, ct, _) in stats.items()
+            if not _internal(func)
+        ]
+        rows.sort(key=SORT_KEYS[sort_by], reverse=sort_by != "name")
+        return {
+            "wallTime": self.wall_time,
+            "breakdown": {
+                "packageLoading": self.package_loading,
+                "execution": max(self.wall_time - self.package_loading, 0.0),
+            },
+            "totalCalls": sum(row["calls"] for row in rows),
+            "stats": rows[:limit] if limit is not None else rows,
+            "callTree": self._call_tree(stats),
+        }
+
+    def report_json(self, sort_by="cumtime", limit=30):
+        return json.dumps(self.report(sort_by, limit))
+`;
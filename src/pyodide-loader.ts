@@ -1,30 +1,59 @@
 /**
  * Pyodide CDN Loader Utility
- * Dynamically loads Pyodide from CDN for both main thread and web workers
+ * Dynamically loads Pyodide from CDN (or a self-hosted distribution) for both main thread and web workers
  */
 
 const PYODIDE_CDN_URL = 'https://cdn.jsdelivr.net/pyodide/v0.28.0/full/pyodide.js';
 const PYODIDE_INDEX_URL = 'https://cdn.jsdelivr.net/pyodide/v0.28.0/full/';
 
-// Global flag to track if Pyodide is loaded
+// Pyodide instances by distribution, so kernels with the same configuration share one load
+const pyodideLoadPromises: Map<string, Promise<any>> = new Map();
 let pyodideLoaded = false;
-let pyodideLoadPromise: Promise<any> | null = null;
+
+// URL of the pyodide.js script that defined the global loadPyodide
+let loadedScriptUrl: string | null = null;
+
+/**
+ * Pyodide distribution settings accepted by loadPyodide
+ */
+export interface IPyodideLoaderConfig {
+  indexURL?: string;
+  scriptURL?: string;
+  packageBaseUrl?: string;
+  lockFileURL?: string;
+}
+
+/**
+ * Resolve the distribution URLs, filling in the CDN defaults
+ * The script defaults to pyodide.js inside the index directory.
+ */
+export function resolvePyodideUrls(config: IPyodideLoaderConfig = {}): { indexURL: string; scriptURL: string } {
+  if (!config.indexURL) {
+    return { indexURL: PYODIDE_INDEX_URL, scriptURL: config.scriptURL || PYODIDE_CDN_URL };
+  }
+  const indexURL = config.indexURL.endsWith('/') ? config.indexURL : `${config.indexURL}/`;
+  return { indexURL, scriptURL: config.scriptURL || `${indexURL}pyodide.js` };
+}
 
 /**
  * Load Pyodide script dynamically in main thread
  */
-function loadPyodideScript(): Promise<void> {
+function loadPyodideScript(scriptUrl: string): Promise<void> {
   return new Promise((resolve, reject) => {
     // Check if script is already loaded
     if (typeof (globalThis as any).loadPyodide !== 'undefined') {
+      warnOnScriptMismatch(scriptUrl);
       resolve();
       return;
     }
 
     const script = document.createElement('script');
-    script.src = PYODIDE_CDN_URL;
-    script.onload = () => resolve();
-    script.onerror = () => reject(new Error(`Failed to load Pyodide from ${PYODIDE_CDN_URL}`));
+    script.src = scriptUrl;
+    script.onload = () => {
+      loadedScriptUrl = scriptUrl;
+      resolve();
+    };
+    script.onerror = () => reject(new Error(`Failed to load Pyodide from ${scriptUrl}`));
     document.head.appendChild(script);
   });
 }
@@ -32,7 +61,7 @@ function loadPyodideScript(): Promise<void> {
 /**
  * Load Pyodide in web worker using importScripts
  */
-function loadPyodideInWorker(): Promise<void> {
+function loadPyodideInWorker(scriptUrl: string): Promise<void> {
   return new Promise((resolve, reject) => {
     try {
       // Check if we're in a worker environment
@@ -43,37 +72,52 @@ function loadPyodideInWorker(): Promise<void> {
 
       // Check if already loaded
       if (typeof (globalThis as any).loadPyodide !== 'undefined') {
+        warnOnScriptMismatch(scriptUrl);
         resolve();
         return;
       }
 
-      importScripts(PYODIDE_CDN_URL);
+      importScripts(scriptUrl);
+      loadedScriptUrl = scriptUrl;
       resolve();
     } catch (error) {
-      reject(new Error(`Failed to import Pyodide in worker: ${error}`));
+      reject(new Error(`Failed to import Pyodide from ${scriptUrl} in worker: ${error}`));
     }
   });
 }
 
+/**
+ * Only one pyodide.js can define the global loader per realm
+ */
+function warnOnScriptMismatch(scriptUrl: string): void {
+  if (loadedScriptUrl && loadedScriptUrl !== scriptUrl) {
+    console.warn(`⚠️ Pyodide was already loaded from ${loadedScriptUrl}; ignoring ${scriptUrl}`);
+  }
+}
+
 /**
  * Initialize Pyodide with proper configuration
  */
-export async function loadPyodide(config: any = {}): Promise<any> {
+export async function loadPyodide(config: IPyodideLoaderConfig = {}): Promise<any> {
+  const { indexURL, scriptURL } = resolvePyodideUrls(config);
+  const key = JSON.stringify([scriptURL, indexURL, config.packageBaseUrl || null, config.lockFileURL || null]);
+
   // Return existing promise if already loading
-  if (pyodideLoadPromise) {
-    return pyodideLoadPromise;
+  const existing = pyodideLoadPromises.get(key);
+  if (existing) {
+    return existing;
   }
 
-  pyodideLoadPromise = (async () => {
+  const pyodideLoadPromise = (async () => {
     try {
       // Determine if we're in a worker or main thread
       const isWorker = typeof importScripts !== 'undefined';
-      
+
       // Load the Pyodide script
       if (isWorker) {
-        await loadPyodideInWorker();
+        await loadPyodideInWorker(scriptURL);
       } else {
-        await loadPyodideScript();
+        await loadPyodideScript(scriptURL);
       }
 
       // Get the global loadPyodide function
@@ -82,24 +126,28 @@ export async function loadPyodide(config: any = {}): Promise<any> {
         throw new Error('loadPyodide function not found after script load');
       }
 
-      // Configure default options
-      const defaultConfig = {
-        indexURL: PYODIDE_INDEX_URL,
-        ...config
-      };
+      // Configure options; unset ones are left to Pyodide's own defaults
+      const pyodideConfig: any = { indexURL };
+      if (config.packageBaseUrl) {
+        pyodideConfig.packageBaseUrl = config.packageBaseUrl;
+      }
+      if (config.lockFileURL) {
+        pyodideConfig.lockFileURL = config.lockFileURL;
+      }
 
       // Initialize Pyodide
-      const pyodide = await globalLoadPyodide(defaultConfig);
+      const pyodide = await globalLoadPyodide(pyodideConfig);
       pyodideLoaded = true;
-      
-      console.log('✅ Pyodide loaded successfully from CDN');
+
+      console.log(`✅ Pyodide loaded successfully from ${indexURL}`);
       return pyodide;
     } catch (error) {
-      pyodideLoadPromise = null; // Reset on failure
+      pyodideLoadPromises.delete(key); // Reset on failure
       throw error;
     }
   })();
 
+  pyodideLoadPromises.set(key, pyodideLoadPromise);
   return pyodideLoadPromise;
 }
 
@@ -122,4 +170,4 @@ export function getPyodideCDNUrl(): string {
  */
 export function getPyodideIndexUrl(): string {
   return PYODIDE_INDEX_URL;
-} 
\ No newline at end of file
+}
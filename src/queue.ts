@@ -0,0 +1,126 @@
+// Async queue
+// Streams hand kernel events from event listeners to the generators that yield
+// them. Consumers await the next item instead of polling. Worker streams have a
+// high-water mark: once it is reached the manager pauses the worker's output
+// and waits for space before letting it write again.
+
+export class AsyncQueue<T> implements AsyncIterableIterator<T> {
+  private items: T[] = [];
+  private highWaterMark: number;
+  private isClosed = false;
+  private error: Error | null = null;
+  // Consumer waiting for an item, and producers waiting for room
+  private wakeConsumer: (() => void) | null = null;
+  private spaceWaiters: (() => void)[] = [];
+
+  /**
+   * @param highWaterMark Number of queued items from which push reports that
+   *   the producer should wait
+   */
+  constructor(highWaterMark = Infinity) {
+    this.highWaterMark = highWaterMark;
+  }
+
+  /**
+   * Number of items waiting for the consumer
+   */
+  public get size(): number {
+    return this.items.length;
+  }
+
+  /**
+   * Whether the queue takes no more items
+   */
+  public get closed(): boolean {
+    return this.isClosed;
+  }
+
+  /**
+   * Add an item for the consumer
+   * Items pushed after close or fail are dropped.
+   * @param item Item
+   * @returns False once the queue is at its high-water mark (or closed), in
+   *   which case the producer should wait for waitForSpace
+   */
+  public push(item: T): boolean {
+    if (this.isClosed) {
+      return false;
+    }
+    this.items.push(item);
+    this.wake();
+    return this.items.length < this.highWaterMark;
+  }
+
+  /**
+   * End the queue; the consumer still gets the queued items
+   */
+  public close(): void {
+    if (this.isClosed) {
+      return;
+    }
+    this.isClosed = true;
+    this.wake();
+    this.releaseProducers();
+  }
+
+  /**
+   * End the queue with an error; queued items are dropped and the consumer's
+   * pending and later next calls reject with the error
+   * @param error Error
+   */
+  public fail(error: Error): void {
+    if (this.isClosed) {
+      return;
+    }
+    this.items = [];
+    this.error = error;
+    this.close();
+  }
+
+  /**
+   * Wait until the queue is below its high-water mark or closed
+   */
+  public async waitForSpace(): Promise<void> {
+    while (!this.isClosed && this.items.length >= this.highWaterMark) {
+      await new Promise<void>(resolve => this.spaceWaiters.push(resolve));
+    }
+  }
+
+  /**
+   * Take the next item, waiting for one if the queue is empty
+   * @returns The item, or done once the queue is closed and drained
+   */
+  public async next(): Promise<IteratorResult<T, undefined>> {
+    while (this.items.length === 0) {
+      if (this.error) {
+        throw this.error;
+      }
+      if (this.isClosed) {
+        return { done: true, value: undefined };
+      }
+      await new Promise<void>(resolve => {
+        this.wakeConsumer = resolve;
+      });
+      this.wakeConsumer = null;
+    }
+    const item = this.items.shift()!;
+    if (this.items.length < this.highWaterMark) {
+      this.releaseProducers();
+    }
+    return { done: false, value: item };
+  }
+
+  public [Symbol.asyncIterator](): AsyncIterableIterator<T> {
+    return this;
+  }
+
+  private wake(): void {
+    this.wakeConsumer?.();
+  }
+
+  private releaseProducers(): void {
+    const waiters = this.spaceWaiters;
+    this.spaceWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
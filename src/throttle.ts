@@ -0,0 +1,319 @@
+// Output throttling
+// A cell that prints in a tight loop publishes a stream message per write, more
+// than the page (and the event port of a worker) can keep up with. Kernels pass
+// stdout/stderr through an OutputThrottle, which applies the execution's
+// IOutputPolicy: it merges chunks written shortly after one another, limits the
+// publishing rate, caps the output of the execution, and once too much text is
+// held back either makes the writer wait (in workers) or drops the text.
+
+import { OutputFlowState } from "./types";
+import type { IOutputPolicy, IOutputStats } from "./types";
+
+// Bytes of held back text from which the overflow policy applies by default
+export const DEFAULT_HIGH_WATER_MARK = 1024 * 1024;
+
+type StreamChunk = { name: string; text: string };
+
+/**
+ * Count the UTF-8 bytes of the longest prefix of a text that fits in a budget
+ * @param text Text
+ * @param budget Bytes available (Infinity for the whole text)
+ * @returns Length of the prefix in UTF-16 code units, and its size in bytes
+ */
+function utf8Prefix(text: string, budget: number): { length: number; bytes: number } {
+  let bytes = 0;
+  let i = 0;
+  while (i < text.length) {
+    const code = text.charCodeAt(i);
+    const pair = code >= 0xd800 && code <= 0xdbff && i + 1 < text.length;
+    const size = code < 0x80 ? 1 : code < 0x800 ? 2 : pair ? 4 : 3;
+    if (bytes + size > budget) {
+      break;
+    }
+    bytes += size;
+    i += pair ? 2 : 1;
+  }
+  return { length: i, bytes };
+}
+
+// Longest time writes wait for a paused stream before their text is dropped
+export const MAX_FLOW_PAUSE_MS = 10 * 1000;
+
+/**
+ * Block the calling worker, as Python writes are synchronous
+ * The wait is sliced so that an interrupt can end it. The main thread of a page
+ * must not block, and a worker without shared memory could only spin, so
+ * neither waits at all.
+ * @param ms Milliseconds to wait
+ * @param checkInterrupt Throws if the kernel was interrupted
+ * @returns False if the thread may not block
+ */
+function waitSync(ms: number, checkInterrupt: () => void): boolean {
+  if (typeof importScripts === "undefined" || typeof SharedArrayBuffer === "undefined") {
+    return false;
+  }
+  const cell = new Int32Array(new SharedArrayBuffer(4));
+  const end = performance.now() + ms;
+  for (let left = ms; left > 0; left = end - performance.now()) {
+    Atomics.wait(cell, 0, 0, Math.min(left, 100));
+    checkInterrupt();
+  }
+  return true;
+}
+
+export class OutputThrottle {
+  private publish: (name: string, text: string) => void;
+  // Policy of the running execution; writes outside executions go out as they come
+  private policy: IOutputPolicy | null = null;
+  private pending: StreamChunk[] = [];
+  private pendingBytes = 0;
+  private publishedBytes = 0;
+  private droppedBytes = 0;
+  private truncated = false;
+  private lastPublished = -Infinity;
+  // Rate limit budget, refilled at maxStreamRate up to one second's worth
+  private tokens = 0;
+  private refilledAt = 0;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  // Set by the manager while the consumer of a worker kernel's stream is behind
+  private flow: Int32Array | null = null;
+  // When writes started waiting for the current pause
+  private pausedAt: number | null = null;
+  private checkInterrupt: () => void;
+
+  /**
+   * @param publish Publishes a stream message
+   * @param checkInterrupt Throws if the kernel was interrupted, to end a blocked write
+   */
+  constructor(publish: (name: string, text: string) => void, checkInterrupt: () => void = () => {}) {
+    this.publish = publish;
+    this.checkInterrupt = checkInterrupt;
+  }
+
+  /**
+   * Follow the manager's flow control of a worker kernel's stream
+   * @param buffer Output flow buffer shared with the manager (see OUTPUT_FLOW_BUFFER_BYTES)
+   */
+  public setFlowBuffer(buffer: SharedArrayBuffer): void {
+    this.flow = new Int32Array(buffer, 0, 1);
+  }
+
+  /**
+   * Apply a policy to the writes of an execution until end is called
+   * @param policy Output policy of the execution
+   */
+  public begin(policy: IOutputPolicy = {}): void {
+    this.end();
+    this.policy = policy;
+    this.publishedBytes = 0;
+    this.droppedBytes = 0;
+    this.truncated = false;
+    this.lastPublished = -Infinity;
+    this.pausedAt = null;
+    this.tokens = this.rate();
+    this.refilledAt = performance.now();
+  }
+
+  /**
+   * Publish the text still held back and stop applying the policy
+   * @returns What the policy dropped during the execution
+   */
+  public end(): IOutputStats {
+    const stats = { droppedBytes: this.droppedBytes, truncated: this.truncated };
+    if (!this.policy) {
+      return stats;
+    }
+    this.flush();
+    if (stats.droppedBytes > 0 && !stats.truncated) {
+      this.publish("stderr", `\n[Output throttled: ${stats.droppedBytes} bytes were dropped]\n`);
+    }
+    this.policy = null;
+    return stats;
+  }
+
+  /**
+   * Handle a write to stdout or stderr
+   * May block the caller when the policy's overflow is "block" (in workers only).
+   * Timers cannot fire while a cell computes synchronously, so every write also
+   * publishes the held back text once the policy allows it.
+   * @param name Stream name
+   * @param text Text written
+   */
+  public write(name: string, text: string): void {
+    const policy = this.policy;
+    if (!policy) {
+      this.publish(name, text);
+      return;
+    }
+    const { bytes } = utf8Prefix(text, Infinity);
+    if (this.truncated) {
+      this.droppedBytes += bytes;
+      return;
+    }
+
+    // Past the output cap only the text that still fits goes out
+    const maxOutputBytes = policy.maxOutputBytes ?? Infinity;
+    const room = maxOutputBytes - this.publishedBytes - this.pendingBytes;
+    if (bytes > room) {
+      const head = utf8Prefix(text, room);
+      this.hold(name, text.slice(0, head.length), head.bytes);
+      this.droppedBytes += bytes - head.bytes;
+      this.truncated = true;
+      this.flush();
+      this.publish("stderr", `\n[Output truncated: the execution wrote more than ${maxOutputBytes} bytes]\n`);
+      return;
+    }
+
+    // The consumer of the stream is behind: wait for it (for a while), or drop the text
+    if (this.flow && Atomics.load(this.flow, 0) === OutputFlowState.PAUSED) {
+      if (policy.overflow === "drop" || !this.waitForFlow(this.flow)) {
+        this.droppedBytes += bytes;
+        return;
+      }
+    }
+    this.pausedAt = null;
+
+    // Too much text is held back: wait until it may go out (workers only), or drop the new text
+    const highWaterMark = policy.highWaterMark ?? DEFAULT_HIGH_WATER_MARK;
+    if (this.pendingBytes > 0 && this.pendingBytes + bytes > highWaterMark) {
+      this.release(false);
+      while (this.pendingBytes > 0) {
+        if (policy.overflow === "drop" || !waitSync(this.releaseDelay(), this.checkInterrupt)) {
+          this.droppedBytes += bytes;
+          return;
+        }
+        this.release(false);
+      }
+    }
+
+    this.hold(name, text, bytes);
+    // Goes out as soon as the elapsed time allows; the timer only helps cells that yield
+    this.release(false);
+  }
+
+  /**
+   * Publish the text held back right away, e.g. before another output
+   */
+  public flush(): void {
+    this.release(true);
+  }
+
+  /**
+   * Wait until the manager lets the stream flow again
+   * A pause is waited out for at most MAX_FLOW_PAUSE_MS, so that a stream
+   * nobody reads cannot hold the execution forever; later writes of the same
+   * pause are dropped right away.
+   * @param flow Output flow buffer
+   * @returns False if the pause outlasted the limit
+   * @private
+   */
+  private waitForFlow(flow: Int32Array): boolean {
+    if (this.pausedAt === null) {
+      this.pausedAt = performance.now();
+    }
+    while (Atomics.load(flow, 0) === OutputFlowState.PAUSED) {
+      const left = this.pausedAt + MAX_FLOW_PAUSE_MS - performance.now();
+      if (left <= 0) {
+        return false;
+      }
+      Atomics.wait(flow, 0, OutputFlowState.PAUSED, Math.min(left, 100));
+      this.checkInterrupt();
+    }
+    return true;
+  }
+
+  /**
+   * Append text to the held back chunks, merging it into the last one of its stream
+   * @private
+   */
+  private hold(name: string, text: string, bytes: number): void {
+    if (!text) {
+      return;
+    }
+    const last = this.pending[this.pending.length - 1];
+    if (last && last.name === name) {
+      last.text += text;
+    } else {
+      this.pending.push({ name, text });
+    }
+    this.pendingBytes += bytes;
+  }
+
+  /**
+   * Publish the held back chunks if the policy allows it now, or else when it will
+   * @param force Publish regardless of the coalescing window and the rate limit
+   * @private
+   */
+  private release(force: boolean): void {
+    if (this.pending.length === 0) {
+      return;
+    }
+    if (!force) {
+      const delay = this.releaseDelay();
+      if (delay > 0) {
+        if (!this.timer) {
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.release(false);
+          }, delay);
+        }
+        return;
+      }
+    }
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const chunks = this.pending;
+    this.refill();
+    this.tokens -= this.pendingBytes;
+    this.publishedBytes += this.pendingBytes;
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.lastPublished = performance.now();
+    for (const chunk of chunks) {
+      this.publish(chunk.name, chunk.text);
+    }
+  }
+
+  /**
+   * Milliseconds until the held back chunks may be published
+   * @private
+   */
+  private releaseDelay(): number {
+    const now = performance.now();
+    const windowLeft = this.lastPublished + (this.policy?.coalesceWindow ?? 0) - now;
+    const rate = this.rate();
+    let rateLeft = 0;
+    if (Number.isFinite(rate)) {
+      this.refill();
+      const missing = Math.min(this.pendingBytes, rate) - this.tokens;
+      rateLeft = missing > 0 ? (missing / rate) * 1000 : 0;
+    }
+    return Math.max(0, windowLeft, rateLeft);
+  }
+
+  /**
+   * Bytes per second the policy allows (Infinity without a rate limit)
+   * @private
+   */
+  private rate(): number {
+    const rate = this.policy?.maxStreamRate;
+    return rate && rate > 0 ? rate : Infinity;
+  }
+
+  /**
+   * Add the rate limit budget earned since the last refill
+   * @private
+   */
+  private refill(): void {
+    const rate = this.rate();
+    if (!Number.isFinite(rate)) {
+      return;
+    }
+    const now = performance.now();
+    this.tokens = Math.min(rate, this.tokens + ((now - this.refilledAt) / 1000) * rate);
+    this.refilledAt = now;
+  }
+}
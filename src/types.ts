@@ -37,7 +37,29 @@ export enum KernelEvents {
   KERNEL_UNRECOVERABLE = "kernel_unrecoverable",
   EXECUTION_INTERRUPTED = "execution_interrupted",
   KERNEL_RESTARTED = "kernel_restarted",
-  KERNEL_TERMINATED = "kernel_terminated"
+  KERNEL_TERMINATED = "kernel_terminated",
+  KERNEL_DIED = "kernel_died",
+  
+  // Heartbeat events (worker kernels)
+  KERNEL_UNRESPONSIVE = "kernel_unresponsive",
+  KERNEL_RESPONSIVE = "kernel_responsive",
+  
+  // Memory limit events
+  KERNEL_MEMORY_WARNING = "kernel_memory_warning",
+  KERNEL_MEMORY_EXCEEDED = "kernel_memory_exceeded",
+  
+  // Variable inspector events
+  VARIABLES_CHANGED = "variables_changed",
+  
+  // Debugger events (Debug Adapter Protocol events such as "stopped")
+  DEBUG_EVENT = "debug_event",
+  
+  // Filesystem persistence events
+  FILESYSTEM_SYNCED = "filesystem_synced",
+  FILESYSTEM_SYNC_FAILED = "filesystem_sync_failed",
+  
+  // Package management events
+  PACKAGE_PROGRESS = "package_progress"
 }
 
 // EventEmitter interface for typing
@@ -48,50 +70,555 @@ export interface IEventEmitter {
   setMaxListeners(n: number): void;
 }
 
+// Filesystem backends for the kernel's working directory
+// - memfs: in-memory, lost when the kernel goes away (default)
+// - idbfs: in-memory, persisted to IndexedDB in the browser
+// - nodefs: host directory mounted in Deno/Node
+export type FilesystemBackend = "memfs" | "idbfs" | "nodefs";
+
 // Filesystem mount options
 export interface IFilesystemMountOptions {
-  enabled?: boolean;
-  root?: string;
+  enabled?: boolean; // Legacy switch: mounts `root` with NODEFS when no backend is given
+  backend?: FilesystemBackend; // Takes precedence over `enabled`
+  root?: string; // Host directory for nodefs
   mountPoint?: string;
+  autoSync?: boolean; // idbfs: persist to IndexedDB whenever the kernel becomes idle (default: true)
+}
+
+// Entry in the kernel's virtual filesystem
+export interface IFileInfo {
+  name: string;
+  path: string; // Absolute path
+  type: "file" | "directory" | "symlink" | "other";
+  size: number; // Bytes
+  mtime: number; // Last modification, milliseconds since epoch
+}
+
+// Error raised by kernel filesystem operations, carrying an errno-style code (e.g. ENOENT)
+export class KernelFilesystemError extends Error {
+  code: string;
+  path: string;
+  operation: string;
+
+  constructor(code: string, operation: string, path: string, message?: string) {
+    super(message || `${code}: ${operation} '${path}'`);
+    this.name = "KernelFilesystemError";
+    this.code = code;
+    this.operation = operation;
+    this.path = path;
+  }
+}
+
+// Why a kernel died
+// - worker_error: the worker failed (script error, crash) outside of any execution
+// - fatal_error: the Pyodide runtime hit a fatal error and cannot be used anymore
+// - out_of_memory: the WebAssembly heap could not grow, or outgrew the kernel's memoryLimit
+export type KernelDeathCause = "worker_error" | "fatal_error" | "out_of_memory";
+
+// Payload of KERNEL_DIED events
+export interface IKernelDeathInfo {
+  cause: KernelDeathCause;
+  message: string;
+}
+
+// Error raised for executions that were running when their kernel died
+export class KernelDiedError extends Error {
+  kernelId: string;
+  deathCause: KernelDeathCause;
+
+  constructor(kernelId: string, info: IKernelDeathInfo) {
+    super(`Kernel ${kernelId} died (${info.cause}): ${info.message}`);
+    this.name = "KernelDiedError";
+    this.kernelId = kernelId;
+    this.deathCause = info.cause;
+  }
+}
+
+/**
+ * Tell whether an error leaves the kernel's runtime unusable
+ * @param error Error thrown by Pyodide or caught by a worker
+ * @returns The cause of death, or null for ordinary errors
+ */
+export function getKernelDeathCause(error: any): KernelDeathCause | null {
+  const message = String(error?.message ?? error ?? "");
+  if (/out of memory|Cannot enlarge memory|Aborted\(OOM\)/i.test(message)) {
+    return "out_of_memory";
+  }
+  if (/Pyodide has suffered a fatal error|Pyodide already fatally failed/i.test(message)) {
+    return "fatal_error";
+  }
+  if (typeof WebAssembly !== "undefined" && error instanceof WebAssembly.RuntimeError) {
+    return "fatal_error";
+  }
+  return null;
+}
+
+// Where the Pyodide distribution and the kernel's wheels are loaded from
+export interface IPyodideOptions {
+  indexURL?: string; // Pyodide distribution directory (default: the jsdelivr CDN)
+  scriptURL?: string; // pyodide.js (default: indexURL + "pyodide.js")
+  packageBaseUrl?: string; // Base for relative wheel names in the lock file (default: indexURL)
+  wheelsURL?: string; // Directory with the kernel wheels and all.json (default: "pypi/" next to the page)
+  offline?: boolean; // Resolve every package from indexURL and wheelsURL; never contact PyPI
+}
+
+// Package sets installed when a kernel starts
+// - minimal: plain interpreter, no IPython (no rich display, magics or comms)
+// - standard: IPython and the Jupyter kernel machinery (default)
+// - full: standard plus numpy, pandas and matplotlib
+export type BootstrapProfile = "minimal" | "standard" | "full";
+
+// What a kernel installs before it becomes ready
+export interface IBootstrapOptions {
+  profile?: BootstrapProfile; // Base package set (default: "standard")
+  packages?: string[]; // Extra requirement specifiers installed with micropip
+  preload?: string[]; // Extra packages loaded from the Pyodide distribution, e.g. ["numpy", "pandas"]
 }
 
 // Kernel options interface
+// Kernel language enum
+export enum KernelLanguage {
+  PYTHON = "python",
+  JAVASCRIPT = "javascript"
+}
+
+// Options for JavaScript kernels
+export interface IJavaScriptKernelOptions {
+  typescript?: boolean; // Transpile cells as TypeScript (default: false)
+  typescriptURL?: string; // Script that defines the global `ts` compiler (default: jsdelivr CDN)
+}
+
 export interface IKernelOptions {
+  lang?: KernelLanguage; // Kernel implementation to run (default: python)
   filesystem?: IFilesystemMountOptions;
   env?: Record<string, string>; // Environment variables to set in the kernel
   lockFileURL?: string; // URL to pyodide-lock.json file for faster loading
+  pyodide?: IPyodideOptions; // Self-hosted or offline Pyodide distribution
+  bootstrap?: IBootstrapOptions; // Packages to install at startup
+  javascript?: IJavaScriptKernelOptions; // JavaScript kernels only
+}
+
+// Prompt sent with an input_request event when Python calls input() or getpass()
+export interface IInputRequest {
+  prompt: string;
+  password: boolean;
+}
+
+// Reply to a pending input_request
+export interface IInputReply {
+  value: string;
+  timedOut?: boolean; // No answer arrived in time; the pending input() raises TimeoutError
+}
+
+// Layout of the SharedArrayBuffer that carries input replies to a blocked worker kernel:
+// two Int32 slots (state, reply length in bytes) followed by the UTF-8 encoded reply
+export const STDIN_HEADER_BYTES = 8;
+export const STDIN_MAX_REPLY_BYTES = 64 * 1024;
+
+// Values of the state slot of the stdin buffer
+export enum StdinState {
+  IDLE = 0,
+  WAITING = 1,
+  REPLIED = 2,
+  TIMED_OUT = 3
+}
+
+// Layout of the SharedArrayBuffer that carries debug requests to a paused worker kernel:
+// two Int32 slots (state, request length in bytes) followed by the UTF-8 encoded JSON request
+export const DEBUG_HEADER_BYTES = 8;
+export const DEBUG_MAX_REQUEST_BYTES = 64 * 1024;
+
+// Values of the state slot of the debug buffer
+export enum DebugChannelState {
+  IDLE = 0,
+  WAITING = 1, // The kernel is paused and waits for a request
+  REQUEST = 2
+}
+
+// Layout of the SharedArrayBuffer through which the manager tells a worker kernel that
+// the consumer of its execution stream fell behind: one Int32 slot (OutputFlowState)
+export const OUTPUT_FLOW_BUFFER_BYTES = 4;
+
+// Values of the output flow buffer
+export enum OutputFlowState {
+  FLOWING = 0,
+  PAUSED = 1 // Stream writes wait (overflow "block") or are dropped (overflow "drop")
+}
+
+// Layout of the SharedArrayBuffer through which a worker kernel publishes its heap size:
+// one Int32 slot holding the size in 64 KiB units, i.e. WebAssembly pages (0 until the kernel sampled it)
+export const HEAP_SIZE_BUFFER_BYTES = 4;
+export const WASM_PAGE_BYTES = 64 * 1024;
+
+// Options for reporting a kernel's memory use
+export interface IResourceUsageOptions {
+  top?: number; // Report the largest Python allocation sites (starts tracemalloc if needed)
+  stopTracing?: boolean; // Stop tracemalloc after this report
+}
+
+// Python allocations traced by tracemalloc
+export interface IPythonMemoryUsage {
+  tracing: boolean; // Whether tracemalloc is still tracing
+  current: number; // Bytes currently allocated since tracing started
+  peak: number; // Peak of `current`
+  top: Array<{ file: string; line: number; size: number; count: number }>;
+}
+
+// Memory use of a kernel
+export interface IKernelResourceUsage {
+  heapSize: number | null; // Bytes of WebAssembly memory, or of JavaScript heap for JavaScript kernels (null where the browser does not report it)
+  python: IPythonMemoryUsage | null; // Only reported when `top` or `stopTracing` is requested
+}
+
+// Language of a kernel as reported in Jupyter kernel_info replies
+export interface IKernelInfo {
+  language_info: {
+    name: string;
+    version: string; // Version of the running interpreter or compiler
+    mimetype: string;
+    file_extension: string;
+    [key: string]: any; // pygments_lexer, codemirror_mode, nbconvert_exporter, ...
+  };
+  banner: string;
 }
 
 // Kernel interface
 export interface IKernel extends IEventEmitter {
   initialize(options?: IKernelOptions): Promise<void>;
-  execute(code: string, parent?: any): Promise<{ success: boolean, result?: any, error?: Error }>;
-  executeStream?(code: string, parent?: any): AsyncGenerator<any, { success: boolean, result?: any, error?: Error }, void>;
+  execute(code: string, parent?: any, options?: IKernelExecuteOptions): Promise<{ success: boolean, result?: any, error?: Error, droppedBytes?: number }>;
+  executeStream?(code: string, parent?: any, options?: IKernelExecuteOptions): AsyncGenerator<any, { success: boolean, result?: any, error?: Error, droppedBytes?: number }, void>;
   isInitialized(): boolean;
-  inputReply(content: { value: string }): Promise<void>;
+  inputReply(content: IInputReply): Promise<void>;
   getStatus(): Promise<"active" | "busy" | "unknown">;
+  getParentHeader?(): any;
   
   // Interrupt functionality
   interrupt?(): Promise<boolean>;
   setInterruptBuffer?(buffer: Uint8Array): void;
   
+  // Blocking stdin for worker kernels (see StdinState)
+  setStdinBuffer?(buffer: SharedArrayBuffer): void;
+  
   // Optional methods
   complete?(code: string, cursor_pos: number, parent?: any): Promise<any>;
   inspect?(code: string, cursor_pos: number, detail_level: 0 | 1, parent?: any): Promise<any>;
   isComplete?(code: string, parent?: any): Promise<any>;
   commInfo?(target_name: string | null, parent?: any): Promise<any>;
-  commOpen?(content: any, parent?: any): Promise<void>;
-  commMsg?(content: any, parent?: any): Promise<void>;
-  commClose?(content: any, parent?: any): Promise<void>;
+  commOpen?(content: any, parent?: any, buffers?: CommBuffer[], metadata?: any): Promise<void>;
+  commMsg?(content: any, parent?: any, buffers?: CommBuffer[], metadata?: any): Promise<void>;
+  commClose?(content: any, parent?: any, buffers?: CommBuffer[], metadata?: any): Promise<void>;
+  getKernelInfo?(): Promise<IKernelInfo>;
+  
+  // User namespaces
+  resetNamespace?(options?: IResetNamespaceOptions): Promise<void>;
+  listUserNamespaces?(): Promise<string[]>;
+  deleteUserNamespace?(name: string): Promise<boolean>;
+  
+  // Variable inspector
+  inspectVariables?(options?: IVariableInspectOptions): Promise<IVariableSummary[]>;
+  getVariableDetail?(path: VariablePath, options?: IVariableDetailOptions): Promise<IVariableDetail>;
+  
+  // Debugger (see DebugChannelState for how paused worker kernels get requests)
+  debug?(request: IDebugRequest): Promise<IDebugResponse>;
+  setDebugBuffer?(buffer: SharedArrayBuffer, onReply: (reply: IDebugResponse) => void): void;
+  
+  // Profiler (stats of executions run with the profile option, by parent msg_id)
+  takeProfile?(parentMsgId: string, options?: IProfileOptions): Promise<IProfileReport | null>;
+  
+  // Host objects (the manager keeps the objects and answers the bridge's calls)
+  setHostBridge?(bridge: HostBridge): void | Promise<void>;
+  exposeHost?(name: string, exposureId: number, value: unknown): Promise<void>;
+  unexposeHost?(name: string): Promise<boolean>;
+  
+  // Binary MIME payloads of outputs as Uint8Arrays instead of base64 text
+  setBinaryOutputs?(enabled: boolean): void | Promise<void>;
+  
+  // Stream output limits of the kernel's executions
+  setOutputPolicy?(policy: IOutputPolicy): void | Promise<void>;
+  
+  // Filesystem persistence
+  syncFilesystem?(): Promise<void>;
+  
+  // File transfer
+  writeFile?(path: string, data: Uint8Array | string, options?: { transfer?: boolean }): Promise<void>;
+  readFile?(path: string): Promise<Uint8Array>;
+  listDir?(path: string): Promise<IFileInfo[]>;
+  stat?(path: string): Promise<IFileInfo>;
+  remove?(path: string, options?: { recursive?: boolean }): Promise<void>;
+  mkdir?(path: string, options?: { recursive?: boolean }): Promise<void>;
+  
+  // State snapshot and restore
+  snapshot?(options?: IKernelSnapshotOptions): Promise<IKernelSnapshot>;
+  restoreSnapshot?(snapshot: IKernelSnapshot): Promise<IKernelRestoreReport>;
+  
+  // Package management
+  installPackages?(specs: string[], options?: IPackageInstallOptions): Promise<IPackageInstallResult>;
+  listPackages?(): Promise<IPackageInfo[]>;
+  uninstallPackage?(name: string): Promise<boolean>;
+  exportLock?(): Promise<string>;
+  
+  // Notebook validation (nbformat)
+  validateNotebook?(notebook: string): Promise<string[]>;
+  
+  // Memory accounting
+  getResourceUsage?(options?: IResourceUsageOptions): Promise<IKernelResourceUsage>;
+}
+
+// Options for taking a kernel state snapshot
+export interface IKernelSnapshotOptions {
+  includeFiles?: boolean; // Include files from the virtual filesystem (default: true)
+  root?: string; // Directory to capture (default: "/home/pyodide")
+}
+
+// Portable, JSON-serializable kernel state
+export interface IKernelSnapshot {
+  version: number; // Snapshot format version
+  created: string; // ISO timestamp
+  globals: Record<string, string>; // Variable name -> base64-encoded pickle
+  modules: Record<string, string>; // Variable name -> imported module name
+  skipped: Array<{ name: string; type: string; reason: string }>; // Values that could not be captured
+  files: Record<string, string>; // Absolute path -> base64-encoded contents
+  packages: Array<{ name: string; version: string }>; // Installed packages
+  env: Record<string, string>; // Environment variables (os.environ)
+}
+
+// Outcome of restoring a snapshot into a kernel
+export interface IKernelRestoreReport {
+  globals: string[]; // Restored variable names
+  failed: Array<{ name: string; reason: string }>; // Variables that could not be restored
+  files: number; // Number of files written
+  packagesInstalled: string[];
+  packagesFailed: string[];
+}
+
+// Package installed in a kernel
+export interface IPackageInfo {
+  name: string;
+  version: string;
+  source: string; // "pyodide", "pypi" or the URL the wheel was installed from
+}
+
+// Options for installing packages with micropip
+export interface IPackageInstallOptions {
+  indexUrls?: string | string[]; // Package indexes to search instead of PyPI
+  keepGoing?: boolean; // Continue with the remaining specs after a failure (default: false)
+  deps?: boolean; // Install dependencies (default: true)
+}
+
+// Stage reported by PACKAGE_PROGRESS events
+// - installing: micropip started resolving and installing the spec
+// - downloading: a wheel (or a package built for Pyodide) of the spec is being fetched
+// - installed: a distribution (the package itself or a dependency) was installed
+// - done: the spec finished installing
+// - failed: the spec could not be installed
+export type PackageInstallStage = "installing" | "downloading" | "installed" | "done" | "failed";
+
+// Payload of PACKAGE_PROGRESS events
+export interface IPackageProgress {
+  spec: string; // Requirement being installed, e.g. "numpy" or "attrs==23.1.0"
+  stage: PackageInstallStage;
+  index: number; // Position of the spec in the request
+  total: number; // Number of specs in the request
+  package?: string; // Distribution being downloaded or installed (stages "downloading" and "installed")
+  version?: string;
+  url?: string; // Wheel being fetched (stage "downloading", not for packages built for Pyodide)
+  error?: string; // Failure message (stage "failed")
 }
 
-// Execute options interface
+// Outcome of installing packages
+export interface IPackageInstallResult {
+  installed: IPackageInfo[]; // Newly installed or upgraded distributions, including dependencies
+  failed: Array<{ spec: string; error: string }>;
+  skipped: string[]; // Specs not attempted because an earlier one failed without keepGoing
+}
+
+// Per-call execute options, following the Jupyter execute_request fields
 export interface IKernelExecuteOptions {
-  code: string;
-  silent?: boolean;
-  storeHistory?: boolean;
+  silent?: boolean; // Publish no outputs and leave the execution count alone (default: false)
+  storeHistory?: boolean; // Record the cell in In[]/Out[] and bump the execution count (default: true, always false when silent)
+  userExpressions?: Record<string, string>; // Evaluated after a successful cell, returned as MIME bundles
+  allowStdin?: boolean; // When false, input() raises instead of asking the front-end (default: true)
+  userNamespace?: string; // Named user namespace of the kernel to run in, created on first use (default: DEFAULT_USER_NAMESPACE)
+  profile?: boolean; // Run the cell under cProfile and keep the stats for takeProfile (Python only)
+  outputPolicy?: IOutputPolicy; // Stream output limits for this execution, merged over the kernel's policy
+}
+
+// Limits on the stdout/stderr output of an execution, for cells that print in a tight loop
+// Sizes are UTF-8 bytes of stream text; every limit is off by default.
+export interface IOutputPolicy {
+  coalesceWindow?: number; // Milliseconds after publishing a chunk during which further chunks are merged into the next one (default: 0)
+  maxStreamRate?: number; // Bytes per second published at most, with bursts of up to one second's worth (default: unlimited)
+  maxOutputBytes?: number; // Bytes published per execution before the rest is dropped behind a truncation notice (default: unlimited)
+  highWaterMark?: number; // Bytes held back by coalescing and rate limiting before overflow applies (default: 1 MiB)
+  overflow?: "block" | "drop"; // Past the high-water mark, make Python wait until the text can go out, or drop it (default: "block")
+}
+
+// Output the policy of an execution held back or dropped
+export interface IOutputStats {
+  droppedBytes: number; // Bytes dropped by the overflow policy or the output cap
+  truncated: boolean; // The output cap was reached
+}
+
+// Name of the user namespace executions run in unless they target another one
+export const DEFAULT_USER_NAMESPACE = "default";
+
+// Options for clearing a user namespace
+export interface IResetNamespaceOptions {
+  keepImports?: boolean; // Keep names bound to imported modules (default: false)
+  userNamespace?: string; // Namespace to reset (default: DEFAULT_USER_NAMESPACE)
+}
+
+// Options for listing the variables of a user namespace
+export interface IVariableInspectOptions {
+  filter?: string; // Glob pattern on variable names, e.g. "df_*" (default: all variables)
+  maxItems?: number; // Most variables to return (default: 100)
+  userNamespace?: string; // Namespace to inspect (default: DEFAULT_USER_NAMESPACE)
 }
 
+// Summary of a variable, or of an item of one
+// Private names, modules, functions and classes are not listed as variables.
+export interface IVariableSummary {
+  name: string;
+  type: string; // Type name, e.g. "DataFrame"
+  size: number | null; // len() of containers and strings, element count of numpy and pandas objects
+  shape: number[] | null; // Shape of numpy arrays and pandas objects
+  dtype: string | null; // dtype of numpy arrays and Series ("mixed" for DataFrames with several)
+  repr: string; // Single-line repr, cut to 120 characters
+  expandable: boolean; // Whether getVariableDetail lists items for it
+}
+
+// Path to a value: a variable name followed by keys, indices or attribute names
+export type VariablePath = string | (string | number)[];
+
+// Options for paging through the items of a value
+export interface IVariableDetailOptions {
+  offset?: number; // First item (or table row) to return (default: 0)
+  limit?: number; // Most items (or table rows) to return (default: 100)
+  userNamespace?: string; // Namespace of the variable (default: DEFAULT_USER_NAMESPACE)
+}
+
+// A value with a page of its items
+// Dicts list their keys (non-string keys by repr), sequences, sets and Series
+// their positions, other objects their public attributes. DataFrames and 2-D
+// arrays are paged by rows instead, as a table; append a column name (or row
+// number) to the path to reach a column (or row).
+export interface IVariableDetail extends IVariableSummary {
+  path: (string | number)[];
+  offset: number;
+  total: number; // Number of items, or of rows for tables
+  items: (IVariableSummary & { key: string | number })[]; // `key` extends the path to the item
+  columns?: string[]; // Tables only
+  rows?: { index: string; values: string[] }[]; // Tables only: reprs of the cells of each row
+}
+
+// Debug Adapter Protocol request, as carried by a Jupyter debug_request
+// Python kernels support initialize, attach, disconnect, dumpCell, debugInfo,
+// setBreakpoints, configurationDone, threads, continue, next, stepIn, stepOut,
+// stackTrace, scopes, variables, evaluate and source.
+export interface IDebugRequest {
+  seq: number;
+  type: "request";
+  command: string;
+  arguments?: any;
+}
+
+// Debug Adapter Protocol response (debug_reply)
+export interface IDebugResponse {
+  seq: number;
+  type: "response";
+  request_seq: number;
+  command: string;
+  success: boolean;
+  message?: string; // Why the request failed
+  body?: any;
+}
+
+// Debug Adapter Protocol event (debug_event), e.g. "stopped" with the reason and threadId
+export interface IDebugEvent {
+  seq: number;
+  type: "event";
+  event: string;
+  body?: any;
+}
+
+// Order of the per-function stats of a profile
+export type ProfileSortKey = "cumtime" | "tottime" | "calls" | "name";
+
+// Options for reporting a profile
+export interface IProfileOptions {
+  sortBy?: ProfileSortKey; // Order of the per-function stats, largest first except for "name" (default: "cumtime")
+  limit?: number; // Most functions to list (default: 30)
+}
+
+// Where a profiled function lives; built-ins have no file or line
+export interface IProfileFunction {
+  function: string;
+  file: string | null;
+  line: number | null;
+}
+
+// cProfile stats of one function, times in seconds
+export interface IProfileFunctionStats extends IProfileFunction {
+  calls: number;
+  primitiveCalls: number; // Calls that were not recursive
+  tottime: number; // Time spent in the function itself
+  cumtime: number; // Time spent in the function and the functions it called
+}
+
+// Call tree node in the format flamegraph renderers (e.g. d3-flame-graph) expect
+// A node's value is the time, in seconds, spent in the function along this path.
+// cProfile only records caller/callee pairs, so deeper nodes share their
+// parent's time out in proportion to the calls seen; tiny nodes are dropped.
+export interface IProfileCallNode extends IProfileFunction {
+  name: string;
+  value: number;
+  children: IProfileCallNode[];
+}
+
+// Profile of one execution, times in seconds
+export interface IProfileReport {
+  wallTime: number; // From the start of the cell to its end
+  breakdown: {
+    packageLoading: number; // Loading packages for the cell's imports (_load_packages_from_imports)
+    execution: number; // Everything else
+  };
+  totalCalls: number;
+  stats: IProfileFunctionStats[];
+  callTree: IProfileCallNode; // Rooted at an "all" node
+}
+
+// Key of the markers that stand for host functions in exposed values: { [HOST_FUNCTION_KEY]: path }
+// The path leads from the exposed value to the function, e.g. ["client", "fetch"].
+export const HOST_FUNCTION_KEY = "__host_function__";
+
+// Calls a host function for a kernel: the exposure it belongs to, its path and the arguments
+export type HostBridge = (exposureId: number, path: string[], args: unknown[]) => Promise<unknown>;
+
+// Binary buffer of a comm message
+export type CommBuffer = ArrayBuffer | ArrayBufferView;
+
+// Message of a comm: comm_open, comm_msg or comm_close
+export interface ICommMessage {
+  data: any;
+  metadata: any;
+  buffers: CommBuffer[]; // Typed arrays (Uint8Array for buffers sent by Python)
+}
+
+// Host side of a comm Python opened for a registered target
+export interface IHostComm {
+  readonly kernelId: string;
+  readonly commId: string;
+  readonly targetName: string;
+  readonly isClosed: boolean;
+  send(data: any, metadata?: any, buffers?: CommBuffer[]): Promise<void>;
+  close(data?: any, metadata?: any, buffers?: CommBuffer[]): Promise<void>;
+  onMsg(callback: (msg: ICommMessage) => void | Promise<void>): void;
+  onClose(callback: (msg: ICommMessage) => void | Promise<void>): void;
+}
+
+// Called with the host side of each comm Python opens for a target, and the comm_open message
+export type CommTargetHandler = (comm: IHostComm, msg: ICommMessage) => void | Promise<void>;
+
 // Message interface
 export interface IMessage {
   type: string;
@@ -107,4 +634,13 @@ export interface IMessage {
 export interface IEventData {
   type: string;
   data: any;
+}
+
+// Data of KERNEL_BUSY and KERNEL_IDLE events
+// The idle event of an execution follows all of its outputs, so it marks the
+// end of the execution with the given parent msg_id.
+export interface IKernelStatusEvent {
+  execution_state: "busy" | "idle";
+  parent_msg_id: string;
+  execution_count?: number; // Count the execution will be reported under (busy events)
 } 
\ No newline at end of file
@@ -0,0 +1,214 @@
+// Python side of the variable inspector
+// Summarizes the variables of a user namespace (type, size, shape, dtype and a
+// short repr) and pages through the items of containers, numpy arrays and
+// pandas objects. Nothing here publishes outputs: stray prints from __repr__
+// methods are swallowed.
+
+// Name of the module the source is installed as
+export const VARIABLES_MODULE = "kernel_variables";
+
+export const VARIABLES_SOURCE = String.raw`
+import contextlib
+import fnmatch
+import io
+import reprlib
+import sys
+import types
+
+REPR_LENGTH = 120
+HIDDEN_TYPES = (types.ModuleType, types.FunctionType, types.BuiltinFunctionType, types.MethodType, type)
+
+_repr = reprlib.Repr()
+_repr.maxstring = REPR_LENGTH
+_repr.maxother = REPR_LENGTH
+
+
+def _numpy_array(value):
+    numpy = sys.modules.get("numpy")
+    return numpy is not None and isinstance(value, numpy.ndarray)
+
+
+def _pandas_kind(value):
+    pandas = sys.modules.get("pandas")
+    if pandas is None:
+        return None
+    if isinstance(value, pandas.DataFrame):
+        return "frame"
+    if isinstance(value, pandas.Series):
+        return "series"
+    return None
+
+
+def _short_repr(value):
+    # numpy scalars read like Python numbers
+    numpy = sys.modules.get("numpy")
+    if numpy is not None and isinstance(value, numpy.generic):
+        value = value.item()
+    try:
+        text = _repr.repr(value).replace("\n", " ")
+    except Exception as e:
+        text = f"<repr failed: {type(e).__name__}>"
+    return text if len(text) <= REPR_LENGTH else text[:REPR_LENGTH - 3] + "..."
+
+
+def _attributes(value):
+    if isinstance(value, HIDDEN_TYPES):
+        return {}
+    try:
+        return {name: item for name, item in vars(value).items() if not name.startswith("_")}
+    except TypeError:
+        return {}
+
+
+def _dtype(value):
+    if _numpy_array(value) or _pandas_kind(value) == "series":
+        return str(value.dtype)
+    if _pandas_kind(value) == "frame":
+        dtypes = {str(dtype) for dtype in value.dtypes}
+        return dtypes.pop() if len(dtypes) == 1 else ("mixed" if dtypes else None)
+    return None
+
+
+def summarize(name, value):
+    """Summary of one value, as listed by the variable inspector"""
+    array = _numpy_array(value)
+    pandas_kind = _pandas_kind(value)
+    shape = None
+    size = None
+    if array or pandas_kind:
+        shape = [int(n) for n in value.shape]
+        size = int(value.size)
+    else:
+        try:
+            size = len(value)
+        except Exception:
+            pass
+    if array:
+        expandable = value.ndim > 0
+    elif pandas_kind:
+        expandable = True
+    elif isinstance(value, (dict, list, tuple, set, frozenset)):
+        expandable = len(value) > 0
+    else:
+        expandable = bool(_attributes(value))
+    return {
+        "name": str(name),
+        "type": type(value).__name__,
+        "size": size,
+        "shape": shape,
+        "dtype": _dtype(value),
+        "repr": _short_repr(value),
+        "expandable": expandable,
+    }
+
+
+def _key(key):
+    return key if isinstance(key, (str, int)) and not isinstance(key, bool) else repr(key)
+
+
+def _child(value, key):
+    if isinstance(value, dict):
+        if key in value:
+            return value[key]
+        for candidate in value:
+            if repr(candidate) == key:
+                return value[candidate]
+        raise KeyError(key)
+    if isinstance(value, (set, frozenset)):
+        return list(value)[key]
+    if _pandas_kind(value) == "frame":
+        return value[key]
+    if _pandas_kind(value) == "series":
+        return value.iloc[key]
+    if _numpy_array(value) or isinstance(value, (list, tuple)):
+        return value[key]
+    attributes = _attributes(value)
+    if key in attributes:
+        return attributes[key]
+    raise KeyError(key)
+
+
+def items(value):
+    """(key, item) pairs of a value, and their count"""
+    if isinstance(value, dict):
+        return ((_key(key), item) for key, item in value.items()), len(value)
+    if isinstance(value, (list, tuple, set, frozenset)):
+        return enumerate(value), len(value)
+    if _pandas_kind(value) == "series":
+        return enumerate(value), len(value)
+    if _pandas_kind(value) == "frame":
+        return ((str(column), value[column]) for column in value.columns), len(value.columns)
+    if _numpy_array(value) and value.ndim > 0:
+        return enumerate(value), len(value)
+    attributes = _attributes(value)
+    return attributes.items(), len(attributes)
+
+
+def _table(value, offset, limit):
+    """Columns and a page of rows of DataFrames and 2-D arrays, or None"""
+    if _pandas_kind(value) == "frame":
+        page = value.iloc[offset:offset + limit]
+        return {
+            "columns": [str(column) for column in value.columns],
+            "rows": [
+                {"index": str(index), "values": [_short_repr(cell) for cell in row]}
+                for index, row in zip(page.index, page.itertuples(index=False))
+            ],
+            "total": len(value),
+        }
+    if _numpy_array(value) and value.ndim == 2:
+        return {
+            "columns": [str(column) for column in range(value.shape[1])],
+            "rows": [
+                {"index": str(offset + position), "values": [_short_repr(cell) for cell in row]}
+                for position, row in enumerate(value[offset:offset + limit])
+            ],
+            "total": len(value),
+        }
+    return None
+
+
+def _visible(name, value, hidden):
+    return not name.startswith("_") and name not in hidden and not isinstance(value, HIDDEN_TYPES)
+
+
+def inspect_variables(user_ns, hidden, pattern=None, max_items=100):
+    """Summaries of the user's variables, sorted by name"""
+    with contextlib.redirect_stdout(io.StringIO()), contextlib.redirect_stderr(io.StringIO()):
+        names = sorted(
+            name for name, value in list(user_ns.items())
+            if _visible(name, value, hidden) and (not pattern or fnmatch.fnmatchcase(name, pattern))
+        )
+        return [summarize(name, user_ns[name]) for name in names[:max_items]]
+
+
+def variable_detail(user_ns, hidden, path, offset=0, limit=100):
+    """Summary of the value at a path, with a page of its items"""
+    with contextlib.redirect_stdout(io.StringIO()), contextlib.redirect_stderr(io.StringIO()):
+        name, *keys = path
+        if name not in user_ns or not _visible(name, user_ns[name], hidden):
+            raise KeyError(f"No variable named {name!r}")
+        value = user_ns[name]
+        for key in keys:
+            value = _child(value, key)
+
+        detail = summarize(path[-1], value)
+        detail.update({"path": list(path), "offset": offset})
+
+        # Tables are paged by rows; their columns are reached through the path
+        table = _table(value, offset, limit)
+        if table is not None:
+            detail.update(table)
+            detail["items"] = []
+            return detail
+
+        pairs, total = items(value) if detail["expandable"] else ((), 0)
+        page = []
+        for position, (key, item) in enumerate(pairs):
+            if position >= offset + limit:
+                break
+            if position >= offset:
+                page.append({**summarize(key, item), "key": key})
+        detail.update({"total": total, "items": page})
+        return detail
+`;
@@ -0,0 +1,380 @@
+// ipywidgets bridge for KernelManager kernels
+// Handles the "jupyter.widget" comms ipywidgets opens and keeps the state of
+// every widget model. With a widget manager from @jupyter-widgets/html-manager
+// the models are also handed to it, so widget-view outputs render as live views
+// that sync with Python both ways. Without one the bridge runs headless and only
+// tracks the state, for tests and for saving widget state with notebooks.
+
+import type { CommBuffer, ICommMessage, IHostComm } from "./types";
+import type { KernelManager } from "./manager";
+import { bytesToBase64 } from "./outputs";
+
+// Comm targets of the widget protocol
+export const WIDGET_COMM_TARGET = "jupyter.widget";
+export const WIDGET_VERSION_COMM_TARGET = "jupyter.widget.version"; // ipywidgets 7 checks the front-end version on it
+// Mimetypes of widget outputs and saved widget state
+export const WIDGET_VIEW_MIMETYPE = "application/vnd.jupyter.widget-view+json";
+export const WIDGET_STATE_MIMETYPE = "application/vnd.jupyter.widget-state+json";
+
+// Path of a buffer inside a model state, e.g. ["value"] or ["data", 0]
+export type WidgetBufferPath = (string | number)[];
+
+// Tracked state of a widget model
+export interface IWidgetModelState {
+  modelId: string; // ID of the model's comm
+  modelName: string; // e.g. "IntSliderModel"
+  modelModule: string; // e.g. "@jupyter-widgets/controls"
+  modelModuleVersion: string;
+  state: Record<string, any>; // Buffers sit at their paths as Uint8Arrays
+}
+
+// Saved widget state, in the format notebooks store in their metadata
+export interface IWidgetStateDocument {
+  version_major: number;
+  version_minor: number;
+  state: Record<string, {
+    model_name: string;
+    model_module: string;
+    model_module_version: string;
+    state: Record<string, any>;
+    buffers?: { path: WidgetBufferPath; encoding: "base64"; data: string }[];
+  }>;
+}
+
+// Comm in the shape of @jupyter-widgets/base's IClassicComm
+export interface IWidgetComm {
+  comm_id: string;
+  target_name: string;
+  open(data: any, callbacks?: any, metadata?: any, buffers?: CommBuffer[]): string;
+  send(data: any, callbacks?: any, metadata?: any, buffers?: CommBuffer[]): string;
+  close(data?: any, callbacks?: any, metadata?: any, buffers?: CommBuffer[]): string;
+  on_msg(callback: (msg: any) => void): void;
+  on_close(callback: (msg: any) => void): void;
+}
+
+// The parts of an @jupyter-widgets/html-manager HTMLManager the bridge uses
+export interface IWidgetManagerAdapter {
+  handle_comm_open(comm: IWidgetComm, msg: any): Promise<any>;
+  get_model(modelId: string): Promise<any> | undefined;
+  create_view(model: any, options?: any): Promise<any>;
+  display_view(view: any, element: HTMLElement): Promise<any>;
+}
+
+// Options for creating a widget bridge
+export interface IWidgetBridgeOptions {
+  widgetManager?: IWidgetManagerAdapter; // Renders the widgets; headless without one
+}
+
+// Called with the model and the state keys that changed
+export type WidgetChangeCallback = (model: IWidgetModelState, patch: Record<string, any>) => void;
+
+/**
+ * Put the buffers of a message into a state at their paths
+ * @private
+ */
+function putBuffers(state: Record<string, any>, paths: WidgetBufferPath[] = [], buffers: CommBuffer[] = []): void {
+  paths.forEach((path, index) => {
+    const buffer = buffers[index];
+    if (buffer === undefined || path.length === 0) {
+      return;
+    }
+    let target: any = state;
+    for (const key of path.slice(0, -1)) {
+      target = target[key];
+    }
+    target[path[path.length - 1]] = ArrayBuffer.isView(buffer)
+      ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+      : new Uint8Array(buffer);
+  });
+}
+
+/**
+ * Take the buffers out of a state, as ipywidgets sends them
+ * @private
+ */
+function removeBuffers(state: Record<string, any>): { state: Record<string, any>; paths: WidgetBufferPath[]; buffers: Uint8Array[] } {
+  const paths: WidgetBufferPath[] = [];
+  const buffers: Uint8Array[] = [];
+  const walk = (value: any, path: WidgetBufferPath): any => {
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      paths.push(path);
+      buffers.push(value instanceof ArrayBuffer
+        ? new Uint8Array(value)
+        : new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+      return null;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => walk(item, [...path, index]));
+    }
+    if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item, [...path, key])]));
+    }
+    return value;
+  };
+  return { state: walk(state, []), paths, buffers };
+}
+
+export class WidgetBridge {
+  private manager: KernelManager;
+  private kernelId: string;
+  private widgetManager?: IWidgetManagerAdapter;
+
+  // Models and their comms, by model ID
+  private models: Map<string, IWidgetModelState> = new Map();
+  private comms: Map<string, IHostComm> = new Map();
+  private changeCallbacks: WidgetChangeCallback[] = [];
+  private msgSeq = 0;
+
+  constructor(manager: KernelManager, kernelId: string, options: IWidgetBridgeOptions = {}) {
+    if (!manager.getKernel(kernelId)) {
+      throw new Error(`Kernel with ID ${kernelId} not found`);
+    }
+
+    this.manager = manager;
+    this.kernelId = kernelId;
+    this.widgetManager = options.widgetManager;
+
+    manager.registerCommTarget(kernelId, WIDGET_COMM_TARGET, (comm, msg) => this.openModel(comm, msg));
+    manager.registerCommTarget(kernelId, WIDGET_VERSION_COMM_TARGET, comm => comm.send({ validated: true }));
+  }
+
+  /**
+   * Get the ID of the kernel whose widgets are bridged
+   */
+  public getKernelId(): string {
+    return this.kernelId;
+  }
+
+  /**
+   * Whether the bridge only tracks state, without a widget manager
+   */
+  public get headless(): boolean {
+    return !this.widgetManager;
+  }
+
+  /**
+   * Get the tracked state of a widget model
+   * @param modelId Model ID, as in widget-view outputs
+   */
+  public getModel(modelId: string): IWidgetModelState | undefined {
+    return this.models.get(modelId);
+  }
+
+  /**
+   * List the tracked widget models, oldest first
+   */
+  public listModels(): IWidgetModelState[] {
+    return [...this.models.values()];
+  }
+
+  /**
+   * Register a callback for state changes, from Python or from the views
+   * @param callback Called with the model and the changed keys
+   */
+  public onChange(callback: WidgetChangeCallback): void {
+    this.changeCallbacks.push(callback);
+  }
+
+  /**
+   * Change the state of a widget model, as a view would
+   * Values that are typed arrays or ArrayBuffers are sent as binary buffers.
+   * @param modelId Model ID
+   * @param patch State keys to change
+   */
+  public async setState(modelId: string, patch: Record<string, any>): Promise<void> {
+    const comm = this.getComm(modelId);
+    if (this.widgetManager) {
+      // Views follow the model; the model's own sync updates the tracked state
+      const model = await this.widgetManager.get_model(modelId);
+      if (!model) {
+        throw new Error(`Widget model ${modelId} is not known to the widget manager`);
+      }
+      model.set(patch);
+      model.save_changes();
+      return;
+    }
+    const { state, paths, buffers } = removeBuffers(patch);
+    await comm.send({ method: "update", state, buffer_paths: paths }, {}, buffers);
+    this.applyUpdate(modelId, state, paths, buffers);
+  }
+
+  /**
+   * Send a custom message to the Python side of a widget, e.g. a button click
+   * @param modelId Model ID
+   * @param content Message content, e.g. { event: "click" }
+   * @param buffers Binary buffers
+   */
+  public async sendCustom(modelId: string, content: any, buffers: CommBuffer[] = []): Promise<void> {
+    await this.getComm(modelId).send({ method: "custom", content }, {}, buffers);
+  }
+
+  /**
+   * Render a widget-view output into an element
+   * @param bundle display_data or execute_result data, or its mime bundle
+   * @param element Element to render into
+   * @returns false if the output is no widget view or the bridge is headless
+   */
+  public async renderOutput(bundle: any, element: HTMLElement): Promise<boolean> {
+    const data = bundle?.data && typeof bundle.data === "object" ? bundle.data : bundle;
+    const modelId = data?.[WIDGET_VIEW_MIMETYPE]?.model_id;
+    if (!modelId || !this.widgetManager) {
+      return false;
+    }
+    const model = await this.widgetManager.get_model(modelId);
+    if (!model) {
+      throw new Error(`Widget model ${modelId} is not known to the widget manager`);
+    }
+    const view = await this.widgetManager.create_view(model);
+    await this.widgetManager.display_view(view, element);
+    return true;
+  }
+
+  /**
+   * Save the state of all widget models, as notebooks store it in their metadata
+   * (under metadata.widgets["application/vnd.jupyter.widget-state+json"])
+   */
+  public getState(): IWidgetStateDocument {
+    const document: IWidgetStateDocument = { version_major: 2, version_minor: 0, state: {} };
+    for (const model of this.models.values()) {
+      const { state, paths, buffers } = removeBuffers(model.state);
+      document.state[model.modelId] = {
+        model_name: model.modelName,
+        model_module: model.modelModule,
+        model_module_version: model.modelModuleVersion,
+        state,
+        ...(paths.length > 0
+          ? { buffers: paths.map((path, index) => ({ path, encoding: "base64" as const, data: bytesToBase64(buffers[index]) })) }
+          : {})
+      };
+    }
+    return document;
+  }
+
+  /**
+   * Stop handling new widgets of the kernel
+   * Models that are already open keep syncing until Python closes them.
+   */
+  public dispose(): void {
+    this.manager.unregisterCommTarget(this.kernelId, WIDGET_COMM_TARGET);
+    this.manager.unregisterCommTarget(this.kernelId, WIDGET_VERSION_COMM_TARGET);
+  }
+
+  /**
+   * Track a model Python opened, and hand it to the widget manager
+   * @private
+   */
+  private async openModel(comm: IHostComm, msg: ICommMessage): Promise<void> {
+    const state = { ...(msg.data?.state ?? {}) };
+    putBuffers(state, msg.data?.buffer_paths, msg.buffers);
+    this.models.set(comm.commId, {
+      modelId: comm.commId,
+      modelName: state._model_name ?? "",
+      modelModule: state._model_module ?? "",
+      modelModuleVersion: state._model_module_version ?? "",
+      state
+    });
+    this.comms.set(comm.commId, comm);
+
+    comm.onMsg(message => {
+      const method = message.data?.method;
+      if (method === "update" || method === "echo_update") {
+        this.applyUpdate(comm.commId, message.data.state ?? {}, message.data.buffer_paths, message.buffers);
+      }
+    });
+    comm.onClose(() => {
+      this.models.delete(comm.commId);
+      this.comms.delete(comm.commId);
+    });
+
+    if (this.widgetManager) {
+      await this.widgetManager.handle_comm_open(this.toWidgetComm(comm), {
+        header: { msg_type: "comm_open" },
+        content: { comm_id: comm.commId, target_name: comm.targetName, data: msg.data },
+        metadata: msg.metadata,
+        buffers: msg.buffers
+      });
+    }
+  }
+
+  /**
+   * Merge a state update into a tracked model and tell the change callbacks
+   * @private
+   */
+  private applyUpdate(modelId: string, patch: Record<string, any>, paths?: WidgetBufferPath[], buffers?: CommBuffer[]): void {
+    const model = this.models.get(modelId);
+    if (!model) {
+      return;
+    }
+    const changes = { ...patch };
+    putBuffers(changes, paths, buffers);
+    Object.assign(model.state, changes);
+    for (const callback of this.changeCallbacks) {
+      try {
+        callback(model, changes);
+      } catch (error) {
+        console.error(`Error in a change callback of widget ${modelId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Get the comm of an open widget model
+   * @private
+   */
+  private getComm(modelId: string): IHostComm {
+    const comm = this.comms.get(modelId);
+    if (!comm) {
+      throw new Error(`Widget model ${modelId} is not open`);
+    }
+    return comm;
+  }
+
+  /**
+   * Wrap a host comm for the widget manager
+   * The widget models count their pending updates until the kernel reports idle
+   * for them, so the callbacks get an idle status once Python handled a message.
+   * @private
+   */
+  private toWidgetComm(comm: IHostComm): IWidgetComm {
+    const toMessage = (message: ICommMessage, msgType: string) => ({
+      header: { msg_type: msgType },
+      content: { comm_id: comm.commId, data: message.data },
+      metadata: message.metadata,
+      buffers: message.buffers
+    });
+    const reportIdle = (msgId: string, callbacks: any) => {
+      callbacks?.iopub?.status?.({
+        header: { msg_type: "status" },
+        parent_header: { msg_id: msgId },
+        content: { execution_state: "idle" }
+      });
+    };
+
+    return {
+      comm_id: comm.commId,
+      target_name: comm.targetName,
+      open: () => {
+        throw new Error("Widget comms are opened by the kernel");
+      },
+      send: (data, callbacks, metadata = {}, buffers = []) => {
+        const msgId = `widget-${this.kernelId}-${++this.msgSeq}`;
+        if (data?.method === "update") {
+          this.applyUpdate(comm.commId, data.state ?? {}, data.buffer_paths, buffers);
+        }
+        comm.send(data, metadata, buffers)
+          .then(() => reportIdle(msgId, callbacks))
+          .catch(error => console.error(`Failed to sync widget ${comm.commId}:`, error));
+        return msgId;
+      },
+      close: (data = {}, callbacks, metadata = {}, buffers = []) => {
+        const msgId = `widget-${this.kernelId}-${++this.msgSeq}`;
+        comm.close(data, metadata, buffers)
+          .then(() => reportIdle(msgId, callbacks))
+          .catch(error => console.error(`Failed to close widget ${comm.commId}:`, error));
+        return msgId;
+      },
+      on_msg: callback => comm.onMsg(message => callback(toMessage(message, "comm_msg"))),
+      on_close: callback => comm.onClose(message => callback(toMessage(message, "comm_close")))
+    };
+  }
+}
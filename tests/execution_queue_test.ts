@@ -0,0 +1,199 @@
+// Execution Queue Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+
+// Drain an execution stream, returning its events and final result
+async function collect(stream: AsyncGenerator<any, any, void>): Promise<{ events: any[]; result: any }> {
+  const events: any[] = [];
+  let next = await stream.next();
+  while (!next.done) {
+    events.push(next.value);
+    next = await stream.next();
+  }
+  return { events, result: next.value };
+}
+
+// Concatenate stdout text from collected events
+function stdoutOf(events: any[]): string {
+  return events
+    .filter(event => event.type === 'stream' && event.data && event.data.name === 'stdout')
+    .map(event => event.data.text)
+    .join('');
+}
+
+describe('Execution Queue Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+  let kernelId: string;
+
+  const queueTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager and kernel', async function() {
+    manager = new KernelManager(queueTestOptions);
+    kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should not interleave outputs of concurrent executions', async function() {
+    const codeA = 'import asyncio\nfor i in range(3):\n    print("A", i)\n    await asyncio.sleep(0.05)';
+    const codeB = 'for i in range(3):\n    print("B", i)';
+
+    const [a, b] = await Promise.all([
+      collect(manager.executeStream(kernelId, codeA)),
+      collect(manager.executeStream(kernelId, codeB))
+    ]);
+
+    expect(stdoutOf(a.events)).to.include('A 2');
+    expect(stdoutOf(a.events)).to.not.include('B');
+    expect(stdoutOf(b.events)).to.include('B 2');
+    expect(stdoutOf(b.events)).to.not.include('A');
+  });
+
+  it('should tag events with their execution ID', async function() {
+    const { events } = await collect(
+      manager.executeStream(kernelId, 'print("tagged")', {}, { executionId: 'exec-tagged' })
+    );
+
+    expect(events.length).to.be.greaterThan(0);
+    expect(events.every(event => event.executionId === 'exec-tagged')).to.be.true;
+  });
+
+  it('should report queued, running and done statuses', async function() {
+    const first = manager.executeStream(kernelId, 'import asyncio\nawait asyncio.sleep(0.2)', {}, { executionId: 'exec-first' });
+    const second = manager.executeStream(kernelId, 'print("second")', {}, { executionId: 'exec-second' });
+
+    const firstDone = collect(first);
+    const secondDone = collect(second);
+
+    expect(manager.getExecutionStatus(kernelId, 'exec-first')!.status).to.equal('running');
+    expect(manager.getExecutionStatus(kernelId, 'exec-second')!.status).to.equal('queued');
+    expect(manager.getExecutionQueue(kernelId).map(info => info.id)).to.deep.equal(['exec-first', 'exec-second']);
+
+    await Promise.all([firstDone, secondDone]);
+
+    expect(manager.getExecutionStatus(kernelId, 'exec-first')!.status).to.equal('done');
+    expect(manager.getExecutionStatus(kernelId, 'exec-second')!.status).to.equal('done');
+    expect(manager.getExecutionQueue(kernelId)).to.have.length(0);
+  });
+
+  it('should cancel a queued execution', async function() {
+    const running = collect(manager.executeStream(kernelId, 'import asyncio\nawait asyncio.sleep(0.2)'));
+    const queued = collect(manager.executeStream(kernelId, 'print("never")', {}, { executionId: 'exec-cancel' }));
+
+    expect(manager.cancelExecution(kernelId, 'exec-cancel')).to.be.true;
+
+    const { events, result } = await queued;
+    expect(events).to.have.length(0);
+    expect(result.success).to.be.false;
+    expect(result.error.message).to.include('cancelled');
+    expect(manager.getExecutionStatus(kernelId, 'exec-cancel')!.status).to.equal('cancelled');
+
+    await running;
+  });
+
+  it('should not cancel a running execution', async function() {
+    const running = collect(manager.executeStream(kernelId, 'import asyncio\nawait asyncio.sleep(0.1)', {}, { executionId: 'exec-running' }));
+
+    expect(manager.cancelExecution(kernelId, 'exec-running')).to.be.false;
+
+    const { result } = await running;
+    expect(result.success).to.be.true;
+  });
+
+  it('should run higher priority executions first', async function() {
+    const order: string[] = [];
+    const track = (name: string, code: string, priority: number) =>
+      collect(manager.executeStream(kernelId, code, {}, { priority })).then(() => order.push(name));
+
+    await Promise.all([
+      track('blocker', 'import asyncio\nawait asyncio.sleep(0.2)', 0),
+      track('low', 'pass', 0),
+      track('high', 'pass', 10),
+      track('low2', 'pass', 0)
+    ]);
+
+    expect(order).to.deep.equal(['blocker', 'high', 'low', 'low2']);
+  });
+
+  it('should keep the queue slot until a stream left early has finished', async function() {
+    const stream = manager.executeStream(
+      kernelId,
+      'import asyncio\nprint("started")\nawait asyncio.sleep(0.3)\nfinished = True',
+      {},
+      { executionId: 'exec-early' }
+    );
+    for await (const event of stream) {
+      if (event.type === 'stream') {
+        break;
+      }
+    }
+
+    expect(manager.getExecutionStatus(kernelId, 'exec-early')!.status).to.equal('running');
+
+    const { events } = await collect(manager.executeStream(kernelId, 'print(finished)'));
+    expect(stdoutOf(events)).to.equal('True\n');
+    expect(manager.getExecutionStatus(kernelId, 'exec-early')!.status).to.equal('done');
+  });
+
+  it('should run and release a stream that is never iterated', async function() {
+    manager.executeStream(kernelId, 'import asyncio\nawait asyncio.sleep(0.1)\nran = True', {}, { executionId: 'exec-unread' });
+
+    expect(manager.getExecutionStatus(kernelId, 'exec-unread')!.status).to.equal('running');
+
+    const { events } = await collect(manager.executeStream(kernelId, 'print(ran)'));
+    expect(stdoutOf(events)).to.equal('True\n');
+    expect(manager.getExecutionStatus(kernelId, 'exec-unread')!.status).to.equal('done');
+  });
+
+  it('should cancel queued executions when the kernel is destroyed', async function() {
+    const running = collect(manager.executeStream(kernelId, 'import asyncio\nawait asyncio.sleep(0.2)'));
+    const queued = collect(manager.executeStream(kernelId, 'print("never")'));
+
+    await manager.destroyKernel(kernelId);
+
+    const { result } = await queued;
+    expect(result.success).to.be.false;
+
+    await running.catch(() => undefined);
+  });
+
+  it('should keep the parent header of a running execution during other requests', async function() {
+    const workerId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+    const instance = manager.getKernel(workerId)!;
+
+    const running = collect(manager.executeStream(
+      workerId,
+      'import asyncio\nprint("before")\nawait asyncio.sleep(0.5)\nprint("after")'
+    ));
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await instance.kernel.isComplete!('x = 1', { header: { msg_id: 'other-request' } });
+    await instance.kernel.commInfo!(null, { header: { msg_id: 'other-request' } });
+
+    const { events, result } = await running;
+    expect(result.success).to.be.true;
+    expect(stdoutOf(events)).to.equal('before\nafter\n');
+  });
+});
@@ -0,0 +1,157 @@
+// JavaScript Kernel Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+
+describe('JavaScript Kernel Tests', function() {
+  this.timeout(120000); // Generous timeout for worker startup and the TypeScript compiler
+
+  let manager: KernelManager;
+
+  const javascriptTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.JAVASCRIPT },
+      { mode: KernelMode.WORKER, language: KernelLanguage.JAVASCRIPT }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(javascriptTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should keep bindings across cells and render the last expression', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.JAVASCRIPT
+    });
+
+    await manager.execute(kernelId, 'const base = 40;\nlet { a, b } = { a: 1, b: 1 };\nfunction add(x, y) { return x + y; }');
+    await manager.execute(kernelId, 'class Point { constructor(x) { this.x = x; } }');
+    const result: any = await manager.execute(kernelId, 'add(base, a + b) + new Point(0).x');
+
+    expect(result.success).to.be.true;
+    expect(result.data['text/plain']).to.equal('42');
+
+    // Redeclaring a const in a later cell replaces it, like in a REPL
+    const redeclared: any = await manager.execute(kernelId, 'const base = "again";\nbase');
+    expect(redeclared.data['text/plain']).to.equal('again');
+  });
+
+  it('should support top-level await', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.JAVASCRIPT
+    });
+
+    await manager.execute(kernelId, 'const value = await new Promise(resolve => setTimeout(() => resolve(21), 10));');
+    const result: any = await manager.execute(kernelId, 'value * 2');
+
+    expect(result.success).to.be.true;
+    expect(result.data['text/plain']).to.equal('42');
+  });
+
+  it('should stream console and display output through executeStream', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.JAVASCRIPT
+    });
+
+    const events: any[] = [];
+    const stream = manager.executeStream(kernelId, [
+      'console.log("hello", { n: 1 });',
+      'console.error("oops");',
+      'display(Jupyter.html`<b>bold</b>`);',
+      '({ answer: 42 })'
+    ].join('\n'));
+    for await (const event of stream) {
+      events.push(event);
+    }
+
+    const streams = events.filter(event => event.type === 'stream');
+    expect(streams[0].data).to.deep.equal({ name: 'stdout', text: 'hello {\n  "n": 1\n}\n' });
+    expect(streams[1].data).to.deep.equal({ name: 'stderr', text: 'oops\n' });
+
+    const display = events.find(event => event.type === 'display_data');
+    expect(display.data.data['text/html']).to.equal('<b>bold</b>');
+
+    const result = events.find(event => event.type === 'execute_result');
+    expect(JSON.parse(result.data.data['text/plain'])).to.deep.equal({ answer: 42 });
+  });
+
+  it('should report errors and keep the kernel usable', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.JAVASCRIPT
+    });
+
+    const failed: any = await manager.execute(kernelId, 'const before = 1;\nnull.property');
+    expect(failed.success).to.be.false;
+    expect(failed.ename).to.equal('TypeError');
+
+    const syntax: any = await manager.execute(kernelId, 'let = ;');
+    expect(syntax.success).to.be.false;
+    expect(syntax.ename).to.equal('SyntaxError');
+
+    const result: any = await manager.execute(kernelId, 'before + 1');
+    expect(result.data['text/plain']).to.equal('2');
+  });
+
+  it('should answer input() with the onInput callback', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.JAVASCRIPT
+    });
+
+    const result: any = await manager.execute(kernelId, 'const name = await input("Name: ");\n`Hello ${name}`', {}, {
+      onInput: (request) => {
+        expect(request.prompt).to.equal('Name: ');
+        return 'Ada';
+      }
+    });
+
+    expect(result.success).to.be.true;
+    expect(result.data['text/plain']).to.equal('Hello Ada');
+  });
+
+  it('should complete names and check cell completeness', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.JAVASCRIPT
+    });
+
+    await manager.execute(kernelId, 'const settings = { verbose: true, version: 2 };');
+
+    const kernel = manager.getKernel(kernelId)!.kernel;
+    const completion = await kernel.complete!('settings.ver', 12);
+    expect(completion.matches).to.include.members(['verbose', 'version']);
+    expect(completion.cursor_start).to.equal(9);
+
+    expect((await kernel.isComplete!('function f() {')).status).to.equal('incomplete');
+    expect((await kernel.isComplete!('f()')).status).to.equal('complete');
+  });
+
+  it('should run TypeScript cells when enabled', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.JAVASCRIPT,
+      javascript: { typescript: true }
+    });
+
+    await manager.execute(kernelId, 'interface Item { price: number }\nconst items: Item[] = [{ price: 2 }, { price: 3 }];');
+    const result: any = await manager.execute(kernelId, 'items.reduce((sum: number, item: Item) => sum + item.price, 0)');
+
+    expect(result.success).to.be.true;
+    expect(result.data['text/plain']).to.equal('5');
+  });
+});
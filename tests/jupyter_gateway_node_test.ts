@@ -0,0 +1,190 @@
+// Jupyter Gateway Wire Tests - Node harness
+// Serves a gateway on a local WebSocket server and drives it with the kernel
+// client of @jupyterlab/services, the one JupyterLab itself uses. The kernel
+// behind the gateway is a stand-in, so these tests need no browser or Pyodide.
+import { expect } from 'chai';
+import { EventEmitter } from 'events';
+import { AddressInfo } from 'net';
+import WebSocket, { WebSocketServer } from 'ws';
+import { KernelMessage, ServerConnection } from '@jupyterlab/services';
+import { KernelConnection } from '@jupyterlab/services/lib/kernel/default';
+import { JupyterGateway } from '../src/gateway';
+import { KernelEvents, IKernelInfo } from '../src/types';
+import type { KernelManager } from '../src/manager';
+import packageInfo from '../package.json';
+
+const KERNEL_ID = 'wire-kernel';
+
+// The gateway speaks the default protocol, which clients fall back to when the
+// server picks no subprotocol
+class DefaultProtocolWebSocket extends WebSocket {
+  constructor(url: string) {
+    super(url);
+  }
+}
+
+// Kernel and manager stand-in: echoes code, counts executions like IPython and
+// answers comm messages with their buffers reversed
+class StubManager extends EventEmitter {
+  public executionCount = 0;
+  public commMessages: any[] = [];
+  public language = 'python';
+  public bootstrap: any = undefined;
+  private wrappers = new Map<(data: any) => void, (event: any) => void>();
+
+  public kernel = {
+    getKernelInfo: async (): Promise<IKernelInfo> => ({
+      language_info: { name: 'python', version: '3.12.7', mimetype: 'text/x-python', file_extension: '.py' },
+      banner: 'Stub kernel'
+    }),
+    commOpen: async (content: any, parent: any, buffers: any[]) => {
+      this.commMessages.push({ content, buffers });
+    },
+    commMsg: async (content: any, parent: any, buffers: any[]) => {
+      this.commMessages.push({ content, buffers });
+      this.emitKernelEvent(KernelEvents.ALL, {
+        type: KernelEvents.COMM_MSG,
+        data: {
+          content: { comm_id: content.comm_id, data: { echo: content.data } },
+          metadata: {},
+          buffers: buffers.map(buffer => new Uint8Array(buffer as Uint8Array).reverse())
+        }
+      });
+    }
+  };
+
+  getKernel(id: string) {
+    return id === KERNEL_ID ? { id, kernel: this.kernel, language: this.language, options: { bootstrap: this.bootstrap } } : undefined;
+  }
+
+  onKernelEvent(id: string, eventType: string, listener: (data: any) => void) {
+    const wrapped = (event: any) => listener(event.data);
+    this.wrappers.set(listener, wrapped);
+    this.on(eventType, wrapped);
+  }
+
+  offKernelEvent(id: string, eventType: string, listener: (data: any) => void) {
+    this.off(eventType, this.wrappers.get(listener)!);
+  }
+
+  emitKernelEvent(eventType: string, data: any) {
+    this.emit(eventType, { kernelId: KERNEL_ID, data });
+  }
+
+  async* executeStream(id: string, code: string, parent: any, options: any = {}): AsyncGenerator<any, any, void> {
+    const storeHistory = !options.silent && (options.storeHistory ?? true);
+    this.emitKernelEvent(KernelEvents.KERNEL_BUSY, {
+      execution_state: 'busy',
+      parent_msg_id: parent.header.msg_id,
+      execution_count: storeHistory ? this.executionCount + 1 : this.executionCount
+    });
+    if (storeHistory) {
+      this.executionCount++;
+    }
+    yield { type: 'stream', data: { name: 'stdout', text: code } };
+    yield { type: 'execute_result', data: { execution_count: this.executionCount, data: { 'text/plain': `'${code}'` }, metadata: {} } };
+    return { success: true, result: { status: 'ok', execution_count: this.executionCount, payload: [], user_expressions: {} } };
+  }
+}
+
+describe('Jupyter Gateway Wire Tests', function() {
+  this.timeout(10000);
+
+  let server: WebSocketServer;
+  let manager: StubManager;
+  let gateway: JupyterGateway;
+  let connection: KernelConnection;
+
+  beforeEach('Serve a gateway and connect a client', async function() {
+    manager = new StubManager();
+    gateway = new JupyterGateway(manager as unknown as KernelManager, KERNEL_ID, { session: 'wire-session' });
+
+    // Local stand-in for the kernel gateway server: every socket talks to the gateway
+    server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+    server.on('connection', socket => gateway.attach(socket));
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address() as AddressInfo;
+
+    connection = new KernelConnection({
+      model: { id: KERNEL_ID, name: 'python' },
+      serverSettings: ServerConnection.makeSettings({
+        baseUrl: `http://127.0.0.1:${port}/`,
+        wsUrl: `ws://127.0.0.1:${port}/`,
+        WebSocket: DefaultProtocolWebSocket as any,
+        appendToken: false
+      })
+    });
+  });
+
+  afterEach('Disconnect and stop the server', async function() {
+    connection.dispose();
+    gateway.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should answer kernel_info with the package and language versions', async function() {
+    const info = await connection.info;
+
+    expect(info.protocol_version).to.equal('5.3');
+    expect(info.implementation_version).to.equal(packageInfo.version);
+    expect(info.language_info.name).to.equal('python');
+    expect(info.language_info.version).to.equal('3.12.7');
+  });
+
+  it('should only advertise the debugger for kernels that can debug', async function() {
+    const python: any = await connection.info;
+    expect(python.debugger).to.be.true;
+
+    manager.bootstrap = { profile: 'minimal' };
+    const minimal: any = (await connection.requestKernelInfo())!.content;
+    expect(minimal.debugger).to.be.false;
+
+    manager.bootstrap = undefined;
+    manager.language = 'javascript';
+    const javascript: any = (await connection.requestKernelInfo())!.content;
+    expect(javascript.debugger).to.be.false;
+  });
+
+  it('should report the execution counts of the kernel', async function() {
+    await connection.info;
+    // Executions the gateway did not see still advance the kernel's count
+    manager.executionCount = 41;
+
+    const iopub: KernelMessage.IIOPubMessage[] = [];
+    const future = connection.requestExecute({ code: 'counted' });
+    future.onIOPub = msg => {
+      iopub.push(msg);
+    };
+    const reply = await future.done;
+
+    const input = iopub.find(msg => msg.header.msg_type === 'execute_input') as KernelMessage.IExecuteInputMsg;
+    const result = iopub.find(msg => msg.header.msg_type === 'execute_result') as KernelMessage.IExecuteResultMsg;
+    expect(input.content.execution_count).to.equal(42);
+    expect(result.content.execution_count).to.equal(42);
+    expect(reply.content.status).to.equal('ok');
+    expect(reply.content.execution_count).to.equal(42);
+    expect(iopub.map(msg => msg.header.msg_type)).to.deep.equal(['status', 'execute_input', 'stream', 'execute_result', 'status']);
+
+    // Executions that are not stored keep the count
+    const silent = await connection.requestExecute({ code: 'not counted', store_history: false }).done;
+    expect(silent.content.execution_count).to.equal(42);
+  });
+
+  it('should carry comm buffers as binary frames both ways', async function() {
+    await connection.info;
+
+    const comm = connection.createComm('echo');
+    await comm.open({ hello: 'kernel' }, {}, [new Uint8Array([1, 2, 3]).buffer]).done;
+    expect(manager.commMessages[0].content.target_name).to.equal('echo');
+    expect(Array.from(manager.commMessages[0].buffers[0])).to.deep.equal([1, 2, 3]);
+
+    const echoed = new Promise<KernelMessage.ICommMsgMsg>(resolve => {
+      comm.onMsg = resolve;
+    });
+    comm.send({ ping: 1 }, {}, [new Uint8Array([4, 5, 6]).buffer, new Uint8Array([7]).buffer]);
+    const msg = await echoed;
+
+    expect(msg.content.data).to.deep.equal({ echo: { ping: 1 } });
+    expect(msg.buffers!.map(buffer => Array.from(new Uint8Array((buffer as DataView).buffer)))).to.deep.equal([[6, 5, 4], [7]]);
+  });
+});
@@ -0,0 +1,255 @@
+// Jupyter Gateway Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+import { JupyterGateway, IGatewaySocket, IJupyterMessage } from '../src/gateway';
+
+// In-memory stand-in for a server-side WebSocket connection
+class MockSocket implements IGatewaySocket {
+  public sent: IJupyterMessage[] = [];
+  private listeners: { [type: string]: Array<(event: any) => void> } = {};
+
+  send(data: string): void {
+    this.sent.push(JSON.parse(data));
+  }
+
+  addEventListener(type: string, listener: (event: any) => void): void {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type: string, listener: (event: any) => void): void {
+    this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+  }
+
+  // Simulate the front-end sending a request
+  receive(channel: string, msgType: string, content: any = {}): string {
+    const msgId = crypto.randomUUID();
+    const msg = {
+      channel,
+      header: {
+        msg_id: msgId,
+        msg_type: msgType,
+        session: 'test-session',
+        username: 'tester',
+        date: new Date().toISOString(),
+        version: '5.3'
+      },
+      parent_header: {},
+      metadata: {},
+      content
+    };
+    (this.listeners['message'] || []).forEach(l => l({ data: JSON.stringify(msg) }));
+    return msgId;
+  }
+
+  // Wait until a reply with the given type arrives for a request
+  waitForReply(msgId: string, msgType: string, timeout: number = 30000): Promise<IJupyterMessage> {
+    return new Promise((resolve, reject) => {
+      const start = Date.now();
+      const check = () => {
+        const reply = this.sent.find(m => m.header.msg_type === msgType && m.parent_header.msg_id === msgId);
+        if (reply) {
+          resolve(reply);
+        } else if (Date.now() - start > timeout) {
+          reject(new Error(`Timeout waiting for ${msgType}`));
+        } else {
+          setTimeout(check, 20);
+        }
+      };
+      check();
+    });
+  }
+
+  // Wait until the kernel reports idle for a request
+  async waitForIdle(msgId: string): Promise<void> {
+    await new Promise<void>((resolve, reject) => {
+      const start = Date.now();
+      const check = () => {
+        const idle = this.sent.find(m =>
+          m.header.msg_type === 'status' &&
+          m.content.execution_state === 'idle' &&
+          m.parent_header.msg_id === msgId
+        );
+        if (idle) {
+          resolve();
+        } else if (Date.now() - start > 30000) {
+          reject(new Error('Timeout waiting for idle status'));
+        } else {
+          setTimeout(check, 20);
+        }
+      };
+      check();
+    });
+  }
+
+  forParent(msgId: string): IJupyterMessage[] {
+    return this.sent.filter(m => m.parent_header.msg_id === msgId);
+  }
+}
+
+describe('Jupyter Gateway Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+  let kernelId: string;
+  let gateway: JupyterGateway;
+  let socket: MockSocket;
+
+  const gatewayTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager, kernel and gateway', async function() {
+    manager = new KernelManager(gatewayTestOptions);
+    kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+    gateway = new JupyterGateway(manager, kernelId, { session: 'kernel-session' });
+    socket = new MockSocket();
+    gateway.attach(socket);
+  });
+
+  afterEach('Cleanup gateway and kernel manager', async function() {
+    if (gateway) {
+      gateway.close();
+    }
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  describe('Message Headers', function() {
+    it('should answer kernel_info_request with a correlated reply', async function() {
+      const msgId = socket.receive('shell', 'kernel_info_request');
+      const reply = await socket.waitForReply(msgId, 'kernel_info_reply');
+
+      expect(reply.channel).to.equal('shell');
+      expect(reply.header.msg_id).to.be.a('string');
+      expect(reply.header.session).to.equal('kernel-session');
+      expect(reply.header.version).to.equal('5.3');
+      expect(reply.parent_header.msg_id).to.equal(msgId);
+      expect(reply.content.status).to.equal('ok');
+      expect(reply.content.language_info.name).to.equal('python');
+    });
+
+    it('should wrap every request in busy/idle status messages', async function() {
+      const msgId = socket.receive('shell', 'kernel_info_request');
+      await socket.waitForIdle(msgId);
+
+      const statuses = socket.forParent(msgId)
+        .filter(m => m.header.msg_type === 'status')
+        .map(m => m.content.execution_state);
+      expect(statuses).to.deep.equal(['busy', 'idle']);
+      expect(socket.forParent(msgId).every(m => m.header.msg_type !== 'status' || m.channel === 'iopub')).to.be.true;
+    });
+  });
+
+  describe('Execution', function() {
+    it('should publish execute_input, stream output and execute_reply', async function() {
+      const msgId = socket.receive('shell', 'execute_request', {
+        code: 'print("hello gateway")',
+        silent: false,
+        store_history: true,
+        user_expressions: {},
+        allow_stdin: false
+      });
+      const reply = await socket.waitForReply(msgId, 'execute_reply');
+      await socket.waitForIdle(msgId);
+
+      expect(reply.content.status).to.equal('ok');
+      expect(reply.content.execution_count).to.be.a('number');
+
+      const messages = socket.forParent(msgId);
+      const input = messages.find(m => m.header.msg_type === 'execute_input');
+      expect(input).to.exist;
+      expect(input!.content.code).to.equal('print("hello gateway")');
+
+      const text = messages
+        .filter(m => m.header.msg_type === 'stream')
+        .map(m => m.content.text)
+        .join('');
+      expect(text).to.include('hello gateway');
+    });
+
+    it('should publish execute_result for the last expression', async function() {
+      const msgId = socket.receive('shell', 'execute_request', { code: '6 * 7' });
+      await socket.waitForReply(msgId, 'execute_reply');
+
+      const result = socket.forParent(msgId).find(m => m.header.msg_type === 'execute_result');
+      expect(result).to.exist;
+      expect(result!.content.data['text/plain']).to.equal('42');
+    });
+
+    it('should report errors on iopub and in execute_reply', async function() {
+      const msgId = socket.receive('shell', 'execute_request', { code: '1 / 0' });
+      const reply = await socket.waitForReply(msgId, 'execute_reply');
+
+      expect(reply.content.status).to.equal('error');
+      expect(reply.content.ename).to.include('ZeroDivisionError');
+
+      const errors = socket.forParent(msgId).filter(m => m.header.msg_type === 'error');
+      expect(errors).to.have.length(1);
+    });
+
+    it('should keep replies in request order', async function() {
+      const first = socket.receive('shell', 'execute_request', { code: 'gw_value = 1' });
+      const second = socket.receive('shell', 'execute_request', { code: 'gw_value + 1' });
+      await socket.waitForReply(second, 'execute_reply');
+
+      const replies = socket.sent.filter(m => m.header.msg_type === 'execute_reply');
+      expect(replies.map(m => m.parent_header.msg_id)).to.deep.equal([first, second]);
+    });
+  });
+
+  describe('Introspection', function() {
+    it('should handle complete_request', async function() {
+      const msgId = socket.receive('shell', 'complete_request', { code: 'import o', cursor_pos: 8 });
+      const reply = await socket.waitForReply(msgId, 'complete_reply');
+
+      expect(reply.content.status).to.equal('ok');
+      expect(reply.content.matches).to.include('os');
+    });
+
+    it('should handle is_complete_request', async function() {
+      const complete = socket.receive('shell', 'is_complete_request', { code: 'x = 1' });
+      const incomplete = socket.receive('shell', 'is_complete_request', { code: 'for i in range(3):' });
+
+      expect((await socket.waitForReply(complete, 'is_complete_reply')).content.status).to.equal('complete');
+      expect((await socket.waitForReply(incomplete, 'is_complete_reply')).content.status).to.equal('incomplete');
+    });
+
+    it('should handle inspect_request', async function() {
+      const msgId = socket.receive('shell', 'inspect_request', { code: 'len', cursor_pos: 3, detail_level: 0 });
+      const reply = await socket.waitForReply(msgId, 'inspect_reply');
+
+      expect(reply.content.status).to.equal('ok');
+      expect(reply.content.found).to.be.true;
+    });
+  });
+
+  describe('Control Channel', function() {
+    it('should reply to interrupt_request on the control channel', async function() {
+      const msgId = socket.receive('control', 'interrupt_request');
+      const reply = await socket.waitForReply(msgId, 'interrupt_reply');
+
+      expect(reply.channel).to.equal('control');
+      expect(reply.content.status).to.be.oneOf(['ok', 'error']);
+    });
+
+    it('should shut down the kernel on shutdown_request', async function() {
+      const msgId = socket.receive('control', 'shutdown_request', { restart: false });
+      const reply = await socket.waitForReply(msgId, 'shutdown_reply');
+
+      expect(reply.content.status).to.equal('ok');
+      expect(manager.getKernel(kernelId)).to.be.undefined;
+    });
+  });
+});
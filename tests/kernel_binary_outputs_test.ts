@@ -0,0 +1,142 @@
+// Binary Output Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+import { NotebookRunner } from '../src/notebook';
+import { outputToBase64, outputToBlobUrl, isBinaryMimetype } from '../src/outputs';
+
+// PNG signature followed by a few bytes, as Python builds it below
+const PNG_BYTES = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 1, 2, 3];
+
+const displayImage = [
+  'from IPython.display import Image, display',
+  'png = b"\\x89PNG\\r\\n\\x1a\\n" + bytes(range(4))',
+  'display(Image(data=png, format="png"))'
+].join('\n');
+
+describe('Kernel Binary Output Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const binaryTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(binaryTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  // Collect the display_data outputs of a cell
+  async function displayOutputs(kernelId: string, code: string): Promise<any[]> {
+    const outputs: any[] = [];
+    for await (const output of manager.executeStream(kernelId, code)) {
+      if (output.type === 'display_data') {
+        outputs.push(output.data);
+      }
+    }
+    return outputs;
+  }
+
+  it('should transfer binary payloads from worker kernels as Uint8Arrays', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      binaryOutputs: true
+    });
+
+    // The ALL event shares the bundle of the output it follows
+    const allEvents: any[] = [];
+    manager.onKernelEvent(kernelId, KernelEvents.ALL, (event: any) => {
+      if (event.type === 'display_data') {
+        allEvents.push(event.data);
+      }
+    });
+
+    const [image] = await displayOutputs(kernelId, displayImage);
+    const png = image.data['image/png'];
+    expect(png).to.be.instanceOf(Uint8Array);
+    expect(Array.from(png)).to.deep.equal(PNG_BYTES);
+    expect(image.data['text/plain']).to.be.a('string');
+    expect(allEvents).to.have.length(1);
+    expect(Array.from(allEvents[0].data['image/png'])).to.deep.equal(PNG_BYTES);
+
+    expect(outputToBase64(png)).to.equal(btoa(String.fromCharCode(...PNG_BYTES)));
+    const url = outputToBlobUrl(png, 'image/png');
+    expect(url.startsWith('blob:')).to.be.true;
+    const blob = await (await fetch(url)).blob();
+    URL.revokeObjectURL(url);
+    expect(blob.type).to.equal('image/png');
+    expect(blob.size).to.equal(PNG_BYTES.length);
+
+    // Raw Arrow buffers stay binary; SVG stays text
+    const [arrow, svg] = await displayOutputs(kernelId, [
+      'from IPython.display import display',
+      'display({"application/vnd.apache.arrow.stream": b"ARROW1", "text/plain": "table"}, raw=True)',
+      'display({"image/svg+xml": "<svg></svg>"}, raw=True)'
+    ].join('\n'));
+    expect(new TextDecoder().decode(arrow.data['application/vnd.apache.arrow.stream'])).to.equal('ARROW1');
+    expect(svg.data['image/svg+xml']).to.equal('<svg></svg>');
+    expect(isBinaryMimetype('image/svg+xml')).to.be.false;
+  });
+
+  it('should keep base64 text unless binary outputs are enabled', async function() {
+    const plainId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+    const [plain] = await displayOutputs(plainId, displayImage);
+    const base64 = plain.data['image/png'];
+    expect(base64).to.be.a('string');
+    expect(outputToBase64(base64)).to.equal(base64);
+    const url = outputToBlobUrl(base64, 'image/png');
+    expect((await (await fetch(url)).blob()).size).to.equal(PNG_BYTES.length);
+    URL.revokeObjectURL(url);
+
+    const binaryId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      binaryOutputs: true
+    });
+    const [binary] = await displayOutputs(binaryId, displayImage);
+    expect(binary.data['image/png']).to.be.instanceOf(Uint8Array);
+    expect(outputToBase64(binary.data['image/png'])).to.equal(base64);
+
+    // Restarted kernels keep the mode
+    expect(await manager.restartKernel(binaryId)).to.be.true;
+    const [restarted] = await displayOutputs(binaryId, displayImage);
+    expect(restarted.data['image/png']).to.be.instanceOf(Uint8Array);
+  });
+
+  it('should write base64 payloads into notebooks', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      binaryOutputs: true
+    });
+
+    const runner = new NotebookRunner(manager, kernelId, { validate: false });
+    const { notebook } = await runner.run({
+      nbformat: 4,
+      nbformat_minor: 5,
+      metadata: {},
+      cells: [{ cell_type: 'code', id: 'image', metadata: {}, source: displayImage, outputs: [], execution_count: null }]
+    });
+    const output = notebook.cells[0].outputs.find((item: any) => item.output_type === 'display_data');
+    expect(output.data['image/png']).to.equal(btoa(String.fromCharCode(...PNG_BYTES)));
+  });
+});
@@ -0,0 +1,149 @@
+// Bootstrap Profile Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+
+describe('Bootstrap Profile Tests', function() {
+  this.timeout(180000); // Package downloads on top of real Pyodide
+
+  let manager: KernelManager;
+
+  const bootstrapTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(bootstrapTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should run plain Python without IPython in a minimal kernel', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      bootstrap: { profile: 'minimal' }
+    });
+
+    const results: any[] = [];
+    manager.onKernelEvent(kernelId, KernelEvents.EXECUTE_RESULT, (data: any) => results.push(data));
+
+    const result: any = await manager.execute(kernelId, 'import sys\nprint("hello")\n"IPython" in sys.modules');
+    expect(result.success).to.be.true;
+    expect(result.stdout).to.include('hello');
+    expect(results).to.have.length(1);
+    expect(results[0].data['text/plain']).to.equal('False');
+
+    // State persists between executions
+    await manager.execute(kernelId, 'x = 41');
+    const next: any = await manager.execute(kernelId, 'x + 1');
+    expect(next.data['text/plain']).to.equal('42');
+  });
+
+  it('should report errors from a minimal worker kernel', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      bootstrap: { profile: 'minimal' }
+    });
+
+    const result = await manager.execute(kernelId, '1 / 0');
+    expect(result.success).to.be.false;
+    expect(result.error!.message).to.include('ZeroDivisionError');
+  });
+
+  it('should install extra packages and preloads on top of a profile', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      bootstrap: { profile: 'minimal', packages: ['tomli-w'], preload: ['numpy'] }
+    });
+
+    const result: any = await manager.execute(kernelId, 'import importlib.util\nimport tomli_w\nimportlib.util.find_spec("numpy") is not None');
+    expect(result.success).to.be.true;
+    expect(result.data['text/plain']).to.equal('True');
+  });
+
+  it('should reject an unknown profile', async function() {
+    let error: Error | null = null;
+    try {
+      await manager.createKernel({
+        mode: KernelMode.MAIN_THREAD,
+        lang: KernelLanguage.PYTHON,
+        bootstrap: { profile: 'tiny' as any }
+      });
+    } catch (e) {
+      error = e as Error;
+    }
+
+    expect(error).to.not.be.null;
+    expect(error!.message).to.include('Unknown bootstrap profile: tiny');
+  });
+
+  it('should keep the profile across restarts', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      bootstrap: { profile: 'minimal' }
+    });
+
+    expect(await manager.restartKernel(kernelId)).to.be.true;
+    expect(manager.getKernel(kernelId)!.options.bootstrap).to.deep.equal({ profile: 'minimal' });
+
+    const result: any = await manager.execute(kernelId, 'import sys\n"IPython" in sys.modules');
+    expect(result.data['text/plain']).to.equal('False');
+  });
+
+  it('should key pooled kernels by profile', async function() {
+    const poolManager = new KernelManager({
+      allowedKernelTypes: [
+        { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON }
+      ],
+      pool: {
+        enabled: true,
+        poolSize: 1,
+        autoRefill: false,
+        preloadConfigs: [
+          { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON, profile: 'minimal' }
+        ]
+      }
+    });
+
+    try {
+      const poolKey = `${KernelMode.MAIN_THREAD}-${KernelLanguage.PYTHON}-minimal`;
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      expect(poolManager.getPoolStats()[poolKey]).to.exist;
+      expect(poolManager.getPoolStats()[`${KernelMode.MAIN_THREAD}-${KernelLanguage.PYTHON}`]).to.be.undefined;
+
+      const kernelId = await poolManager.createKernel({
+        mode: KernelMode.MAIN_THREAD,
+        lang: KernelLanguage.PYTHON,
+        bootstrap: { profile: 'minimal' }
+      });
+      expect(poolManager.getKernel(kernelId)!.isFromPool).to.be.true;
+      expect(poolManager.getPoolStats()[poolKey].available).to.equal(0);
+
+      // Extra packages cannot come from the pool
+      const customId = await poolManager.createKernel({
+        mode: KernelMode.MAIN_THREAD,
+        lang: KernelLanguage.PYTHON,
+        bootstrap: { profile: 'minimal', preload: ['numpy'] }
+      });
+      expect(poolManager.getKernel(customId)!.isFromPool).to.be.undefined;
+    } finally {
+      await poolManager.destroyAll();
+    }
+  });
+});
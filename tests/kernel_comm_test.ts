@@ -0,0 +1,163 @@
+// Host Comm Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+import { IHostComm, ICommMessage } from '../src/types';
+
+// Wait until a condition holds, as comm messages arrive asynchronously
+async function waitFor(condition: () => boolean, timeout = 10000): Promise<void> {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for comm messages');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+describe('Kernel Host Comm Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const commTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(commTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  const openEcho = [
+    'from comm import create_comm',
+    'replies = []',
+    'closed = []',
+    'c = create_comm(target_name="echo", data={"hello": "host"}, buffers=[b"\\x01\\x02"])',
+    'c.on_msg(lambda msg: replies.append((msg["content"]["data"], [bytes(b) for b in msg["buffers"]])))',
+    'c.on_close(lambda msg: closed.append(msg["content"]["data"]))'
+  ].join('\n');
+
+  it('should open host comms and keep binary buffers on main thread kernels', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    let opened: ICommMessage | undefined;
+    const received: ICommMessage[] = [];
+    manager.registerCommTarget(kernelId, 'echo', (comm: IHostComm, msg: ICommMessage) => {
+      opened = msg;
+      comm.onMsg(async (message: ICommMessage) => {
+        received.push(message);
+        const reversed = new Uint8Array(message.buffers[0] as Uint8Array).reverse();
+        await comm.send({ echo: message.data }, {}, [reversed]);
+      });
+    });
+
+    const result: any = await manager.execute(kernelId, openEcho);
+    expect(result.success).to.be.true;
+    await waitFor(() => opened !== undefined);
+    expect(opened!.data).to.deep.equal({ hello: 'host' });
+    expect(Array.from(opened!.buffers[0] as Uint8Array)).to.deep.equal([1, 2]);
+
+    await manager.execute(kernelId, 'c.send({"n": 1}, buffers=[b"\\x03\\x04\\x05"])');
+    await waitFor(() => received.length === 1);
+    expect(received[0].data).to.deep.equal({ n: 1 });
+    expect(received[0].buffers[0]).to.be.instanceOf(Uint8Array);
+
+    const replies: any = await manager.execute(kernelId, [
+      'import asyncio',
+      'while not replies:',
+      '    await asyncio.sleep(0.05)',
+      'print(replies)'
+    ].join('\n'));
+    expect(replies.stdout).to.include("[({'echo': {'n': 1}}, [b'\\x05\\x04\\x03'])]");
+  });
+
+  it('should close host comms from either side in worker kernels', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const comms: IHostComm[] = [];
+    const closes: ICommMessage[] = [];
+    manager.registerCommTarget(kernelId, 'echo', (comm: IHostComm) => {
+      comms.push(comm);
+      comm.onClose((message: ICommMessage) => {
+        closes.push(message);
+      });
+    });
+
+    // Python closes the first comm
+    await manager.execute(kernelId, openEcho);
+    await waitFor(() => comms.length === 1);
+    await manager.execute(kernelId, 'c.close(data={"bye": True})');
+    await waitFor(() => closes.length === 1);
+    expect(closes[0].data).to.deep.equal({ bye: true });
+    expect(comms[0].isClosed).to.be.true;
+
+    let error: Error | undefined;
+    try {
+      await comms[0].send({});
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error?.message).to.include('closed');
+
+    // The host closes the second one, with a buffer
+    await manager.execute(kernelId, openEcho);
+    await waitFor(() => comms.length === 2);
+    await comms[1].close({ reason: 'done' }, {}, [new Uint8Array([7])]);
+    expect(closes).to.have.length(2);
+
+    const result: any = await manager.execute(kernelId, [
+      'import asyncio',
+      'while not closed:',
+      '    await asyncio.sleep(0.05)',
+      'print(closed)'
+    ].join('\n'));
+    expect(result.stdout).to.include("[{'reason': 'done'}]");
+  });
+
+  it('should ignore comms of unregistered targets', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    let calls = 0;
+    manager.registerCommTarget(kernelId, 'echo', () => {
+      calls++;
+    });
+    expect(manager.unregisterCommTarget(kernelId, 'echo')).to.be.true;
+    expect(manager.unregisterCommTarget(kernelId, 'echo')).to.be.false;
+
+    const result: any = await manager.execute(kernelId, openEcho);
+    expect(result.success).to.be.true;
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(calls).to.equal(0);
+
+    let error: Error | undefined;
+    try {
+      manager.registerCommTarget('missing', 'echo', () => undefined);
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error?.message).to.include('not found');
+  });
+});
@@ -0,0 +1,244 @@
+// Debugger (Debug Adapter Protocol) Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+
+// Wait for a debugger event of a kernel, e.g. "stopped"
+function debugEvent(manager: KernelManager, kernelId: string, name: string): Promise<any> {
+  return new Promise(resolve => {
+    const handler = (event: any) => {
+      if (event.kernelId === kernelId && event.data.event === name) {
+        manager.off(KernelEvents.DEBUG_EVENT, handler);
+        resolve(event.data);
+      }
+    };
+    manager.on(KernelEvents.DEBUG_EVENT, handler);
+  });
+}
+
+// Wait until a kernel's debugger pauses a cell, or null when the kernel cannot
+// pause (it needs shared memory or JSPI) and told so with an "output" event
+function firstPause(manager: KernelManager, kernelId: string): Promise<any> {
+  return new Promise(resolve => {
+    const handler = (event: any) => {
+      if (event.kernelId !== kernelId || !['stopped', 'output'].includes(event.data.event)) {
+        return;
+      }
+      manager.off(KernelEvents.DEBUG_EVENT, handler);
+      resolve(event.data.event === 'stopped' ? event.data : null);
+    };
+    manager.on(KernelEvents.DEBUG_EVENT, handler);
+  });
+}
+
+describe('Kernel Debugger Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const debuggerTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(debuggerTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  // Attach to a kernel's debugger and set breakpoints in a cell, returning the cell's source path
+  async function prepare(kernelId: string, code: string, breakpoints: any[]): Promise<string> {
+    const initialized = debugEvent(manager, kernelId, 'initialized');
+    const attach = await manager.debug(kernelId, { command: 'attach', arguments: {} });
+    expect(attach.success).to.be.true;
+    await initialized;
+
+    const dumped = await manager.debug(kernelId, { command: 'dumpCell', arguments: { code } });
+    const path = dumped.body.sourcePath;
+    const set = await manager.debug(kernelId, {
+      command: 'setBreakpoints',
+      arguments: { source: { path }, breakpoints }
+    });
+    expect(set.body.breakpoints.every((breakpoint: any) => breakpoint.verified)).to.be.true;
+    await manager.debug(kernelId, { command: 'configurationDone' });
+    return path;
+  }
+
+  it('should name cells like ipykernel and report debug info', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const initialize = await manager.debug(kernelId, { command: 'initialize', arguments: { adapterID: 'python' } });
+    expect(initialize.type).to.equal('response');
+    expect(initialize.command).to.equal('initialize');
+    expect(initialize.body.supportsConfigurationDoneRequest).to.be.true;
+
+    const path = await prepare(kernelId, 'x = 1\ny = 2\n', [{ line: 2 }]);
+    const info = await manager.debug(kernelId, { command: 'debugInfo' });
+    expect(info.body.isStarted).to.be.true;
+    expect(info.body.hashMethod).to.equal('Murmur2');
+    expect(path.startsWith(info.body.tmpFilePrefix)).to.be.true;
+    expect(path.endsWith(info.body.tmpFileSuffix)).to.be.true;
+    expect(info.body.breakpoints).to.deep.equal([{ source: path, breakpoints: [{ line: 2, condition: null }] }]);
+    expect(info.body.stoppedThreads).to.deep.equal([]);
+
+    // Same code, same file
+    const again = await manager.debug(kernelId, { command: 'dumpCell', arguments: { code: 'x = 1\ny = 2\n' } });
+    expect(again.body.sourcePath).to.equal(path);
+
+    const unknown = await manager.debug(kernelId, { command: 'restartFrame', seq: 42 });
+    expect(unknown.success).to.be.false;
+    expect(unknown.request_seq).to.equal(42);
+    expect(unknown.message).to.include('restartFrame');
+
+    const notPaused = await manager.debug(kernelId, { command: 'stackTrace', arguments: { threadId: 1 } });
+    expect(notPaused.success).to.be.false;
+  });
+
+  it('should pause a worker cell at a breakpoint and step through it', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const code = [
+      'def add(a, b):',
+      '    total = a + b',
+      '    return total',
+      'x = add(1, 2)',
+      'y = x * 10',
+      'print(y)'
+    ].join('\n');
+    const path = await prepare(kernelId, code, [{ line: 4 }]);
+
+    const paused = firstPause(manager, kernelId);
+    const execution = manager.execute(kernelId, code);
+    const event = await paused;
+    if (!event) {
+      await execution;
+      this.skip();
+    }
+    expect(event.body.reason).to.equal('breakpoint');
+
+    const trace = await manager.debug(kernelId, { command: 'stackTrace', arguments: { threadId: 1 } });
+    expect(trace.body.stackFrames[0].line).to.equal(4);
+    expect(trace.body.stackFrames[0].source.path).to.equal(path);
+
+    let stopped = debugEvent(manager, kernelId, 'stopped');
+    await manager.debug(kernelId, { command: 'stepIn', arguments: { threadId: 1 } });
+    expect((await stopped).body.reason).to.equal('step');
+    const inner = await manager.debug(kernelId, { command: 'stackTrace', arguments: { threadId: 1 } });
+    expect(inner.body.stackFrames.map((frame: any) => frame.name)).to.deep.equal(['add', '<module>']);
+    expect(inner.body.stackFrames[0].line).to.equal(2);
+
+    stopped = debugEvent(manager, kernelId, 'stopped');
+    await manager.debug(kernelId, { command: 'next', arguments: { threadId: 1 } });
+    await stopped;
+
+    const scopes = await manager.debug(kernelId, { command: 'scopes', arguments: { frameId: 0 } });
+    expect(scopes.body.scopes.map((scope: any) => scope.name)).to.deep.equal(['Locals', 'Globals']);
+    const locals = await manager.debug(kernelId, {
+      command: 'variables',
+      arguments: { variablesReference: scopes.body.scopes[0].variablesReference }
+    });
+    const values = Object.fromEntries(locals.body.variables.map((variable: any) => [variable.name, variable.value]));
+    expect(values).to.deep.equal({ a: '1', b: '2', total: '3' });
+
+    const evaluated = await manager.debug(kernelId, { command: 'evaluate', arguments: { expression: 'total * 2', frameId: 0 } });
+    expect(evaluated.body.result).to.equal('6');
+
+    const continued = debugEvent(manager, kernelId, 'continued');
+    await manager.debug(kernelId, { command: 'continue', arguments: { threadId: 1 } });
+    await continued;
+
+    const result: any = await execution;
+    expect(result.success).to.be.true;
+    expect(result.stdout).to.include('30');
+  });
+
+  it('should honor breakpoint conditions and expand container variables', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const code = [
+      'config = {"layers": [1, 2, 3]}',
+      'for i in range(5):',
+      '    value = i * 2'
+    ].join('\n');
+    await prepare(kernelId, code, [{ line: 3, condition: 'i == 3' }]);
+
+    const paused = firstPause(manager, kernelId);
+    const execution = manager.execute(kernelId, code);
+    if (!await paused) {
+      await execution;
+      this.skip();
+    }
+
+    const i = await manager.debug(kernelId, { command: 'evaluate', arguments: { expression: 'i', frameId: 0, context: 'watch' } });
+    expect(i.body.result).to.equal('3');
+
+    // Module level cells have a single scope: the user namespace
+    const scopes = await manager.debug(kernelId, { command: 'scopes', arguments: { frameId: 0 } });
+    expect(scopes.body.scopes).to.have.length(1);
+    const globals = await manager.debug(kernelId, {
+      command: 'variables',
+      arguments: { variablesReference: scopes.body.scopes[0].variablesReference }
+    });
+    const config = globals.body.variables.find((variable: any) => variable.name === 'config');
+    expect(config.type).to.equal('dict');
+    expect(config.variablesReference).to.be.greaterThan(0);
+
+    const layers = await manager.debug(kernelId, { command: 'variables', arguments: { variablesReference: config.variablesReference } });
+    expect(layers.body.variables[0].name).to.equal('layers');
+    expect(layers.body.variables[0].value).to.equal('[1, 2, 3]');
+
+    await manager.debug(kernelId, { command: 'continue', arguments: { threadId: 1 } });
+    const result: any = await execution;
+    expect(result.success).to.be.true;
+
+    // The loop did not stop again on the way out
+    const after: any = await manager.execute(kernelId, 'i');
+    expect(after.data['text/plain']).to.equal('4');
+  });
+
+  it('should run cells as their dumped files and stop tracing on disconnect', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      bootstrap: { profile: 'minimal' }
+    });
+
+    const code = 'value = 1\nraise ValueError("boom")';
+    const path = await prepare(kernelId, code, []);
+    const failed: any = await manager.execute(kernelId, code);
+    expect(failed.success).to.be.false;
+    expect(failed.traceback.join('\n')).to.include(path);
+
+    const evaluated = await manager.debug(kernelId, { command: 'evaluate', arguments: { expression: 'value = 5', context: 'repl' } });
+    expect(evaluated.success).to.be.true;
+    const value: any = await manager.execute(kernelId, 'print(value)');
+    expect(value.stdout).to.include('5');
+
+    await manager.debug(kernelId, { command: 'disconnect', arguments: {} });
+    const info = await manager.debug(kernelId, { command: 'debugInfo' });
+    expect(info.body.isStarted).to.be.false;
+    const plain: any = await manager.execute(kernelId, code);
+    expect(plain.traceback.join('\n')).to.not.include(path);
+  });
+});
@@ -0,0 +1,166 @@
+// Per-call Execute Options Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+
+// Drain an execution stream, returning its events and final result
+async function collect(stream: AsyncGenerator<any, any, void>): Promise<{ events: any[], result: any }> {
+  const events: any[] = [];
+  let next = await stream.next();
+  while (!next.done) {
+    events.push(next.value);
+    next = await stream.next();
+  }
+  return { events, result: next.value };
+}
+
+describe('Kernel Execute Options Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const executeOptionsTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.JAVASCRIPT }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(executeOptionsTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should run silent executions without outputs or history', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const first: any = await manager.execute(kernelId, '40 + 1');
+    const results: any[] = [];
+    manager.onKernelEvent(kernelId, KernelEvents.EXECUTE_RESULT, (data: any) => results.push(data));
+
+    const { events, result } = await collect(manager.executeStream(kernelId, 'probe = 42\nprint("hidden")\nprobe', {}, { silent: true }));
+    expect(events).to.have.length(0);
+    expect(result.success).to.be.true;
+    expect(results).to.have.length(0);
+
+    // The silent cell ran, but was not counted
+    const next: any = await manager.execute(kernelId, 'probe');
+    expect(next.data['text/plain']).to.equal('42');
+    expect(next.execution_count).to.equal(first.execution_count + 1);
+  });
+
+  it('should leave the execution count alone without storeHistory', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const first: any = await manager.execute(kernelId, 'x = 1');
+    const unstored: any = await manager.execute(kernelId, 'x + 1', {}, { storeHistory: false });
+    expect(unstored.data['text/plain']).to.equal('2');
+
+    const next: any = await manager.execute(kernelId, 'x + 2');
+    expect(next.execution_count).to.equal(first.execution_count + 1);
+  });
+
+  it('should evaluate user expressions after the cell', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const result: any = await manager.execute(kernelId, 'items = [1, 2, 3]', {}, {
+      userExpressions: { count: 'len(items)', missing: 'undefined_name' }
+    });
+    expect(result.success).to.be.true;
+    expect(result.user_expressions.count.status).to.equal('ok');
+    expect(result.user_expressions.count.data['text/plain']).to.equal('3');
+    expect(result.user_expressions.missing.status).to.equal('error');
+    expect(result.user_expressions.missing.ename).to.include('NameError');
+  });
+
+  it('should evaluate user expressions in JavaScript kernels', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.JAVASCRIPT
+    });
+
+    const result: any = await manager.execute(kernelId, 'const items = [1, 2, 3];', {}, {
+      userExpressions: { count: 'items.length' }
+    });
+    expect(result.user_expressions.count.data['text/plain']).to.equal('3');
+  });
+
+  it('should raise instead of asking for input when stdin is not allowed', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const requests: any[] = [];
+    manager.onKernelEvent(kernelId, KernelEvents.INPUT_REQUEST, (data: any) => requests.push(data));
+
+    const result: any = await manager.execute(kernelId, 'input("name? ")', {}, { allowStdin: false });
+    expect(result.success).to.be.false;
+    expect(result.ename).to.include('StdinNotImplementedError');
+    expect(requests).to.have.length(0);
+  });
+
+  it('should cancel queued executions when one fails with stopOnError', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const failing = manager.execute(kernelId, 'import asyncio\nawait asyncio.sleep(0.2)\n1 / 0', {}, { stopOnError: true });
+    const queued = manager.execute(kernelId, 'print("never")', {}, { executionId: 'exec-after-error' });
+
+    const failed: any = await failing;
+    expect(failed.success).to.be.false;
+
+    const cancelled: any = await queued;
+    expect(cancelled.success).to.be.false;
+    expect(cancelled.error.message).to.include('cancelled');
+    expect(manager.getExecutionStatus(kernelId, 'exec-after-error')!.status).to.equal('cancelled');
+  });
+
+  it('should let a per-call timeout override maxExecutionTime', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      maxExecutionTime: 60000
+    });
+
+    const stalled: any[] = [];
+    manager.on(KernelEvents.EXECUTION_STALLED, (event: any) => stalled.push(event));
+
+    const startTime = Date.now();
+    const result: any = await manager.execute(kernelId, [
+      'import asyncio',
+      'for _ in range(600):',
+      '    await asyncio.sleep(0.05)'
+    ].join('\n'), {}, { timeout: 500 });
+    expect(result.success).to.be.false;
+    expect(Date.now() - startTime).to.be.lessThan(10000);
+    expect(stalled).to.have.length(1);
+    expect(stalled[0].maxExecutionTime).to.equal(500);
+
+    // The interrupted kernel keeps working
+    const after: any = await manager.execute(kernelId, '1 + 1');
+    expect(after.data['text/plain']).to.equal('2');
+  });
+});
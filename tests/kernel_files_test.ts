@@ -0,0 +1,109 @@
+// Kernel File Transfer Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+import { KernelFilesystemError } from '../src/types';
+
+// Run the same suite against both kernel modes: they must behave identically
+[KernelMode.MAIN_THREAD, KernelMode.WORKER].forEach((mode) => {
+  describe(`Kernel File Transfer Tests (${mode})`, function() {
+    this.timeout(120000); // Generous timeout for real Pyodide
+
+    let manager: KernelManager;
+    let kernelId: string;
+
+    const filesTestOptions: IKernelManagerOptions = {
+      allowedKernelTypes: [
+        { mode, language: KernelLanguage.PYTHON }
+      ],
+      pool: {
+        enabled: false,
+        poolSize: 1,
+        autoRefill: false,
+        preloadConfigs: []
+      }
+    };
+
+    // Expect a promise to reject with a KernelFilesystemError of the given code
+    async function expectFsError(promise: Promise<any>, code: string): Promise<KernelFilesystemError> {
+      try {
+        await promise;
+      } catch (error) {
+        expect(error).to.be.instanceOf(KernelFilesystemError);
+        expect((error as KernelFilesystemError).code).to.equal(code);
+        return error as KernelFilesystemError;
+      }
+      throw new Error(`Expected ${code} error`);
+    }
+
+    before('Initialize kernel manager and kernel', async function() {
+      manager = new KernelManager(filesTestOptions);
+      kernelId = await manager.createKernel({ mode, lang: KernelLanguage.PYTHON });
+    });
+
+    after('Cleanup kernel manager', async function() {
+      if (manager) {
+        await manager.destroyAll();
+      }
+    });
+
+    it('should write and read text files', async function() {
+      await manager.writeFile(kernelId, '/home/pyodide/data.csv', 'a,b\n1,2\n');
+
+      const text = await manager.readFile(kernelId, '/home/pyodide/data.csv', { encoding: 'utf8' });
+      expect(text).to.equal('a,b\n1,2\n');
+
+      // Python sees the uploaded file
+      const result = await manager.execute(kernelId, 'assert open("/home/pyodide/data.csv").read().startswith("a,b")');
+      expect(result.success).to.be.true;
+    });
+
+    it('should round-trip binary data', async function() {
+      const bytes = new Uint8Array([0, 1, 2, 253, 254, 255]);
+      await manager.writeFile(kernelId, '/home/pyodide/blob.bin', bytes);
+
+      const data = await manager.readFile(kernelId, '/home/pyodide/blob.bin');
+      expect(data).to.be.instanceOf(Uint8Array);
+      expect(Array.from(data)).to.deep.equal([0, 1, 2, 253, 254, 255]);
+
+      // Without `transfer` the caller keeps its data
+      expect(bytes.length).to.equal(6);
+    });
+
+    it('should read artifacts generated by Python', async function() {
+      await manager.execute(kernelId, 'open("/home/pyodide/out.txt", "w").write("generated")');
+      const text = await manager.readFile(kernelId, 'out.txt', { encoding: 'utf8' });
+      expect(text).to.equal('generated');
+    });
+
+    it('should create, list, stat and remove directories', async function() {
+      await manager.mkdir(kernelId, '/home/pyodide/project/sub', { recursive: true });
+      await manager.writeFile(kernelId, '/home/pyodide/project/readme.md', '# hi');
+
+      const entries = await manager.listDir(kernelId, '/home/pyodide/project');
+      expect(entries.map(e => e.name)).to.deep.equal(['readme.md', 'sub']);
+
+      const readme = entries.find(e => e.name === 'readme.md')!;
+      expect(readme.type).to.equal('file');
+      expect(readme.size).to.equal(4);
+      expect(readme.path).to.equal('/home/pyodide/project/readme.md');
+      expect(readme.mtime).to.be.a('number');
+
+      const info = await manager.stat(kernelId, '/home/pyodide/project/sub');
+      expect(info.type).to.equal('directory');
+
+      await expectFsError(manager.remove(kernelId, '/home/pyodide/project'), 'ENOTEMPTY');
+      await manager.remove(kernelId, '/home/pyodide/project', { recursive: true });
+      await expectFsError(manager.stat(kernelId, '/home/pyodide/project'), 'ENOENT');
+    });
+
+    it('should report structured errors', async function() {
+      const error = await expectFsError(manager.readFile(kernelId, '/home/pyodide/missing.txt'), 'ENOENT');
+      expect(error.path).to.equal('/home/pyodide/missing.txt');
+      expect(error.message).to.include('no such file or directory');
+
+      await expectFsError(manager.writeFile(kernelId, '/home/pyodide/no/such/dir/file.txt', 'x'), 'ENOENT');
+      await manager.mkdir(kernelId, '/home/pyodide/exists');
+      await expectFsError(manager.mkdir(kernelId, '/home/pyodide/exists'), 'EEXIST');
+    });
+  });
+});
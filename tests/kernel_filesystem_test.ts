@@ -0,0 +1,171 @@
+// Kernel Filesystem Backend Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelEvents, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+
+// Collect stdout text of an execution
+async function runAndCollect(manager: KernelManager, kernelId: string, code: string): Promise<string> {
+  let text = '';
+  for await (const event of manager.executeStream(kernelId, code)) {
+    if (event.type === 'stream') {
+      text += event.data.text;
+    }
+  }
+  return text;
+}
+
+describe('Kernel Filesystem Backend Tests', function() {
+  this.timeout(180000); // Persistence tests start several real Pyodide kernels
+
+  let manager: KernelManager;
+
+  const filesystemTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(filesystemTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should use an in-memory filesystem by default', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const output = await runAndCollect(manager, kernelId, `
+with open("/home/pyodide/memfs.txt", "w") as f:
+    f.write("in memory")
+print(open("/home/pyodide/memfs.txt").read())
+`);
+    expect(output).to.include('in memory');
+
+    // Nothing to persist, so this resolves without error
+    await manager.syncFilesystem(kernelId);
+  });
+
+  it('should persist idbfs files across kernels', async function() {
+    // A unique mount point gives this test its own IndexedDB database
+    const mountPoint = `/home/pyodide/idbfs-${Date.now()}`;
+    const filesystem = { backend: 'idbfs' as const, mountPoint, autoSync: false };
+
+    const firstId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      filesystem
+    });
+
+    await runAndCollect(manager, firstId, `
+with open("${mountPoint}/saved.txt", "w") as f:
+    f.write("persisted")
+`);
+
+    const synced = new Promise<any>(resolve => {
+      manager.onKernelEvent(firstId, KernelEvents.FILESYSTEM_SYNCED, resolve);
+    });
+    await manager.syncFilesystem(firstId);
+    const syncEvent = await synced;
+    expect(syncEvent.backend).to.equal('idbfs');
+    expect(syncEvent.mountPoint).to.equal(mountPoint);
+
+    // Destroying the kernel unmounts it, so the files leave the shared Pyodide's memory
+    await manager.destroyKernel(firstId);
+    const probeId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+    const probe = await runAndCollect(manager, probeId, `import os\nprint(os.path.exists("${mountPoint}/saved.txt"))`);
+    expect(probe).to.include('False');
+
+    // A new kernel (as after a page reload) mounts the same point and loads the file from IndexedDB
+    const secondId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      filesystem
+    });
+    const output = await runAndCollect(manager, secondId, `print(open("${mountPoint}/saved.txt").read())`);
+    expect(output).to.include('persisted');
+  });
+
+  it('should remount idbfs at the same mount point after a restart', async function() {
+    const mountPoint = `/home/pyodide/idbfs-restart-${Date.now()}`;
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      filesystem: { backend: 'idbfs', mountPoint, autoSync: false }
+    });
+    await runAndCollect(manager, kernelId, `open("${mountPoint}/kept.txt", "w").write("kept")`);
+
+    // The restart persists the files, unmounts and mounts again without EBUSY
+    expect(await manager.restartKernel(kernelId)).to.be.true;
+    const output = await runAndCollect(manager, kernelId, `print(open("${mountPoint}/kept.txt").read())`);
+    expect(output).to.include('kept');
+  });
+
+  it('should not let main thread kernels share a mount point', async function() {
+    const mountPoint = `/home/pyodide/idbfs-owner-${Date.now()}`;
+    const filesystem = { backend: 'idbfs' as const, mountPoint, autoSync: false };
+    const ownerId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      filesystem
+    });
+
+    let error: Error | null = null;
+    try {
+      await manager.createKernel({
+        mode: KernelMode.MAIN_THREAD,
+        lang: KernelLanguage.PYTHON,
+        filesystem
+      });
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error).to.not.be.null;
+    expect(error!.message).to.include('EBUSY');
+
+    // The owner's files are still there, and the mount point is free once it is gone
+    expect(await runAndCollect(
+      manager,
+      ownerId,
+      `open("${mountPoint}/owner.txt", "w").write("mine")\nprint(open("${mountPoint}/owner.txt").read())`
+    )).to.equal('mine\n');
+    await manager.destroyKernel(ownerId);
+    const nextId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      filesystem
+    });
+    expect(manager.getKernel(nextId)).to.exist;
+  });
+
+  it('should sync idbfs automatically when the kernel becomes idle', async function() {
+    const mountPoint = `/home/pyodide/idbfs-auto-${Date.now()}`;
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      filesystem: { backend: 'idbfs', mountPoint }
+    });
+
+    const synced = new Promise<any>(resolve => {
+      manager.onKernelEvent(kernelId, KernelEvents.FILESYSTEM_SYNCED, resolve);
+    });
+    await runAndCollect(manager, kernelId, `open("${mountPoint}/auto.txt", "w").write("auto")`);
+
+    const syncEvent = await synced;
+    expect(syncEvent.duration).to.be.a('number');
+  });
+});
@@ -0,0 +1,147 @@
+// Kernel Heartbeat Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+
+// Wait for the next manager event of a type
+function nextEvent(manager: KernelManager, eventType: KernelEvents): Promise<any> {
+  return new Promise(resolve => {
+    const handler = (event: any) => {
+      manager.off(eventType, handler);
+      resolve(event);
+    };
+    manager.on(eventType, handler);
+  });
+}
+
+describe('Kernel Heartbeat Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const heartbeatTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(heartbeatTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should report the round trip of worker heartbeats', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      heartbeat: { interval: 100 }
+    });
+
+    const latency = await manager.probeKernel(kernelId);
+    expect(latency).to.be.a('number');
+    expect(latency).to.be.at.least(0);
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const heartbeat = manager.getHeartbeat(kernelId)!;
+    expect(heartbeat.responsive).to.be.true;
+    expect(heartbeat.interval).to.equal(100);
+    expect(heartbeat.latency).to.be.a('number');
+    expect(heartbeat.lastBeat).to.be.a('string');
+    expect(heartbeat.missedBeats).to.be.lessThan(3);
+  });
+
+  it('should answer heartbeats while a cell awaits', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const execution = manager.execute(kernelId, 'import asyncio\nawait asyncio.sleep(2)');
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const latency = await manager.probeKernel(kernelId, 1000);
+    expect(latency).to.be.a('number');
+
+    const result: any = await execution;
+    expect(result.success).to.be.true;
+  });
+
+  it('should emit KERNEL_UNRESPONSIVE while the worker is blocked', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      heartbeat: { interval: 200, missedBeats: 2 }
+    });
+
+    const unresponsive = nextEvent(manager, KernelEvents.KERNEL_UNRESPONSIVE);
+    const responsive = nextEvent(manager, KernelEvents.KERNEL_RESPONSIVE);
+
+    // A synchronous loop never yields to the worker's event loop
+    const execution = manager.execute(kernelId, 'import time\nend = time.time() + 3\nwhile time.time() < end:\n    pass');
+
+    const event = await unresponsive;
+    expect(event.kernelId).to.equal(kernelId);
+    expect(event.data.missedBeats).to.equal(2);
+    expect(manager.getHeartbeat(kernelId)!.responsive).to.be.false;
+    expect(manager.getHeartbeat(kernelId)!.suspended).to.be.false;
+
+    await execution;
+    await responsive;
+    expect(manager.getHeartbeat(kernelId)!.responsive).to.be.true;
+    expect(manager.getHeartbeat(kernelId)!.missedBeats).to.equal(0);
+  });
+
+  it('should not count missed beats during executions with skipDuringExecution', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      heartbeat: { interval: 200, missedBeats: 2, skipDuringExecution: true }
+    });
+
+    let unresponsive = false;
+    manager.onKernelEvent(kernelId, KernelEvents.KERNEL_UNRESPONSIVE, () => {
+      unresponsive = true;
+    });
+
+    const execution = manager.execute(kernelId, 'import time\nend = time.time() + 2\nwhile time.time() < end:\n    pass');
+    await new Promise(resolve => setTimeout(resolve, 500));
+    expect(manager.getHeartbeat(kernelId)!.suspended).to.be.true;
+
+    const result: any = await execution;
+    expect(result.success).to.be.true;
+    expect(unresponsive).to.be.false;
+    expect(manager.getHeartbeat(kernelId)!.responsive).to.be.true;
+    expect(manager.getHeartbeat(kernelId)!.suspended).to.be.false;
+  });
+
+  it('should only probe main thread kernels and disabled heartbeats on demand', async function() {
+    const mainId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+    expect(manager.getHeartbeat(mainId)).to.be.undefined;
+    expect(await manager.probeKernel(mainId)).to.equal(0);
+
+    const workerId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      heartbeat: false
+    });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(manager.getHeartbeat(workerId)!.lastBeat).to.be.null;
+
+    expect(await manager.probeKernel(workerId, 1000)).to.be.a('number');
+    expect(manager.getHeartbeat(workerId)!.lastBeat).to.be.a('string');
+  });
+});
@@ -0,0 +1,146 @@
+// Host Object Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+
+describe('Kernel Host Object Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const hostTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(hostTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should let main thread kernels import and await host functions', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const calls: any[] = [];
+    await manager.exposeToKernel(kernelId, 'fetch_dataset', async (name: string, options: any) => {
+      calls.push([name, options]);
+      return { name, rows: [1, 2, 3].slice(0, options.limit), missing: null };
+    });
+
+    const result: any = await manager.execute(kernelId, [
+      'from host import fetch_dataset',
+      'data = await fetch_dataset("iris", limit=2)',
+      'print(data["name"], data["rows"], data["missing"])'
+    ].join('\n'));
+    expect(result.success).to.be.true;
+    expect(result.stdout).to.include('iris [1, 2] None');
+    expect(calls).to.deep.equal([['iris', { limit: 2 }]]);
+
+    // Other kernels sharing the interpreter see nothing
+    const other = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+    const missing: any = await manager.execute(other, 'from host import fetch_dataset');
+    expect(missing.success).to.be.false;
+    expect(missing.ename).to.equal('ImportError');
+  });
+
+  it('should call host objects from worker kernels with typed arrays and callbacks', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    class Api {
+      constructor(public version: string) {}
+      scale(values: Float64Array, factor: number): Float64Array {
+        return values.map(value => value * factor);
+      }
+      async progress(steps: number, report: (step: number) => Promise<number>): Promise<number[]> {
+        const replies: number[] = [];
+        for (let step = 0; step < steps; step++) {
+          replies.push(await report(step));
+        }
+        return replies;
+      }
+    }
+    await manager.exposeToKernel(kernelId, 'api', new Api('1.0'));
+
+    const result: any = await manager.execute(kernelId, [
+      'import numpy as np',
+      'from host import api',
+      'scaled = np.asarray(await api.scale(np.arange(4, dtype="float64"), 2))',
+      'replies = await api.progress(3, lambda step: step * 10)',
+      'print(api.version, scaled.tolist(), replies)'
+    ].join('\n'));
+    expect(result.success).to.be.true;
+    expect(result.stdout).to.include('1.0 [0.0, 2.0, 4.0, 6.0] [0, 10, 20]');
+
+    // Host errors surface as Python exceptions
+    await manager.exposeToKernel(kernelId, 'fail', () => {
+      throw new Error('host says no');
+    });
+    const failed: any = await manager.execute(kernelId, 'from host import fail\nawait fail()');
+    expect(failed.success).to.be.false;
+    expect(failed.evalue).to.include('host says no');
+  });
+
+  it('should revoke access with unexpose', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    await manager.exposeToKernel(kernelId, 'secret', () => 42);
+    const first: any = await manager.execute(kernelId, 'from host import secret\nawait secret()');
+    expect(first.data['text/plain']).to.equal('42');
+
+    expect(await manager.unexpose(kernelId, 'secret')).to.be.true;
+    expect(await manager.unexpose(kernelId, 'secret')).to.be.false;
+
+    // The imported reference no longer works, and neither does importing it again
+    const revoked: any = await manager.execute(kernelId, 'await secret()');
+    expect(revoked.success).to.be.false;
+    expect(revoked.evalue).to.include('no longer exposed');
+    const reimported: any = await manager.execute(kernelId, 'from host import secret');
+    expect(reimported.success).to.be.false;
+
+    let error: Error | undefined;
+    try {
+      await manager.exposeToKernel(kernelId, 'not-valid', () => 1);
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error?.message).to.include('Python identifiers');
+  });
+
+  it('should expose host objects again after a restart', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      bootstrap: { profile: 'minimal' }
+    });
+
+    await manager.exposeToKernel(kernelId, 'settings', { mode: 'fast', ratio: 0.5 });
+    expect(await manager.restartKernel(kernelId)).to.be.true;
+
+    const result: any = await manager.execute(kernelId, 'from host import settings\nprint(settings)');
+    expect(result.stdout).to.include("{'mode': 'fast', 'ratio': 0.5}");
+  });
+});
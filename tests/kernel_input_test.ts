@@ -0,0 +1,141 @@
+// Stdin / input() Round-trip Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+
+// input() blocks on a stdin buffer (worker kernels) or with JSPI
+const readLine = (call: string) => `
+value = ${call}
+`;
+
+describe('Kernel Input Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const inputTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(inputTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should answer input() through the onInput callback', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const prompts: string[] = [];
+    const result: any = await manager.execute(kernelId, readLine('input("Name: ")') + 'print(f"Hello {value}")', {}, {
+      onInput: (request) => {
+        prompts.push(request.prompt);
+        return 'Ada';
+      }
+    });
+
+    expect(result.success).to.be.true;
+    expect(prompts).to.deep.equal(['Name: ']);
+    expect(result.stdout).to.include('Hello Ada');
+  });
+
+  it('should answer input() in a worker kernel with sendInput', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    manager.onKernelEvent(kernelId, KernelEvents.INPUT_REQUEST, (request: any) => {
+      expect(request.prompt).to.equal('Number: ');
+      expect(request.password).to.be.false;
+      manager.sendInput(kernelId, '41');
+    });
+
+    const result: any = await manager.execute(kernelId, readLine('input("Number: ")') + 'int(value) + 1');
+    expect(result.success).to.be.true;
+    expect(result.data['text/plain']).to.equal('42');
+  });
+
+  it('should flag getpass() prompts as passwords', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    let password: boolean | undefined;
+    const result: any = await manager.execute(kernelId, 'import getpass\n' + readLine('getpass.getpass("Secret: ")') + 'len(value)', {}, {
+      onInput: (request) => {
+        password = request.password;
+        return 'hunter2';
+      }
+    });
+
+    expect(result.success).to.be.true;
+    expect(password).to.be.true;
+    expect(result.data['text/plain']).to.equal('7');
+  });
+
+  it('should yield input requests from executeStream', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const types: string[] = [];
+    const stream = manager.executeStream(kernelId, readLine('input("Go? ")') + 'print(value.upper())', {}, {
+      onInput: async () => 'yes'
+    });
+    let stdout = '';
+    for await (const event of stream) {
+      types.push(event.type);
+      if (event.type === 'stream') {
+        stdout += event.data.text;
+      }
+    }
+
+    expect(types).to.include('input_request');
+    expect(stdout).to.include('YES');
+  });
+
+  it('should raise TimeoutError when nobody answers', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      inputTimeout: 500
+    });
+
+    const result: any = await manager.execute(kernelId, `
+import inspect
+try:
+    value = input("Anyone? ")
+    if inspect.isawaitable(value):
+        value = await value
+except TimeoutError as e:
+    print(f"timed out: {e}")
+`);
+
+    expect(result.success).to.be.true;
+    expect(result.stdout).to.include('timed out: Timed out waiting for input');
+
+    // The kernel takes input again afterwards
+    const next: any = await manager.execute(kernelId, readLine('input()') + 'value', {}, {
+      onInput: () => 'again'
+    });
+    expect(next.data['text/plain']).to.equal("'again'");
+  });
+});
@@ -0,0 +1,198 @@
+// Kernel Memory Accounting Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+
+const MB = 1024 * 1024;
+
+// Wait for the next manager event of a type
+function nextEvent(manager: KernelManager, eventType: KernelEvents): Promise<any> {
+  return new Promise(resolve => {
+    const handler = (event: any) => {
+      manager.off(eventType, handler);
+      resolve(event);
+    };
+    manager.on(eventType, handler);
+  });
+}
+
+describe('Kernel Memory Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const memoryTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.JAVASCRIPT }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(memoryTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should report the heap size and traced Python allocations', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const usage = await manager.getResourceUsage(kernelId);
+    expect(usage.heapSize).to.be.greaterThan(0);
+    expect(usage.python).to.be.null;
+
+    // The first request starts tracing, so only later allocations show up
+    const started = await manager.getResourceUsage(kernelId, { top: 5 });
+    expect(started.python!.tracing).to.be.true;
+
+    await manager.execute(kernelId, 'blocks = [bytes(1000) for _ in range(5000)]');
+    const traced = await manager.getResourceUsage(kernelId, { top: 5, stopTracing: true });
+    expect(traced.python!.current).to.be.greaterThan(5000 * 1000);
+    expect(traced.python!.top).to.have.length.within(1, 5);
+    expect(traced.python!.top[0].size).to.be.greaterThan(5000 * 1000);
+    expect(traced.python!.tracing).to.be.false;
+  });
+
+  it('should show memory use in listKernels', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      memoryLimit: { bytes: 2048 * MB }
+    });
+
+    const [info] = await manager.listKernels();
+    expect(info.id).to.equal(kernelId);
+    expect(info.memory.heapSize).to.be.greaterThan(0);
+    expect(info.memory.limit).to.equal(2048 * MB);
+  });
+
+  it('should warn near the memory limit and terminate the kernel past it', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      memoryLimit: { bytes: 4096 * MB, warnAt: 0.5, checkInterval: 100 }
+    });
+
+    // Tighten the limit to just above what the fresh kernel uses
+    const { heapSize } = await manager.getResourceUsage(kernelId);
+    const limit = heapSize! + 64 * MB;
+    manager.getKernel(kernelId)!.options.memoryLimit!.bytes = limit;
+
+    const warning = await nextEvent(manager, KernelEvents.KERNEL_MEMORY_WARNING);
+    expect(warning.kernelId).to.equal(kernelId);
+    expect(warning.data.limit).to.equal(limit);
+
+    const exceeded = nextEvent(manager, KernelEvents.KERNEL_MEMORY_EXCEEDED);
+    const died = nextEvent(manager, KernelEvents.KERNEL_DIED);
+    const execution = manager.execute(kernelId, 'data = bytearray(128 * 1024 * 1024)');
+
+    expect((await exceeded).data.action).to.equal('terminate');
+    const death = await died;
+    expect(death.data.cause).to.equal('out_of_memory');
+    await execution.catch(() => undefined);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(manager.getKernel(kernelId)).to.be.undefined;
+  });
+
+  it('should interrupt an execution that grows past the memory limit', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      memoryLimit: { bytes: 4096 * MB, action: 'interrupt', checkInterval: 100 }
+    });
+
+    const { heapSize } = await manager.getResourceUsage(kernelId);
+    manager.getKernel(kernelId)!.options.memoryLimit!.bytes = heapSize! + 32 * MB;
+
+    const exceeded = nextEvent(manager, KernelEvents.KERNEL_MEMORY_EXCEEDED);
+    const result: any = await manager.execute(kernelId, [
+      'import asyncio',
+      'chunks = []',
+      'for _ in range(100):',
+      '    chunks.append(bytearray(4 * 1024 * 1024))',
+      '    await asyncio.sleep(0.05)'
+    ].join('\n'));
+
+    expect((await exceeded).data.action).to.equal('interrupt');
+    expect(result.success).to.be.false;
+
+    // The kernel survives the interrupt
+    const after: any = await manager.execute(kernelId, 'len(chunks) < 100');
+    expect(after.data['text/plain']).to.equal('True');
+  });
+
+  it('should ignore memory limits of main thread kernels', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      memoryLimit: { bytes: 2048 * MB }
+    });
+
+    const [info] = await manager.listKernels();
+    expect(info.id).to.equal(kernelId);
+    expect(info.memory.limit).to.be.null;
+  });
+
+  it('should report the heap size of JavaScript worker kernels where the browser does', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.JAVASCRIPT,
+      memoryLimit: { bytes: 4096 * MB }
+    });
+
+    const { heapSize } = await manager.getResourceUsage(kernelId);
+    // Only Chromium reports the JavaScript heap (performance.memory)
+    if (heapSize === null) {
+      this.skip();
+    }
+
+    expect(heapSize).to.be.greaterThan(0);
+    const [info] = await manager.listKernels();
+    expect(info.memory.heapSize).to.be.greaterThan(0);
+    expect(info.memory.limit).to.equal(4096 * MB);
+  });
+
+  it('should interrupt a synchronous loop that grows past the memory limit', async function() {
+    // Busy workers publish their heap size through shared memory only, on each output
+    if (!(globalThis as any).crossOriginIsolated) {
+      this.skip();
+    }
+
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      memoryLimit: { bytes: 4096 * MB, action: 'interrupt', checkInterval: 100 }
+    });
+
+    const { heapSize } = await manager.getResourceUsage(kernelId);
+    manager.getKernel(kernelId)!.options.memoryLimit!.bytes = heapSize! + 32 * MB;
+
+    const exceeded = nextEvent(manager, KernelEvents.KERNEL_MEMORY_EXCEEDED);
+    const result: any = await manager.execute(kernelId, [
+      'import time',
+      'chunks = []',
+      'end = time.time() + 10',
+      'while time.time() < end:',
+      '    if len(chunks) < 20:',
+      '        chunks.append(bytearray(4 * 1024 * 1024))',
+      '        print(len(chunks))'
+    ].join('\n'));
+
+    expect((await exceeded).data.action).to.equal('interrupt');
+    expect(result.success).to.be.false;
+  });
+});
@@ -0,0 +1,193 @@
+// Kernel User Namespace Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+
+describe('Kernel Namespace Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const namespaceTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.JAVASCRIPT }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(namespaceTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should not leak variables between main thread kernels sharing Pyodide', async function() {
+    const first = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+    const second = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    await manager.execute(first, 'secret = "first"');
+    const leaked: any = await manager.execute(second, "'secret' in globals()");
+    expect(leaked.data['text/plain']).to.equal('False');
+
+    await manager.execute(second, 'secret = "second"');
+    const kept: any = await manager.execute(first, 'secret');
+    expect(kept.data['text/plain']).to.equal("'first'");
+
+    // Each kernel keeps its own execution count
+    const counted: any = await manager.execute(second, '1');
+    expect(counted.execution_count).to.equal(leaked.execution_count + 2);
+  });
+
+  it('should keep namespaces apart while main thread kernels run concurrently', async function() {
+    const first = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+    const second = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const cell = (name: string) => [
+      'import asyncio',
+      `owner = "${name}"`,
+      'await asyncio.sleep(0.2)',
+      'print(owner)'
+    ].join('\n');
+    const [a, b]: any[] = await Promise.all([
+      manager.execute(first, cell('first')),
+      manager.execute(second, cell('second'))
+    ]);
+    expect(a.stdout).to.include('first');
+    expect(b.stdout).to.include('second');
+  });
+
+  it('should reset a namespace, optionally keeping imports', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    await manager.execute(kernelId, 'import json\nvalue = 1');
+    const before: any = await manager.execute(kernelId, '2');
+
+    await manager.resetNamespace(kernelId, { keepImports: true });
+    const imported: any = await manager.execute(kernelId, 'json.dumps([1])');
+    expect(imported.data['text/plain']).to.equal("'[1]'");
+    const cleared: any = await manager.execute(kernelId, 'value');
+    expect(cleared.success).to.be.false;
+    expect(cleared.ename).to.include('NameError');
+
+    await manager.resetNamespace(kernelId);
+    const gone: any = await manager.execute(kernelId, 'json');
+    expect(gone.success).to.be.false;
+
+    // Like %reset, the execution count carries on
+    const after: any = await manager.execute(kernelId, '3');
+    expect(after.execution_count).to.be.greaterThan(before.execution_count);
+  });
+
+  it('should clear the namespace with %reset -f', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    await manager.execute(kernelId, 'value = 1');
+    await manager.execute(kernelId, '%reset -f');
+    const cleared: any = await manager.execute(kernelId, 'value');
+    expect(cleared.success).to.be.false;
+    expect(cleared.ename).to.include('NameError');
+
+    const works: any = await manager.execute(kernelId, 'value = 2\nvalue');
+    expect(works.data['text/plain']).to.equal('2');
+  });
+
+  it('should run executions in named sub-namespaces', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    await manager.execute(kernelId, 'value = "default"');
+    await manager.execute(kernelId, 'value = "scratch"', {}, { userNamespace: 'scratch' });
+
+    const main: any = await manager.execute(kernelId, 'value');
+    expect(main.data['text/plain']).to.equal("'default'");
+    const scratch: any = await manager.execute(kernelId, 'value', {}, { userNamespace: 'scratch' });
+    expect(scratch.data['text/plain']).to.equal("'scratch'");
+    expect(await manager.listUserNamespaces(kernelId)).to.deep.equal(['default', 'scratch']);
+
+    await manager.resetNamespace(kernelId, { userNamespace: 'scratch' });
+    const untouched: any = await manager.execute(kernelId, 'value');
+    expect(untouched.data['text/plain']).to.equal("'default'");
+
+    expect(await manager.deleteUserNamespace(kernelId, 'scratch')).to.be.true;
+    expect(await manager.deleteUserNamespace(kernelId, 'scratch')).to.be.false;
+    expect(await manager.listUserNamespaces(kernelId)).to.deep.equal(['default']);
+
+    let error: Error | undefined;
+    try {
+      await manager.deleteUserNamespace(kernelId, 'default');
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error?.message).to.include('cannot be deleted');
+  });
+
+  it('should isolate minimal profile kernels on the main thread', async function() {
+    const first = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      bootstrap: { profile: 'minimal' }
+    });
+    const second = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      bootstrap: { profile: 'minimal' }
+    });
+
+    await manager.execute(first, 'value = 1\nprint("from first")');
+    const leaked: any = await manager.execute(second, "print('value' in globals())");
+    expect(leaked.stdout).to.include('False');
+    expect(leaked.stdout).to.not.include('from first');
+
+    await manager.resetNamespace(first);
+    const cleared: any = await manager.execute(first, 'value');
+    expect(cleared.success).to.be.false;
+  });
+
+  it('should keep separate scopes in JavaScript kernels', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.JAVASCRIPT
+    });
+
+    await manager.execute(kernelId, 'let value = "default";');
+    await manager.execute(kernelId, 'let value = "other";', {}, { userNamespace: 'other' });
+    const main: any = await manager.execute(kernelId, 'value');
+    expect(main.data['text/plain']).to.include('default');
+
+    await manager.resetNamespace(kernelId);
+    const cleared: any = await manager.execute(kernelId, 'value');
+    expect(cleared.success).to.be.false;
+    const other: any = await manager.execute(kernelId, 'value', {}, { userNamespace: 'other' });
+    expect(other.data['text/plain']).to.include('other');
+  });
+});
@@ -0,0 +1,100 @@
+// Self-hosted and Offline Pyodide Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+
+// The CDN distribution, spelled out as if it were self-hosted
+const PYODIDE_INDEX_URL = 'https://cdn.jsdelivr.net/pyodide/v0.28.0/full/';
+
+describe('Self-hosted Pyodide Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const offlineTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(offlineTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should start a worker kernel from explicit distribution and wheel URLs', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      pyodide: { indexURL: PYODIDE_INDEX_URL, wheelsURL: '/pypi/' }
+    });
+
+    const result = await manager.execute(kernelId, 'import pyodide_kernel\n1 + 1');
+    expect(result.success).to.be.true;
+    expect(manager.getKernel(kernelId)!.options.pyodide!.wheelsURL).to.equal('/pypi/');
+  });
+
+  it('should require an indexURL in offline mode', async function() {
+    let error: Error | null = null;
+    try {
+      await manager.createKernel({
+        mode: KernelMode.MAIN_THREAD,
+        lang: KernelLanguage.PYTHON,
+        pyodide: { offline: true }
+      });
+    } catch (e) {
+      error = e as Error;
+    }
+
+    expect(error).to.not.be.null;
+    expect(error!.message).to.include('indexURL');
+  });
+
+  it('should name missing artifacts when the offline distribution is incomplete', async function() {
+    let error: Error | null = null;
+    try {
+      await manager.createKernel({
+        id: 'offline-missing',
+        mode: KernelMode.MAIN_THREAD,
+        lang: KernelLanguage.PYTHON,
+        pyodide: { indexURL: '/no-such-pyodide/', wheelsURL: '/pypi/', offline: true }
+      });
+    } catch (e) {
+      error = e as Error;
+    }
+
+    expect(error).to.not.be.null;
+    expect(error!.message).to.include('pyodide.asm.wasm');
+    expect(error!.message).to.include('/no-such-pyodide/');
+    // The kernel wheels are present, so they must not be reported
+    expect(error!.message).to.not.include('pyodide_kernel');
+    expect(manager.getKernel('offline-missing')).to.be.undefined;
+  });
+
+  it('should report the failure reason from a worker kernel', async function() {
+    let error: Error | null = null;
+    try {
+      await manager.createKernel({
+        mode: KernelMode.WORKER,
+        lang: KernelLanguage.PYTHON,
+        pyodide: { indexURL: '/no-such-pyodide/', offline: true }
+      });
+    } catch (e) {
+      error = e as Error;
+    }
+
+    expect(error).to.not.be.null;
+    expect(error!.message).to.include('Offline Pyodide distribution is incomplete');
+  });
+});
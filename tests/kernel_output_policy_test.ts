@@ -0,0 +1,183 @@
+// Output Policy Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+
+// Bytes printed by `for i in range(count): print(i)`
+function printedBytes(count: number): number {
+  let bytes = 0;
+  for (let i = 0; i < count; i++) {
+    bytes += String(i).length + 1;
+  }
+  return bytes;
+}
+
+describe('Kernel Output Policy Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const policyTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(policyTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should coalesce stream chunks and cap the output of an execution', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      outputPolicy: { coalesceWindow: 10000 }
+    });
+
+    // The first chunk goes out at once, the rest once the cell is done
+    const streams: any[] = [];
+    for await (const output of manager.executeStream(kernelId, 'for i in range(1000):\n    print(i)')) {
+      if (output.type === 'stream') {
+        streams.push(output.data);
+      }
+    }
+    expect(streams).to.have.length(2);
+    expect(streams[0].text).to.equal('0');
+    expect(streams.map(stream => stream.text).join('').trim().split('\n')).to.have.length(1000);
+
+    // Held back text goes out before the outputs that follow it
+    const ordered: any[] = [];
+    for await (const output of manager.executeStream(kernelId, 'print("a")\nprint("b")\ndisplay("c")\nprint("d")')) {
+      ordered.push(output);
+    }
+    expect(ordered.map(output => output.type)).to.deep.equal(['stream', 'stream', 'display_data', 'stream']);
+    expect(ordered[1].data.text).to.equal('\nb\n');
+
+    // Per call: 1000 bytes and a newline, of which 100 fit
+    const capped: any = await manager.execute(kernelId, 'print("x" * 1000)', {}, {
+      outputPolicy: { maxOutputBytes: 100 }
+    });
+    expect(capped.success).to.be.true;
+    expect(capped.stdout).to.equal('x'.repeat(100));
+    expect(capped.stderr).to.include('Output truncated');
+    expect(capped.droppedBytes).to.equal(901);
+
+    const uncapped: any = await manager.execute(kernelId, 'print("x" * 1000)');
+    expect(uncapped.stdout).to.equal('x'.repeat(1000) + '\n');
+    expect(uncapped.droppedBytes).to.equal(0);
+  });
+
+  it('should drop rate limited output past the high-water mark in worker kernels', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      outputPolicy: { maxStreamRate: 1000, highWaterMark: 2000, overflow: 'drop' }
+    });
+
+    const streams: any[] = [];
+    const stream = manager.executeStream(kernelId, 'for i in range(20000):\n    print(i)');
+    let next = await stream.next();
+    while (!next.done) {
+      if (next.value.type === 'stream') {
+        streams.push(next.value.data);
+      }
+      next = await stream.next();
+    }
+
+    const stdout = streams.filter(item => item.name === 'stdout').map(item => item.text).join('');
+    const stderr = streams.filter(item => item.name === 'stderr').map(item => item.text).join('');
+    expect(next.value.success).to.be.true;
+    expect(next.value.droppedBytes).to.be.greaterThan(0);
+
+    // What went out is the burst and the held back text; every other byte was dropped
+    expect(stdout.length).to.be.lessThan(printedBytes(20000) / 2);
+    expect(stdout.length + next.value.droppedBytes!).to.equal(printedBytes(20000));
+    expect(stderr).to.include(`${next.value.droppedBytes} bytes were dropped`);
+  });
+
+  it('should make Python wait for rate limited output when blocking', async function() {
+    // Workers only block on shared memory
+    if (!(globalThis as any).crossOriginIsolated) {
+      this.skip();
+    }
+
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      outputPolicy: { maxStreamRate: 1000, highWaterMark: 2000, overflow: 'drop' }
+    });
+
+    // 400 lines of 100 bytes at 20 kB/s: one second's burst, then about a second of waiting
+    const start = performance.now();
+    const result: any = await manager.execute(kernelId, 'for i in range(400):\n    print("x" * 99)', {}, {
+      outputPolicy: { maxStreamRate: 20000, highWaterMark: 1000, overflow: 'block' }
+    });
+    const elapsed = performance.now() - start;
+
+    expect(result.success).to.be.true;
+    expect(result.droppedBytes).to.equal(0);
+    expect(result.stdout).to.equal(('x'.repeat(99) + '\n').repeat(400));
+    expect(elapsed).to.be.greaterThan(800);
+
+    // The kernel's policy applies again to the next execution
+    const dropped: any = await manager.execute(kernelId, 'for i in range(20000):\n    print(i)');
+    expect(dropped.droppedBytes).to.be.greaterThan(0);
+
+    // And survives restarts
+    expect(await manager.restartKernel(kernelId)).to.be.true;
+    const restarted: any = await manager.execute(kernelId, 'for i in range(20000):\n    print(i)');
+    expect(restarted.droppedBytes).to.be.greaterThan(0);
+  });
+
+  it('should drop instead of blocking the main thread', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      outputPolicy: { maxStreamRate: 1000, highWaterMark: 2000, overflow: 'block' }
+    });
+
+    // Blocking would take about 100 seconds at this rate
+    const start = performance.now();
+    const result: any = await manager.execute(kernelId, 'for i in range(20000):\n    print(i)');
+    const elapsed = performance.now() - start;
+
+    expect(result.success).to.be.true;
+    expect(result.droppedBytes).to.be.greaterThan(0);
+    expect(result.stdout.length + result.droppedBytes).to.equal(printedBytes(20000));
+    expect(elapsed).to.be.lessThan(20000);
+  });
+
+  it('should end a blocked write when the kernel is interrupted', async function() {
+    if (!(globalThis as any).crossOriginIsolated) {
+      this.skip();
+    }
+
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      outputPolicy: { maxStreamRate: 100, highWaterMark: 100, overflow: 'block' }
+    });
+
+    // Writing all of it would take minutes at this rate
+    const start = performance.now();
+    const execution = manager.execute(kernelId, 'for i in range(1000):\n    print("x" * 99)');
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    expect(await manager.interruptKernel(kernelId)).to.be.true;
+
+    const result: any = await execution;
+    expect(result.success).to.be.false;
+    expect(performance.now() - start).to.be.lessThan(10000);
+  });
+});
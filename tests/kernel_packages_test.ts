@@ -0,0 +1,116 @@
+// Package Management Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+
+describe('Package Management Tests', function() {
+  this.timeout(180000); // Package downloads on top of real Pyodide
+
+  let manager: KernelManager;
+  let kernelId: string;
+
+  const packageTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager and kernel', async function() {
+    manager = new KernelManager(packageTestOptions);
+    kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should install a package and report progress', async function() {
+    const progress: any[] = [];
+    manager.onKernelEvent(kernelId, KernelEvents.PACKAGE_PROGRESS, (event: any) => progress.push(event));
+
+    const result = await manager.installPackages(kernelId, ['tomli-w']);
+
+    expect(result.failed).to.have.length(0);
+    expect(result.skipped).to.have.length(0);
+    const tomliW = result.installed.find(p => p.name === 'tomli-w');
+    expect(tomliW).to.exist;
+    expect(tomliW!.version).to.be.a('string');
+
+    // Installing, one download per wheel, then what was installed and done
+    const stages = progress.map(event => event.stage);
+    expect(stages[0]).to.equal('installing');
+    expect(stages.indexOf('downloading')).to.equal(1);
+    expect(stages.lastIndexOf('downloading')).to.be.lessThan(stages.indexOf('installed'));
+    expect(stages[stages.length - 1]).to.equal('done');
+    expect(progress[0]).to.include({ spec: 'tomli-w', stage: 'installing', index: 0, total: 1 });
+    const download = progress.find(event => event.stage === 'downloading');
+    expect(download).to.include({ spec: 'tomli-w', package: 'tomli-w', index: 0, total: 1 });
+    expect(download.url).to.match(/\.whl([?#]|$)/);
+    expect(progress.find(event => event.stage === 'installed').package).to.equal('tomli-w');
+
+    const execution = await manager.execute(kernelId, 'import tomli_w');
+    expect(execution.success).to.be.true;
+  });
+
+  it('should list installed packages', async function() {
+    await manager.installPackages(kernelId, ['tomli-w']);
+
+    const packages = await manager.listPackages(kernelId);
+    const tomliW = packages.find(p => p.name === 'tomli-w');
+    expect(tomliW).to.exist;
+    expect(tomliW!.source).to.be.a('string');
+    expect(packages.map(p => p.name)).to.deep.equal([...packages.map(p => p.name)].sort());
+  });
+
+  it('should stop at the first failure unless keepGoing is set', async function() {
+    const missing = 'web-python-kernel-no-such-package';
+
+    const stopped = await manager.installPackages(kernelId, [missing, 'tomli-w']);
+    expect(stopped.failed.map(f => f.spec)).to.deep.equal([missing]);
+    expect(stopped.failed[0].error).to.be.a('string');
+    expect(stopped.skipped).to.deep.equal(['tomli-w']);
+
+    const continued = await manager.installPackages(kernelId, [missing, 'tomli-w'], { keepGoing: true });
+    expect(continued.failed.map(f => f.spec)).to.deep.equal([missing]);
+    expect(continued.skipped).to.have.length(0);
+    expect(continued.installed.map(p => p.name)).to.include('tomli-w');
+  });
+
+  it('should uninstall a package', async function() {
+    await manager.installPackages(kernelId, ['tomli-w']);
+
+    expect(await manager.uninstallPackage(kernelId, 'tomli-w')).to.be.true;
+    expect((await manager.listPackages(kernelId)).map(p => p.name)).to.not.include('tomli-w');
+    expect(await manager.uninstallPackage(kernelId, 'tomli-w')).to.be.false;
+  });
+
+  it('should export a pyodide-lock.json with absolute wheel locations', async function() {
+    await manager.installPackages(kernelId, ['tomli-w']);
+
+    const lock = JSON.parse(await manager.exportLock(kernelId));
+    expect(lock.info).to.be.an('object');
+    expect(Object.keys(lock.packages).map(name => name.replace(/_/g, '-'))).to.include('tomli-w');
+    expect(Object.values(lock.packages).every((p: any) => p.file_name.includes('://'))).to.be.true;
+  });
+
+  it('should wait for running executions before installing', async function() {
+    const order: string[] = [];
+
+    await Promise.all([
+      manager.execute(kernelId, 'import asyncio\nawait asyncio.sleep(0.2)').then(() => order.push('execution')),
+      manager.installPackages(kernelId, ['tomli-w']).then(() => order.push('install'))
+    ]);
+
+    expect(order).to.deep.equal(['execution', 'install']);
+  });
+});
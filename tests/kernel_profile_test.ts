@@ -0,0 +1,160 @@
+// Profiler Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+import { IProfileCallNode } from '../src/types';
+
+// Find the first call tree node of a function, depth first
+function findNode(node: IProfileCallNode, name: string): IProfileCallNode | undefined {
+  if (node.name === name) {
+    return node;
+  }
+  for (const child of node.children) {
+    const found = findNode(child, name);
+    if (found) {
+      return found;
+    }
+  }
+  return undefined;
+}
+
+describe('Kernel Profiler Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const profileTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.JAVASCRIPT }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(profileTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  const code = [
+    'def fib(n):',
+    '    return n if n < 2 else fib(n - 1) + fib(n - 2)',
+    'def slow():',
+    '    return sum(fib(15) for _ in range(5))',
+    'print(slow())'
+  ].join('\n');
+
+  it('should report per-function stats while streaming outputs', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const streamed: any[] = [];
+    manager.onKernelEvent(kernelId, KernelEvents.STREAM, (data: any) => streamed.push(data));
+
+    const report = await manager.profile(kernelId, code);
+    expect(report.success).to.be.true;
+    expect(streamed.map(data => data.text).join('')).to.include('3050');
+
+    const slow = report.stats.find(row => row.function === 'slow');
+    expect(slow).to.exist;
+    expect(slow!.calls).to.equal(1);
+    expect(slow!.line).to.equal(3);
+    expect(slow!.cumtime).to.be.at.least(slow!.tottime);
+
+    const fib = report.stats.find(row => row.function === 'fib');
+    expect(fib!.calls).to.be.greaterThan(fib!.primitiveCalls);
+    expect(fib!.primitiveCalls).to.equal(5);
+
+    const cumtimes = report.stats.map(row => row.cumtime);
+    expect(cumtimes).to.deep.equal([...cumtimes].sort((a, b) => b - a));
+    expect(report.stats.length).to.be.at.most(30);
+    expect(report.totalCalls).to.be.at.least(fib!.calls);
+    expect(report.stats.some(row => row.function.includes('_lsprof.Profiler'))).to.be.false;
+
+    // The profiled code counts as an ordinary execution
+    const after: any = await manager.execute(kernelId, 'slow()');
+    expect(after.data['text/plain']).to.equal('3050');
+  });
+
+  it('should sort and limit the stats', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      bootstrap: { profile: 'minimal' }
+    });
+
+    const report = await manager.profile(kernelId, code, { sortBy: 'calls', limit: 3 });
+    expect(report.stats).to.have.length(3);
+    expect(report.stats[0].function).to.equal('fib');
+    const calls = report.stats.map(row => row.calls);
+    expect(calls).to.deep.equal([...calls].sort((a, b) => b - a));
+
+    let error: Error | undefined;
+    try {
+      await manager.profile(kernelId, '1', { sortBy: 'size' as any });
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error?.message).to.include('size');
+  });
+
+  it('should build a call tree and split off package loading in workers', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const report = await manager.profile(kernelId, `import numpy\n${code}`);
+    expect(report.success).to.be.true;
+    expect(report.breakdown.packageLoading).to.be.greaterThan(0);
+    expect(report.breakdown.packageLoading + report.breakdown.execution).to.be.closeTo(report.wallTime, 1e-6);
+
+    const tree = report.callTree;
+    expect(tree.name).to.equal('all');
+    expect(tree.value).to.be.at.least(tree.children.reduce((total, child) => total + child.value, 0) - 1e-9);
+    const slow = findNode(tree, 'slow');
+    expect(slow).to.exist;
+    expect(slow!.file).to.be.a('string');
+    const fib = slow!.children.find(child => child.name === 'fib');
+    expect(fib!.value).to.be.at.most(slow!.value + 1e-9);
+
+    // Loaded packages are not loaded again
+    const again = await manager.profile(kernelId, 'import numpy');
+    expect(again.breakdown.packageLoading).to.be.lessThan(report.breakdown.packageLoading);
+  });
+
+  it('should profile failed cells and refuse JavaScript kernels', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const failed = await manager.profile(kernelId, 'def broken():\n    raise ValueError("boom")\nbroken()');
+    expect(failed.success).to.be.false;
+    expect(failed.stats.some(row => row.function === 'broken')).to.be.true;
+
+    const jsKernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.JAVASCRIPT
+    });
+    let error: Error | undefined;
+    try {
+      await manager.profile(jsKernelId, '1 + 1');
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error?.message).to.include('does not support');
+  });
+});
@@ -0,0 +1,148 @@
+// Kernel Crash Detection and Recovery Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+import { KernelDiedError } from '../src/types';
+
+// Simulate the worker crashing (an error the worker did not handle itself)
+function crashWorker(manager: KernelManager, kernelId: string): void {
+  manager.getKernel(kernelId)!.worker!.dispatchEvent(new ErrorEvent('error', { message: 'Simulated worker crash' }));
+}
+
+// Wait for the next manager event of a type
+function nextEvent(manager: KernelManager, eventType: KernelEvents): Promise<any> {
+  return new Promise(resolve => {
+    const handler = (event: any) => {
+      manager.off(eventType, handler);
+      resolve(event);
+    };
+    manager.on(eventType, handler);
+  });
+}
+
+describe('Kernel Recovery Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const recoveryTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should emit KERNEL_DIED and remove the dead kernel by default', async function() {
+    manager = new KernelManager(recoveryTestOptions);
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const died = nextEvent(manager, KernelEvents.KERNEL_DIED);
+    crashWorker(manager, kernelId);
+
+    const event = await died;
+    expect(event.kernelId).to.equal(kernelId);
+    expect(event.data.cause).to.equal('worker_error');
+    expect(event.data.message).to.include('Simulated worker crash');
+    expect(event.data.recovery).to.equal('none');
+
+    // Let the cleanup finish
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(manager.getKernel(kernelId)).to.be.undefined;
+    expect(await manager.listKernels()).to.have.length(0);
+  });
+
+  it('should fail in-flight executions right away', async function() {
+    manager = new KernelManager(recoveryTestOptions);
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const startTime = Date.now();
+    const stream = manager.executeStream(kernelId, 'import asyncio\nprint("started")\nawait asyncio.sleep(30)');
+    const execution = manager.execute(kernelId, '1 + 1');
+    setTimeout(() => crashWorker(manager, kernelId), 1000);
+
+    let streamError: Error | null = null;
+    try {
+      for await (const event of stream) {
+        expect(event.type).to.equal('stream');
+      }
+    } catch (error) {
+      streamError = error as Error;
+    }
+
+    expect(streamError).to.be.instanceOf(KernelDiedError);
+    expect((streamError as KernelDiedError).kernelId).to.equal(kernelId);
+    expect(Date.now() - startTime).to.be.lessThan(10000);
+
+    // The queued execution is cancelled with the kernel
+    const result: any = await execution;
+    expect(result.success).to.be.false;
+  });
+
+  it('should restart a dead kernel with the same options', async function() {
+    manager = new KernelManager({
+      ...recoveryTestOptions,
+      recovery: { strategy: 'restart' }
+    });
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      env: { RECOVERY_TEST: 'yes' }
+    });
+
+    const restarted = nextEvent(manager, KernelEvents.KERNEL_RESTARTED);
+    crashWorker(manager, kernelId);
+    const event = await restarted;
+
+    expect(event.kernelId).to.equal(kernelId);
+    expect(event.data.recoveries).to.equal(1);
+
+    const result: any = await manager.execute(kernelId, 'import os\nos.environ["RECOVERY_TEST"]');
+    expect(result.success).to.be.true;
+    expect(result.data['text/plain']).to.equal("'yes'");
+
+    const [info] = await manager.listKernels();
+    expect(info.id).to.equal(kernelId);
+    expect(info.recoveries).to.equal(1);
+  });
+
+  it('should give up after maxRetries failed restarts', async function() {
+    manager = new KernelManager({
+      ...recoveryTestOptions,
+      recovery: { strategy: 'backoff', maxRetries: 2, initialDelay: 10 }
+    });
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON,
+      id: 'fragile'
+    });
+
+    // Make the restarts fail by pointing the kernel at a Pyodide distribution that does not exist
+    manager.getKernel(kernelId)!.options.pyodide = { indexURL: 'https://invalid.invalid/pyodide/' };
+
+    const unrecoverable = nextEvent(manager, KernelEvents.KERNEL_UNRECOVERABLE);
+    crashWorker(manager, kernelId);
+    const event = await unrecoverable;
+
+    expect(event.kernelId).to.equal(kernelId);
+    expect(event.data.cause).to.equal('worker_error');
+    expect(event.data.attempts).to.equal(2);
+    expect(manager.getKernel(kernelId)).to.be.undefined;
+  });
+});
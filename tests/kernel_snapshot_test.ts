@@ -0,0 +1,136 @@
+// Kernel Snapshot Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+
+describe('Kernel Snapshot Tests', function() {
+  this.timeout(180000); // Snapshot tests start several real Pyodide kernels
+
+  let manager: KernelManager;
+
+  const snapshotTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(snapshotTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should capture globals, files and env in a JSON-serializable snapshot', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      env: { SNAPSHOT_TEST: 'yes' }
+    });
+
+    await manager.execute(kernelId, `
+import math
+numbers = [1, 2, 3]
+config = {"name": "demo", "ratio": 0.5}
+with open("/home/pyodide/notes.txt", "w") as f:
+    f.write("hello snapshot")
+`);
+
+    const snapshot = await manager.snapshotKernel(kernelId);
+
+    expect(snapshot.version).to.equal(1);
+    expect(snapshot.globals).to.have.keys('numbers', 'config');
+    expect(snapshot.modules).to.deep.equal({ math: 'math' });
+    expect(snapshot.files).to.have.property('/home/pyodide/notes.txt');
+    expect(snapshot.env.SNAPSHOT_TEST).to.equal('yes');
+    expect(snapshot.kernel.mode).to.equal(KernelMode.MAIN_THREAD);
+    expect(snapshot.kernel.options.env).to.deep.equal({ SNAPSHOT_TEST: 'yes' });
+
+    // Must survive a JSON round trip (e.g. storage or postMessage)
+    expect(JSON.parse(JSON.stringify(snapshot))).to.deep.equal(snapshot);
+  });
+
+  it('should report values that cannot be pickled', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    await manager.execute(kernelId, `
+ok_value = 42
+gen = (i for i in range(3))
+def helper():
+    return 1
+`);
+
+    const snapshot = await manager.snapshotKernel(kernelId);
+    const skipped = snapshot.skipped.map(item => item.name);
+
+    expect(snapshot.globals).to.have.property('ok_value');
+    expect(skipped).to.include('gen');
+    expect(skipped).to.include('helper');
+  });
+
+  it('should restore a snapshot into a new kernel', async function() {
+    const sourceId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    await manager.execute(sourceId, `
+import json
+payload = {"values": [1, 2, 3]}
+with open("/home/pyodide/data.json", "w") as f:
+    json.dump(payload, f)
+`);
+
+    const snapshot = await manager.snapshotKernel(sourceId);
+    const { kernelId, report } = await manager.restoreKernel(snapshot);
+
+    expect(kernelId).to.not.equal(sourceId);
+    expect(report.globals).to.include.members(['json', 'payload']);
+    expect(report.failed).to.have.length(0);
+    expect(report.files).to.be.at.least(1);
+
+    const outputs: string[] = [];
+    for await (const event of manager.executeStream(kernelId, `
+print(payload["values"][1])
+print(json.load(open("/home/pyodide/data.json"))["values"][2])
+`)) {
+      if (event.type === 'stream') {
+        outputs.push(event.data.text);
+      }
+    }
+    expect(outputs.join('')).to.include('2\n3');
+  });
+
+  it('should keep state and options across restartKernel with keepState', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      env: { RESTART_ENV: 'kept' }
+    });
+
+    await manager.execute(kernelId, 'counter = 7');
+
+    const restarted = await manager.restartKernel(kernelId, { keepState: true });
+    expect(restarted).to.be.true;
+    expect(manager.getKernel(kernelId)!.options.env).to.deep.equal({ RESTART_ENV: 'kept' });
+
+    const outputs: string[] = [];
+    for await (const event of manager.executeStream(kernelId, 'import os\nprint(counter, os.environ["RESTART_ENV"])')) {
+      if (event.type === 'stream') {
+        outputs.push(event.data.text);
+      }
+    }
+    expect(outputs.join('')).to.include('7 kept');
+  });
+});
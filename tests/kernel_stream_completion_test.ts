@@ -0,0 +1,236 @@
+// Stream Completion Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+import { AsyncQueue } from '../src/queue';
+import { MAX_FLOW_PAUSE_MS } from '../src/throttle';
+
+// Trivial cells run per kernel by the benchmarks
+const BENCHMARK_CELLS = 50;
+
+describe('Kernel Stream Completion Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const completionTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.JAVASCRIPT }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(completionTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should hand items over without polling and signal backpressure', async function() {
+    const queue = new AsyncQueue<number>(2);
+    expect(queue.push(1)).to.be.true;
+    expect(queue.push(2)).to.be.false;
+
+    // Producers wait until the consumer takes an item
+    let released = false;
+    const space = queue.waitForSpace().then(() => { released = true; });
+    await Promise.resolve();
+    expect(released).to.be.false;
+    expect((await queue.next()).value).to.equal(1);
+    await space;
+    expect(released).to.be.true;
+
+    // The consumer gets the queued items before the end
+    const pending = queue.next();
+    queue.push(3);
+    queue.close();
+    expect(queue.push(4)).to.be.false;
+    const items: number[] = [(await pending).value as number];
+    for await (const item of queue) {
+      items.push(item);
+    }
+    expect(items).to.deep.equal([2, 3]);
+
+    // Failing drops the queued items
+    const failed = new AsyncQueue<number>();
+    failed.push(1);
+    failed.fail(new Error('stopped'));
+    let error: Error | undefined;
+    try {
+      await failed.next();
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error?.message).to.equal('stopped');
+  });
+
+  it('should end worker streams at the idle event of their parent', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const statuses: any[] = [];
+    manager.onKernelEvent(kernelId, KernelEvents.KERNEL_BUSY, (data: any) => statuses.push(data));
+    manager.onKernelEvent(kernelId, KernelEvents.KERNEL_IDLE, (data: any) => statuses.push(data));
+
+    // Every line printed before the cell finishes is part of the stream
+    const parent = { header: { msg_id: 'noisy-cell' } };
+    let text = '';
+    const stream = manager.executeStream(kernelId, 'for i in range(2000):\n    print(i)', parent);
+    for await (const output of stream) {
+      if (output.type === 'stream') {
+        text += output.data.text;
+      }
+    }
+    const lines = text.trim().split('\n');
+    expect(lines).to.have.length(2000);
+    expect(lines[1999]).to.equal('1999');
+
+    expect(statuses).to.deep.equal([
+      { execution_state: 'busy', parent_msg_id: 'noisy-cell', execution_count: 1 },
+      { execution_state: 'idle', parent_msg_id: 'noisy-cell' }
+    ]);
+
+    // Errors end the stream the same way
+    const outputs: any[] = [];
+    const failing = manager.executeStream(kernelId, 'print("before")\n1/0');
+    let next = await failing.next();
+    while (!next.done) {
+      outputs.push(next.value);
+      next = await failing.next();
+    }
+    expect(outputs.map(output => output.type)).to.deep.equal(['stream', 'execute_error']);
+    expect(next.value.success).to.be.false;
+    expect(next.value.result.ename).to.equal('ZeroDivisionError');
+  });
+
+  it('should pause worker output while the consumer is behind', async function() {
+    // The manager pauses the worker through shared memory only
+    if (!(globalThis as any).crossOriginIsolated) {
+      this.skip();
+    }
+
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    // Far more writes than the stream holds, then the time the cell got past them
+    const stream = manager.executeStream(kernelId, 'import time\nfor i in range(3000):\n    print(i)\nfinished = time.time() * 1000');
+    let next = await stream.next();
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const readingFrom = Date.now();
+
+    let text = '';
+    while (!next.done) {
+      if (next.value.type === 'stream') {
+        text += next.value.data.text;
+      }
+      next = await stream.next();
+    }
+    expect(next.value.success).to.be.true;
+    expect(text.trim().split('\n')).to.have.length(3000);
+
+    // Python waited for the consumer instead of filling the stream
+    const finished: any = await manager.execute(kernelId, 'finished');
+    expect(Number(finished.data['text/plain'])).to.be.at.least(readingFrom);
+  });
+
+  it('should resume worker output when the consumer stops early', async function() {
+    if (!(globalThis as any).crossOriginIsolated) {
+      this.skip();
+    }
+
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const stream = manager.executeStream(kernelId, 'for i in range(3000):\n    print(i)\nfinished = True');
+    for await (const event of stream) {
+      if (event.type === 'stream') {
+        // Let the worker fill the stream and pause
+        await new Promise(resolve => setTimeout(resolve, 500));
+        break;
+      }
+    }
+
+    // The cell runs to its end in the background, without waiting for the pause limit
+    const start = performance.now();
+    const result: any = await manager.execute(kernelId, 'print(finished)');
+    expect(result.stdout).to.equal('True\n');
+    expect(performance.now() - start).to.be.lessThan(5000);
+  });
+
+  it('should drop the output of a stream nobody reads once the pause limit is over', async function() {
+    if (!(globalThis as any).crossOriginIsolated) {
+      this.skip();
+    }
+
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    manager.executeStream(kernelId, 'for i in range(3000):\n    print(i)\nfinished = True');
+
+    const start = performance.now();
+    const result: any = await manager.execute(kernelId, 'print(finished)');
+    expect(result.stdout).to.equal('True\n');
+    expect(performance.now() - start).to.be.lessThan(MAX_FLOW_PAUSE_MS + 5000);
+  });
+
+  describe('Per-cell overhead benchmarks', function() {
+    // Run trivial cells one after another and report the mean time per cell
+    async function benchmark(label: string, kernelId: string, code: string): Promise<number> {
+      // The first execution also warms up the kernel
+      await manager.execute(kernelId, code);
+
+      const start = performance.now();
+      for (let i = 0; i < BENCHMARK_CELLS; i++) {
+        for await (const output of manager.executeStream(kernelId, code)) {
+          void output;
+        }
+      }
+      const perCell = (performance.now() - start) / BENCHMARK_CELLS;
+      console.log(`⏱️ ${label}: ${perCell.toFixed(2)}ms per cell over ${BENCHMARK_CELLS} cells`);
+      return perCell;
+    }
+
+    // Streams used to wait 100ms for late messages after every cell
+    it('should run trivial cells on main thread kernels without a settle delay', async function() {
+      const kernelId = await manager.createKernel({
+        mode: KernelMode.MAIN_THREAD,
+        lang: KernelLanguage.PYTHON
+      });
+      expect(await benchmark('Python main thread, pass', kernelId, 'pass')).to.be.lessThan(100);
+      expect(await benchmark('Python main thread, print', kernelId, 'print(1)')).to.be.lessThan(100);
+    });
+
+    it('should run trivial cells on worker kernels without a settle delay', async function() {
+      const pythonId = await manager.createKernel({
+        mode: KernelMode.WORKER,
+        lang: KernelLanguage.PYTHON
+      });
+      expect(await benchmark('Python worker, pass', pythonId, 'pass')).to.be.lessThan(100);
+      expect(await benchmark('Python worker, print', pythonId, 'print(1)')).to.be.lessThan(100);
+
+      const javascriptId = await manager.createKernel({
+        mode: KernelMode.WORKER,
+        lang: KernelLanguage.JAVASCRIPT
+      });
+      expect(await benchmark('JavaScript worker, print', javascriptId, 'console.log(1)')).to.be.lessThan(100);
+    });
+  });
+});
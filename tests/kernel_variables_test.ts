@@ -0,0 +1,192 @@
+// Variable Inspector Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, KernelEvents, IKernelManagerOptions } from '../src/manager';
+
+// Wait for the next manager event of a type
+function nextEvent(manager: KernelManager, eventType: KernelEvents): Promise<any> {
+  return new Promise(resolve => {
+    const handler = (event: any) => {
+      manager.off(eventType, handler);
+      resolve(event);
+    };
+    manager.on(eventType, handler);
+  });
+}
+
+describe('Kernel Variable Inspector Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const variablesTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.JAVASCRIPT }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(variablesTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should summarize variables without publishing outputs', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    await manager.execute(kernelId, [
+      'import json',
+      'class Noisy:',
+      '    def __repr__(self):',
+      '        print("repr called")',
+      '        return "Noisy()"',
+      'def helper():',
+      '    pass',
+      'count = 3',
+      'config = {"layers": [1, 2], "name": "net"}',
+      'noisy = Noisy()',
+      '_private = 1'
+    ].join('\n'));
+
+    const outputs: any[] = [];
+    manager.onKernelEvent(kernelId, KernelEvents.STREAM, (data: any) => outputs.push(data));
+    manager.onKernelEvent(kernelId, KernelEvents.EXECUTE_RESULT, (data: any) => outputs.push(data));
+
+    const variables = await manager.inspectVariables(kernelId);
+    expect(variables.map(variable => variable.name)).to.deep.equal(['config', 'count', 'noisy']);
+
+    const config = variables[0];
+    expect(config.type).to.equal('dict');
+    expect(config.size).to.equal(2);
+    expect(config.expandable).to.be.true;
+    expect(variables[1].repr).to.equal('3');
+    expect(variables[1].expandable).to.be.false;
+    expect(variables[2].repr).to.equal('Noisy()');
+    expect(outputs).to.have.length(0);
+
+    const filtered = await manager.inspectVariables(kernelId, { filter: 'co*', maxItems: 1 });
+    expect(filtered.map(variable => variable.name)).to.deep.equal(['config']);
+  });
+
+  it('should drill into containers with pagination', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    await manager.execute(kernelId, 'config = {"layers": list(range(250)), (1, 2): "tuple key"}');
+
+    const config = await manager.getVariableDetail(kernelId, 'config');
+    expect(config.total).to.equal(2);
+    expect(config.items.map(item => item.key)).to.deep.equal(['layers', '(1, 2)']);
+
+    const page = await manager.getVariableDetail(kernelId, ['config', 'layers'], { offset: 200, limit: 20 });
+    expect(page.total).to.equal(250);
+    expect(page.offset).to.equal(200);
+    expect(page.items).to.have.length(20);
+    expect(page.items[0].key).to.equal(200);
+    expect(page.items[0].repr).to.equal('200');
+
+    const tupleKey = await manager.getVariableDetail(kernelId, ['config', '(1, 2)']);
+    expect(tupleKey.repr).to.equal("'tuple key'");
+
+    let error: Error | undefined;
+    try {
+      await manager.getVariableDetail(kernelId, ['missing']);
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error?.message).to.include('missing');
+  });
+
+  it('should describe numpy arrays and pandas DataFrames', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    await manager.execute(kernelId, [
+      'import numpy as np',
+      'import pandas as pd',
+      'matrix = np.zeros((3, 4), dtype="float32")',
+      'df = pd.DataFrame({"a": range(150), "b": ["x"] * 150})'
+    ].join('\n'));
+
+    const [df, matrix] = await manager.inspectVariables(kernelId);
+    expect(matrix.shape).to.deep.equal([3, 4]);
+    expect(matrix.dtype).to.equal('float32');
+    expect(matrix.size).to.equal(12);
+    expect(df.type).to.equal('DataFrame');
+    expect(df.shape).to.deep.equal([150, 2]);
+    expect(df.dtype).to.equal('mixed');
+
+    const rows = await manager.getVariableDetail(kernelId, 'df', { offset: 100, limit: 10 });
+    expect(rows.columns).to.deep.equal(['a', 'b']);
+    expect(rows.total).to.equal(150);
+    expect(rows.rows).to.have.length(10);
+    expect(rows.rows![0]).to.deep.equal({ index: '100', values: ['100', "'x'"] });
+
+    const column = await manager.getVariableDetail(kernelId, ['df', 'a'], { limit: 5 });
+    expect(column.type).to.equal('Series');
+    expect(column.dtype).to.equal('int64');
+    expect(column.items.map(item => item.repr)).to.deep.equal(['0', '1', '2', '3', '4']);
+  });
+
+  it('should emit VARIABLES_CHANGED after executions when watching variables', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON,
+      watchVariables: { filter: 'tracked*' }
+    });
+
+    const changed = nextEvent(manager, KernelEvents.VARIABLES_CHANGED);
+    await manager.execute(kernelId, 'tracked_value = 1\nother = 2', {}, { executionId: 'exec-watched' });
+    const event = await changed;
+    expect(event.kernelId).to.equal(kernelId);
+    expect(event.data.executionId).to.equal('exec-watched');
+    expect(event.data.variables.map((variable: any) => variable.name)).to.deep.equal(['tracked_value']);
+
+    // Silent probes do not count as changes
+    const events: any[] = [];
+    manager.on(KernelEvents.VARIABLES_CHANGED, (data: any) => events.push(data));
+    await manager.execute(kernelId, 'tracked_value', {}, { silent: true });
+    expect(events).to.have.length(0);
+  });
+
+  it('should inspect JavaScript kernel variables', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.JAVASCRIPT
+    });
+
+    await manager.execute(kernelId, [
+      'const samples = new Float64Array([1, 2, 3]);',
+      'const settings = new Map([["mode", "fast"]]);',
+      'function helper() {}'
+    ].join('\n'));
+
+    const variables = await manager.inspectVariables(kernelId);
+    expect(variables.map(variable => variable.name)).to.deep.equal(['samples', 'settings']);
+    expect(variables[0].dtype).to.equal('float64');
+    expect(variables[0].shape).to.deep.equal([3]);
+    expect(variables[1].size).to.equal(1);
+
+    const settings = await manager.getVariableDetail(kernelId, 'settings');
+    expect(settings.items[0].key).to.equal('mode');
+    expect(settings.items[0].repr).to.equal('"fast"');
+  });
+});
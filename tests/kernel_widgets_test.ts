@@ -0,0 +1,184 @@
+// Widget Bridge Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+import { WidgetBridge, IWidgetComm, IWidgetManagerAdapter, WIDGET_VIEW_MIMETYPE } from '../src/widgets';
+
+// Wait until a condition holds, as comm messages arrive asynchronously
+async function waitFor(condition: () => boolean, timeout = 10000): Promise<void> {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for widget messages');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+describe('Kernel Widget Bridge Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const widgetTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(widgetTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should track widget state and sync it both ways when headless', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+    await manager.installPackages(kernelId, ['ipywidgets']);
+
+    const bridge = new WidgetBridge(manager, kernelId);
+    expect(bridge.headless).to.be.true;
+    const changes: any[] = [];
+    bridge.onChange((model, patch) => changes.push([model.modelName, patch]));
+
+    const outputs: any[] = [];
+    const stream = manager.executeStream(kernelId, [
+      'import ipywidgets as widgets',
+      'from IPython.display import display',
+      'slider = widgets.IntSlider(value=3, description="x")',
+      'display(slider)'
+    ].join('\n'));
+    for await (const output of stream) {
+      outputs.push(output);
+    }
+
+    const view = outputs.find(output => output.type === 'display_data' && output.data?.data?.[WIDGET_VIEW_MIMETYPE]);
+    expect(view).to.exist;
+    const modelId = view.data.data[WIDGET_VIEW_MIMETYPE].model_id;
+    const model = bridge.getModel(modelId);
+    expect(model?.modelName).to.equal('IntSliderModel');
+    expect(model?.modelModule).to.equal('@jupyter-widgets/controls');
+    expect(model?.state.value).to.equal(3);
+    expect(await bridge.renderOutput(view.data, {} as HTMLElement)).to.be.false;
+
+    // Python to host
+    await manager.execute(kernelId, 'slider.value = 7');
+    await waitFor(() => bridge.getModel(modelId)?.state.value === 7);
+    expect(changes).to.deep.include(['IntSliderModel', { value: 7 }]);
+
+    // Host to Python
+    await bridge.setState(modelId, { value: 9 });
+    const result: any = await manager.execute(kernelId, 'print(slider.value)');
+    expect(result.stdout).to.include('9');
+
+    const saved = bridge.getState();
+    expect(saved.version_major).to.equal(2);
+    expect(saved.state[modelId].model_name).to.equal('IntSliderModel');
+    expect(saved.state[modelId].state.value).to.equal(9);
+    expect(saved.state[modelId].state.description).to.equal('x');
+
+    // Closed widgets are forgotten
+    await manager.execute(kernelId, 'slider.close()');
+    await waitFor(() => bridge.getModel(modelId) === undefined);
+  });
+
+  it('should click buttons and keep binary state in worker kernels', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+    await manager.installPackages(kernelId, ['ipywidgets']);
+
+    const bridge = new WidgetBridge(manager, kernelId);
+    await manager.execute(kernelId, [
+      'import ipywidgets as widgets',
+      'clicks = []',
+      'button = widgets.Button(description="Run")',
+      'button.on_click(lambda b: clicks.append(b.description))',
+      'image = widgets.Image(value=b"\\x89PNG", format="png")'
+    ].join('\n'));
+    await waitFor(() => bridge.listModels().some(model => model.modelName === 'ImageModel'));
+
+    const button = bridge.listModels().find(model => model.modelName === 'ButtonModel');
+    await bridge.sendCustom(button!.modelId, { event: 'click' });
+    const result: any = await manager.execute(kernelId, 'print(clicks)');
+    expect(result.stdout).to.include("['Run']");
+
+    const image = bridge.listModels().find(model => model.modelName === 'ImageModel');
+    expect(Array.from(image!.state.value as Uint8Array)).to.deep.equal([0x89, 0x50, 0x4e, 0x47]);
+    const saved = bridge.getState().state[image!.modelId];
+    expect(saved.buffers).to.deep.equal([{ path: ['value'], encoding: 'base64', data: btoa('\x89PNG') }]);
+
+    await bridge.setState(image!.modelId, { value: new Uint8Array([1, 2, 3]) });
+    const updated: any = await manager.execute(kernelId, 'print(list(image.value))');
+    expect(updated.stdout).to.include('[1, 2, 3]');
+
+    // Widgets created after dispose are not tracked
+    bridge.dispose();
+    await manager.execute(kernelId, 'late = widgets.IntSlider()');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(bridge.listModels().some(model => model.modelName === 'IntSliderModel')).to.be.false;
+  });
+
+  it('should hand models to a widget manager and report synced updates', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+    await manager.installPackages(kernelId, ['ipywidgets']);
+
+    // Stands in for an HTMLManager: keeps the comms it is given
+    const comms = new Map<string, IWidgetComm>();
+    const received: any[] = [];
+    const displayed: string[] = [];
+    const widgetManager: IWidgetManagerAdapter = {
+      handle_comm_open: async (comm, msg) => {
+        comms.set(comm.comm_id, comm);
+        comm.on_msg(message => received.push(message));
+        return msg;
+      },
+      get_model: (modelId: string) => Promise.resolve(comms.has(modelId) ? { modelId } : undefined),
+      create_view: async (model: any) => model,
+      display_view: async (view: any) => displayed.push(view.modelId)
+    };
+    const bridge = new WidgetBridge(manager, kernelId, { widgetManager });
+    expect(bridge.headless).to.be.false;
+
+    const result: any = await manager.execute(kernelId, [
+      'import ipywidgets as widgets',
+      'text = widgets.Text(value="a")',
+      'text'
+    ].join('\n'));
+    const modelId = result.data[WIDGET_VIEW_MIMETYPE].model_id;
+    await waitFor(() => comms.has(modelId));
+
+    expect(await bridge.renderOutput(result, {} as HTMLElement)).to.be.true;
+    expect(displayed).to.deep.equal([modelId]);
+
+    // A view edits the model: the update reaches Python and the model hears the kernel went idle
+    let idle = false;
+    comms.get(modelId)!.send({ method: 'update', state: { value: 'b' }, buffer_paths: [] }, {
+      iopub: { status: (msg: any) => { idle = msg.content.execution_state === 'idle'; } }
+    });
+    await waitFor(() => idle);
+    expect(bridge.getModel(modelId)?.state.value).to.equal('b');
+    const synced: any = await manager.execute(kernelId, 'print(text.value)');
+    expect(synced.stdout).to.include('b');
+
+    await manager.execute(kernelId, 'text.value = "c"');
+    await waitFor(() => received.some(message => message.content.data.state?.value === 'c'));
+  });
+});
@@ -0,0 +1,217 @@
+// Notebook Runner Tests - Real Implementation
+import { expect } from 'chai';
+import { KernelManager, KernelMode, KernelLanguage, IKernelManagerOptions } from '../src/manager';
+import { NotebookRunner } from '../src/notebook';
+
+// Build an nbformat 4.5 notebook from cell sources (strings are code cells)
+function makeNotebook(cells: Array<string | { source: string, cell_type?: string, tags?: string[] }>): any {
+  return {
+    nbformat: 4,
+    nbformat_minor: 5,
+    metadata: {},
+    cells: cells.map((cell, index) => {
+      const spec = typeof cell === 'string' ? { source: cell } : cell;
+      const cellType = spec.cell_type || 'code';
+      const base: any = {
+        id: `cell-${index}`,
+        cell_type: cellType,
+        metadata: spec.tags ? { tags: spec.tags } : {},
+        source: spec.source
+      };
+      if (cellType === 'code') {
+        base.execution_count = null;
+        base.outputs = [];
+      }
+      return base;
+    })
+  };
+}
+
+describe('Notebook Runner Tests', function() {
+  this.timeout(120000); // Generous timeout for real Pyodide
+
+  let manager: KernelManager;
+
+  const notebookTestOptions: IKernelManagerOptions = {
+    allowedKernelTypes: [
+      { mode: KernelMode.MAIN_THREAD, language: KernelLanguage.PYTHON },
+      { mode: KernelMode.WORKER, language: KernelLanguage.PYTHON }
+    ],
+    pool: {
+      enabled: false,
+      poolSize: 1,
+      autoRefill: false,
+      preloadConfigs: []
+    }
+  };
+
+  beforeEach('Initialize kernel manager', function() {
+    manager = new KernelManager(notebookTestOptions);
+  });
+
+  afterEach('Cleanup kernel manager', async function() {
+    if (manager) {
+      await manager.destroyAll();
+    }
+  });
+
+  it('should write outputs and execution counts in nbformat shape', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const notebook = makeNotebook([
+      { cell_type: 'markdown', source: '# Title' },
+      'x = 20\nprint("hello")\nprint("world")',
+      'x * 2',
+      'from IPython.display import display, HTML\ndisplay(HTML("<b>hi</b>"))'
+    ]);
+    const { notebook: executed, summary } = await new NotebookRunner(manager, kernelId).run(notebook);
+
+    expect(summary.status).to.equal('ok');
+    expect(summary.codeCells).to.equal(3);
+    expect(summary.executed).to.equal(3);
+    expect(summary.validationErrors).to.deep.equal([]);
+
+    expect(executed.cells[0]).to.deep.equal(notebook.cells[0]);
+    expect(executed.cells[1].outputs).to.deep.equal([
+      { output_type: 'stream', name: 'stdout', text: 'hello\nworld\n' }
+    ]);
+    const result = executed.cells[2].outputs[0];
+    expect(result.output_type).to.equal('execute_result');
+    expect(result.data['text/plain']).to.equal('40');
+    expect(result.execution_count).to.equal(executed.cells[2].execution_count);
+    expect(executed.cells[2].execution_count).to.be.greaterThan(executed.cells[1].execution_count);
+    expect(executed.cells[3].outputs[0].output_type).to.equal('display_data');
+    expect(executed.cells[3].outputs[0].data['text/html']).to.equal('<b>hi</b>');
+
+    // The input notebook is left alone
+    expect(notebook.cells[1].outputs).to.deep.equal([]);
+  });
+
+  it('should stop at the first error by default', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.WORKER,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const notebook = makeNotebook(['a = 1', '1 / 0', 'b = 2']);
+    const { notebook: executed, summary } = await new NotebookRunner(manager, kernelId).run(notebook);
+
+    expect(summary.status).to.equal('error');
+    expect(summary.cells.map(cell => cell.status)).to.deep.equal(['ok', 'error', 'not_run']);
+    expect(summary.cells[1].error!.ename).to.equal('ZeroDivisionError');
+
+    const errors = executed.cells[1].outputs.filter((output: any) => output.output_type === 'error');
+    expect(errors).to.have.length(1);
+    expect(errors[0].ename).to.equal('ZeroDivisionError');
+    expect(errors[0].traceback).to.be.an('array');
+    expect(executed.cells[2].execution_count).to.be.null;
+  });
+
+  it('should continue after errors when stopOnError is false', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const notebook = makeNotebook(['raise ValueError("boom")', 'print("after")']);
+    const { notebook: executed, summary } = await new NotebookRunner(manager, kernelId, { stopOnError: false }).run(notebook);
+
+    expect(summary.status).to.equal('error');
+    expect(summary.failed).to.equal(1);
+    expect(summary.cells[1].status).to.equal('ok');
+    expect(executed.cells[1].outputs[0].text).to.equal('after\n');
+  });
+
+  it('should honour skip and raises-exception tags', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const notebook = makeNotebook([
+      { source: 'print("skipped")', tags: ['skip-execution'] },
+      { source: 'raise KeyError("expected")', tags: ['raises-exception'] },
+      'print("done")'
+    ]);
+    const { notebook: executed, summary } = await new NotebookRunner(manager, kernelId).run(notebook);
+
+    expect(summary.status).to.equal('ok');
+    expect(summary.cells.map(cell => cell.status)).to.deep.equal(['skipped', 'error', 'ok']);
+    expect(summary.skipped).to.equal(1);
+    expect(executed.cells[0].outputs).to.deep.equal([]);
+    expect(executed.cells[2].outputs[0].text).to.equal('done\n');
+  });
+
+  it('should time out slow cells', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const notebook = makeNotebook([
+      'import asyncio\nfor _ in range(30):\n    await asyncio.sleep(0.1)',
+      'print("not reached")'
+    ]);
+    const { summary } = await new NotebookRunner(manager, kernelId, { timeout: 500 }).run(notebook);
+
+    expect(summary.status).to.equal('error');
+    expect(summary.cells[0].status).to.equal('timeout');
+    expect(summary.cells[0].error!.ename).to.equal('CellTimeoutError');
+    expect(summary.cells[1].status).to.equal('not_run');
+  });
+
+  it('should time cells from when they run, not while other executions hold the kernel', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    // Another caller's execution is still running when the notebook is submitted
+    const other = manager.execute(kernelId, 'import asyncio\nawait asyncio.sleep(1)\nprint("other done")');
+    const { summary } = await new NotebookRunner(manager, kernelId, { timeout: 500 }).run(makeNotebook(['print("cell")']));
+
+    expect(summary.cells[0].status).to.equal('ok');
+    const otherResult: any = await other;
+    expect(otherResult.success).to.be.true;
+    expect(otherResult.stdout).to.include('other done');
+  });
+
+  it('should use the kernel execution counts for cells without results', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+    await manager.execute(kernelId, 'before = 1');
+    await manager.execute(kernelId, 'before = 2');
+
+    const { notebook: executed, summary } = await new NotebookRunner(manager, kernelId).run(makeNotebook(['x = 1', 'x']));
+
+    expect(executed.cells[0].execution_count).to.equal(3);
+    expect(executed.cells[1].execution_count).to.equal(4);
+    expect(summary.cells.map(cell => cell.executionCount)).to.deep.equal([3, 4]);
+  });
+
+  it('should reject notebooks that fail nbformat validation', async function() {
+    const kernelId = await manager.createKernel({
+      mode: KernelMode.MAIN_THREAD,
+      lang: KernelLanguage.PYTHON
+    });
+
+    const notebook = makeNotebook(['1 + 1']);
+    delete notebook.cells[0].outputs;
+
+    let error: Error | null = null;
+    try {
+      await new NotebookRunner(manager, kernelId).run(notebook);
+    } catch (e) {
+      error = e as Error;
+    }
+
+    expect(error).to.not.be.null;
+    expect(error!.message).to.include('Invalid notebook');
+    expect(error!.message).to.include('outputs');
+  });
+});